@@ -0,0 +1,339 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { useRouter } from 'next/navigation';
+import { useAuth } from '@/contexts/AuthContext';
+import AdminLayout from '@/components/layouts/AdminLayout';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import toast from 'react-hot-toast';
+import { FiPlus, FiEyeOff, FiEye, FiGitMerge } from 'react-icons/fi';
+import api from '@/lib/api';
+
+const TABS = [
+  { key: 'brands', label: 'Brands', nameField: 'brandName' },
+  { key: 'types', label: 'Types', nameField: 'typeName' },
+  { key: 'models', label: 'Models', nameField: 'modelName' }
+];
+
+const EMPTY_MODEL = { brandId: '', typeId: '', modelName: '', sizeLitre: '' };
+
+/**
+ * Read the error message from a failed API call
+ * @param {Error} error - Axios error
+ * @param {string} fallback - Message when the response has none
+ * @returns {string} Message to show
+ */
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback;
+
+export default function AdminCatalog() {
+  const { user, isLoading: authLoading } = useAuth();
+  const router = useRouter();
+  const [activeTab, setActiveTab] = useState('brands');
+  const [catalog, setCatalog] = useState({ brands: [], types: [], models: [] });
+  const [isLoading, setIsLoading] = useState(true);
+  const [newName, setNewName] = useState('');
+  const [newModel, setNewModel] = useState(EMPTY_MODEL);
+  const [merge, setMerge] = useState(null);
+
+  // Redirect if not admin
+  useEffect(() => {
+    if (!authLoading && user && user.role !== 'admin') {
+      router.push('/unauthorized');
+    }
+  }, [user, authLoading, router]);
+
+  const fetchCatalog = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const params = { includeInactive: true };
+      const [brands, types, models] = await Promise.all([
+        api.get('/catalog/brands', { params }),
+        api.get('/catalog/types', { params }),
+        api.get('/catalog/models', { params })
+      ]);
+      setCatalog({ brands: brands.data, types: types.data, models: models.data });
+    } catch (error) {
+      console.error('Error fetching catalog:', error);
+      toast.error('Failed to load the fridge catalog');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user && user.role === 'admin') {
+      fetchCatalog();
+    }
+  }, [user, fetchCatalog]);
+
+  const tab = TABS.find(item => item.key === activeTab);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    const payload = activeTab === 'models'
+      ? {
+        brandId: Number(newModel.brandId),
+        typeId: Number(newModel.typeId),
+        modelName: newModel.modelName,
+        ...(newModel.sizeLitre ? { sizeLitre: Number(newModel.sizeLitre) } : {})
+      }
+      : { [tab.nameField]: newName };
+
+    try {
+      await api.post(`/catalog/${activeTab}`, payload);
+      toast.success(`${tab.label.slice(0, -1)} added`);
+      setNewName('');
+      setNewModel(EMPTY_MODEL);
+      fetchCatalog();
+    } catch (error) {
+      console.error('Error creating catalog entry:', error);
+      toast.error(errorMessage(error, 'Failed to add entry'));
+    }
+  };
+
+  const toggleActive = async (entry) => {
+    try {
+      if (entry.isActive) {
+        await api.delete(`/catalog/${activeTab}/${entry.id}`);
+      } else {
+        await api.put(`/catalog/${activeTab}/${entry.id}`, { isActive: true });
+      }
+      fetchCatalog();
+    } catch (error) {
+      console.error('Error updating catalog entry:', error);
+      toast.error(errorMessage(error, 'Failed to update entry'));
+    }
+  };
+
+  const handleMerge = async (e) => {
+    e.preventDefault();
+
+    try {
+      const response = await api.post(`/catalog/models/${merge.source.id}/merge`, {
+        targetModelId: Number(merge.targetModelId)
+      });
+      toast.success(`${response.data.message} (${response.data.fridgesMoved} fridges moved)`);
+      setMerge(null);
+      fetchCatalog();
+    } catch (error) {
+      console.error('Error merging models:', error);
+      toast.error(errorMessage(error, 'Failed to merge models'));
+    }
+  };
+
+  if (authLoading || (user && user.role !== 'admin')) {
+    return (
+      <div className="h-screen w-full flex items-center justify-center">
+        <LoadingSpinner size="xl" text="Loading catalog..." />
+      </div>
+    );
+  }
+
+  const entries = catalog[activeTab];
+  const activeBrands = catalog.brands.filter(brand => brand.isActive);
+  const activeTypes = catalog.types.filter(type => type.isActive);
+
+  return (
+    <AdminLayout>
+      <div className="px-4 py-6 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 font-poppins">Fridge Catalog</h1>
+          <p className="mt-2 text-gray-600">
+            Brands, types and models offered in fridge dropdowns. Deactivated entries stay on existing fridges.
+          </p>
+        </div>
+
+        {/* Tabs */}
+        <div className="mb-6 flex gap-2 border-b border-gray-200">
+          {TABS.map(item => (
+            <button
+              key={item.key}
+              onClick={() => { setActiveTab(item.key); setMerge(null); }}
+              className={`px-4 py-2 -mb-px border-b-2 text-sm font-medium ${
+                activeTab === item.key
+                  ? 'border-green-600 text-green-700'
+                  : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {item.label}
+            </button>
+          ))}
+        </div>
+
+        {/* Add form */}
+        <form onSubmit={handleCreate} className="mb-6 bg-white rounded-xl shadow-md p-4 flex flex-wrap items-end gap-3">
+          {activeTab === 'models' ? (
+            <>
+              <label className="block text-sm">
+                <span className="text-gray-600">Brand</span>
+                <select
+                  required
+                  value={newModel.brandId}
+                  onChange={(e) => setNewModel(prev => ({ ...prev, brandId: e.target.value }))}
+                  className="mt-1 w-40 px-3 py-2 border border-gray-300 rounded-lg"
+                >
+                  <option value="">Select…</option>
+                  {activeBrands.map(brand => (
+                    <option key={brand.id} value={brand.id}>{brand.brandName}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="block text-sm">
+                <span className="text-gray-600">Type</span>
+                <select
+                  required
+                  value={newModel.typeId}
+                  onChange={(e) => setNewModel(prev => ({ ...prev, typeId: e.target.value }))}
+                  className="mt-1 w-40 px-3 py-2 border border-gray-300 rounded-lg"
+                >
+                  <option value="">Select…</option>
+                  {activeTypes.map(type => (
+                    <option key={type.id} value={type.id}>{type.typeName}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="block text-sm">
+                <span className="text-gray-600">Model name</span>
+                <input
+                  required
+                  value={newModel.modelName}
+                  onChange={(e) => setNewModel(prev => ({ ...prev, modelName: e.target.value }))}
+                  className="mt-1 w-48 px-3 py-2 border border-gray-300 rounded-lg"
+                />
+              </label>
+              <label className="block text-sm">
+                <span className="text-gray-600">Size (L)</span>
+                <input
+                  type="number"
+                  min="1"
+                  value={newModel.sizeLitre}
+                  onChange={(e) => setNewModel(prev => ({ ...prev, sizeLitre: e.target.value }))}
+                  className="mt-1 w-28 px-3 py-2 border border-gray-300 rounded-lg"
+                />
+              </label>
+            </>
+          ) : (
+            <label className="block text-sm">
+              <span className="text-gray-600">{tab.label.slice(0, -1)} name</span>
+              <input
+                required
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                className="mt-1 w-64 px-3 py-2 border border-gray-300 rounded-lg"
+              />
+            </label>
+          )}
+          <button
+            type="submit"
+            className="py-2 px-4 bg-green-600 hover:bg-green-700 text-white rounded-lg shadow-sm flex items-center gap-2"
+          >
+            <FiPlus />
+            Add
+          </button>
+        </form>
+
+        {/* Entries */}
+        {isLoading ? (
+          <div className="py-16 flex justify-center">
+            <LoadingSpinner size="lg" text="Loading entries..." />
+          </div>
+        ) : (
+          <div className="bg-white rounded-xl shadow-md overflow-hidden">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50 text-left text-gray-500">
+                <tr>
+                  <th className="px-5 py-3 font-medium">Name</th>
+                  {activeTab === 'models' && <th className="px-5 py-3 font-medium">Type</th>}
+                  {activeTab === 'models' && <th className="px-5 py-3 font-medium">Size</th>}
+                  <th className="px-5 py-3 font-medium">{activeTab === 'models' ? 'Fridges' : 'Models'}</th>
+                  <th className="px-5 py-3 font-medium">Status</th>
+                  <th className="px-5 py-3" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {entries.map(entry => (
+                  <tr key={entry.id} className={entry.isActive ? '' : 'text-gray-400'}>
+                    <td className="px-5 py-3">
+                      {activeTab === 'models' ? `${entry.brand.brandName} ${entry.modelName}` : entry[tab.nameField]}
+                    </td>
+                    {activeTab === 'models' && <td className="px-5 py-3">{entry.type.typeName}</td>}
+                    {activeTab === 'models' && <td className="px-5 py-3">{entry.sizeLitre ? `${entry.sizeLitre}L` : '—'}</td>}
+                    <td className="px-5 py-3">{activeTab === 'models' ? entry.fridgeCount : entry.modelCount}</td>
+                    <td className="px-5 py-3">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                        entry.isActive ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-500'
+                      }`}>
+                        {entry.isActive ? 'Active' : 'Inactive'}
+                      </span>
+                    </td>
+                    <td className="px-5 py-3">
+                      <div className="flex justify-end gap-3">
+                        {activeTab === 'models' && (
+                          <button
+                            onClick={() => setMerge({ source: entry, targetModelId: '' })}
+                            className="text-blue-600 hover:text-blue-800 flex items-center gap-1"
+                          >
+                            <FiGitMerge size={14} /> Merge
+                          </button>
+                        )}
+                        <button
+                          onClick={() => toggleActive(entry)}
+                          className="text-gray-600 hover:text-gray-900 flex items-center gap-1"
+                        >
+                          {entry.isActive ? <><FiEyeOff size={14} /> Deactivate</> : <><FiEye size={14} /> Reactivate</>}
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {entries.length === 0 && (
+              <p className="p-10 text-center text-gray-600">No {tab.label.toLowerCase()} yet.</p>
+            )}
+          </div>
+        )}
+
+        {/* Merge */}
+        {merge && (
+          <form onSubmit={handleMerge} className="mt-6 bg-white rounded-xl shadow-md p-4 flex flex-wrap items-end gap-3">
+            <p className="text-sm text-gray-700 w-full">
+              Merge <strong>{merge.source.brand.brandName} {merge.source.modelName}</strong> into another model.
+              Its {merge.source.fridgeCount} fridge(s) will be moved and the duplicate deleted.
+            </p>
+            <select
+              required
+              value={merge.targetModelId}
+              onChange={(e) => setMerge(prev => ({ ...prev, targetModelId: e.target.value }))}
+              className="w-72 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            >
+              <option value="">Select the model to keep…</option>
+              {catalog.models
+                .filter(model => model.id !== merge.source.id && model.isActive)
+                .map(model => (
+                  <option key={model.id} value={model.id}>{model.brand.brandName} {model.modelName}</option>
+                ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => setMerge(null)}
+              className="py-2 px-4 bg-white border border-gray-300 text-gray-700 rounded-lg"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="py-2 px-4 bg-green-600 hover:bg-green-700 text-white rounded-lg"
+            >
+              Merge
+            </button>
+          </form>
+        )}
+      </div>
+    </AdminLayout>
+  );
+}
@@ -32,9 +32,12 @@ const NepalMap = dynamic(() => import('@/components/maps/NepalMap'), {
 });
 
 export default function AdminDashboard() {
-  const { user, isLoading: authLoading } = useAuth();
+  const { user, isLoading: authLoading, hasPermission } = useAuth();
+  const canView = hasPermission('reports:view');
+  const seesAllDistricts = hasPermission('data:all');
   const router = useRouter();
   const [isLoading, setIsLoading] = useState(true);
+  const [isStatsLoading, setIsStatsLoading] = useState(true);
   const [stats, setStats] = useState({
     totalShops: 0,
     totalDealers: 0,
@@ -61,12 +64,12 @@ export default function AdminDashboard() {
   const [selectedDistrict, setSelectedDistrict] = useState('All');
   const [districts, setDistricts] = useState(['All']);
 
-  // Redirect if not admin
+  // Redirect unless admin or a supervisor with reports
   useEffect(() => {
-    if (!authLoading && user && user.role !== 'admin') {
+    if (!authLoading && user && !canView) {
       router.push('/unauthorized');
     }
-  }, [user, authLoading, router]);
+  }, [user, authLoading, canView, router]);
 
   // Fetch dashboard data
   useEffect(() => {
@@ -74,21 +77,22 @@ export default function AdminDashboard() {
       try {
         setIsLoading(true);
         
-        // Fetch summary statistics
-        const statsResponse = await api.get('/reports/dashboard-summary');
-        setStats(statsResponse.data);
-        
         // Fetch dealers for map
         const dealersResponse = await api.get('/dealers');
         
+        // Fetch Nepal's districts for the district filter
+        const districtsResponse = await api.get('/geo/districts');
+        
         // Fetch shops with coordinates for map
         const shopsResponse = await api.get('/shops', {
           params: { includeCoordinates: true }
         });
         
-        // Extract unique districts
-        const uniqueDistricts = ['All', ...new Set(dealersResponse.data.map(dealer => dealer.district))];
-        setDistricts(uniqueDistricts);
+        // Supervisors only see the districts of the dealers in their territory
+        const districtNames = seesAllDistricts
+          ? districtsResponse.data.map(district => district.name)
+          : [...new Set(dealersResponse.data.map(dealer => dealer.district))].sort();
+        setDistricts(['All', ...districtNames]);
         
         setMapData({
           dealers: dealersResponse.data,
@@ -103,10 +107,31 @@ export default function AdminDashboard() {
       }
     };
 
-    if (user && user.role === 'admin') {
+    if (user && canView) {
       fetchDashboardData();
     }
-  }, [user]);
+  }, [user, canView, seesAllDistricts]);
+
+  // Fetch summary statistics for the selected district
+  useEffect(() => {
+    const fetchSummary = async () => {
+      try {
+        setIsStatsLoading(true);
+        const statsResponse = await api.get('/reports/dashboard-summary', {
+          params: selectedDistrict === 'All' ? {} : { district: selectedDistrict }
+        });
+        setStats(statsResponse.data);
+      } catch (error) {
+        console.error('Error fetching dashboard summary:', error);
+      } finally {
+        setIsStatsLoading(false);
+      }
+    };
+
+    if (user && canView) {
+      fetchSummary();
+    }
+  }, [user, canView, selectedDistrict]);
 
   // Handle dealer selection on map
   const handleDealerSelect = (dealerId) => {
@@ -130,7 +155,7 @@ export default function AdminDashboard() {
         return dealer && dealer.district === selectedDistrict;
       });
 
-  if (authLoading || (user && user.role !== 'admin')) {
+  if (authLoading || (user && !canView)) {
     return (
       <div className="h-screen w-full flex items-center justify-center">
         <LoadingSpinner size="xl" text="Loading dashboard..." />
@@ -159,7 +184,7 @@ export default function AdminDashboard() {
             icon={<FiMapPin className="text-blue-500" />}
             trend={+5}
             trendLabel="from last week"
-            loading={isLoading}
+            loading={isStatsLoading}
           />
           <DashboardCard 
             title="Total Freezers" 
@@ -167,7 +192,7 @@ export default function AdminDashboard() {
             icon={<RiIceCreamLine className="text-pink-500" />}
             trend={+2}
             trendLabel="from last week"
-            loading={isLoading}
+            loading={isStatsLoading}
           />
           <DashboardCard 
             title="Shops Visited Today" 
@@ -175,7 +200,7 @@ export default function AdminDashboard() {
             icon={<FiCheckCircle className="text-green-500" />}
             trend={null}
             trendLabel="of total shops"
-            loading={isLoading}
+            loading={isStatsLoading}
             progressValue={stats.totalShops ? (stats.visitedToday / stats.totalShops) * 100 : 0}
           />
           <DashboardCard 
@@ -184,7 +209,7 @@ export default function AdminDashboard() {
             icon={<FiAlertCircle className="text-amber-500" />}
             trend={null}
             trendLabel="require attention"
-            loading={isLoading}
+            loading={isStatsLoading}
           />
         </div>
 
@@ -232,6 +257,7 @@ export default function AdminDashboard() {
               onDealerSelect={handleDealerSelect}
               height={500}
               isLoading={isLoading}
+              showVisitStatus={true}
             />
           </div>
           
@@ -265,9 +291,14 @@ export default function AdminDashboard() {
                 <FiBox className="mr-2 text-blue-500" />
                 Freezer Distribution
               </h2>
+              {stats.asOf && (
+                <p className="text-sm text-gray-600 mt-1">
+                  As of end of {stats.asOf}
+                </p>
+              )}
             </div>
             <div className="p-5">
-              {isLoading ? (
+              {isStatsLoading ? (
                 <div className="h-64 flex items-center justify-center">
                   <LoadingSpinner size="md" text="Loading freezer data..." />
                 </div>
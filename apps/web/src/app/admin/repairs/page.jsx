@@ -0,0 +1,321 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { useRouter } from 'next/navigation';
+import { useAuth } from '@/contexts/AuthContext';
+import AdminLayout from '@/components/layouts/AdminLayout';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import toast from 'react-hot-toast';
+import {
+  FiTool,
+  FiClock,
+  FiAlertTriangle,
+  FiMapPin,
+  FiRefreshCw,
+  FiPhone
+} from 'react-icons/fi';
+import api from '@/lib/api';
+
+const STATUS_STYLES = {
+  reported: 'bg-red-100 text-red-700',
+  assigned: 'bg-amber-100 text-amber-700',
+  in_progress: 'bg-blue-100 text-blue-700'
+};
+
+// The next step offered for each open status
+const NEXT_STEP = {
+  reported: { label: 'Assign technician', status: 'assigned' },
+  assigned: { label: 'Start repair', status: 'in_progress' },
+  in_progress: { label: 'Close ticket', status: 'fixed' }
+};
+
+/**
+ * Format a due time relative to now, e.g. "due in 5h" or "3h overdue"
+ * @param {string} dueAt - ISO timestamp
+ * @returns {string} Relative description
+ */
+const describeDue = (dueAt) => {
+  const hours = Math.round((new Date(dueAt) - Date.now()) / (1000 * 60 * 60));
+  return hours >= 0 ? `due in ${hours}h` : `${-hours}h overdue`;
+};
+
+export default function AdminRepairs() {
+  const { user, isLoading: authLoading, hasPermission } = useAuth();
+  const canView = hasPermission('repairs:manage');
+  const router = useRouter();
+  const [queue, setQueue] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [activeTicket, setActiveTicket] = useState(null);
+  const [form, setForm] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Redirect unless admin or granted the repair queue
+  useEffect(() => {
+    if (!authLoading && user && !canView) {
+      router.push('/unauthorized');
+    }
+  }, [user, authLoading, canView, router]);
+
+  const fetchQueue = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await api.get('/repairs/queue');
+      setQueue(response.data);
+    } catch (error) {
+      console.error('Error fetching repair queue:', error);
+      toast.error('Failed to load repair queue');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user && canView) {
+      fetchQueue();
+    }
+  }, [user, canView, fetchQueue]);
+
+  const openStep = (ticket) => {
+    setActiveTicket(ticket);
+    setForm({
+      status: NEXT_STEP[ticket.status].status,
+      technicianName: ticket.technicianName || '',
+      technicianPhone: ticket.technicianPhone || '',
+      costNpr: '',
+      partsNotes: ''
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const payload = { status: form.status };
+    if (form.status === 'assigned') {
+      payload.technicianName = form.technicianName;
+      if (form.technicianPhone) payload.technicianPhone = form.technicianPhone;
+    }
+    if (form.status === 'fixed' || form.status === 'replaced') {
+      if (form.costNpr !== '') payload.costNpr = Number(form.costNpr);
+      if (form.partsNotes) payload.partsNotes = form.partsNotes;
+    }
+
+    try {
+      setIsSaving(true);
+      await api.patch(`/repairs/${activeTicket.id}/status`, payload);
+      toast.success('Repair ticket updated');
+      setActiveTicket(null);
+      fetchQueue();
+    } catch (error) {
+      console.error('Error updating repair ticket:', error);
+      toast.error(error.response?.data?.error?.message || error.response?.data?.message || 'Failed to update ticket');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (authLoading || (user && !canView)) {
+    return (
+      <div className="h-screen w-full flex items-center justify-center">
+        <LoadingSpinner size="xl" text="Loading repairs..." />
+      </div>
+    );
+  }
+
+  return (
+    <AdminLayout>
+      <div className="px-4 py-6 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 font-poppins">Repair Queue</h1>
+            <p className="mt-2 text-gray-600">
+              Open freezer repair tickets by district, most SLA breaches first
+            </p>
+          </div>
+          <button
+            onClick={fetchQueue}
+            disabled={isLoading}
+            className="py-2 px-4 bg-white hover:bg-gray-50 text-gray-700 rounded-lg shadow-sm border border-gray-200 flex items-center gap-2 disabled:opacity-50"
+          >
+            <FiRefreshCw className={isLoading ? 'animate-spin' : ''} />
+            Refresh
+          </button>
+        </div>
+
+        {isLoading && queue.length === 0 ? (
+          <div className="py-16 flex justify-center">
+            <LoadingSpinner size="lg" text="Loading tickets..." />
+          </div>
+        ) : queue.length === 0 ? (
+          <div className="bg-white rounded-xl shadow-md p-10 text-center text-gray-600">
+            <FiTool className="mx-auto mb-3 text-green-500" size={32} />
+            No open repair tickets.
+          </div>
+        ) : (
+          <div className="space-y-8">
+            {queue.map(group => (
+              <section key={group.district} className="bg-white rounded-xl shadow-md overflow-hidden">
+                <div className="px-5 py-4 border-b border-gray-100 flex flex-wrap items-center justify-between gap-2">
+                  <h2 className="text-lg font-semibold text-gray-800 flex items-center">
+                    <FiMapPin className="mr-2 text-blue-500" />
+                    {group.district}
+                  </h2>
+                  <div className="flex items-center gap-3 text-sm">
+                    <span className="text-gray-600">{group.openCount} open</span>
+                    {group.breachedCount > 0 && (
+                      <span className="px-2 py-0.5 rounded-full bg-red-100 text-red-700 flex items-center gap-1">
+                        <FiAlertTriangle size={12} />
+                        {group.breachedCount} past SLA
+                      </span>
+                    )}
+                  </div>
+                </div>
+
+                <ul className="divide-y divide-gray-100">
+                  {group.tickets.map(ticket => (
+                    <li key={ticket.id} className="px-5 py-4">
+                      <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-3">
+                        <div className="min-w-0">
+                          <div className="flex flex-wrap items-center gap-2">
+                            <span className="font-medium text-gray-900">#{ticket.id}</span>
+                            <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[ticket.status]}`}>
+                              {ticket.status.replace('_', ' ')}
+                            </span>
+                            <span className="text-gray-700">{ticket.fridge?.model}</span>
+                          </div>
+                          <p className="text-sm text-gray-600 mt-1">
+                            {ticket.shop?.name} · {ticket.dealer?.name}
+                            {ticket.shop?.contactPhone && (
+                              <span className="ml-2 inline-flex items-center gap-1">
+                                <FiPhone size={12} /> {ticket.shop.contactPhone}
+                              </span>
+                            )}
+                          </p>
+                          {ticket.description && (
+                            <p className="text-sm text-gray-500 mt-1">{ticket.description}</p>
+                          )}
+                          {ticket.technicianName && (
+                            <p className="text-sm text-gray-500 mt-1 flex items-center gap-1">
+                              <FiTool size={12} /> {ticket.technicianName}
+                              {ticket.technicianPhone ? ` (${ticket.technicianPhone})` : ''}
+                            </p>
+                          )}
+                        </div>
+
+                        <div className="flex items-center gap-4 flex-shrink-0">
+                          <div className="text-xs text-right">
+                            <p className={`flex items-center justify-end gap-1 ${ticket.sla.resolveBreached ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+                              <FiClock size={12} />
+                              Resolve {describeDue(ticket.sla.resolveDueAt)}
+                            </p>
+                            {ticket.status === 'reported' && (
+                              <p className={ticket.sla.assignBreached ? 'text-red-600 font-medium' : 'text-gray-500'}>
+                                Assign {describeDue(ticket.sla.assignDueAt)}
+                              </p>
+                            )}
+                            <p className="text-gray-400">Open {ticket.sla.hoursOpen}h</p>
+                          </div>
+                          <button
+                            onClick={() => openStep(ticket)}
+                            className="py-2 px-3 bg-green-600 hover:bg-green-700 text-white text-sm rounded-lg shadow-sm"
+                          >
+                            {NEXT_STEP[ticket.status].label}
+                          </button>
+                        </div>
+                      </div>
+
+                      {activeTicket?.id === ticket.id && (
+                        <form onSubmit={handleSubmit} className="mt-4 p-4 bg-gray-50 rounded-lg grid grid-cols-1 sm:grid-cols-2 gap-3">
+                          {form.status === 'assigned' && (
+                            <>
+                              <label className="block text-sm">
+                                <span className="text-gray-600">Technician name</span>
+                                <input
+                                  required
+                                  value={form.technicianName}
+                                  onChange={(e) => setForm(prev => ({ ...prev, technicianName: e.target.value }))}
+                                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+                                />
+                              </label>
+                              <label className="block text-sm">
+                                <span className="text-gray-600">Technician phone</span>
+                                <input
+                                  value={form.technicianPhone}
+                                  onChange={(e) => setForm(prev => ({ ...prev, technicianPhone: e.target.value }))}
+                                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+                                />
+                              </label>
+                            </>
+                          )}
+
+                          {(form.status === 'fixed' || form.status === 'replaced') && (
+                            <>
+                              <label className="block text-sm">
+                                <span className="text-gray-600">Outcome</span>
+                                <select
+                                  value={form.status}
+                                  onChange={(e) => setForm(prev => ({ ...prev, status: e.target.value }))}
+                                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+                                >
+                                  <option value="fixed">Fixed</option>
+                                  <option value="replaced">Replaced</option>
+                                </select>
+                              </label>
+                              <label className="block text-sm">
+                                <span className="text-gray-600">Cost (NPR)</span>
+                                <input
+                                  type="number"
+                                  min="0"
+                                  step="0.01"
+                                  value={form.costNpr}
+                                  onChange={(e) => setForm(prev => ({ ...prev, costNpr: e.target.value }))}
+                                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+                                />
+                              </label>
+                              <label className="block text-sm sm:col-span-2">
+                                <span className="text-gray-600">Parts notes</span>
+                                <textarea
+                                  rows={2}
+                                  value={form.partsNotes}
+                                  onChange={(e) => setForm(prev => ({ ...prev, partsNotes: e.target.value }))}
+                                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+                                />
+                              </label>
+                            </>
+                          )}
+
+                          {form.status === 'in_progress' && (
+                            <p className="text-sm text-gray-600 sm:col-span-2">
+                              Mark the repair as started by {ticket.technicianName}?
+                            </p>
+                          )}
+
+                          <div className="sm:col-span-2 flex justify-end gap-2">
+                            <button
+                              type="button"
+                              onClick={() => setActiveTicket(null)}
+                              className="py-2 px-4 bg-white border border-gray-300 text-gray-700 rounded-lg"
+                            >
+                              Cancel
+                            </button>
+                            <button
+                              type="submit"
+                              disabled={isSaving}
+                              className="py-2 px-4 bg-green-600 hover:bg-green-700 text-white rounded-lg disabled:opacity-50"
+                            >
+                              {isSaving ? 'Saving...' : 'Confirm'}
+                            </button>
+                          </div>
+                        </form>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            ))}
+          </div>
+        )}
+      </div>
+    </AdminLayout>
+  );
+}
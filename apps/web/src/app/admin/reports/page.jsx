@@ -0,0 +1,293 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import { useAuth } from '@/contexts/AuthContext';
+import AdminLayout from '@/components/layouts/AdminLayout';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import toast from 'react-hot-toast';
+import {
+  FiDownload,
+  FiFileText,
+  FiFilter,
+  FiCheckCircle,
+  FiUsers,
+  FiAlertTriangle,
+  FiDollarSign
+} from 'react-icons/fi';
+import { RiIceCreamLine } from 'react-icons/ri';
+import api, { apiHelpers } from '@/lib/api';
+
+// Exportable reports; statuses are the values accepted by each report's status filter
+const REPORTS = [
+  {
+    key: 'visit-logs',
+    title: 'Visit Log',
+    description: 'Every visit in the date range with PSR, shop, geofence result and notes',
+    icon: <FiCheckCircle className="text-green-500" />,
+    dateRange: true,
+    statuses: ['visited', 'not_visited']
+  },
+  {
+    key: 'fridge-inventory',
+    title: 'Fridge Inventory by Dealer',
+    description: 'All freezers grouped by dealer and shop, with model, status and deposit',
+    icon: <RiIceCreamLine className="text-pink-500" />,
+    dateRange: false,
+    statuses: ['working', 'repair', 'missing']
+  },
+  {
+    key: 'psr-performance',
+    title: 'PSR Performance',
+    description: 'Visits, shop coverage, active days and geofence flags per PSR',
+    icon: <FiUsers className="text-blue-500" />,
+    dateRange: true,
+    statuses: []
+  },
+  {
+    key: 'fridge-issues',
+    title: 'Missing and Repair Fridges',
+    description: 'Freezers needing repair or missing, with since when and the last visit',
+    icon: <FiAlertTriangle className="text-amber-500" />,
+    dateRange: false,
+    statuses: ['repair', 'missing']
+  },
+  {
+    key: 'deposits-monthly',
+    title: 'Deposits by Dealer',
+    description: 'Deposit money collected, refunded and forfeited per dealer per month, in NPR',
+    icon: <FiDollarSign className="text-emerald-500" />,
+    dateRange: true,
+    statuses: []
+  }
+];
+
+/**
+ * Get a YYYY-MM-DD date a number of days before today
+ * @param {number} days - Days to go back
+ * @returns {string} Date string
+ */
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toISOString().slice(0, 10);
+};
+
+export default function AdminReports() {
+  const { user, isLoading: authLoading, hasPermission } = useAuth();
+  const canView = hasPermission('reports:view');
+  const router = useRouter();
+  const [districts, setDistricts] = useState([]);
+  const [dealers, setDealers] = useState([]);
+  const [filters, setFilters] = useState({
+    district: '',
+    dealerId: '',
+    from: daysAgo(29),
+    to: daysAgo(0)
+  });
+  const [statuses, setStatuses] = useState({});
+  const [downloading, setDownloading] = useState(null);
+
+  // Redirect unless admin or granted reports
+  useEffect(() => {
+    if (!authLoading && user && !canView) {
+      router.push('/unauthorized');
+    }
+  }, [user, authLoading, canView, router]);
+
+  // Load filter options
+  useEffect(() => {
+    const fetchFilterOptions = async () => {
+      try {
+        const [districtsResponse, dealersResponse] = await Promise.all([
+          api.get('/geo/districts'),
+          api.get('/dealers')
+        ]);
+        // Supervisors only see the districts of the dealers in their territory
+        setDistricts(hasPermission('data:all')
+          ? districtsResponse.data.map(district => district.name)
+          : [...new Set(dealersResponse.data.map(dealer => dealer.district))].sort());
+        setDealers(dealersResponse.data);
+      } catch (error) {
+        console.error('Error fetching report filters:', error);
+      }
+    };
+
+    if (user && canView) {
+      fetchFilterOptions();
+    }
+  }, [user, canView, hasPermission]);
+
+  const handleFilterChange = (name, value) => {
+    setFilters(prev => ({
+      ...prev,
+      [name]: value,
+      // Keep the dealer choice consistent with the district
+      ...(name === 'district' ? { dealerId: '' } : {})
+    }));
+  };
+
+  // Download a report with the filters that apply to it
+  const handleDownload = async (report, format) => {
+    const params = {};
+    if (filters.district) params.district = filters.district;
+    if (filters.dealerId) params.dealerId = filters.dealerId;
+    if (report.dateRange) {
+      params.from = filters.from;
+      params.to = filters.to;
+    }
+    if (statuses[report.key]) params.status = statuses[report.key];
+
+    try {
+      setDownloading(`${report.key}.${format}`);
+      await apiHelpers.downloadFile(
+        `/reports/${report.key}.${format}`,
+        `snowfun-${report.key}-${daysAgo(0)}.${format}`,
+        params
+      );
+    } catch (error) {
+      console.error('Error downloading report:', error);
+      toast.error('Failed to download report');
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const visibleDealers = filters.district
+    ? dealers.filter(dealer => dealer.district === filters.district)
+    : dealers;
+
+  if (authLoading || (user && !canView)) {
+    return (
+      <div className="h-screen w-full flex items-center justify-center">
+        <LoadingSpinner size="xl" text="Loading reports..." />
+      </div>
+    );
+  }
+
+  return (
+    <AdminLayout>
+      <div className="px-4 py-6 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 font-poppins">Reports</h1>
+          <p className="mt-2 text-gray-600">
+            Export visit, freezer, PSR and deposit reports as CSV for spreadsheets or PDF for sharing
+          </p>
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white rounded-xl shadow-md p-5 mb-8">
+          <h2 className="text-lg font-semibold text-gray-800 flex items-center mb-4">
+            <FiFilter className="mr-2 text-blue-500" />
+            Filters
+          </h2>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+            <label className="block text-sm">
+              <span className="text-gray-600">District</span>
+              <select
+                value={filters.district}
+                onChange={(e) => handleFilterChange('district', e.target.value)}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">All districts</option>
+                {districts.map(district => (
+                  <option key={district} value={district}>{district}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block text-sm">
+              <span className="text-gray-600">Dealer</span>
+              <select
+                value={filters.dealerId}
+                onChange={(e) => handleFilterChange('dealerId', e.target.value)}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">All dealers</option>
+                {visibleDealers.map(dealer => (
+                  <option key={dealer.id} value={dealer.id}>{dealer.name}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block text-sm">
+              <span className="text-gray-600">From</span>
+              <input
+                type="date"
+                value={filters.from}
+                max={filters.to}
+                onChange={(e) => handleFilterChange('from', e.target.value)}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+            <label className="block text-sm">
+              <span className="text-gray-600">To</span>
+              <input
+                type="date"
+                value={filters.to}
+                min={filters.from}
+                onChange={(e) => handleFilterChange('to', e.target.value)}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+          </div>
+          <p className="mt-3 text-xs text-gray-500">
+            The date range applies to the visit log, PSR performance and deposit reports.
+          </p>
+        </div>
+
+        {/* Reports */}
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {REPORTS.map(report => (
+            <div key={report.key} className="bg-white rounded-xl shadow-md p-5 flex flex-col">
+              <div className="flex items-start gap-3 mb-4">
+                <div className="w-10 h-10 rounded-full bg-gray-50 flex items-center justify-center flex-shrink-0">
+                  {report.icon}
+                </div>
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-800">{report.title}</h3>
+                  <p className="text-sm text-gray-600">{report.description}</p>
+                </div>
+              </div>
+
+              {report.statuses.length > 0 && (
+                <label className="block text-sm mb-4">
+                  <span className="text-gray-600">Status</span>
+                  <select
+                    value={statuses[report.key] || ''}
+                    onChange={(e) => setStatuses(prev => ({ ...prev, [report.key]: e.target.value }))}
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="">All</option>
+                    {report.statuses.map(status => (
+                      <option key={status} value={status}>{status.replace('_', ' ')}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+
+              <div className="mt-auto flex gap-3">
+                {['csv', 'pdf'].map(format => (
+                  <button
+                    key={format}
+                    onClick={() => handleDownload(report, format)}
+                    disabled={downloading !== null}
+                    className="flex-1 py-2 px-4 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg shadow-sm flex items-center justify-center gap-2 transition-colors disabled:opacity-50"
+                  >
+                    {downloading === `${report.key}.${format}` ? (
+                      <LoadingSpinner size="sm" />
+                    ) : format === 'csv' ? (
+                      <FiDownload />
+                    ) : (
+                      <FiFileText />
+                    )}
+                    {format.toUpperCase()}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </AdminLayout>
+  );
+}
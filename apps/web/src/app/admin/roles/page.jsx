@@ -0,0 +1,236 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { useRouter } from 'next/navigation';
+import { useAuth } from '@/contexts/AuthContext';
+import AdminLayout from '@/components/layouts/AdminLayout';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import toast from 'react-hot-toast';
+import { FiPlus, FiSave, FiTrash2, FiLock } from 'react-icons/fi';
+import api from '@/lib/api';
+
+/**
+ * Read the error message from a failed API call
+ * @param {Error} error - Axios error
+ * @param {string} fallback - Message when the response has none
+ * @returns {string} Message to show
+ */
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback;
+
+export default function AdminRoles() {
+  const { user, isLoading: authLoading } = useAuth();
+  const router = useRouter();
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [newRoleName, setNewRoleName] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+
+  // Redirect if not admin
+  useEffect(() => {
+    if (!authLoading && user && user.role !== 'admin') {
+      router.push('/unauthorized');
+    }
+  }, [user, authLoading, router]);
+
+  const fetchRoles = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const [rolesResponse, permissionsResponse] = await Promise.all([
+        api.get('/roles'),
+        api.get('/roles/permissions')
+      ]);
+      setRoles(rolesResponse.data);
+      setPermissions(permissionsResponse.data);
+      setDrafts(Object.fromEntries(rolesResponse.data.map(role => [role.id, role.permissions])));
+    } catch (error) {
+      console.error('Error fetching roles:', error);
+      toast.error('Failed to load roles');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user && user.role === 'admin') {
+      fetchRoles();
+    }
+  }, [user, fetchRoles]);
+
+  const togglePermission = (roleId, key) => {
+    setDrafts(prev => {
+      const current = prev[roleId] || [];
+      return {
+        ...prev,
+        [roleId]: current.includes(key) ? current.filter(item => item !== key) : [...current, key]
+      };
+    });
+  };
+
+  const isChanged = (role) => {
+    const draft = drafts[role.id] || [];
+    return draft.length !== role.permissions.length || draft.some(key => !role.permissions.includes(key));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    try {
+      await api.post('/roles', { roleName: newRoleName.trim(), permissions: [] });
+      toast.success('Role created');
+      setNewRoleName('');
+      fetchRoles();
+    } catch (error) {
+      console.error('Error creating role:', error);
+      toast.error(errorMessage(error, 'Failed to create role'));
+    }
+  };
+
+  const handleSave = async (role) => {
+    try {
+      await api.put(`/roles/${role.id}`, { permissions: drafts[role.id] || [] });
+      toast.success(`Permissions for ${role.roleName} saved`);
+      fetchRoles();
+    } catch (error) {
+      console.error('Error updating role:', error);
+      toast.error(errorMessage(error, 'Failed to update role'));
+    }
+  };
+
+  const handleDelete = async (role) => {
+    if (!window.confirm(`Delete the ${role.roleName} role?`)) {
+      return;
+    }
+
+    try {
+      await api.delete(`/roles/${role.id}`);
+      toast.success('Role deleted');
+      fetchRoles();
+    } catch (error) {
+      console.error('Error deleting role:', error);
+      toast.error(errorMessage(error, 'Failed to delete role'));
+    }
+  };
+
+  if (authLoading || (user && user.role !== 'admin')) {
+    return (
+      <div className="h-screen w-full flex items-center justify-center">
+        <LoadingSpinner size="xl" text="Loading roles..." />
+      </div>
+    );
+  }
+
+  return (
+    <AdminLayout>
+      <div className="px-4 py-6 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 font-poppins">Roles &amp; Permissions</h1>
+          <p className="mt-2 text-gray-600">
+            Compose roles from permissions. Admins always hold every permission; PSR and custom roles get only what is ticked.
+          </p>
+        </div>
+
+        {/* Add form */}
+        <form onSubmit={handleCreate} className="mb-6 bg-white rounded-xl shadow-md p-4 flex flex-wrap items-end gap-3">
+          <label className="block text-sm">
+            <span className="text-gray-600">New role name</span>
+            <input
+              required
+              value={newRoleName}
+              onChange={(e) => setNewRoleName(e.target.value.toLowerCase())}
+              placeholder="e.g. area_manager"
+              pattern="[a-z][a-z0-9_]*"
+              className="mt-1 w-64 px-3 py-2 border border-gray-300 rounded-lg"
+            />
+          </label>
+          <button
+            type="submit"
+            className="py-2 px-4 bg-green-600 hover:bg-green-700 text-white rounded-lg shadow-sm flex items-center gap-2"
+          >
+            <FiPlus />
+            Add role
+          </button>
+        </form>
+
+        {/* Permission matrix */}
+        {isLoading ? (
+          <div className="py-16 flex justify-center">
+            <LoadingSpinner size="lg" text="Loading roles..." />
+          </div>
+        ) : (
+          <div className="bg-white rounded-xl shadow-md overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50 text-left text-gray-500">
+                <tr>
+                  <th className="px-5 py-3 font-medium">Permission</th>
+                  {roles.map(role => (
+                    <th key={role.id} className="px-5 py-3 font-medium text-center">
+                      <div className="text-gray-900">{role.roleName}</div>
+                      <div className="text-xs font-normal">{role.userCount} user(s)</div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {permissions.map(permission => (
+                  <tr key={permission.key}>
+                    <td className="px-5 py-3">
+                      <div className="font-medium text-gray-900">{permission.key}</div>
+                      <div className="text-xs text-gray-500">{permission.description}</div>
+                    </td>
+                    {roles.map(role => (
+                      <td key={role.id} className="px-5 py-3 text-center">
+                        {role.roleName === 'admin' ? (
+                          <FiLock className="inline text-gray-400" title="Admins hold every permission" />
+                        ) : (
+                          <input
+                            type="checkbox"
+                            checked={(drafts[role.id] || []).includes(permission.key)}
+                            onChange={() => togglePermission(role.id, permission.key)}
+                            className="h-4 w-4 text-green-600 border-gray-300 rounded"
+                          />
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot className="bg-gray-50">
+                <tr>
+                  <td className="px-5 py-3" />
+                  {roles.map(role => (
+                    <td key={role.id} className="px-5 py-3">
+                      <div className="flex justify-center gap-3">
+                        {role.roleName !== 'admin' && (
+                          <button
+                            onClick={() => handleSave(role)}
+                            disabled={!isChanged(role)}
+                            className="text-green-700 hover:text-green-900 disabled:text-gray-300 flex items-center gap-1"
+                          >
+                            <FiSave size={14} /> Save
+                          </button>
+                        )}
+                        {!role.isBuiltIn && (
+                          <button
+                            onClick={() => handleDelete(role)}
+                            disabled={role.userCount > 0}
+                            title={role.userCount > 0 ? 'Move its users to another role first' : undefined}
+                            className="text-red-600 hover:text-red-800 disabled:text-gray-300 flex items-center gap-1"
+                          >
+                            <FiTrash2 size={14} /> Delete
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  ))}
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+        )}
+      </div>
+    </AdminLayout>
+  );
+}
@@ -0,0 +1,299 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import Image from 'next/image';
+import { useRouter } from 'next/navigation';
+import { useAuth } from '@/contexts/AuthContext';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import toast from 'react-hot-toast';
+import { FiLogOut, FiMapPin, FiTool, FiCheckCircle, FiXCircle } from 'react-icons/fi';
+import api from '@/lib/api';
+
+const STATUS_STYLES = {
+  working: 'bg-green-100 text-green-700',
+  repair: 'bg-amber-100 text-amber-700',
+  missing: 'bg-red-100 text-red-700'
+};
+
+const RECENT_VISIT_DAYS = 30;
+
+/**
+ * Read the error message from a failed API call
+ * @param {Error} error - Axios error
+ * @param {string} fallback - Message when the response has none
+ * @returns {string} Message to show
+ */
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback;
+
+/**
+ * Format an NPR amount for display
+ * @param {number} amount - Amount in NPR
+ * @returns {string} Formatted amount
+ */
+const formatNpr = (amount) => `NPR ${Number(amount || 0).toLocaleString('en-IN')}`;
+
+/**
+ * Read-only portal for dealer users: their shops, the freezers placed there,
+ * deposits and recent visit outcomes. Dealers can report a freezer for repair.
+ */
+export default function DealerDashboard() {
+  const { user, isLoading: authLoading, hasPermission, logout } = useAuth();
+  const router = useRouter();
+  const [dealer, setDealer] = useState(null);
+  const [shops, setShops] = useState([]);
+  const [fridges, setFridges] = useState([]);
+  const [visits, setVisits] = useState([]);
+  const [repairs, setRepairs] = useState([]);
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const isDealer = Boolean(user && user.role !== 'admin' && hasPermission('data:dealer'));
+
+  // Redirect if not a dealer portal user
+  useEffect(() => {
+    if (!authLoading && user && !isDealer) {
+      router.push('/unauthorized');
+    }
+  }, [user, authLoading, isDealer, router]);
+
+  const fetchPortal = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const from = new Date(Date.now() - RECENT_VISIT_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      const [dealerResponse, shopsResponse, fridgesResponse, visitsResponse, repairsResponse] = await Promise.all([
+        user.dealerId ? api.get(`/dealers/${user.dealerId}`) : Promise.resolve({ data: null }),
+        api.get('/shops'),
+        api.get('/fridges'),
+        api.get('/visits', { params: { from } }),
+        api.get('/repairs', { params: { open: true } })
+      ]);
+      setDealer(dealerResponse.data);
+      setShops(shopsResponse.data);
+      setFridges(fridgesResponse.data);
+      setVisits(visitsResponse.data);
+      setRepairs(repairsResponse.data);
+    } catch (error) {
+      console.error('Error fetching dealer portal:', error);
+      toast.error('Failed to load your shops');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    if (isDealer) {
+      fetchPortal();
+    }
+  }, [isDealer, fetchPortal]);
+
+  const handleReport = async (e) => {
+    e.preventDefault();
+
+    try {
+      const response = await api.post('/repairs', {
+        fridgeId: report.fridge.id,
+        description: report.description.trim()
+      });
+      toast.success(response.data.message);
+      setReport(null);
+      fetchPortal();
+    } catch (error) {
+      console.error('Error reporting repair:', error);
+      toast.error(errorMessage(error, 'Failed to report the repair'));
+    }
+  };
+
+  if (authLoading || !isDealer) {
+    return (
+      <div className="h-screen w-full flex items-center justify-center">
+        <LoadingSpinner size="xl" text="Loading portal..." />
+      </div>
+    );
+  }
+
+  const openRepairFridgeIds = new Set(repairs.map(ticket => ticket.fridgeId));
+  const balance = dealer?.depositBalance;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm">
+        <div className="px-4 sm:px-6 lg:px-8 h-16 flex items-center justify-between">
+          <div className="flex items-center">
+            <Image src="/logo-snowfun.png" alt="Snowfun Nepal Logo" width={40} height={40} className="rounded-md" />
+            <div className="ml-3">
+              <h1 className="text-lg font-semibold text-blue-900">Snowfun Nepal</h1>
+              <p className="text-xs text-blue-600">Dealer Portal</p>
+            </div>
+          </div>
+          <div className="flex items-center gap-4">
+            <span className="hidden sm:block text-sm text-gray-700">{user.fullName}</span>
+            <button onClick={logout} className="text-red-600 hover:text-red-800 flex items-center gap-1 text-sm">
+              <FiLogOut /> Sign out
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="px-4 py-6 sm:px-6 lg:px-8">
+        <div className="mb-8">
+          <h2 className="text-3xl font-bold text-gray-900 font-poppins">{dealer?.name || 'Your shops'}</h2>
+          <p className="mt-2 text-gray-600">
+            {dealer ? `${dealer.municipality || ''}${dealer.municipality ? ', ' : ''}${dealer.district}` : 'Your account is not linked to a dealer yet. Ask an admin to link it.'}
+          </p>
+        </div>
+
+        {isLoading ? (
+          <div className="py-16 flex justify-center">
+            <LoadingSpinner size="lg" text="Loading your shops..." />
+          </div>
+        ) : (
+          <>
+            {/* Summary */}
+            <div className="mb-6 grid grid-cols-2 lg:grid-cols-4 gap-4">
+              <div className="bg-white rounded-xl shadow-md p-4">
+                <p className="text-sm text-gray-500">Shops</p>
+                <p className="text-2xl font-semibold text-gray-900">{shops.length}</p>
+              </div>
+              <div className="bg-white rounded-xl shadow-md p-4">
+                <p className="text-sm text-gray-500">Freezers</p>
+                <p className="text-2xl font-semibold text-gray-900">{fridges.length}</p>
+              </div>
+              <div className="bg-white rounded-xl shadow-md p-4">
+                <p className="text-sm text-gray-500">Deposits held</p>
+                <p className="text-2xl font-semibold text-gray-900">{formatNpr(balance?.heldNpr)}</p>
+              </div>
+              <div className="bg-white rounded-xl shadow-md p-4">
+                <p className="text-sm text-gray-500">Deposits outstanding</p>
+                <p className={`text-2xl font-semibold ${balance?.outstandingNpr > 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                  {formatNpr(balance?.outstandingNpr)}
+                </p>
+              </div>
+            </div>
+
+            {/* Report repair */}
+            {report && (
+              <form onSubmit={handleReport} className="mb-6 bg-white rounded-xl shadow-md p-4 flex flex-wrap items-end gap-3">
+                <p className="text-sm text-gray-700 w-full">
+                  Report freezer <strong>#{report.fridge.id}</strong> at <strong>{report.fridge.shop?.name}</strong> for repair.
+                </p>
+                <input
+                  required
+                  value={report.description}
+                  onChange={(e) => setReport(prev => ({ ...prev, description: e.target.value }))}
+                  placeholder="What is wrong with the freezer?"
+                  className="flex-1 min-w-[16rem] px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+                <button
+                  type="button"
+                  onClick={() => setReport(null)}
+                  className="py-2 px-4 bg-white border border-gray-300 text-gray-700 rounded-lg"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="py-2 px-4 bg-green-600 hover:bg-green-700 text-white rounded-lg"
+                >
+                  Report
+                </button>
+              </form>
+            )}
+
+            {/* Shops and freezers */}
+            <div className="mb-6 space-y-4">
+              {shops.map(shop => {
+                const shopFridges = fridges.filter(fridge => fridge.shopId === shop.id);
+
+                return (
+                  <div key={shop.id} className="bg-white rounded-xl shadow-md overflow-hidden">
+                    <div className="px-5 py-3 bg-gray-50 flex items-center gap-2">
+                      <FiMapPin className="text-gray-400" />
+                      <span className="font-medium text-gray-900">{shop.name}</span>
+                    </div>
+                    {shopFridges.length === 0 ? (
+                      <p className="px-5 py-3 text-sm text-gray-500">No freezers at this shop.</p>
+                    ) : (
+                      <table className="min-w-full divide-y divide-gray-100 text-sm">
+                        <tbody className="divide-y divide-gray-100">
+                          {shopFridges.map(fridge => (
+                            <tr key={fridge.id}>
+                              <td className="px-5 py-3 text-gray-900">#{fridge.id}</td>
+                              <td className="px-5 py-3">
+                                {fridge.model ? `${fridge.model.brand?.brandName} ${fridge.model.modelName}` : '—'}
+                              </td>
+                              <td className="px-5 py-3">
+                                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[fridge.status]}`}>
+                                  {fridge.status}
+                                </span>
+                              </td>
+                              <td className="px-5 py-3 text-right">
+                                {openRepairFridgeIds.has(fridge.id) ? (
+                                  <span className="text-xs text-gray-500">Repair requested</span>
+                                ) : fridge.status !== 'missing' && (
+                                  <button
+                                    onClick={() => setReport({ fridge: { ...fridge, shop }, description: '' })}
+                                    className="text-blue-600 hover:text-blue-800 inline-flex items-center gap-1"
+                                  >
+                                    <FiTool size={14} /> Report repair
+                                  </button>
+                                )}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </div>
+                );
+              })}
+
+              {shops.length === 0 && (
+                <p className="p-10 bg-white rounded-xl shadow-md text-center text-gray-600">No shops yet.</p>
+              )}
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              {/* Recent visits */}
+              <div className="bg-white rounded-xl shadow-md p-5">
+                <h3 className="text-lg font-semibold text-gray-900 mb-3">Visits in the last {RECENT_VISIT_DAYS} days</h3>
+                <ul className="divide-y divide-gray-100 text-sm">
+                  {visits.slice(0, 20).map(visit => (
+                    <li key={visit.id} className="py-2 flex items-center gap-2">
+                      {visit.status === 'visited'
+                        ? <FiCheckCircle className="text-green-600" />
+                        : <FiXCircle className="text-red-500" />}
+                      <span className="text-gray-900">{visit.shop?.name}</span>
+                      <span className="ml-auto text-gray-500">{visit.visitDate}</span>
+                    </li>
+                  ))}
+                </ul>
+                {visits.length === 0 && <p className="text-sm text-gray-500">No visits recorded.</p>}
+              </div>
+
+              {/* Open repairs */}
+              <div className="bg-white rounded-xl shadow-md p-5">
+                <h3 className="text-lg font-semibold text-gray-900 mb-3">Open repair requests</h3>
+                <ul className="divide-y divide-gray-100 text-sm">
+                  {repairs.map(ticket => (
+                    <li key={ticket.id} className="py-2">
+                      <div className="flex items-center gap-2">
+                        <span className="text-gray-900">Freezer #{ticket.fridgeId}</span>
+                        <span className="ml-auto px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-700">
+                          {ticket.status.replace('_', ' ')}
+                        </span>
+                      </div>
+                      {ticket.description && <p className="text-gray-500">{ticket.description}</p>}
+                    </li>
+                  ))}
+                </ul>
+                {repairs.length === 0 && <p className="text-sm text-gray-500">No open repair requests.</p>}
+              </div>
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
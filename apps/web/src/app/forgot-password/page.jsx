@@ -0,0 +1,114 @@
+'use client';
+
+import { useState } from 'react';
+import Image from 'next/image';
+import Link from 'next/link';
+import { FiMail, FiArrowLeft, FiCheckCircle } from 'react-icons/fi';
+import api from '@/lib/api';
+
+export default function ForgotPasswordPage() {
+  const [email, setEmail] = useState('');
+  const [formErrors, setFormErrors] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSent, setIsSent] = useState(false);
+
+  // Handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!email || !/\S+@\S+\.\S+/.test(email)) {
+      setFormErrors({ email: 'Please enter a valid email' });
+      return;
+    }
+
+    setFormErrors({});
+    setIsLoading(true);
+
+    try {
+      await api.post('/auth/forgot-password', { email });
+      setIsSent(true);
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      setFormErrors({
+        email: error.response?.data?.message || 'Could not send reset link. Please try again.'
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex flex-col justify-center items-center p-6 bg-gradient-to-b from-white to-snow-green-50">
+      <div className="mb-8 flex flex-col items-center">
+        <Image
+          src="/logo-snowfun.png"
+          alt="Snowfun Nepal Logo"
+          width={100}
+          height={100}
+          priority
+        />
+        <h1 className="text-2xl font-bold text-snow-green-900 mt-4">Snowfun Nepal</h1>
+      </div>
+
+      <div className="w-full max-w-md bg-white p-8 rounded-xl shadow-lg border border-snow-green-50">
+        <h2 className="text-2xl font-semibold text-gray-800 mb-2">Forgot password</h2>
+
+        {isSent ? (
+          <div className="p-4 bg-snow-green-50 border-l-4 border-snow-green-500 text-snow-green-800 flex items-start">
+            <FiCheckCircle className="mr-2 mt-0.5 flex-shrink-0" />
+            <span>
+              If <strong>{email}</strong> is registered, a link to reset your password is on its way.
+              The link can be used once and expires in an hour.
+            </span>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <p className="text-gray-600 mb-6">
+              Enter your account email and we&apos;ll send you a link to choose a new password.
+            </p>
+
+            <div className="mb-6">
+              <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+                Email Address
+              </label>
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <FiMail className="text-gray-400" />
+                </div>
+                <input
+                  id="email"
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className={`block w-full pl-10 pr-3 py-2.5 border ${
+                    formErrors.email ? 'border-red-300' : 'border-gray-300'
+                  } rounded-md shadow-sm focus:ring-snow-green-500 focus:border-snow-green-500`}
+                  placeholder="you@example.com"
+                />
+              </div>
+              {formErrors.email && (
+                <p className="mt-1 text-sm text-red-600">{formErrors.email}</p>
+              )}
+            </div>
+
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="w-full bg-gradient-to-r from-snow-green-500 to-snow-green-600 hover:from-snow-green-600 hover:to-snow-green-700 text-white py-2.5 px-4 rounded-md font-medium shadow-sm focus:outline-none focus:ring-2 focus:ring-snow-green-300 focus:ring-offset-2 transition-colors duration-200 disabled:opacity-60"
+            >
+              {isLoading ? 'Sending...' : 'Send reset link'}
+            </button>
+          </form>
+        )}
+
+        <Link
+          href="/login"
+          className="mt-6 inline-flex items-center text-sm text-snow-green-600 hover:text-snow-green-800 hover:underline"
+        >
+          <FiArrowLeft className="mr-1" />
+          Back to sign in
+        </Link>
+      </div>
+    </div>
+  );
+}
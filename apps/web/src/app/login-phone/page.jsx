@@ -4,7 +4,7 @@ import { useState, useEffect } from 'react';
 import Image from 'next/image';
 import Link from 'next/link';
 import { useRouter } from 'next/navigation';
-import { useAuth } from '@/contexts/AuthContext';
+import { useAuth, isFieldUser } from '@/contexts/AuthContext';
 import { FiPhone, FiMail, FiLock, FiAlertCircle, FiArrowRight, FiCheck } from 'react-icons/fi';
 import api from '@/lib/api';
 import toast from 'react-hot-toast';
@@ -147,8 +147,12 @@ export default function LoginPhonePage() {
       // Redirect based on role
       if (user.role === 'admin') {
         router.push('/admin/dashboard');
-      } else if (user.role === 'psr') {
+      } else if (isFieldUser(user)) {
         router.push('/psr/dashboard');
+      } else if (user.permissions?.includes('data:dealer')) {
+        router.push('/dealer/dashboard');
+      } else if (user.permissions?.includes('reports:view')) {
+        router.push('/admin/dashboard');
       } else {
         router.push('/dashboard');
       }
@@ -210,6 +214,11 @@ export default function LoginPhonePage() {
       }
     } catch (error) {
       console.error('Failed to resend OTP:', error);
+      
+      // Throttled: wait out the server's retry-after before allowing another resend
+      if (error.response?.status === 429 && error.response.data?.retryAfter) {
+        setCountdown(error.response.data.retryAfter);
+      }
       toast.error(error.response?.data?.message || 'Failed to resend code. Please try again.');
     } finally {
       setIsLoading(false);
@@ -4,7 +4,7 @@ import { useState, useEffect, useCallback } from 'react';
 import { useRouter } from 'next/navigation';
 import dynamic from 'next/dynamic';
 import Image from 'next/image';
-import { useAuth } from '@/contexts/AuthContext';
+import { useAuth, isFieldUser } from '@/contexts/AuthContext';
 import PsrLayout from '@/components/layouts/PsrLayout';
 import DashboardCard from '@/components/ui/DashboardCard';
 import LoadingSpinner from '@/components/ui/LoadingSpinner';
@@ -20,10 +20,13 @@ import {
   FiFilter,
   FiCheckSquare,
   FiList,
-  FiMap
+  FiMap,
+  FiNavigation
 } from 'react-icons/fi';
 import { RiIceCreamLine } from 'react-icons/ri';
 import api from '@/lib/api';
+import { sendOrQueue } from '@/lib/offlineQueue';
+import { cacheShopFridges } from '@/lib/offlineCache';
 
 // Import map component dynamically to avoid SSR issues with Leaflet
 const NepalMap = dynamic(() => import('@/components/maps/NepalMap'), {
@@ -56,10 +59,11 @@ export default function PsrDashboard() {
   const [isVisitModalOpen, setIsVisitModalOpen] = useState(false);
   const [isNewShopModalOpen, setIsNewShopModalOpen] = useState(false);
   const [refreshTrigger, setRefreshTrigger] = useState(0);
+  const [pinnedRoute, setPinnedRoute] = useState(null);
 
   // Redirect if not PSR
   useEffect(() => {
-    if (!authLoading && user && user.role !== 'psr') {
+    if (!authLoading && user && !isFieldUser(user)) {
       router.push('/unauthorized');
     }
   }, [user, authLoading, router]);
@@ -79,9 +83,18 @@ export default function PsrDashboard() {
         // Fetch visit statistics
         const statsResponse = await api.get('/visits/stats');
         
-        // Extract unique districts
-        const uniqueDistricts = ['All', ...new Set(dealersResponse.data.map(dealer => dealer.district))];
-        setDistricts(uniqueDistricts);
+        // Fetch shops due or overdue for a visit
+        const pendingResponse = await api.get('/visits/pending');
+        
+        // Offer the districts the PSR's dealers are in, in reference order
+        const districtsResponse = await api.get('/geo/districts');
+        const dealerDistricts = new Set(dealersResponse.data.map(dealer => dealer.district));
+        setDistricts([
+          'All',
+          ...districtsResponse.data
+            .map(district => district.name)
+            .filter(name => dealerDistricts.has(name))
+        ]);
         
         // Set shop and dealer data
         setMapData({
@@ -90,11 +103,25 @@ export default function PsrDashboard() {
           selectedShop: null
         });
         
+        // Progress through today's route, if an admin pinned one
+        try {
+          const routeResponse = await api.get('/route-plans/daily', { skipErrorToast: true });
+          setPinnedRoute(routeResponse.data.pinned ? routeResponse.data : null);
+        } catch (routeError) {
+          setPinnedRoute(null);
+        }
+        
+        // Save the freezers at the PSR's shops so visits recorded offline
+        // still get a checklist per freezer
+        api.get('/fridges', { skipErrorToast: true })
+          .then(response => cacheShopFridges(shopsResponse.data.map(shop => shop.id), response.data))
+          .catch(cacheError => console.error('Error caching freezers for offline visits:', cacheError));
+        
         // Set statistics
         setStats({
           totalAssignedShops: shopsResponse.data.length,
           visitedToday: statsResponse.data.visitedToday,
-          pendingVisits: shopsResponse.data.length - statsResponse.data.visitedToday,
+          pendingVisits: pendingResponse.data.count,
           fridgeCount: statsResponse.data.fridgeCount
         });
         
@@ -106,7 +133,7 @@ export default function PsrDashboard() {
       }
     };
 
-    if (user && user.role === 'psr') {
+    if (isFieldUser(user)) {
       fetchPsrDashboardData();
     }
   }, [user, refreshTrigger]);
@@ -134,31 +161,68 @@ export default function PsrDashboard() {
         return dealer && dealer.district === selectedDistrict;
       });
 
-  // Handle visit submission
-  const handleVisitSubmit = async (visitData) => {
+  // Upload a shop photo taken during a visit, queued behind the visit while
+  // offline. Only a visit that reached the server can be linked by ID.
+  const submitShopPhoto = async (photo, shopId, visitId) => {
+    try {
+      const { queued } = await sendOrQueue({
+        type: 'photo',
+        endpoint: '/files',
+        payload: { kind: 'shop_photo', shopId, ...(visitId && { visitId }) },
+        file: photo,
+        label: `${mapData.selectedShop?.name || 'Shop'} photo`
+      });
+      return queued;
+    } catch (error) {
+      console.error('Error uploading shop photo:', error);
+      toast.error(error.response?.data?.message || 'Visit recorded, but the photo could not be uploaded');
+      return false;
+    }
+  };
+
+  // Handle visit submission (queued for later if the device is offline)
+  const handleVisitSubmit = async (visitData, photo) => {
     try {
-      await api.post('/visits', visitData);
-      toast.success('Visit recorded successfully');
+      const { queued, data } = await sendOrQueue({
+        type: 'visit',
+        endpoint: '/visits',
+        // Pin the local date so a visit synced tomorrow still counts for today
+        payload: { visitDate: new Date().toLocaleDateString('en-CA'), ...visitData },
+        label: mapData.selectedShop?.name
+      });
+
+      const photoQueued = photo ? await submitShopPhoto(photo, visitData.shopId, data?.visit?.id) : false;
+
+      if (queued) {
+        toast.success('No signal – visit saved and will sync automatically');
+      } else {
+        toast.success(photoQueued ? 'Visit recorded – the photo will upload once you are back online' : 'Visit recorded successfully');
+      }
       setIsVisitModalOpen(false);
       // Refresh data
-      setRefreshTrigger(prev => prev + 1);
+      if (!queued) setRefreshTrigger(prev => prev + 1);
     } catch (error) {
       console.error('Error recording visit:', error);
-      toast.error('Failed to record visit');
+      toast.error(error.response?.data?.message || 'Failed to record visit');
     }
   };
 
-  // Handle new shop submission
+  // Handle new shop submission (queued for later if the device is offline)
   const handleNewShopSubmit = async (shopData) => {
     try {
-      await api.post('/shops', shopData);
-      toast.success('New shop added successfully');
+      const { queued } = await sendOrQueue({
+        type: 'shop',
+        endpoint: '/shops',
+        payload: shopData,
+        label: shopData.name
+      });
+      toast.success(queued ? 'No signal – shop saved and will sync automatically' : 'New shop added successfully');
       setIsNewShopModalOpen(false);
       // Refresh data
-      setRefreshTrigger(prev => prev + 1);
+      if (!queued) setRefreshTrigger(prev => prev + 1);
     } catch (error) {
       console.error('Error adding new shop:', error);
-      toast.error('Failed to add new shop');
+      toast.error(error.response?.data?.message || 'Failed to add new shop');
     }
   };
 
@@ -167,7 +231,7 @@ export default function PsrDashboard() {
     setRefreshTrigger(prev => prev + 1);
   };
 
-  if (authLoading || (user && user.role !== 'psr')) {
+  if (authLoading || (user && !isFieldUser(user))) {
     return (
       <div className="h-screen w-full flex items-center justify-center">
         <LoadingSpinner size="xl" text="Loading dashboard..." />
@@ -188,6 +252,22 @@ export default function PsrDashboard() {
           </p>
         </div>
 
+        {/* Pinned Route Progress */}
+        {pinnedRoute && pinnedRoute.totalStops > 0 && (
+          <button
+            onClick={() => router.push('/psr/schedule')}
+            className="w-full mb-6 bg-blue-50 border border-blue-100 rounded-lg px-4 py-3 flex items-center text-left hover:bg-blue-100 transition-colors"
+          >
+            <FiNavigation className="text-blue-600 mr-3" />
+            <span className="text-sm font-medium text-blue-900">
+              {pinnedRoute.currentStop
+                ? `Today's route: stop ${pinnedRoute.currentStop} of ${pinnedRoute.totalStops}`
+                : `Today's route complete: all ${pinnedRoute.totalStops} stops visited`}
+            </span>
+            <span className="ml-auto text-sm text-blue-600">View route</span>
+          </button>
+        )}
+
         {/* Stats Cards */}
         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
           <DashboardCard 
@@ -0,0 +1,215 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { useRouter } from 'next/navigation';
+import { useAuth, isFieldUser } from '@/contexts/AuthContext';
+import PsrLayout from '@/components/layouts/PsrLayout';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import toast from 'react-hot-toast';
+import {
+  FiMapPin,
+  FiCheckCircle,
+  FiNavigation,
+  FiRefreshCw,
+  FiLock,
+  FiClock
+} from 'react-icons/fi';
+import api from '@/lib/api';
+
+/**
+ * Get the device's current position, or null if unavailable
+ * @returns {Promise<Object|null>} { lat, lng }
+ */
+const getCurrentPosition = () => new Promise((resolve) => {
+  if (typeof navigator === 'undefined' || !navigator.geolocation) {
+    resolve(null);
+    return;
+  }
+
+  navigator.geolocation.getCurrentPosition(
+    (position) => resolve({ lat: position.coords.latitude, lng: position.coords.longitude }),
+    () => resolve(null),
+    { enableHighAccuracy: false, timeout: 10000, maximumAge: 5 * 60 * 1000 }
+  );
+});
+
+/**
+ * Describe how long ago a shop was last visited
+ * @param {number|null} days - Days since the last visit
+ * @returns {string} Label
+ */
+const formatLastVisit = (days) => {
+  if (days === null) return 'Never visited';
+  if (days <= 1) return 'Visited yesterday';
+  return `Last visit ${days} days ago`;
+};
+
+export default function PsrSchedule() {
+  const { user, isLoading: authLoading } = useAuth();
+  const router = useRouter();
+  const [isLoading, setIsLoading] = useState(true);
+  const [route, setRoute] = useState(null);
+
+  // Redirect if not PSR
+  useEffect(() => {
+    if (!authLoading && user && !isFieldUser(user)) {
+      router.push('/unauthorized');
+    }
+  }, [user, authLoading, router]);
+
+  // Plan today's route from where the PSR is now (pinned routes ignore the position)
+  const fetchRoute = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const position = await getCurrentPosition();
+      const response = await api.get('/route-plans/daily', {
+        params: position ? { lat: position.lat, lng: position.lng } : {}
+      });
+      setRoute(response.data);
+    } catch (error) {
+      console.error('Error fetching route:', error);
+      toast.error('Failed to load today\'s route');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isFieldUser(user)) {
+      fetchRoute();
+    }
+  }, [user, fetchRoute]);
+
+  if (authLoading || (user && !isFieldUser(user))) {
+    return (
+      <div className="h-screen w-full flex items-center justify-center">
+        <LoadingSpinner size="xl" text="Loading schedule..." />
+      </div>
+    );
+  }
+
+  return (
+    <PsrLayout>
+      <div className="px-4 py-6 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-6 flex flex-wrap items-start justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 font-poppins">
+              Today&apos;s Route
+            </h1>
+            <p className="mt-1 text-gray-600">
+              {route?.pinned
+                ? 'Route set by your admin'
+                : 'Most overdue shops first, ordered to keep travel short'}
+            </p>
+          </div>
+
+          <button
+            onClick={fetchRoute}
+            disabled={isLoading}
+            className="inline-flex items-center px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-md shadow-sm transition-colors disabled:opacity-50"
+          >
+            <FiRefreshCw className="mr-2" />
+            {route?.pinned ? 'Refresh' : 'Re-plan from here'}
+          </button>
+        </div>
+
+        {isLoading ? (
+          <div className="py-12 flex justify-center">
+            <LoadingSpinner size="lg" text="Planning route..." />
+          </div>
+        ) : !route || route.totalStops === 0 ? (
+          <div className="bg-white rounded-xl shadow-md p-8 text-center text-gray-500">
+            <FiCheckCircle className="mx-auto mb-3 text-green-500" size={32} />
+            No shops left to visit today
+          </div>
+        ) : (
+          <>
+            {/* Progress */}
+            <div className="bg-white rounded-xl shadow-md p-5 mb-6 flex flex-wrap items-center gap-6">
+              <div>
+                <div className="text-sm text-gray-500">Progress</div>
+                <div className="text-xl font-semibold text-gray-900">
+                  {route.currentStop
+                    ? `Stop ${route.currentStop} of ${route.totalStops}`
+                    : `All ${route.totalStops} stops done`}
+                </div>
+              </div>
+              <div>
+                <div className="text-sm text-gray-500">Distance</div>
+                <div className="text-xl font-semibold text-gray-900">
+                  {route.totalDistanceKm.toFixed(1)} km
+                </div>
+              </div>
+              {route.pinned && (
+                <span className="inline-flex items-center px-2 py-1 text-xs font-semibold rounded-full bg-blue-100 text-blue-800">
+                  <FiLock className="mr-1" />
+                  Pinned
+                </span>
+              )}
+              <div className="flex-grow min-w-[160px]">
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                  <div
+                    className="bg-green-500 h-2 rounded-full"
+                    style={{ width: `${(route.completedStops / route.totalStops) * 100}%` }}
+                  ></div>
+                </div>
+              </div>
+            </div>
+
+            {/* Stops */}
+            <ol className="space-y-3">
+              {route.stops.map((stop) => (
+                <li
+                  key={stop.shopId}
+                  className={`bg-white rounded-lg shadow-sm p-4 flex items-center gap-4 border-l-4 ${
+                    stop.visited
+                      ? 'border-green-500 opacity-70'
+                      : stop.position === route.currentStop
+                        ? 'border-blue-600'
+                        : 'border-transparent'
+                  }`}
+                >
+                  <div
+                    className={`flex-shrink-0 h-10 w-10 rounded-full flex items-center justify-center font-semibold ${
+                      stop.visited ? 'bg-green-100 text-green-700' : 'bg-blue-100 text-blue-700'
+                    }`}
+                  >
+                    {stop.visited ? <FiCheckCircle /> : stop.position}
+                  </div>
+
+                  <div className="flex-grow min-w-0">
+                    <div className="text-sm font-medium text-gray-900 truncate">{stop.name}</div>
+                    <div className="text-xs text-gray-500 truncate">
+                      <FiMapPin className="inline mr-1" />
+                      {stop.addressText || `${stop.latitude.toFixed(5)}, ${stop.longitude.toFixed(5)}`}
+                    </div>
+                    <div className="text-xs text-gray-500 mt-1 flex flex-wrap gap-3">
+                      <span>
+                        <FiClock className="inline mr-1" />
+                        {formatLastVisit(stop.daysSinceVisit)}
+                      </span>
+                      {stop.legDistanceKm !== null && (
+                        <span>{stop.legDistanceKm.toFixed(1)} km from previous</span>
+                      )}
+                    </div>
+                  </div>
+
+                  <a
+                    href={`https://www.google.com/maps/dir/?api=1&destination=${stop.latitude},${stop.longitude}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="flex-shrink-0 text-blue-600 hover:text-blue-900 text-sm font-medium"
+                  >
+                    <FiNavigation className="inline mr-1" />
+                    Directions
+                  </a>
+                </li>
+              ))}
+            </ol>
+          </>
+        )}
+      </div>
+    </PsrLayout>
+  );
+}
@@ -0,0 +1,147 @@
+'use client';
+
+import { useState, Suspense } from 'react';
+import Image from 'next/image';
+import Link from 'next/link';
+import { useRouter, useSearchParams } from 'next/navigation';
+import toast from 'react-hot-toast';
+import { FiLock, FiAlertCircle, FiArrowLeft } from 'react-icons/fi';
+import api from '@/lib/api';
+
+/**
+ * Reset password form, reading the single-use token from the email link
+ */
+function ResetPasswordForm() {
+  const searchParams = useSearchParams();
+  const token = searchParams.get('token');
+  const router = useRouter();
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [formErrors, setFormErrors] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // Form validation (mirrors the API rules)
+    const errors = {};
+    if (newPassword.length < 8) errors.newPassword = 'Password must be at least 8 characters';
+    else if (!/[a-zA-Z]/.test(newPassword) || !/\d/.test(newPassword)) {
+      errors.newPassword = 'Password must contain at least one letter and one number';
+    }
+    if (confirmPassword !== newPassword) errors.confirmPassword = 'Passwords do not match';
+
+    if (Object.keys(errors).length > 0) {
+      setFormErrors(errors);
+      return;
+    }
+
+    setFormErrors({});
+    setIsLoading(true);
+
+    try {
+      await api.post('/auth/reset-password', { token, newPassword }, { skipErrorToast: true });
+      toast.success('Password reset. Please sign in with your new password.');
+      router.push('/login');
+    } catch (error) {
+      console.error('Reset password error:', error);
+      setFormErrors({
+        form: error.response?.data?.message || 'Could not reset password. Please try again.'
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="p-3 bg-red-50 border-l-4 border-red-400 text-red-700 flex items-start">
+        <FiAlertCircle className="mr-2 mt-0.5 flex-shrink-0" />
+        <span>This reset link is incomplete. Please request a new one.</span>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit}>
+      {formErrors.form && (
+        <div className="mb-4 p-3 bg-red-50 border-l-4 border-red-400 text-red-700 flex items-start">
+          <FiAlertCircle className="mr-2 mt-0.5 flex-shrink-0" />
+          <span>{formErrors.form}</span>
+        </div>
+      )}
+
+      {[
+        { id: 'newPassword', label: 'New Password', value: newPassword, onChange: setNewPassword },
+        { id: 'confirmPassword', label: 'Confirm Password', value: confirmPassword, onChange: setConfirmPassword }
+      ].map(field => (
+        <div key={field.id} className="mb-4">
+          <label htmlFor={field.id} className="block text-sm font-medium text-gray-700 mb-1">
+            {field.label}
+          </label>
+          <div className="relative">
+            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+              <FiLock className="text-gray-400" />
+            </div>
+            <input
+              id={field.id}
+              type="password"
+              value={field.value}
+              onChange={(e) => field.onChange(e.target.value)}
+              className={`block w-full pl-10 pr-3 py-2.5 border ${
+                formErrors[field.id] ? 'border-red-300' : 'border-gray-300'
+              } rounded-md shadow-sm focus:ring-snow-green-500 focus:border-snow-green-500`}
+              placeholder="••••••••"
+            />
+          </div>
+          {formErrors[field.id] && (
+            <p className="mt-1 text-sm text-red-600">{formErrors[field.id]}</p>
+          )}
+        </div>
+      ))}
+
+      <button
+        type="submit"
+        disabled={isLoading}
+        className="mt-2 w-full bg-gradient-to-r from-snow-green-500 to-snow-green-600 hover:from-snow-green-600 hover:to-snow-green-700 text-white py-2.5 px-4 rounded-md font-medium shadow-sm focus:outline-none focus:ring-2 focus:ring-snow-green-300 focus:ring-offset-2 transition-colors duration-200 disabled:opacity-60"
+      >
+        {isLoading ? 'Saving...' : 'Reset password'}
+      </button>
+    </form>
+  );
+}
+
+export default function ResetPasswordPage() {
+  return (
+    <div className="min-h-screen flex flex-col justify-center items-center p-6 bg-gradient-to-b from-white to-snow-green-50">
+      <div className="mb-8 flex flex-col items-center">
+        <Image
+          src="/logo-snowfun.png"
+          alt="Snowfun Nepal Logo"
+          width={100}
+          height={100}
+          priority
+        />
+        <h1 className="text-2xl font-bold text-snow-green-900 mt-4">Snowfun Nepal</h1>
+      </div>
+
+      <div className="w-full max-w-md bg-white p-8 rounded-xl shadow-lg border border-snow-green-50">
+        <h2 className="text-2xl font-semibold text-gray-800 mb-6">Choose a new password</h2>
+
+        {/* useSearchParams needs a Suspense boundary in the app router */}
+        <Suspense fallback={null}>
+          <ResetPasswordForm />
+        </Suspense>
+
+        <Link
+          href="/forgot-password"
+          className="mt-6 inline-flex items-center text-sm text-snow-green-600 hover:text-snow-green-800 hover:underline"
+        >
+          <FiArrowLeft className="mr-1" />
+          Request a new link
+        </Link>
+      </div>
+    </div>
+  );
+}
@@ -17,7 +17,9 @@ import {
   FiLogOut, 
   FiBell, 
   FiChevronDown,
-  FiUser
+  FiUser,
+  FiTool,
+  FiShield
 } from 'react-icons/fi';
 import { RiIceCreamLine } from 'react-icons/ri';
 
@@ -28,23 +30,27 @@ import { RiIceCreamLine } from 'react-icons/ri';
  * header with user profile, and main content area.
  */
 export default function AdminLayout({ children }) {
-  const { user, logout } = useAuth();
+  const { user, logout, hasPermission } = useAuth();
   const pathname = usePathname();
   const [isSidebarOpen, setIsSidebarOpen] = useState(true);
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const [isProfileDropdownOpen, setIsProfileDropdownOpen] = useState(false);
   const [isMobile, setIsMobile] = useState(false);
 
-  // Navigation links for sidebar
+  // Navigation links for sidebar; links with a permission are also shown to
+  // custom roles holding it (e.g. supervisors), the rest are admin-only
   const navLinks = [
-    { name: 'Dashboard', href: '/admin/dashboard', icon: <FiHome size={20} /> },
+    { name: 'Dashboard', href: '/admin/dashboard', icon: <FiHome size={20} />, permission: 'reports:view' },
     { name: 'Shops', href: '/admin/shops', icon: <FiMapPin size={20} /> },
-    { name: 'Dealers', href: '/admin/dealers', icon: <FiUsers size={20} /> },
+    { name: 'Dealers', href: '/admin/dealers', icon: <FiUsers size={20} />, permission: 'dealers:manage' },
     { name: 'PSRs', href: '/admin/psrs', icon: <FiUsers size={20} /> },
-    { name: 'Freezers', href: '/admin/freezers', icon: <RiIceCreamLine size={20} /> },
-    { name: 'Reports', href: '/admin/reports', icon: <FiPieChart size={20} /> },
+    { name: 'Freezers', href: '/admin/freezers', icon: <RiIceCreamLine size={20} />, permission: 'fridges:manage' },
+    { name: 'Catalog', href: '/admin/catalog', icon: <FiBox size={20} /> },
+    { name: 'Repairs', href: '/admin/repairs', icon: <FiTool size={20} />, permission: 'repairs:manage' },
+    { name: 'Reports', href: '/admin/reports', icon: <FiPieChart size={20} />, permission: 'reports:view' },
+    { name: 'Roles', href: '/admin/roles', icon: <FiShield size={20} /> },
     { name: 'Settings', href: '/admin/settings', icon: <FiSettings size={20} /> },
-  ];
+  ].filter(item => user?.role === 'admin' || (item.permission && hasPermission(item.permission)));
 
   // Check if current route is active
   const isActiveRoute = (href) => {
@@ -16,9 +16,19 @@ import {
   FiBell, 
   FiChevronDown,
   FiUser,
-  FiCalendar
+  FiCalendar,
+  FiUploadCloud,
+  FiAlertTriangle
 } from 'react-icons/fi';
 import { RiIceCreamLine } from 'react-icons/ri';
+import {
+  subscribe,
+  startBackgroundSync,
+  syncPending,
+  getFailedEntries,
+  retryEntry,
+  discardEntry
+} from '@/lib/offlineQueue';
 
 /**
  * PSRLayout component for Snowfun Nepal PSR dashboard
@@ -34,6 +44,9 @@ export default function PsrLayout({ children }) {
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const [isProfileDropdownOpen, setIsProfileDropdownOpen] = useState(false);
   const [isMobile, setIsMobile] = useState(false);
+  const [syncCounts, setSyncCounts] = useState({ pending: 0, failed: 0 });
+  const [isFailedListOpen, setIsFailedListOpen] = useState(false);
+  const [failedEntries, setFailedEntries] = useState([]);
 
   // Navigation links for PSR sidebar
   const navLinks = [
@@ -69,19 +82,41 @@ export default function PsrLayout({ children }) {
     return () => window.removeEventListener('resize', handleResize);
   }, []);
 
+  // Replay visits/shops saved offline and track how many are still pending
+  // or were rejected by the server
+  useEffect(() => {
+    const unsubscribe = subscribe(setSyncCounts);
+    const stopSync = startBackgroundSync();
+
+    return () => {
+      unsubscribe();
+      stopSync();
+    };
+  }, []);
+
+  // Keep the open list of rejected entries in step with the outbox
+  useEffect(() => {
+    if (isFailedListOpen) {
+      getFailedEntries().then(setFailedEntries);
+    }
+  }, [isFailedListOpen, syncCounts]);
+
   // Close dropdowns when clicking outside
   useEffect(() => {
     const handleClickOutside = (event) => {
       if (isProfileDropdownOpen && !event.target.closest('#profile-dropdown')) {
         setIsProfileDropdownOpen(false);
       }
+      if (isFailedListOpen && !event.target.closest('#failed-sync-dropdown')) {
+        setIsFailedListOpen(false);
+      }
     };
 
     document.addEventListener('mousedown', handleClickOutside);
     return () => {
       document.removeEventListener('mousedown', handleClickOutside);
     };
-  }, [isProfileDropdownOpen]);
+  }, [isProfileDropdownOpen, isFailedListOpen]);
 
   // Toggle sidebar on desktop
   const toggleSidebar = () => {
@@ -231,6 +266,58 @@ export default function PsrLayout({ children }) {
 
               {/* Right side - User profile & notifications */}
               <div className="flex items-center">
+                {/* Pending offline sync badge */}
+                {syncCounts.pending > 0 && (
+                  <button
+                    onClick={() => syncPending()}
+                    title="Tap to retry syncing now"
+                    className="mr-2 inline-flex items-center px-3 py-1 rounded-full bg-amber-100 text-amber-800 text-xs font-medium hover:bg-amber-200 focus:outline-none"
+                  >
+                    <FiUploadCloud className="mr-1" size={14} />
+                    {syncCounts.pending} pending sync
+                  </button>
+                )}
+
+                {/* Entries the server rejected, to retry or discard */}
+                {syncCounts.failed > 0 && (
+                  <div className="mr-2 relative" id="failed-sync-dropdown">
+                    <button
+                      onClick={() => setIsFailedListOpen(!isFailedListOpen)}
+                      title="Records the server did not accept"
+                      className="inline-flex items-center px-3 py-1 rounded-full bg-red-100 text-red-700 text-xs font-medium hover:bg-red-200 focus:outline-none"
+                    >
+                      <FiAlertTriangle className="mr-1" size={14} />
+                      {syncCounts.failed} failed to sync
+                    </button>
+
+                    {isFailedListOpen && (
+                      <div className="origin-top-right absolute right-0 mt-2 w-80 max-h-96 overflow-y-auto rounded-md shadow-lg bg-white ring-1 ring-black ring-opacity-5 divide-y divide-gray-100 z-20">
+                        {failedEntries.map(entry => (
+                          <div key={entry.id} className="px-4 py-3 text-sm">
+                            <p className="font-medium text-gray-900">{entry.label || `Offline ${entry.type}`}</p>
+                            <p className="text-xs text-gray-500">{new Date(entry.createdAt).toLocaleString()}</p>
+                            <p className="mt-1 text-red-600">{entry.lastError}</p>
+                            <div className="mt-2 flex gap-3">
+                              <button
+                                onClick={() => retryEntry(entry.id)}
+                                className="text-blue-600 hover:text-blue-800"
+                              >
+                                Retry
+                              </button>
+                              <button
+                                onClick={() => discardEntry(entry.id)}
+                                className="text-red-600 hover:text-red-800"
+                              >
+                                Discard
+                              </button>
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+
                 {/* Notifications */}
                 <button className="p-2 text-gray-500 hover:text-gray-700 rounded-full hover:bg-gray-100 focus:outline-none">
                   <span className="sr-only">View notifications</span>
@@ -114,10 +114,11 @@ export default function NepalMap({
 
   // Update shop markers when shops data changes
   useEffect(() => {
-    if (!mapReady || !markersLayerRef.current || shops.length === 0) return;
+    if (!mapReady || !markersLayerRef.current) return;
 
-    // Clear existing markers
+    // Clear existing markers, including when a filter leaves no shops
     markersLayerRef.current.clearLayers();
+    if (shops.length === 0) return;
 
     // Add shop markers
     const bounds = L.latLngBounds();
@@ -128,7 +129,9 @@ export default function NepalMap({
       const position = [parseFloat(shop.latitude), parseFloat(shop.longitude)];
       bounds.extend(position);
       
-      // Determine marker status for coloring
+      // Determine marker status for coloring; needsAttention is set by the API
+      // when the shop is overdue under its visit frequency policy or a visit to
+      // it is awaiting admin review (e.g. outside geofence)
       let status = 'default';
       if (showVisitStatus) {
         status = shop.visitedToday ? 'visited' : 'not_visited';
@@ -176,11 +179,14 @@ export default function NepalMap({
     // Clear existing dealer markers
     dealersLayerRef.current.clearLayers();
 
+    const bounds = L.latLngBounds();
+
     // Add dealer markers if we have coordinates
     dealers.forEach((dealer) => {
       if (!dealer.latitude || !dealer.longitude) return;
       
       const position = [parseFloat(dealer.latitude), parseFloat(dealer.longitude)];
+      bounds.extend(position);
       
       // Create marker with custom icon
       const marker = L.marker(position, {
@@ -206,7 +212,15 @@ export default function NepalMap({
       // Add to layer
       dealersLayerRef.current.addLayer(marker);
     });
-  }, [dealers, mapReady, onDealerSelect]);
+
+    // Without shops to frame, frame the dealers, e.g. a supervisor's territory
+    if (bounds.isValid() && shops.length === 0) {
+      leafletMapRef.current.fitBounds(bounds, {
+        padding: [50, 50],
+        maxZoom: 12,
+      });
+    }
+  }, [dealers, shops.length, mapReady, onDealerSelect]);
 
   // Update map when selected shop changes
   useEffect(() => {
@@ -283,6 +297,10 @@ export default function NepalMap({
           <div className="w-2 h-2 rounded-full bg-amber-500 mr-1"></div>
           <span>Not Visited</span>
         </div>
+        <div className="flex items-center">
+          <div className="w-2 h-2 rounded-full bg-red-500 mr-1"></div>
+          <span>Attention</span>
+        </div>
         <div className="flex items-center">
           <div className="w-2 h-2 rounded-full bg-blue-500 mr-1"></div>
           <span>Dealer</span>
@@ -1,8 +1,38 @@
 'use client';
 
 import { useState, useEffect } from 'react';
-import { FiX, FiCheckCircle, FiAlertCircle, FiMapPin, FiFileText } from 'react-icons/fi';
+import { FiX, FiCheckCircle, FiAlertCircle, FiMapPin, FiFileText, FiCamera } from 'react-icons/fi';
 import { RiIceCreamLine } from 'react-icons/ri';
+import api from '@/lib/api';
+import { cacheShopFridges, getCachedShopFridges } from '@/lib/offlineCache';
+
+// Checklist items shown for each freezer at the shop
+const CHECK_ITEMS = [
+  { name: 'working', label: 'Working properly' },
+  { name: 'clean', label: 'Clean and well-maintained' },
+  { name: 'properlyStocked', label: 'Properly stocked' },
+  { name: 'temperatureCorrect', label: 'Temperature is correct' },
+  { name: 'needsRepair', label: 'Needs repair or maintenance' },
+];
+
+const DEFAULT_CHECKS = {
+  working: true,
+  clean: true,
+  properlyStocked: true,
+  temperatureCorrect: true,
+  needsRepair: false,
+  temperatureC: '',
+};
+
+/**
+ * Convert a checklist from the form into the API payload
+ * @param {Object} checks - Checklist values
+ * @returns {Object} Checks with a numeric (or null) temperature
+ */
+const toChecksPayload = (checks) => ({
+  ...checks,
+  temperatureC: checks.temperatureC === '' ? null : Number(checks.temperatureC)
+});
 
 /**
  * Modal component for PSRs to record shop visits
@@ -11,21 +41,23 @@ import { RiIceCreamLine } from 'react-icons/ri';
  * @param {boolean} props.isOpen Whether the modal is open
  * @param {Function} props.onClose Function to close the modal
  * @param {Object} props.shop Shop data to display and record visit for
- * @param {Function} props.onSubmit Function to handle form submission
+ * @param {Function} props.onSubmit Function to handle form submission, called with the visit data and the shop photo (or null)
  */
 export default function ShopVisitModal({ isOpen, onClose, shop, onSubmit }) {
   const [formData, setFormData] = useState({
     shopId: shop?.id || '',
     status: 'visited', // Default to 'visited'
     notes: '',
-    fridgeChecks: {
-      working: true,
-      clean: true,
-      properlyStocked: true,
-      temperatureCorrect: true,
-      needsRepair: false,
-    }
+    fridgeChecks: {}, // Keyed by fridge ID
+    sharedChecks: { ...DEFAULT_CHECKS } // Applied to every freezer when the list is unavailable
   });
+  const [fridges, setFridges] = useState([]);
+  // 'live', 'cache' (offline, saved earlier) or 'none' (offline, never saved)
+  const [fridgeSource, setFridgeSource] = useState('live');
+  const [isLoadingFridges, setIsLoadingFridges] = useState(false);
+  const [location, setLocation] = useState(null);
+  const [locationError, setLocationError] = useState(null);
+  const [photo, setPhoto] = useState(null);
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
 
@@ -36,9 +68,76 @@ export default function ShopVisitModal({ isOpen, onClose, shop, onSubmit }) {
         ...prev,
         shopId: shop.id
       }));
+      setPhoto(null);
     }
   }, [shop]);
 
+  // Load the freezers at this shop so each one gets its own checklist
+  useEffect(() => {
+    if (!isOpen || !shop) return;
+
+    const showFridges = (shopFridges, source) => {
+      setFridges(shopFridges);
+      setFridgeSource(source);
+      setFormData(prev => ({
+        ...prev,
+        fridgeChecks: Object.fromEntries(
+          shopFridges.map(fridge => [fridge.id, { ...DEFAULT_CHECKS }])
+        )
+      }));
+    };
+
+    const fetchFridges = async () => {
+      try {
+        setIsLoadingFridges(true);
+        const response = await api.get('/fridges', { params: { shopId: shop.id }, skipErrorToast: true });
+        showFridges(response.data, 'live');
+        cacheShopFridges([shop.id], response.data)
+          .catch(cacheError => console.error('Error caching shop freezers:', cacheError));
+      } catch (error) {
+        console.error('Error fetching shop freezers:', error);
+
+        // Offline: use the freezers saved on this device, if any
+        const cached = await getCachedShopFridges(shop.id).catch(() => null);
+        if (cached) {
+          showFridges(cached.fridges, 'cache');
+        } else {
+          showFridges([], 'none');
+        }
+      } finally {
+        setIsLoadingFridges(false);
+      }
+    };
+
+    fetchFridges();
+  }, [isOpen, shop]);
+
+  // Capture the device position so the server can verify the PSR is at the shop
+  useEffect(() => {
+    if (!isOpen) return;
+
+    if (typeof navigator === 'undefined' || !navigator.geolocation) {
+      setLocationError('Location is not supported on this device');
+      return;
+    }
+
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setLocation({
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude,
+          accuracy: position.coords.accuracy
+        });
+        setLocationError(null);
+      },
+      (error) => {
+        console.error('Error getting device location:', error);
+        setLocationError('Location unavailable');
+      },
+      { enableHighAccuracy: true, timeout: 15000, maximumAge: 60000 }
+    );
+  }, [isOpen]);
+
   // Handle input changes
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -48,14 +147,29 @@ export default function ShopVisitModal({ isOpen, onClose, shop, onSubmit }) {
     }));
   };
 
-  // Handle checkbox changes for fridge checks
-  const handleFridgeCheckChange = (e) => {
-    const { name, checked } = e.target;
+  // Handle checklist and temperature changes for a single fridge
+  const handleFridgeCheckChange = (fridgeId, e) => {
+    const { name, type, checked, value } = e.target;
     setFormData(prev => ({
       ...prev,
       fridgeChecks: {
         ...prev.fridgeChecks,
-        [name]: checked
+        [fridgeId]: {
+          ...prev.fridgeChecks[fridgeId],
+          [name]: type === 'checkbox' ? checked : value
+        }
+      }
+    }));
+  };
+
+  // Handle changes to the shop-wide checklist
+  const handleSharedCheckChange = (e) => {
+    const { name, type, checked, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      sharedChecks: {
+        ...prev.sharedChecks,
+        [name]: type === 'checkbox' ? checked : value
       }
     }));
   };
@@ -88,10 +202,23 @@ export default function ShopVisitModal({ isOpen, onClose, shop, onSubmit }) {
         shopId: formData.shopId,
         status: formData.status,
         notes: formData.notes,
-        fridgeChecks: formData.fridgeChecks
+        // Without a freezer list, one checklist is applied to every freezer
+        ...(fridgeSource === 'none'
+          ? { fridgeChecks: toChecksPayload(formData.sharedChecks) }
+          : {
+            fridgeInspections: Object.entries(formData.fridgeChecks).map(([fridgeId, checks]) => ({
+              fridgeId: Number(fridgeId),
+              ...toChecksPayload(checks)
+            }))
+          }),
+        ...(location && {
+          latitude: location.latitude,
+          longitude: location.longitude,
+          accuracy: location.accuracy
+        })
       };
       
-      await onSubmit(visitData);
+      await onSubmit(visitData, photo);
       onClose();
     } catch (error) {
       console.error('Error submitting visit:', error);
@@ -106,6 +233,42 @@ export default function ShopVisitModal({ isOpen, onClose, shop, onSubmit }) {
     return null;
   }
 
+  // Checkboxes and temperature for one freezer, or for all of them
+  const renderChecklist = (idSuffix, checks, onChange) => (
+    <div className="space-y-2">
+      {CHECK_ITEMS.map(item => (
+        <div key={item.name} className="flex items-center">
+          <input
+            id={`${item.name}-${idSuffix}`}
+            name={item.name}
+            type="checkbox"
+            checked={checks[item.name]}
+            onChange={onChange}
+            className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          <label htmlFor={`${item.name}-${idSuffix}`} className="ml-3 block text-sm font-medium text-gray-700">
+            {item.label}
+          </label>
+        </div>
+      ))}
+      <div className="flex items-center">
+        <label htmlFor={`temperatureC-${idSuffix}`} className="text-sm font-medium text-gray-700 mr-3">
+          Measured temperature (°C)
+        </label>
+        <input
+          id={`temperatureC-${idSuffix}`}
+          name="temperatureC"
+          type="number"
+          step="0.1"
+          value={checks.temperatureC}
+          onChange={onChange}
+          className="w-24 rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+          placeholder="-18"
+        />
+      </div>
+    </div>
+  );
+
   return (
     <div className="fixed inset-0 z-50 overflow-y-auto">
       {/* Backdrop */}
@@ -137,6 +300,16 @@ export default function ShopVisitModal({ isOpen, onClose, shop, onSubmit }) {
               <p className="mt-1">
                 <span className="font-medium">Freezers:</span> {shop.fridgeCount || 0}
               </p>
+              <p className="mt-1">
+                <span className="font-medium">Your location:</span>{' '}
+                {location ? (
+                  `±${Math.round(location.accuracy)} m`
+                ) : locationError ? (
+                  <span className="text-amber-600">{locationError} – visit will be flagged for review</span>
+                ) : (
+                  'Locating...'
+                )}
+              </p>
             </div>
           </div>
           
@@ -196,75 +369,46 @@ export default function ShopVisitModal({ isOpen, onClose, shop, onSubmit }) {
                       Freezer Condition
                     </label>
                     <p className="text-sm text-gray-500 mb-3">
-                      Check all that apply to the freezers at this location
+                      Check all that apply to each freezer at this location
                     </p>
-                    <div className="space-y-2">
-                      <div className="flex items-center">
-                        <input
-                          id="working"
-                          name="working"
-                          type="checkbox"
-                          checked={formData.fridgeChecks.working}
-                          onChange={handleFridgeCheckChange}
-                          className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
-                        />
-                        <label htmlFor="working" className="ml-3 block text-sm font-medium text-gray-700">
-                          Freezers are working properly
-                        </label>
-                      </div>
-                      <div className="flex items-center">
-                        <input
-                          id="clean"
-                          name="clean"
-                          type="checkbox"
-                          checked={formData.fridgeChecks.clean}
-                          onChange={handleFridgeCheckChange}
-                          className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
-                        />
-                        <label htmlFor="clean" className="ml-3 block text-sm font-medium text-gray-700">
-                          Freezers are clean and well-maintained
-                        </label>
-                      </div>
-                      <div className="flex items-center">
-                        <input
-                          id="properlyStocked"
-                          name="properlyStocked"
-                          type="checkbox"
-                          checked={formData.fridgeChecks.properlyStocked}
-                          onChange={handleFridgeCheckChange}
-                          className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
-                        />
-                        <label htmlFor="properlyStocked" className="ml-3 block text-sm font-medium text-gray-700">
-                          Freezers are properly stocked
-                        </label>
+                    {isLoadingFridges ? (
+                      <p className="text-sm text-gray-500">Loading freezers...</p>
+                    ) : fridgeSource === 'none' ? (
+                      <div className="space-y-3">
+                        <p className="rounded-md bg-amber-50 p-3 text-sm text-amber-800">
+                          You are offline and this shop&apos;s freezers are not saved on this device.
+                          This checklist will be applied to every freezer at the shop.
+                        </p>
+                        <div className="rounded-md border border-gray-200 p-3">
+                          {renderChecklist('all', formData.sharedChecks, handleSharedCheckChange)}
+                        </div>
                       </div>
-                      <div className="flex items-center">
-                        <input
-                          id="temperatureCorrect"
-                          name="temperatureCorrect"
-                          type="checkbox"
-                          checked={formData.fridgeChecks.temperatureCorrect}
-                          onChange={handleFridgeCheckChange}
-                          className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
-                        />
-                        <label htmlFor="temperatureCorrect" className="ml-3 block text-sm font-medium text-gray-700">
-                          Temperature is correct
-                        </label>
+                    ) : fridges.length === 0 ? (
+                      <p className="text-sm text-gray-500">No freezers registered at this shop</p>
+                    ) : (
+                      <div className="space-y-4">
+                        {fridgeSource === 'cache' && (
+                          <p className="text-sm text-amber-700">
+                            You are offline: showing the freezers saved on this device.
+                          </p>
+                        )}
+                        {fridges.map((fridge, index) => (
+                          <div key={fridge.id} className="rounded-md border border-gray-200 p-3">
+                            <p className="text-sm font-medium text-gray-900 mb-2">
+                              Freezer {index + 1}
+                              {fridge.model?.modelName && (
+                                <span className="ml-1 text-gray-500">({fridge.model.modelName})</span>
+                              )}
+                            </p>
+                            {renderChecklist(
+                              fridge.id,
+                              formData.fridgeChecks[fridge.id] || DEFAULT_CHECKS,
+                              (e) => handleFridgeCheckChange(fridge.id, e)
+                            )}
+                          </div>
+                        ))}
                       </div>
-                      <div className="flex items-center">
-                        <input
-                          id="needsRepair"
-                          name="needsRepair"
-                          type="checkbox"
-                          checked={formData.fridgeChecks.needsRepair}
-                          onChange={handleFridgeCheckChange}
-                          className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
-                        />
-                        <label htmlFor="needsRepair" className="ml-3 block text-sm font-medium text-gray-700">
-                          Freezers need repair or maintenance
-                        </label>
-                      </div>
-                    </div>
+                    )}
                   </div>
                 )}
                 
@@ -287,6 +431,26 @@ export default function ShopVisitModal({ isOpen, onClose, shop, onSubmit }) {
                     placeholder="Optional notes about your visit..."
                   />
                 </div>
+
+                {/* Shop photo */}
+                <div>
+                  <label htmlFor="shopPhoto" className="text-base font-medium text-gray-900 flex items-center">
+                    <FiCamera className="mr-2 text-gray-600" />
+                    Shop photo
+                  </label>
+                  <p className="text-sm text-gray-500 mb-3">
+                    Optional; without signal it is uploaded with the visit once you are back online
+                  </p>
+                  <input
+                    id="shopPhoto"
+                    name="shopPhoto"
+                    type="file"
+                    accept="image/*"
+                    capture="environment"
+                    onChange={(e) => setPhoto(e.target.files?.[0] || null)}
+                    className="block w-full text-sm text-gray-700 file:mr-3 file:rounded-md file:border-0 file:bg-blue-50 file:px-3 file:py-2 file:text-sm file:font-medium file:text-blue-700 hover:file:bg-blue-100"
+                  />
+                </div>
                 
                 {/* Form submission error */}
                 {errors.submit && (
@@ -13,6 +13,7 @@ import { createContext, useContext, useState, useEffect, useCallback } from 'rea
 import { useRouter } from 'next/navigation';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import { refreshSession } from '@/lib/api';
 
 // API client
 const api = axios.create({
@@ -22,6 +23,15 @@ const api = axios.create({
   },
 });
 
+/**
+ * Check whether a user is a field PSR: a non-admin whose role holds
+ * 'visits:record'. Field PSRs use the PSR app.
+ * @param {Object|null} user - Signed-in user
+ * @returns {boolean} True for field PSRs
+ */
+export const isFieldUser = (user) =>
+  Boolean(user && user.role !== 'admin' && user.permissions?.includes('visits:record'));
+
 // Create the auth context
 const AuthContext = createContext({
   user: null,
@@ -71,20 +81,8 @@ export const AuthProvider = ({ children }) => {
           originalRequest._retry = true;
           
           try {
-            const refreshToken = localStorage.getItem('refreshToken');
-            if (!refreshToken) {
-              throw new Error('No refresh token available');
-            }
-            
-            const response = await axios.post(
-              `${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api'}/auth/refresh-token`,
-              { refreshToken }
-            );
-            
-            const { accessToken, refreshToken: newRefreshToken } = response.data;
-            
-            localStorage.setItem('accessToken', accessToken);
-            localStorage.setItem('refreshToken', newRefreshToken);
+            // Shared with lib/api so concurrent 401s trigger a single refresh
+            const accessToken = await refreshSession();
             
             // Update authorization header and retry
             originalRequest.headers.Authorization = `Bearer ${accessToken}`;
@@ -174,11 +172,15 @@ export const AuthProvider = ({ children }) => {
       
       setUser(user);
       
-      // Redirect based on role
+      // Redirect based on role; supervisors with reports use the admin dashboard
       if (user.role === 'admin') {
         router.push('/admin/dashboard');
-      } else if (user.role === 'psr') {
+      } else if (isFieldUser(user)) {
         router.push('/psr/dashboard');
+      } else if (user.permissions?.includes('data:dealer')) {
+        router.push('/dealer/dashboard');
+      } else if (user.permissions?.includes('reports:view')) {
+        router.push('/admin/dashboard');
       } else {
         router.push('/dashboard');
       }
@@ -217,7 +219,7 @@ export const AuthProvider = ({ children }) => {
       // Redirect based on role
       if (user.role === 'admin') {
         router.push('/admin/dashboard');
-      } else if (user.role === 'psr') {
+      } else if (isFieldUser(user)) {
         router.push('/psr/dashboard');
       } else {
         router.push('/dashboard');
@@ -289,6 +291,11 @@ export const AuthProvider = ({ children }) => {
    * Logout user
    */
   const logout = useCallback(() => {
+    // Revoke the session server-side; the local sign-out does not wait for it
+    if (localStorage.getItem('accessToken')) {
+      api.post('/auth/logout').catch(() => {});
+    }
+    
     localStorage.removeItem('accessToken');
     localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
@@ -305,12 +312,10 @@ export const AuthProvider = ({ children }) => {
   }, [user]);
 
   /**
-   * Check if user is a PSR
-   * @returns {boolean} True if user has PSR role
+   * Check if user is a field PSR
+   * @returns {boolean} True if user's role holds 'visits:record'
    */
-  const isPsr = useCallback(() => {
-    return user?.role === 'psr';
-  }, [user]);
+  const isPsr = useCallback(() => isFieldUser(user), [user]);
 
   /**
    * Check if user has a specific role
@@ -327,6 +332,17 @@ export const AuthProvider = ({ children }) => {
     return user.role === roles;
   }, [user]);
 
+  /**
+   * Check if user's role grants a permission. Admins hold every permission.
+   * @param {string} key - Permission key, e.g. 'reports:view'
+   * @returns {boolean} True if the user has the permission
+   */
+  const hasPermission = useCallback((key) => {
+    if (!user) return false;
+
+    return user.role === 'admin' || Boolean(user.permissions?.includes(key));
+  }, [user]);
+
   // Context value
   const value = {
     user,
@@ -340,6 +356,7 @@ export const AuthProvider = ({ children }) => {
     isAdmin,
     isPsr,
     hasRole,
+    hasPermission,
     error,
   };
 
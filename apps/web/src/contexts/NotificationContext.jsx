@@ -11,7 +11,7 @@
 import { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { useRouter } from 'next/navigation';
 import toast from 'react-hot-toast';
-import { useAuth } from './AuthContext';
+import { useAuth, isFieldUser } from './AuthContext';
 import api from '@/lib/api';
 
 // Create the notification context
@@ -62,6 +62,16 @@ export const NotificationProvider = ({ children }) => {
 
     try {
       setIsLoading(true);
+      
+      // Get notification preferences (fetched independently so the SMS
+      // reminder setting loads even if the notification list fails)
+      api.get('/notifications/preferences', { skipErrorToast: true })
+        .then(prefsResponse => {
+          setIsSmsEnabled(prefsResponse.data.smsEnabled);
+          setIsPushEnabled(prefsResponse.data.pushEnabled);
+        })
+        .catch(error => console.error('Failed to fetch notification preferences:', error));
+      
       const response = await api.get('/notifications');
       setNotifications(response.data);
       
@@ -69,11 +79,6 @@ export const NotificationProvider = ({ children }) => {
       const unread = response.data.filter(notification => !notification.read).length;
       setUnreadCount(unread);
       
-      // Get notification preferences
-      const prefsResponse = await api.get('/notifications/preferences');
-      setIsSmsEnabled(prefsResponse.data.smsEnabled);
-      setIsPushEnabled(prefsResponse.data.pushEnabled);
-      
     } catch (error) {
       console.error('Failed to fetch notifications:', error);
       setError('Failed to load notifications. Please try again later.');
@@ -322,7 +327,7 @@ export const NotificationProvider = ({ children }) => {
    * Check for pending visits and show reminders for PSRs
    */
   useEffect(() => {
-    if (!isAuthenticated || !user || user.role !== 'psr') return;
+    if (!isAuthenticated || !isFieldUser(user)) return;
 
     const checkPendingVisits = async () => {
       try {
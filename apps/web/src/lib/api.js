@@ -11,6 +11,42 @@ import toast from 'react-hot-toast';
 // Get the base URL from environment variables or use default
 const BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
 
+// In-flight refresh shared by every caller; refresh tokens rotate on use, so
+// two concurrent refreshes with the same token would revoke the session
+let refreshPromise = null;
+
+/**
+ * Exchange the stored refresh token for a new token pair
+ * @returns {Promise<string>} New access token
+ */
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+
+      if (!refreshToken) {
+        throw new Error('No refresh token available');
+      }
+
+      const response = await axios.post(`${BASE_URL}/auth/refresh-token`, {
+        refreshToken
+      });
+
+      const { accessToken, refreshToken: newRefreshToken } = response.data;
+
+      // Store new tokens
+      localStorage.setItem('accessToken', accessToken);
+      localStorage.setItem('refreshToken', newRefreshToken);
+
+      return accessToken;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  return refreshPromise;
+};
+
 /**
  * Create a configured axios instance
  */
@@ -64,26 +100,15 @@ api.interceptors.response.use(
     if (error.response?.status === 401 && !originalRequest._retry) {
       originalRequest._retry = true;
       
+      if (!localStorage.getItem('refreshToken')) {
+        // No refresh token, force logout
+        handleLogout();
+        return Promise.reject(error);
+      }
+      
       try {
-        // Get refresh token
-        const refreshToken = localStorage.getItem('refreshToken');
-        
-        if (!refreshToken) {
-          // No refresh token, force logout
-          handleLogout();
-          return Promise.reject(error);
-        }
-        
         // Attempt to refresh the token
-        const response = await axios.post(`${BASE_URL}/auth/refresh-token`, {
-          refreshToken
-        });
-        
-        const { accessToken, refreshToken: newRefreshToken } = response.data;
-        
-        // Store new tokens
-        localStorage.setItem('accessToken', accessToken);
-        localStorage.setItem('refreshToken', newRefreshToken);
+        const accessToken = await refreshSession();
         
         // Update authorization header and retry original request
         originalRequest.headers.Authorization = `Bearer ${accessToken}`;
@@ -140,8 +165,9 @@ const handleApiError = (error) => {
     message = 'No response from server. Please check your connection';
   }
   
-  // Show error toast if not a canceled request
-  if (!axios.isCancel(error)) {
+  // Show error toast if not a canceled request, unless the caller handles
+  // the failure itself (e.g. the offline queue)
+  if (!axios.isCancel(error) && !error.config?.skipErrorToast) {
     toast.error(message);
   }
 };
@@ -170,9 +196,10 @@ export const apiHelpers = {
    * @param {string} endpoint - API endpoint
    * @param {File} file - File to upload
    * @param {Object} additionalData - Additional form data
+   * @param {Object} config - Additional axios request config
    * @returns {Promise} - Promise resolving to response data
    */
-  uploadFile: async (endpoint, file, additionalData = {}) => {
+  uploadFile: async (endpoint, file, additionalData = {}, config = {}) => {
     const formData = new FormData();
     formData.append('file', file);
     
@@ -182,7 +209,9 @@ export const apiHelpers = {
     });
     
     const response = await api.post(endpoint, formData, {
+      ...config,
       headers: {
+        ...config.headers,
         'Content-Type': 'multipart/form-data',
       },
     });
@@ -194,10 +223,12 @@ export const apiHelpers = {
    * Download a file from the server
    * @param {string} endpoint - API endpoint
    * @param {string} filename - Name to save the file as
+   * @param {Object} params - Query parameters (e.g. report filters)
    * @returns {Promise} - Promise resolving when download completes
    */
-  downloadFile: async (endpoint, filename) => {
+  downloadFile: async (endpoint, filename, params = {}) => {
     const response = await api.get(endpoint, {
+      params,
       responseType: 'blob',
     });
     
@@ -209,6 +240,7 @@ export const apiHelpers = {
     document.body.appendChild(link);
     link.click();
     link.remove();
+    window.URL.revokeObjectURL(url);
   }
 };
 
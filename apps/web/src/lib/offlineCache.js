@@ -0,0 +1,99 @@
+/**
+ * Offline cache for the Snowfun Nepal PSR app
+ *
+ * Keeps the freezers at each of the PSR's shops in IndexedDB while online, so
+ * a visit recorded without signal still gets a checklist per freezer. The
+ * cache is refreshed whenever the dashboard or a shop's visit form loads.
+ */
+
+const DB_NAME = 'snowfun-cache';
+const DB_VERSION = 1;
+const STORE = 'shopFridges';
+
+/**
+ * Open (and create on first use) the cache database
+ * @returns {Promise<IDBDatabase>} Database handle
+ */
+const openDb = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(STORE)) {
+      db.createObjectStore(STORE, { keyPath: 'shopId' });
+    }
+  };
+
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Run operations against the cache store in one transaction
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store, returns an IDBRequest (or nothing)
+ * @returns {Promise<*>} Result of the request
+ */
+const withStore = async (mode, operation) => {
+  const db = await openDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = operation(transaction.objectStore(STORE));
+
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request?.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+/**
+ * Keep only what the visit form shows of a freezer
+ * @param {Object} fridge - Fridge from the API
+ * @returns {Object} { id, shopId, model: { modelName } }
+ */
+const toCachedFridge = (fridge) => ({
+  id: fridge.id,
+  shopId: fridge.shopId,
+  model: fridge.model ? { modelName: fridge.model.modelName } : null
+});
+
+/**
+ * Cache the freezers at several shops. Shops with no freezers in the list
+ * are cached as empty, so they are not mistaken for shops never loaded.
+ * @param {number[]} shopIds - Shops the freezer list covers
+ * @param {Array<Object>} fridges - Freezers from GET /fridges
+ * @returns {Promise<void>}
+ */
+export const cacheShopFridges = (shopIds, fridges) => {
+  const cachedAt = Date.now();
+  const byShop = new Map(shopIds.map(shopId => [shopId, []]));
+
+  fridges
+    .filter(fridge => byShop.has(fridge.shopId))
+    .forEach(fridge => byShop.get(fridge.shopId).push(toCachedFridge(fridge)));
+
+  return withStore('readwrite', (store) => {
+    byShop.forEach((shopFridges, shopId) => store.put({ shopId, fridges: shopFridges, cachedAt }));
+  });
+};
+
+/**
+ * Get the cached freezers at a shop
+ * @param {number} shopId - Shop ID
+ * @returns {Promise<Object|null>} { fridges, cachedAt }, or null if the shop was never cached
+ */
+export const getCachedShopFridges = async (shopId) => {
+  const entry = await withStore('readonly', store => store.get(shopId));
+  return entry ? { fridges: entry.fridges, cachedAt: entry.cachedAt } : null;
+};
+
+export default {
+  cacheShopFridges,
+  getCachedShopFridges
+};
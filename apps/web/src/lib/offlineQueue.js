@@ -0,0 +1,358 @@
+/**
+ * Offline outbox for the Snowfun Nepal PSR app
+ *
+ * PSRs often lose signal in hill districts. Writes that must not be lost
+ * (visits, new shops and photos) are sent through this module: when the
+ * network is unavailable they are stored in IndexedDB and replayed in order
+ * once connectivity returns. Every entry carries an Idempotency-Key so a
+ * replay of a request the server already processed is harmless. Entries the
+ * server rejects are kept as 'failed' so the PSR can retry or discard them.
+ */
+
+import api, { apiHelpers } from '@/lib/api';
+
+const DB_NAME = 'snowfun-offline';
+const DB_VERSION = 1;
+const STORE = 'outbox';
+const RETRY_INTERVAL = 60 * 1000; // Retry every minute while entries are pending
+
+const listeners = new Set();
+let isSyncing = false;
+
+/**
+ * Generate a unique idempotency key for a queued request
+ * @returns {string} Random UUID
+ */
+const generateKey = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+};
+
+/**
+ * Open (and create on first use) the outbox database
+ * @returns {Promise<IDBDatabase>} Database handle
+ */
+const openDb = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(STORE)) {
+      db.createObjectStore(STORE, { keyPath: 'id' }).createIndex('createdAt', 'createdAt');
+    }
+  };
+
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Run a single operation against the outbox store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>} Result of the request
+ */
+const withStore = async (mode, operation) => {
+  const db = await openDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = operation(transaction.objectStore(STORE));
+
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+/**
+ * Notify subscribers of the current pending and failed counts
+ */
+const notify = async () => {
+  const counts = await getCounts();
+  listeners.forEach(listener => listener(counts));
+};
+
+/**
+ * Check whether an entry is still waiting to be sent. Entries stored before
+ * the status field existed count as pending.
+ * @param {Object} entry - Outbox entry
+ * @returns {boolean} True unless the server rejected the entry
+ */
+const isPending = (entry) => entry.status !== 'failed';
+
+/**
+ * Check whether an axios error means the server never got the request
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for network failures and timeouts
+ */
+const isNetworkError = (error) => !error.response;
+
+/**
+ * Check whether a failed replay should be retried later
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for network errors, expired sessions, timeouts,
+ *   rate limits and 5xx (including a 503 while the server is still
+ *   processing an earlier send with the same Idempotency-Key)
+ */
+const isRetryable = (error) => {
+  if (isNetworkError(error)) return true;
+  const { status } = error.response;
+  // 401: keep the entry until the PSR signs in again
+  return status === 401 || status === 408 || status === 429 || status >= 500;
+};
+
+/**
+ * Read the error message the server returned for a rejected entry
+ * @param {Error} error - Axios error
+ * @returns {string} Message to show the PSR
+ */
+const rejectionMessage = (error) =>
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || error.message;
+
+/**
+ * Send one outbox entry to the server
+ * @param {Object} entry - Outbox entry
+ * @returns {Promise<Object>} Response data
+ */
+const sendEntry = async (entry) => {
+  const config = {
+    headers: { 'Idempotency-Key': entry.id },
+    skipErrorToast: true
+  };
+
+  if (entry.type === 'photo') {
+    return apiHelpers.uploadFile(entry.endpoint, entry.file, entry.payload, config);
+  }
+
+  const response = await api.post(entry.endpoint, entry.payload, config);
+  return response.data;
+};
+
+/**
+ * Build an outbox entry for a request
+ * @param {Object} request - { type: 'visit' | 'shop' | 'photo', endpoint, payload, file?, label? }
+ * @returns {Object} Outbox entry with a fresh idempotency key
+ */
+const buildEntry = ({ type, endpoint, payload = {}, file = null, label = '' }) => ({
+  id: generateKey(),
+  type,
+  endpoint,
+  payload,
+  file,
+  label,
+  status: 'pending',
+  attempts: 0,
+  lastError: null,
+  createdAt: Date.now()
+});
+
+/**
+ * Store an entry in the outbox and notify subscribers
+ * @param {Object} entry - Outbox entry
+ * @returns {Promise<Object>} Stored entry
+ */
+const saveEntry = async (entry) => {
+  await withStore('readwrite', store => store.put(entry));
+  await notify();
+  return entry;
+};
+
+/**
+ * Add a request to the outbox
+ * @param {Object} request - { type: 'visit' | 'shop' | 'photo', endpoint, payload, file?, label? }
+ * @returns {Promise<Object>} Stored entry
+ */
+export const enqueue = (request) => saveEntry(buildEntry(request));
+
+/**
+ * Get all outbox entries, oldest first
+ * @returns {Promise<Array>} Pending and failed entries
+ */
+const getAllEntries = () =>
+  withStore('readonly', store => store.index('createdAt').getAll());
+
+/**
+ * Get the outbox entries still waiting to be sent, oldest first
+ * @returns {Promise<Array>} Pending entries
+ */
+export const getPendingEntries = async () => (await getAllEntries()).filter(isPending);
+
+/**
+ * Get the outbox entries the server rejected, oldest first
+ * @returns {Promise<Array>} Failed entries, each with its lastError
+ */
+export const getFailedEntries = async () => (await getAllEntries()).filter(entry => !isPending(entry));
+
+/**
+ * Count pending and failed outbox entries
+ * @returns {Promise<Object>} { pending, failed }
+ */
+export const getCounts = async () => {
+  const entries = await getAllEntries();
+  const pending = entries.filter(isPending).length;
+  return { pending, failed: entries.length - pending };
+};
+
+/**
+ * Subscribe to changes in the pending and failed counts
+ * @param {Function} listener - Called with { pending, failed }
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  getCounts().then(listener).catch(() => listener({ pending: 0, failed: 0 }));
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Replay pending entries in order. Stops at the first entry that should be
+ * retried later so that, for example, a visit is never sent before the shop
+ * it belongs to.
+ * @returns {Promise<number>} Number of entries synced
+ */
+export const syncPending = async () => {
+  if (isSyncing || (typeof navigator !== 'undefined' && !navigator.onLine)) {
+    return 0;
+  }
+
+  isSyncing = true;
+  let synced = 0;
+
+  try {
+    const entries = await getPendingEntries();
+
+    for (const entry of entries) {
+      try {
+        await sendEntry(entry);
+      } catch (error) {
+        if (isRetryable(error)) {
+          await withStore('readwrite', store => store.put({
+            ...entry,
+            attempts: entry.attempts + 1,
+            lastError: error.message
+          }));
+          break;
+        }
+
+        // Anything but 409 (the server already has this record, e.g. the
+        // visit was saved but the response was lost) is kept for the PSR
+        if (error.response?.status !== 409) {
+          console.error(`Server rejected queued ${entry.type}:`, error.response?.data);
+          await withStore('readwrite', store => store.put({
+            ...entry,
+            status: 'failed',
+            attempts: entry.attempts + 1,
+            lastError: rejectionMessage(error)
+          }));
+          continue;
+        }
+      }
+
+      await withStore('readwrite', store => store.delete(entry.id));
+      synced += 1;
+    }
+  } finally {
+    isSyncing = false;
+    await notify();
+  }
+
+  return synced;
+};
+
+/**
+ * Queue a failed entry to be sent again, e.g. after the PSR's assignment
+ * was fixed, and try straight away
+ * @param {string} id - Entry ID
+ * @returns {Promise<number>} Number of entries synced
+ */
+export const retryEntry = async (id) => {
+  const entry = await withStore('readonly', store => store.get(id));
+  if (entry) {
+    await saveEntry({ ...entry, status: 'pending', lastError: null });
+  }
+  return syncPending();
+};
+
+/**
+ * Remove an entry from the outbox without sending it
+ * @param {string} id - Entry ID
+ */
+export const discardEntry = async (id) => {
+  await withStore('readwrite', store => store.delete(id));
+  await notify();
+};
+
+/**
+ * Send a request now, or queue it if the device is offline
+ * @param {Object} request - { type, endpoint, payload, file?, label? }
+ * @returns {Promise<Object>} { queued: boolean, data? }
+ */
+export const sendOrQueue = async (request) => {
+  const entry = buildEntry(request);
+
+  if (typeof navigator !== 'undefined' && !navigator.onLine) {
+    await saveEntry(entry);
+    return { queued: true };
+  }
+
+  try {
+    const data = await sendEntry(entry);
+    return { queued: false, data };
+  } catch (error) {
+    if (!isNetworkError(error)) {
+      throw error;
+    }
+
+    // Keep the same key: the server may have received the request before
+    // the connection dropped
+    await saveEntry({ ...entry, attempts: 1, lastError: error.message });
+    return { queued: true };
+  }
+};
+
+/**
+ * Start replaying the outbox when connectivity returns and periodically
+ * while entries are pending
+ * @returns {Function} Stop function
+ */
+export const startBackgroundSync = () => {
+  if (typeof window === 'undefined') {
+    return () => {};
+  }
+
+  const handleOnline = () => {
+    syncPending().catch(error => console.error('Offline sync failed:', error));
+  };
+
+  window.addEventListener('online', handleOnline);
+  const intervalId = setInterval(handleOnline, RETRY_INTERVAL);
+
+  // Flush anything left over from a previous session
+  handleOnline();
+
+  return () => {
+    window.removeEventListener('online', handleOnline);
+    clearInterval(intervalId);
+  };
+};
+
+export default {
+  enqueue,
+  getPendingEntries,
+  getFailedEntries,
+  getCounts,
+  subscribe,
+  syncPending,
+  retryEntry,
+  discardEntry,
+  sendOrQueue,
+  startBackgroundSync
+};
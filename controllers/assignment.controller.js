@@ -0,0 +1,262 @@
+/**
+ * PSR Assignment Controller for Snowfun Nepal application
+ *
+ * Handles assigning PSRs to dealers and shops (the backend of the admin
+ * drag-and-drop assignment board), the assignment history, and bulk
+ * reassignment of a leaving PSR's territory.
+ */
+
+import { getManager, getRepository } from 'typeorm';
+import { validationResult } from 'express-validator';
+import PsrAssignment from '../models/PsrAssignment.js';
+import Shop from '../models/Shop.js';
+import {
+  assignDealer,
+  assignShop,
+  endAssignment,
+  reassignTerritory
+} from '../services/assignment.service.js';
+
+/**
+ * Convert an assignment into the shape expected by the web client
+ * @param {PsrAssignment} assignment - Assignment (psr, dealer and shop relations optional)
+ * @returns {Object} Serialised assignment
+ */
+const formatAssignment = (assignment) => ({
+  id: assignment.id,
+  psrId: assignment.psrId,
+  psrName: assignment.psr?.fullName ?? null,
+  dealerId: assignment.dealerId,
+  dealerName: assignment.dealer?.name ?? null,
+  shopId: assignment.shopId,
+  shopName: assignment.shop?.name ?? null,
+  type: assignment.isShopOverride() ? 'shop' : 'dealer',
+  assignedById: assignment.assignedById,
+  assignedAt: assignment.assignedAt,
+  unassignedAt: assignment.unassignedAt,
+  active: assignment.isActive()
+});
+
+/**
+ * List assignments, newest first. Includes ended assignments unless
+ * ?active=true, so the coverage history of a PSR, dealer or shop can be shown.
+ * @route GET /api/assignments
+ */
+export const getAssignments = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { psrId, dealerId, shopId, active } = req.query;
+
+    const qb = getRepository(PsrAssignment)
+      .createQueryBuilder('assignment')
+      .leftJoinAndSelect('assignment.psr', 'psr')
+      .leftJoinAndSelect('assignment.dealer', 'dealer')
+      .leftJoinAndSelect('assignment.shop', 'shop')
+      .orderBy('assignment.assignedAt', 'DESC');
+
+    if (psrId) {
+      qb.andWhere('assignment.psrId = :psrId', { psrId });
+    }
+
+    if (dealerId) {
+      // A dealer's history includes overrides on its shops
+      qb.andWhere('(assignment.dealerId = :dealerId OR shop.dealerId = :dealerId)', { dealerId });
+    }
+
+    if (shopId) {
+      qb.andWhere('assignment.shopId = :shopId', { shopId });
+    }
+
+    if (active === 'true') {
+      qb.andWhere('assignment.unassignedAt IS NULL');
+    } else if (active === 'false') {
+      qb.andWhere('assignment.unassignedAt IS NOT NULL');
+    }
+
+    const assignments = await qb.getMany();
+
+    return res.status(200).json(assignments.map(formatAssignment));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List a dealer's shops with the PSRs currently covering each one, for the
+ * drag-and-drop assignment board
+ * @route GET /api/assignments/board
+ */
+export const getAssignmentBoard = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const dealerId = Number(req.query.dealerId);
+
+    const [shops, active] = await Promise.all([
+      getRepository(Shop).find({
+        where: { dealerId },
+        order: { name: 'ASC' }
+      }),
+      getRepository(PsrAssignment)
+        .createQueryBuilder('assignment')
+        .leftJoinAndSelect('assignment.psr', 'psr')
+        .leftJoin('assignment.shop', 'shop')
+        .where('assignment.unassignedAt IS NULL')
+        .andWhere('(assignment.dealerId = :dealerId OR shop.dealerId = :dealerId)', { dealerId })
+        .getMany()
+    ]);
+
+    const toPsr = (assignment) => ({
+      id: assignment.psrId,
+      fullName: assignment.psr.fullName,
+      assignmentId: assignment.id
+    });
+
+    const dealerPsrs = active.filter(assignment => assignment.dealerId !== null).map(toPsr);
+    const overrides = new Map(
+      active
+        .filter(assignment => assignment.shopId !== null)
+        .map(assignment => [assignment.shopId, toPsr(assignment)])
+    );
+
+    return res.status(200).json({
+      dealerId,
+      dealerPsrs,
+      shops: shops.map(shop => {
+        const override = overrides.get(shop.id);
+
+        return {
+          id: shop.id,
+          name: shop.name,
+          latitude: Number(shop.latitude),
+          longitude: Number(shop.longitude),
+          source: override ? 'shop' : (dealerPsrs.length > 0 ? 'dealer' : null),
+          psrs: override ? [override] : dealerPsrs
+        };
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Assign a PSR to a dealer
+ * @route POST /api/assignments/dealers
+ */
+export const createDealerAssignment = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { psrId, dealerId } = req.body;
+
+    const { assignment, created } = await getManager().transaction(manager =>
+      assignDealer(manager, { psrId, dealerId, actor: req.user })
+    );
+
+    return res.status(created ? 201 : 200).json({
+      message: created ? 'PSR assigned to dealer successfully' : 'PSR is already assigned to this dealer',
+      assignment: formatAssignment(assignment)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set or clear the shop-level PSR for a shop (drag-and-drop target)
+ * @route PUT /api/assignments/shops/:shopId
+ */
+export const updateShopAssignment = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const shopId = Number(req.params.shopId);
+    const psrId = req.body.psrId || null;
+
+    const assignment = await getManager().transaction(manager =>
+      assignShop(manager, { shopId, psrId, actor: req.user })
+    );
+
+    return res.status(200).json({
+      message: assignment
+        ? 'Shop assigned to PSR successfully'
+        : 'Shop assignment cleared; the dealer\'s PSRs now cover this shop',
+      assignment: assignment ? formatAssignment(assignment) : null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * End an assignment (kept in the history with its unassigned date)
+ * @route DELETE /api/assignments/:id
+ */
+export const deleteAssignment = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const assignment = await getManager().transaction(manager =>
+      endAssignment(manager, Number(req.params.id))
+    );
+
+    return res.status(200).json({
+      message: 'Assignment ended successfully',
+      assignment: formatAssignment(assignment)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Move every active assignment of one PSR to another in a single transaction
+ * @route POST /api/assignments/reassign
+ */
+export const reassignPsr = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { fromPsrId, toPsrId } = req.body;
+
+    const moved = await getManager().transaction(manager =>
+      reassignTerritory(manager, { fromPsrId, toPsrId, actor: req.user })
+    );
+
+    return res.status(200).json({
+      message: 'Territory reassigned successfully',
+      moved
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getAssignments,
+  getAssignmentBoard,
+  createDealerAssignment,
+  updateShopAssignment,
+  deleteAssignment,
+  reassignPsr
+};
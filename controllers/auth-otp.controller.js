@@ -6,99 +6,14 @@
  */
 
 import { getRepository } from 'typeorm';
-import jwt from 'jsonwebtoken';
 import { validationResult } from 'express-validator';
-import axios from 'axios';
 import User from '../models/User.js';
 import Role from '../models/Role.js';
 import { createError } from '../middleware/errorHandler.js';
-
-// In-memory OTP storage (replace with Redis in production)
-const otpStore = new Map();
-
-/**
- * Generate a random 6-digit OTP
- * @returns {string} 6-digit OTP
- */
-const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
-};
-
-/**
- * Format Nepali phone number to standard format
- * @param {string} phone - Phone number input
- * @returns {string} Formatted phone number
- */
-const formatNepaliPhone = (phone) => {
-  // Remove any non-digit characters
-  let cleaned = phone.replace(/\D/g, '');
-  
-  // Check if number starts with Nepal country code
-  if (cleaned.startsWith('977')) {
-    // If it doesn't have the + prefix, add it
-    return `+${cleaned}`;
-  }
-  
-  // If it starts with 0, replace with Nepal country code
-  if (cleaned.startsWith('0')) {
-    cleaned = cleaned.substring(1);
-    return `+977${cleaned}`;
-  }
-  
-  // If it's a 10-digit number without country code, add Nepal country code
-  if (cleaned.length === 10) {
-    return `+977${cleaned}`;
-  }
-  
-  // Return as is if it doesn't match known patterns
-  return phone;
-};
-
-/**
- * Store OTP with expiration (5 minutes)
- * @param {string} phone - Phone number
- * @param {string} otp - Generated OTP
- */
-const storeOTP = (phone, otp) => {
-  const expiresAt = Date.now() + 5 * 60 * 1000; // 5 minutes from now
-  otpStore.set(phone, { otp, expiresAt });
-  
-  // Set timeout to automatically delete expired OTPs
-  setTimeout(() => {
-    if (otpStore.has(phone) && otpStore.get(phone).expiresAt <= Date.now()) {
-      otpStore.delete(phone);
-    }
-  }, 5 * 60 * 1000);
-};
-
-/**
- * Verify stored OTP
- * @param {string} phone - Phone number
- * @param {string} otp - OTP to verify
- * @returns {boolean} True if OTP is valid
- */
-const verifyOTP = (phone, otp) => {
-  if (!otpStore.has(phone)) {
-    return false;
-  }
-  
-  const storedData = otpStore.get(phone);
-  
-  // Check if OTP has expired
-  if (storedData.expiresAt <= Date.now()) {
-    otpStore.delete(phone);
-    return false;
-  }
-  
-  // Check if OTP matches
-  if (storedData.otp !== otp) {
-    return false;
-  }
-  
-  // OTP is valid, remove it from store to prevent reuse
-  otpStore.delete(phone);
-  return true;
-};
+import { issueOtp, verifyOtp } from '../services/otp.service.js';
+import { sendSms } from '../services/sms.service.js';
+import { issueTokens, getClientInfo } from '../services/session.service.js';
+import { formatNepaliPhone } from '../utils/phone.js';
 
 /**
  * Send OTP via SMS
@@ -107,58 +22,14 @@ const verifyOTP = (phone, otp) => {
  * @returns {Promise<boolean>} Success status
  */
 const sendOTPviaSMS = async (phone, otp) => {
-  try {
-    // Replace with your preferred SMS gateway for Nepal
-    // This is a placeholder implementation
-    const smsGatewayUrl = process.env.SMS_GATEWAY_URL;
-    const smsApiKey = process.env.SMS_API_KEY;
-    
-    if (!smsGatewayUrl || !smsApiKey) {
-      console.warn('SMS gateway not configured. OTP:', otp);
-      return true; // Return true in development without actual sending
-    }
-    
-    // Example implementation with a generic SMS API
-    const response = await axios.post(smsGatewayUrl, {
-      apiKey: smsApiKey,
-      to: phone,
-      message: `Your Snowfun Nepal verification code is: ${otp}. Valid for 5 minutes.`,
-    });
-    
-    return response.status === 200;
-  } catch (error) {
-    console.error('Failed to send OTP SMS:', error);
-    return false;
-  }
-};
-
-/**
- * Generate JWT tokens for authentication
- * @param {Object} user - User object with id and role
- * @returns {Object} Access and refresh tokens
- */
-const generateTokens = (user) => {
-  // Create access token (short-lived)
-  const accessToken = jwt.sign(
-    { 
-      id: user.id,
-      role: user.role.roleName 
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: '1h' }
-  );
+  const message = await sendSms({
+    to: phone,
+    text: `Your Snowfun Nepal verification code is: ${otp}. Valid for 5 minutes.`,
+    logText: 'Your Snowfun Nepal verification code is: ******. Valid for 5 minutes.',
+    purpose: 'otp'
+  });
 
-  // Create refresh token (longer-lived)
-  const refreshToken = jwt.sign(
-    { id: user.id },
-    process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
-    { expiresIn: '7d' }
-  );
-
-  return {
-    accessToken,
-    refreshToken
-  };
+  return message.isSent();
 };
 
 /**
@@ -176,11 +47,19 @@ export const sendOTP = async (req, res, next) => {
     const { phone } = req.body;
     const formattedPhone = formatNepaliPhone(phone);
     
-    // Generate OTP
-    const otp = generateOTP();
+    // Generate and store OTP, subject to per-phone and per-IP throttling
+    const issued = await issueOtp(formattedPhone, req.ip);
+    
+    if (issued.throttled) {
+      res.set('Retry-After', String(issued.retryAfter));
+      return res.status(429).json({
+        error: 'Too Many Requests',
+        message: `Too many verification codes requested. Please try again in ${issued.retryAfter} seconds.`,
+        retryAfter: issued.retryAfter
+      });
+    }
     
-    // Store OTP
-    storeOTP(formattedPhone, otp);
+    const { otp } = issued;
     
     // Send OTP via SMS
     const smsSent = await sendOTPviaSMS(formattedPhone, otp);
@@ -222,12 +101,22 @@ export const verifyOTPAndLogin = async (req, res, next) => {
     const formattedPhone = formatNepaliPhone(phone);
     
     // Verify OTP
-    const isValidOTP = verifyOTP(formattedPhone, otp);
+    const verification = await verifyOtp(formattedPhone, otp);
     
-    if (!isValidOTP) {
+    if (verification.reason === 'locked') {
+      return res.status(429).json({
+        error: 'Too Many Attempts',
+        message: 'Too many incorrect attempts. Please request a new verification code.'
+      });
+    }
+    
+    if (!verification.valid) {
       return res.status(401).json({
         error: 'Invalid OTP',
-        message: 'The verification code is invalid or has expired.'
+        message: 'The verification code is invalid or has expired.',
+        ...(verification.attemptsRemaining !== undefined && {
+          attemptsRemaining: verification.attemptsRemaining
+        })
       });
     }
     
@@ -237,7 +126,7 @@ export const verifyOTPAndLogin = async (req, res, next) => {
     // Check if user exists
     let user = await userRepository.findOne({ 
       where: { phone: formattedPhone },
-      relations: ['role']
+      relations: ['role', 'role.permissions']
     });
     
     if (!user) {
@@ -271,12 +160,16 @@ export const verifyOTPAndLogin = async (req, res, next) => {
       
       await userRepository.save(user);
     }
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'This account has been deactivated'
+      });
+    }
     
     // Generate tokens
-    const tokens = generateTokens({
-      id: user.id,
-      role: user.role
-    });
+    const tokens = await issueTokens(user, getClientInfo(req));
     
     // Return user data and tokens
     return res.status(200).json({
@@ -285,7 +178,9 @@ export const verifyOTPAndLogin = async (req, res, next) => {
         id: user.id,
         phone: user.phone,
         fullName: user.fullName,
-        role: user.role.roleName
+        role: user.role.roleName,
+        permissions: (user.role.permissions || []).map(permission => permission.key),
+        dealerId: user.dealerId
       },
       ...tokens
     });
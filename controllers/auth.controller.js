@@ -7,40 +7,27 @@
 
 import { getRepository } from 'typeorm';
 import bcrypt from 'bcrypt';
-import jwt from 'jsonwebtoken';
 import { validationResult } from 'express-validator';
 import User from '../models/User.js';
 import Role from '../models/Role.js';
 import { createError } from '../middleware/errorHandler.js';
-
-/**
- * Generate JWT tokens for authentication
- * @param {Object} user - User object with id and role
- * @returns {Object} Access and refresh tokens
- */
-const generateTokens = (user) => {
-  // Create access token (short-lived)
-  const accessToken = jwt.sign(
-    { 
-      id: user.id,
-      role: user.role.roleName 
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: '1h' }
-  );
-
-  // Create refresh token (longer-lived)
-  const refreshToken = jwt.sign(
-    { id: user.id },
-    process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
-    { expiresIn: '7d' }
-  );
-
-  return {
-    accessToken,
-    refreshToken
-  };
-};
+import {
+  getClientInfo,
+  issueTokens,
+  rotateRefreshToken,
+  revokeSessionFamily,
+  revokeUserSessions,
+  listActiveSessions
+} from '../services/session.service.js';
+import {
+  RESET_TOKEN_TTL_MINUTES,
+  buildResetUrl,
+  createResetToken,
+  consumeResetToken,
+  invalidateResetTokens
+} from '../services/password-reset.service.js';
+import { sendTemplatedMail } from '../services/mail.service.js';
+import { hasPermission, getUserManagementBlock } from '../services/permission.service.js';
 
 /**
  * Register a new user
@@ -96,10 +83,7 @@ export const register = async (req, res, next) => {
     await userRepository.save(user);
 
     // Generate tokens
-    const tokens = generateTokens({
-      id: user.id,
-      role: user.role
-    });
+    const tokens = await issueTokens(user, getClientInfo(req));
 
     // Return user data and tokens
     return res.status(201).json({
@@ -136,8 +120,8 @@ export const login = async (req, res, next) => {
     // Find user by email, explicitly select password_hash
     const user = await userRepository.findOne({
       where: { email },
-      select: ['id', 'email', 'fullName', 'password_hash', 'phone', 'createdAt', 'updatedAt'],
-      relations: ['role']
+      select: ['id', 'email', 'fullName', 'password_hash', 'phone', 'isActive', 'dealerId', 'createdAt', 'updatedAt'],
+      relations: ['role', 'role.permissions']
     });
 
     // Check if user exists
@@ -157,11 +141,15 @@ export const login = async (req, res, next) => {
       });
     }
 
+    if (!user.isActive) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'This account has been deactivated'
+      });
+    }
+
     // Generate tokens
-    const tokens = generateTokens({
-      id: user.id,
-      role: user.role
-    });
+    const tokens = await issueTokens(user, getClientInfo(req));
 
     // Return user data and tokens
     return res.status(200).json({
@@ -170,7 +158,9 @@ export const login = async (req, res, next) => {
         id: user.id,
         email: user.email,
         fullName: user.fullName,
-        role: user.role.roleName
+        role: user.role.roleName,
+        permissions: user.role.permissions.map(permission => permission.key),
+        dealerId: user.dealerId
       },
       ...tokens
     });
@@ -194,39 +184,25 @@ export const refreshToken = async (req, res, next) => {
       });
     }
 
-    // Verify refresh token
-    let decoded;
+    // Rotate the refresh token; reuse of an already-rotated token revokes
+    // every token in its session
+    let rotated;
     try {
-      decoded = jwt.verify(
-        refreshToken, 
-        process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET
-      );
+      rotated = await rotateRefreshToken(refreshToken, getClientInfo(req));
     } catch (error) {
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: 'Invalid or expired refresh token'
-      });
-    }
-
-    // Get user from database
-    const userRepository = getRepository(User);
-    const user = await userRepository.findOne({
-      where: { id: decoded.id },
-      relations: ['role']
-    });
-
-    if (!user) {
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: 'User not found'
-      });
+      if (error.statusCode === 401) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: error.message
+        });
+      }
+      throw error;
     }
 
-    // Generate new tokens
-    const tokens = generateTokens({
-      id: user.id,
-      role: user.role
-    });
+    const tokens = {
+      accessToken: rotated.accessToken,
+      refreshToken: rotated.refreshToken
+    };
 
     // Return new tokens
     return res.status(200).json({
@@ -269,6 +245,8 @@ export const getProfile = async (req, res, next) => {
         fullName: user.fullName,
         phone: user.phone,
         role: user.role.roleName,
+        permissions: req.user.permissions,
+        dealerId: user.dealerId,
         createdAt: user.createdAt
       }
     });
@@ -313,6 +291,9 @@ export const changePassword = async (req, res, next) => {
     user.password_hash = newPassword; // Will be hashed by @BeforeUpdate hook
     await userRepository.save(user);
 
+    // Outstanding reset links must not work after a password change
+    await invalidateResetTokens(user.id);
+
     return res.status(200).json({
       message: 'Password changed successfully'
     });
@@ -335,27 +316,28 @@ export const forgotPassword = async (req, res, next) => {
     const user = await userRepository.findOne({ where: { email } });
     
     // Always return success to prevent email enumeration
-    if (!user) {
+    if (!user || !user.isActive) {
       return res.status(200).json({
         message: 'If your email is registered, you will receive a password reset link'
       });
     }
 
-    // Generate password reset token
-    const resetToken = jwt.sign(
-      { id: user.id },
-      process.env.JWT_RESET_SECRET || process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
+    // Generate a single-use reset token and email the link
+    const resetToken = await createResetToken(user, req.ip);
 
-    // TODO: Send email with reset link
-    // This would typically involve an email service integration
-    // For now, just return the token for development purposes
+    try {
+      await sendTemplatedMail('password-reset', user.email, {
+        fullName: user.fullName,
+        resetUrl: buildResetUrl(resetToken),
+        expiresInMinutes: RESET_TOKEN_TTL_MINUTES
+      });
+    } catch (error) {
+      // Still respond as usual so the response does not reveal the account exists
+      console.error('Failed to send password reset email:', error);
+    }
     
     return res.status(200).json({
-      message: 'If your email is registered, you will receive a password reset link',
-      // Only include token in development environment
-      ...(process.env.NODE_ENV !== 'production' && { resetToken })
+      message: 'If your email is registered, you will receive a password reset link'
     });
   } catch (error) {
     next(error);
@@ -377,14 +359,10 @@ export const resetPassword = async (req, res, next) => {
       });
     }
 
-    // Verify reset token
-    let decoded;
-    try {
-      decoded = jwt.verify(
-        token, 
-        process.env.JWT_RESET_SECRET || process.env.JWT_SECRET
-      );
-    } catch (error) {
+    // Use the reset token; it cannot be used again
+    const userId = await consumeResetToken(token);
+
+    if (!userId) {
       return res.status(401).json({
         error: 'Unauthorized',
         message: 'Invalid or expired reset token'
@@ -393,7 +371,7 @@ export const resetPassword = async (req, res, next) => {
 
     // Get user from database
     const userRepository = getRepository(User);
-    const user = await userRepository.findOne({ where: { id: decoded.id } });
+    const user = await userRepository.findOne({ where: { id: userId } });
 
     if (!user) {
       return res.status(404).json({
@@ -406,6 +384,10 @@ export const resetPassword = async (req, res, next) => {
     user.password_hash = newPassword; // Will be hashed by @BeforeUpdate hook
     await userRepository.save(user);
 
+    // Invalidate other reset links and sign out every device
+    await invalidateResetTokens(user.id);
+    await revokeUserSessions(user.id, 'password_reset');
+
     return res.status(200).json({
       message: 'Password reset successfully'
     });
@@ -414,6 +396,157 @@ export const resetPassword = async (req, res, next) => {
   }
 };
 
+/**
+ * Logout the current device by revoking its session
+ * @route POST /api/auth/logout
+ * @middleware authMiddleware - Requires authentication
+ */
+export const logout = async (req, res, next) => {
+  try {
+    if (req.user.sessionId) {
+      await revokeSessionFamily(req.user.sessionId, 'logout');
+    }
+
+    return res.status(200).json({
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resolve whose sessions a request targets. User managers may pass ?userId to
+ * manage another user's sessions, subject to the same limits as any other
+ * change to that user; everyone else manages their own.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<string|null>} Target user ID, or null after a 403/404 was sent
+ */
+const findSessionOwnerId = async (req, res) => {
+  const { userId } = req.query;
+
+  if (!userId || userId === req.user.id || !hasPermission(req.user, 'users:manage')) {
+    return req.user.id;
+  }
+
+  const owner = await getRepository(User).findOne({
+    where: { id: userId },
+    relations: ['role', 'role.permissions']
+  });
+
+  if (!owner) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  const blocked = getUserManagementBlock(req.user, owner);
+  if (blocked) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: blocked
+    });
+    return null;
+  }
+
+  return owner.id;
+};
+
+/**
+ * List active sessions (signed-in devices)
+ * @route GET /api/auth/sessions
+ * @middleware authMiddleware - Requires authentication
+ */
+export const getSessions = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ownerId = await findSessionOwnerId(req, res);
+    if (!ownerId) return;
+
+    const sessions = await listActiveSessions(ownerId);
+
+    return res.status(200).json({
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.user.sessionId
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Log out one device by revoking its session
+ * @route DELETE /api/auth/sessions/:id
+ * @middleware authMiddleware - Requires authentication
+ */
+export const deleteSession = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ownerId = await findSessionOwnerId(req, res);
+    if (!ownerId) return;
+    const sessions = await listActiveSessions(ownerId);
+
+    if (!sessions.some(session => session.id === req.params.id)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSessionFamily(req.params.id, ownerId === req.user.id ? 'logout' : 'revoked_by_admin');
+
+    return res.status(200).json({
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Log out all devices. Users keep their current session; admins revoking
+ * another user's sessions revoke all of them.
+ * @route DELETE /api/auth/sessions
+ * @middleware authMiddleware - Requires authentication
+ */
+export const deleteSessions = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ownerId = await findSessionOwnerId(req, res);
+    if (!ownerId) return;
+    const isSelf = ownerId === req.user.id;
+
+    await revokeUserSessions(
+      ownerId,
+      isSelf ? 'logout' : 'revoked_by_admin',
+      isSelf ? req.user.sessionId : null
+    );
+
+    return res.status(200).json({
+      message: 'Sessions revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 export default {
   register,
   login,
@@ -421,5 +554,9 @@ export default {
   getProfile,
   changePassword,
   forgotPassword,
-  resetPassword
+  resetPassword,
+  logout,
+  getSessions,
+  deleteSession,
+  deleteSessions
 };
@@ -0,0 +1,616 @@
+/**
+ * Catalog Controller for Snowfun Nepal application
+ *
+ * Handles the fridge brand, type and model dropdowns. Entries are
+ * deactivated rather than deleted: a retired entry stays on existing fridges
+ * but is hidden from pickers (admins can list it with ?includeInactive=true).
+ * Duplicate models are merged, which repoints their fridges.
+ */
+
+import { getRepository, getManager } from 'typeorm';
+import { validationResult } from 'express-validator';
+import FridgeBrand from '../models/FridgeBrand.js';
+import FridgeType from '../models/FridgeType.js';
+import FridgeModel from '../models/FridgeModel.js';
+import Fridge from '../models/Fridge.js';
+import { hasPermission } from '../services/permission.service.js';
+import { normaliseName } from '../utils/name.js';
+
+/**
+ * Find another catalogue entry with the same name, compared the way the bulk
+ * import matches names (ignoring case, spacing and punctuation). Catalogue
+ * lists are short, so the comparison is done in JS.
+ * @param {SelectQueryBuilder} qb - Query builder over the entity
+ * @param {string} alias - Entity alias
+ * @param {string} field - Name property
+ * @param {string} name - Name to look for
+ * @param {number} [excludeId] - Entry being renamed
+ * @returns {Promise<Object|undefined>} Conflicting entry, if any
+ */
+const findSameName = async (qb, alias, field, name, excludeId = null) => {
+  if (excludeId) {
+    qb.andWhere(`${alias}.id != :excludeId`, { excludeId });
+  }
+
+  const target = normaliseName(name);
+  const entries = await qb.getMany();
+
+  return entries.find(entry => normaliseName(entry[field]) === target);
+};
+
+/**
+ * Whether inactive entries should be listed: catalog managers only, on request
+ * @param {Object} req - Express request object
+ * @returns {boolean} True to include inactive entries
+ */
+const wantsInactive = (req) => hasPermission(req.user, 'catalog:manage') && req.query.includeInactive === true;
+
+/**
+ * List fridge brands, alphabetically
+ * @route GET /api/catalog/brands
+ */
+export const getBrands = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const qb = getRepository(FridgeBrand)
+      .createQueryBuilder('brand')
+      .loadRelationCountAndMap('brand.modelCount', 'brand.models')
+      .orderBy('brand.brandName', 'ASC');
+
+    if (!wantsInactive(req)) {
+      qb.where('brand.isActive = true');
+    }
+
+    return res.status(200).json(await qb.getMany());
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a fridge brand
+ * @route POST /api/catalog/brands
+ */
+export const createBrand = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const brandName = req.body.brandName.trim();
+    const brandRepository = getRepository(FridgeBrand);
+
+    if (await findSameName(brandRepository.createQueryBuilder('brand'), 'brand', 'brandName', brandName)) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Brand "${brandName}" already exists`
+      });
+    }
+
+    const brand = await brandRepository.save(brandRepository.create({ brandName }));
+
+    return res.status(201).json({
+      message: 'Brand created successfully',
+      brand
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rename a brand, or reactivate it with isActive: true
+ * @route PUT /api/catalog/brands/:id
+ */
+export const updateBrand = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const brandRepository = getRepository(FridgeBrand);
+    const brand = await brandRepository.findOne(req.params.id);
+
+    if (!brand) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Brand not found'
+      });
+    }
+
+    const { brandName, isActive } = req.body;
+
+    if (brandName !== undefined) {
+      const conflict = await findSameName(brandRepository.createQueryBuilder('brand'), 'brand', 'brandName', brandName, brand.id);
+      if (conflict) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Brand "${conflict.brandName}" already exists`
+        });
+      }
+      brand.brandName = brandName.trim();
+    }
+
+    if (isActive !== undefined) {
+      brand.isActive = isActive;
+    }
+
+    await brandRepository.save(brand);
+
+    return res.status(200).json({
+      message: 'Brand updated successfully',
+      brand
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate a brand. Its models drop out of pickers but existing fridges
+ * are unchanged.
+ * @route DELETE /api/catalog/brands/:id
+ */
+export const deactivateBrand = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const brandRepository = getRepository(FridgeBrand);
+    const brand = await brandRepository.findOne(req.params.id);
+
+    if (!brand) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Brand not found'
+      });
+    }
+
+    brand.isActive = false;
+    await brandRepository.save(brand);
+
+    return res.status(200).json({
+      message: 'Brand deactivated successfully',
+      brand
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List fridge types, alphabetically
+ * @route GET /api/catalog/types
+ */
+export const getTypes = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const qb = getRepository(FridgeType)
+      .createQueryBuilder('type')
+      .loadRelationCountAndMap('type.modelCount', 'type.models')
+      .orderBy('type.typeName', 'ASC');
+
+    if (!wantsInactive(req)) {
+      qb.where('type.isActive = true');
+    }
+
+    return res.status(200).json(await qb.getMany());
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a fridge type
+ * @route POST /api/catalog/types
+ */
+export const createType = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const typeName = req.body.typeName.trim();
+    const typeRepository = getRepository(FridgeType);
+
+    if (await findSameName(typeRepository.createQueryBuilder('type'), 'type', 'typeName', typeName)) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Type "${typeName}" already exists`
+      });
+    }
+
+    const type = await typeRepository.save(typeRepository.create({ typeName }));
+
+    return res.status(201).json({
+      message: 'Type created successfully',
+      type
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rename a type, or reactivate it with isActive: true
+ * @route PUT /api/catalog/types/:id
+ */
+export const updateType = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const typeRepository = getRepository(FridgeType);
+    const type = await typeRepository.findOne(req.params.id);
+
+    if (!type) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Type not found'
+      });
+    }
+
+    const { typeName, isActive } = req.body;
+
+    if (typeName !== undefined) {
+      const conflict = await findSameName(typeRepository.createQueryBuilder('type'), 'type', 'typeName', typeName, type.id);
+      if (conflict) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Type "${conflict.typeName}" already exists`
+        });
+      }
+      type.typeName = typeName.trim();
+    }
+
+    if (isActive !== undefined) {
+      type.isActive = isActive;
+    }
+
+    await typeRepository.save(type);
+
+    return res.status(200).json({
+      message: 'Type updated successfully',
+      type
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate a type. Its models drop out of pickers but existing fridges
+ * are unchanged.
+ * @route DELETE /api/catalog/types/:id
+ */
+export const deactivateType = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const typeRepository = getRepository(FridgeType);
+    const type = await typeRepository.findOne(req.params.id);
+
+    if (!type) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Type not found'
+      });
+    }
+
+    type.isActive = false;
+    await typeRepository.save(type);
+
+    return res.status(200).json({
+      message: 'Type deactivated successfully',
+      type
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List fridge models with their brand, type and number of fridges. Without
+ * includeInactive, only models whose brand and type are also active are
+ * listed.
+ * @route GET /api/catalog/models
+ */
+export const getModels = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { brandId, typeId, search } = req.query;
+
+    const qb = getRepository(FridgeModel)
+      .createQueryBuilder('model')
+      .innerJoinAndSelect('model.brand', 'brand')
+      .innerJoinAndSelect('model.type', 'type')
+      .loadRelationCountAndMap('model.fridgeCount', 'model.fridges')
+      .orderBy('brand.brandName', 'ASC')
+      .addOrderBy('model.modelName', 'ASC');
+
+    if (!wantsInactive(req)) {
+      qb.andWhere('model.isActive = true AND brand.isActive = true AND type.isActive = true');
+    }
+
+    if (brandId) {
+      qb.andWhere('model.brandId = :brandId', { brandId });
+    }
+
+    if (typeId) {
+      qb.andWhere('model.typeId = :typeId', { typeId });
+    }
+
+    if (search) {
+      qb.andWhere('model.modelName ILIKE :search', { search: `%${search}%` });
+    }
+
+    return res.status(200).json(await qb.getMany());
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check that a brand and type exist and are active
+ * @param {Object} res - Express response object
+ * @param {number} brandId - Brand ID
+ * @param {number} typeId - Type ID
+ * @returns {Promise<boolean>} True if valid, false after a response was sent
+ */
+const checkBrandAndType = async (res, brandId, typeId) => {
+  const [brand, type] = await Promise.all([
+    getRepository(FridgeBrand).findOne(brandId),
+    getRepository(FridgeType).findOne(typeId)
+  ]);
+
+  if (!brand || !brand.isActive || !type || !type.isActive) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: !brand || !brand.isActive ? 'Invalid or inactive brand specified' : 'Invalid or inactive type specified'
+    });
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Create a fridge model
+ * @route POST /api/catalog/models
+ */
+export const createModel = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { brandId, typeId, sizeLitre } = req.body;
+    const modelName = req.body.modelName.trim();
+
+    if (!(await checkBrandAndType(res, brandId, typeId))) return;
+
+    const modelRepository = getRepository(FridgeModel);
+    const existing = await findSameName(
+      modelRepository.createQueryBuilder('model').where('model.brandId = :brandId', { brandId }),
+      'model',
+      'modelName',
+      modelName
+    );
+
+    if (existing) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Model "${existing.modelName}" already exists for this brand`
+      });
+    }
+
+    const model = await modelRepository.save(modelRepository.create({
+      brandId,
+      typeId,
+      modelName,
+      sizeLitre: sizeLitre ?? null
+    }));
+
+    return res.status(201).json({
+      message: 'Model created successfully',
+      model
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a model's name, brand, type or size, or reactivate it with
+ * isActive: true
+ * @route PUT /api/catalog/models/:id
+ */
+export const updateModel = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const modelRepository = getRepository(FridgeModel);
+    const model = await modelRepository.findOne(req.params.id);
+
+    if (!model) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Model not found'
+      });
+    }
+
+    const brandId = Number(req.body.brandId ?? model.brandId);
+    const typeId = Number(req.body.typeId ?? model.typeId);
+    const modelName = req.body.modelName !== undefined ? req.body.modelName.trim() : model.modelName;
+
+    if (brandId !== model.brandId || typeId !== model.typeId) {
+      if (!(await checkBrandAndType(res, brandId, typeId))) return;
+    }
+
+    const conflict = await findSameName(
+      modelRepository.createQueryBuilder('model').where('model.brandId = :brandId', { brandId }),
+      'model',
+      'modelName',
+      modelName,
+      model.id
+    );
+
+    if (conflict) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Model "${conflict.modelName}" already exists for this brand; merge the models instead`
+      });
+    }
+
+    Object.assign(model, { brandId, typeId, modelName });
+
+    ['sizeLitre', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        model[field] = req.body[field];
+      }
+    });
+
+    await modelRepository.save(model);
+
+    return res.status(200).json({
+      message: 'Model updated successfully',
+      model
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate a model. Fridges keep it, but it is no longer offered for new
+ * fridges.
+ * @route DELETE /api/catalog/models/:id
+ */
+export const deactivateModel = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const modelRepository = getRepository(FridgeModel);
+    const model = await modelRepository.findOne(req.params.id);
+
+    if (!model) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Model not found'
+      });
+    }
+
+    model.isActive = false;
+    await modelRepository.save(model);
+
+    return res.status(200).json({
+      message: 'Model deactivated successfully',
+      model
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Merge a duplicate model into another: every fridge of the duplicate is
+ * repointed to the target and the duplicate is deleted
+ * @route POST /api/catalog/models/:id/merge
+ */
+export const mergeModel = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const sourceId = Number(req.params.id);
+    const targetModelId = Number(req.body.targetModelId);
+
+    if (sourceId === targetModelId) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'A model cannot be merged into itself'
+      });
+    }
+
+    const modelRepository = getRepository(FridgeModel);
+    const [source, target] = await Promise.all([
+      modelRepository.findOne(sourceId),
+      modelRepository.findOne({ where: { id: targetModelId }, relations: ['brand', 'type'] })
+    ]);
+
+    if (!source) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Model not found'
+      });
+    }
+
+    if (!target || !target.isSelectable()) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: target ? 'Cannot merge into an inactive model' : 'Invalid target model specified'
+      });
+    }
+
+    const fridgesMoved = await getManager().transaction(async (manager) => {
+      const result = await manager.update(Fridge, { modelId: source.id }, { modelId: target.id });
+      await manager.delete(FridgeModel, source.id);
+      return result.affected || 0;
+    });
+
+    return res.status(200).json({
+      message: `Model "${source.modelName}" merged into "${target.modelName}"`,
+      model: target,
+      fridgesMoved
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getBrands,
+  createBrand,
+  updateBrand,
+  deactivateBrand,
+  getTypes,
+  createType,
+  updateType,
+  deactivateType,
+  getModels,
+  createModel,
+  updateModel,
+  deactivateModel,
+  mergeModel
+};
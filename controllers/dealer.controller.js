@@ -0,0 +1,341 @@
+/**
+ * Dealer Controller for Snowfun Nepal application
+ *
+ * Handles dealer CRUD and the PSR's assigned-dealer list used by the
+ * dashboards. Dealer locations are validated against the Nepal province →
+ * district → municipality reference data and stored with canonical names.
+ * Reads are restricted to the dealers the authenticated user may see.
+ */
+
+import { getRepository } from 'typeorm';
+import { validationResult } from 'express-validator';
+import Dealer from '../models/Dealer.js';
+import Shop from '../models/Shop.js';
+import Fridge from '../models/Fridge.js';
+import { getDealerScope, canAccessDealer } from '../services/scope.service.js';
+import { findDistrict, findProvince, resolveLocation } from '../services/geo.service.js';
+import { getDealerBalance } from '../services/deposit.service.js';
+import { isDealerUser } from '../services/permission.service.js';
+
+/**
+ * Convert a dealer entity into the shape expected by the web client
+ * @param {Dealer} dealer - Dealer entity
+ * @returns {Object} Serialised dealer
+ */
+const formatDealer = (dealer) => ({
+  id: dealer.id,
+  name: dealer.name,
+  province: dealer.province,
+  district: dealer.district,
+  municipality: dealer.municipality,
+  latitude: dealer.latitude !== null ? Number(dealer.latitude) : null,
+  longitude: dealer.longitude !== null ? Number(dealer.longitude) : null,
+  shopCount: dealer.shopCount ?? 0,
+  createdAt: dealer.createdAt
+});
+
+/**
+ * Build a dealer query with shop counts, restricted to the user's scope
+ * @param {Object} user - Authenticated user from req.user
+ * @returns {Promise<SelectQueryBuilder>} Query builder selecting dealers
+ */
+const buildDealerQuery = async (user) => {
+  const qb = getRepository(Dealer)
+    .createQueryBuilder('dealer')
+    .loadRelationCountAndMap('dealer.shopCount', 'dealer.shops')
+    .orderBy('dealer.name', 'ASC');
+
+  const dealerIds = await getDealerScope(user);
+
+  if (dealerIds !== null) {
+    // No assignments means no dealers, rather than every dealer
+    if (dealerIds.length === 0) {
+      qb.andWhere('1 = 0');
+    } else {
+      qb.andWhere('dealer.id IN (:...scopeDealerIds)', { scopeDealerIds: dealerIds });
+    }
+  }
+
+  return qb;
+};
+
+/**
+ * Send a 400 response for a location that failed validation
+ * @param {Object} res - Express response object
+ * @param {string} message - Validation message from resolveLocation()
+ */
+const sendInvalidLocation = (res, message) =>
+  res.status(400).json({
+    error: 'Bad Request',
+    message
+  });
+
+/**
+ * List dealers visible to the current user
+ * @route GET /api/dealers
+ */
+export const getDealers = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { province, district, search } = req.query;
+    const qb = await buildDealerQuery(req.user);
+
+    if (province) {
+      // Accept "Province 3" or alternative spellings as well as the canonical name
+      const provinceEntry = findProvince(province);
+      qb.andWhere('dealer.province = :province', {
+        province: provinceEntry ? provinceEntry.name : province
+      });
+    }
+
+    if (district) {
+      const districtEntry = findDistrict(district);
+      qb.andWhere('dealer.district = :district', {
+        district: districtEntry ? districtEntry.name : district
+      });
+    }
+
+    if (search) {
+      qb.andWhere('(dealer.name ILIKE :search OR dealer.municipality ILIKE :search)', {
+        search: `%${search}%`
+      });
+    }
+
+    const dealers = await qb.getMany();
+
+    return res.status(200).json(dealers.map(formatDealer));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the dealers assigned to the current PSR (all dealers for admins)
+ * @route GET /api/dealers/assigned
+ */
+export const getAssignedDealers = async (req, res, next) => {
+  try {
+    const qb = await buildDealerQuery(req.user);
+    const dealers = await qb.getMany();
+
+    return res.status(200).json(dealers.map(formatDealer));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a single dealer
+ * @route GET /api/dealers/:id
+ */
+export const getDealerById = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const qb = await buildDealerQuery(req.user);
+    const dealer = await qb.andWhere('dealer.id = :id', { id: req.params.id }).getOne();
+
+    if (!dealer) {
+      // Distinguish a dealer outside the user's scope from a missing one
+      const exists = await getRepository(Dealer).count({ where: { id: req.params.id } });
+      if (exists && !(await canAccessDealer(req.user, req.params.id))) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'You do not have access to this dealer'
+        });
+      }
+
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Dealer not found'
+      });
+    }
+
+    return res.status(200).json({
+      ...formatDealer(dealer),
+      // Dealer portal users only see fridges placed at their shops
+      depositBalance: await getDealerBalance(dealer.id, { shopsOnly: isDealerUser(req.user) })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a new dealer
+ * @route POST /api/dealers
+ */
+export const createDealer = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, province, district, municipality, latitude, longitude } = req.body;
+
+    const location = resolveLocation({ province, district, municipality });
+    if (location.error) {
+      return sendInvalidLocation(res, location.error);
+    }
+
+    const dealerRepository = getRepository(Dealer);
+    const dealer = dealerRepository.create({
+      name,
+      province: location.province,
+      district: location.district,
+      municipality: location.municipality,
+      latitude: latitude ?? null,
+      longitude: longitude ?? null
+    });
+
+    await dealerRepository.save(dealer);
+
+    return res.status(201).json({
+      message: 'Dealer created successfully',
+      dealer: formatDealer(dealer)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update an existing dealer
+ * @route PUT /api/dealers/:id
+ */
+export const updateDealer = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const dealerRepository = getRepository(Dealer);
+    const dealer = await dealerRepository.findOne({ where: { id: req.params.id } });
+
+    if (!dealer) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Dealer not found'
+      });
+    }
+
+    if (!(await canAccessDealer(req.user, dealer.id))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have access to this dealer'
+      });
+    }
+
+    const { province, district, municipality } = req.body;
+
+    // Only revalidate the location when part of it changes, so dealers
+    // created before validation can still be renamed
+    if (province !== undefined || district !== undefined || municipality !== undefined) {
+      const districtChanged = district !== undefined && district !== dealer.district;
+
+      // A new district invalidates the stored province and municipality
+      // unless they are supplied with it
+      const location = resolveLocation({
+        province: province !== undefined ? province : (districtChanged ? null : dealer.province),
+        district: district !== undefined ? district : dealer.district,
+        municipality: municipality !== undefined ? municipality : (districtChanged ? null : dealer.municipality)
+      });
+
+      if (location.error) {
+        return sendInvalidLocation(res, location.error);
+      }
+
+      Object.assign(dealer, location);
+    }
+
+    ['name', 'latitude', 'longitude'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        dealer[field] = req.body[field];
+      }
+    });
+
+    await dealerRepository.save(dealer);
+
+    dealer.shopCount = await getRepository(Shop).count({ where: { dealerId: dealer.id } });
+
+    return res.status(200).json({
+      message: 'Dealer updated successfully',
+      dealer: formatDealer(dealer)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a dealer. Dealers that still have shops cannot be deleted; their
+ * shops must be moved or removed first.
+ * @route DELETE /api/dealers/:id
+ */
+export const deleteDealer = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const dealerRepository = getRepository(Dealer);
+    const dealer = await dealerRepository.findOne({ where: { id: req.params.id } });
+
+    if (!dealer) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Dealer not found'
+      });
+    }
+
+    if (!(await canAccessDealer(req.user, dealer.id))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have access to this dealer'
+      });
+    }
+
+    const shopCount = await getRepository(Shop).count({ where: { dealerId: dealer.id } });
+    if (shopCount > 0) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Dealer still has ${shopCount} shop(s); reassign or delete them first`
+      });
+    }
+
+    const warehouseCount = await getRepository(Fridge).count({ where: { warehouseDealerId: dealer.id } });
+    if (warehouseCount > 0) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Dealer still holds ${warehouseCount} fridge(s) in its warehouse; transfer them first`
+      });
+    }
+
+    await dealerRepository.remove(dealer);
+
+    return res.status(200).json({
+      message: 'Dealer deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getDealers,
+  getAssignedDealers,
+  getDealerById,
+  createDealer,
+  updateDealer,
+  deleteDealer
+};
@@ -0,0 +1,258 @@
+/**
+ * File Controller for Snowfun Nepal application
+ *
+ * Handles uploads of fridge contracts and shop/inspection photos, and serves
+ * them back only to users who can see the owning shop. Image processing and
+ * storage are handled by the file service.
+ */
+
+import { getRepository } from 'typeorm';
+import { validationResult } from 'express-validator';
+import { pipeline } from 'stream/promises';
+import File from '../models/File.js';
+import Shop from '../models/Shop.js';
+import { scopeShopQuery, canAccessShop } from '../services/scope.service.js';
+import { storeImage, openFile, deleteFile } from '../services/file.service.js';
+
+/**
+ * Convert a file record into the shape expected by the web client
+ * @param {File} file - File record (shop relation optional)
+ * @returns {Object} Serialised file
+ */
+const formatFile = (file) => {
+  const hasGps = file.gpsLatitude !== null && file.gpsLatitude !== undefined;
+
+  return {
+    id: file.id,
+    kind: file.kind,
+    shopId: file.shopId,
+    fridgeId: file.fridgeId,
+    visitId: file.visitId,
+    originalName: file.originalName,
+    contentType: file.contentType,
+    sizeBytes: file.sizeBytes,
+    width: file.width,
+    height: file.height,
+    gpsLatitude: hasGps ? Number(file.gpsLatitude) : null,
+    gpsLongitude: hasGps ? Number(file.gpsLongitude) : null,
+    // How far from the shop the photo was taken, when the camera recorded GPS
+    distanceFromShopM: hasGps && file.shop
+      ? Math.round(file.shop.distanceFrom(Number(file.gpsLatitude), Number(file.gpsLongitude)) * 1000)
+      : null,
+    capturedAt: file.capturedAt,
+    uploadedById: file.uploadedById,
+    createdAt: file.createdAt,
+    url: file.getContentPath(),
+    thumbnailUrl: file.getContentPath(true)
+  };
+};
+
+/**
+ * Load a file by ID and check the user may access its shop
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<File|null>} File, or null after a response was sent
+ */
+const findAccessibleFile = async (req, res) => {
+  const file = await getRepository(File).findOne({
+    where: { id: req.params.id },
+    relations: ['shop']
+  });
+
+  if (!file) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'File not found'
+    });
+    return null;
+  }
+
+  if (!(await canAccessShop(req.user, file.shop))) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'You do not have access to this file'
+    });
+    return null;
+  }
+
+  return file;
+};
+
+/**
+ * Upload an image for a shop, fridge or visit
+ * @route POST /api/files
+ */
+export const uploadFile = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Attach an image in the "file" field'
+      });
+    }
+
+    const { kind, shopId, fridgeId, visitId } = req.body;
+
+    const shop = await getRepository(Shop).findOne(shopId);
+
+    if (!shop) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Shop not found'
+      });
+    }
+
+    if (!(await canAccessShop(req.user, shop))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have access to this shop'
+      });
+    }
+
+    const file = await storeImage({
+      upload: req.file,
+      kind,
+      shop,
+      fridgeId: fridgeId ? Number(fridgeId) : null,
+      visitId: visitId ? Number(visitId) : null,
+      actor: req.user
+    });
+    file.shop = shop;
+
+    return res.status(201).json(formatFile(file));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List files the current user can see, filtered by shop, fridge, visit or kind
+ * @route GET /api/files
+ */
+export const getFiles = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { shopId, fridgeId, visitId, kind } = req.query;
+
+    const qb = getRepository(File)
+      .createQueryBuilder('file')
+      .innerJoinAndSelect('file.shop', 'shop')
+      .orderBy('file.createdAt', 'DESC');
+
+    if (shopId) {
+      qb.andWhere('file.shopId = :shopId', { shopId });
+    }
+
+    if (fridgeId) {
+      qb.andWhere('file.fridgeId = :fridgeId', { fridgeId });
+    }
+
+    if (visitId) {
+      qb.andWhere('file.visitId = :visitId', { visitId });
+    }
+
+    if (kind) {
+      qb.andWhere('file.kind = :kind', { kind });
+    }
+
+    await scopeShopQuery(qb, req.user);
+
+    const files = await qb.getMany();
+
+    return res.status(200).json(files.map(formatFile));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a file's details, including its EXIF GPS and capture time
+ * @route GET /api/files/:id
+ */
+export const getFileById = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const file = await findAccessibleFile(req, res);
+    if (!file) return;
+
+    return res.status(200).json(formatFile(file));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stream a file's image, or its thumbnail with ?variant=thumbnail
+ * @route GET /api/files/:id/content
+ */
+export const getFileContent = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const file = await findAccessibleFile(req, res);
+    if (!file) return;
+
+    const stream = await openFile(file, req.query.variant);
+
+    res.setHeader('Content-Type', file.contentType);
+    // Private: the response depends on who is asking
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    res.setHeader('Content-Disposition', 'inline');
+
+    await pipeline(stream, res);
+  } catch (error) {
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    next(error);
+  }
+};
+
+/**
+ * Delete a file and its stored image
+ * @route DELETE /api/files/:id
+ */
+export const removeFile = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const file = await findAccessibleFile(req, res);
+    if (!file) return;
+
+    await deleteFile(file);
+
+    return res.status(200).json({
+      message: 'File deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  uploadFile,
+  getFiles,
+  getFileById,
+  getFileContent,
+  removeFile
+};
@@ -0,0 +1,575 @@
+/**
+ * Fridge Controller for Snowfun Nepal application
+ *
+ * Handles fridge inventory CRUD, the status lifecycle and transfers between
+ * shops and dealer warehouses. Status changes go through the fridge status
+ * service so that every transition is validated and recorded in
+ * `fridge_status_events`; transfers go through the transfer service.
+ */
+
+import { getRepository, getManager } from 'typeorm';
+import { validationResult } from 'express-validator';
+import Fridge from '../models/Fridge.js';
+import FridgeModel from '../models/FridgeModel.js';
+import FridgeStatusEvent from '../models/FridgeStatusEvent.js';
+import FridgeDeposit from '../models/FridgeDeposit.js';
+import Shop from '../models/Shop.js';
+import Visit from '../models/Visit.js';
+import { scopeFridgeQuery, canAccessShop, canAccessFridge } from '../services/scope.service.js';
+import {
+  recordInitialStatus,
+  changeFridgeStatus,
+  summariseStatusDurations
+} from '../services/fridge-status.service.js';
+import { getFridgeBalances, recordDepositEntry } from '../services/deposit.service.js';
+import {
+  transferFridge as moveFridge,
+  getCustodyTimeline,
+  getDealerShopPeriods,
+  isWithinPeriods
+} from '../services/transfer.service.js';
+import { hasPermission, isDealerUser } from '../services/permission.service.js';
+import { findOpenTicket } from '../services/repair.service.js';
+import { createError } from '../middleware/errorHandler.js';
+
+/**
+ * Load a fridge by ID and check the user may access its shop, or its
+ * dealer while the fridge is in a warehouse
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Array<string>} relations - Additional relations to load
+ * @returns {Promise<Fridge|null>} Fridge, or null after a response was sent
+ */
+const findAccessibleFridge = async (req, res, relations = []) => {
+  const fridge = await getRepository(Fridge).findOne({
+    where: { id: req.params.id },
+    relations: ['shop', ...relations]
+  });
+
+  if (!fridge) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'Fridge not found'
+    });
+    return null;
+  }
+
+  if (!(await canAccessFridge(req.user, fridge))) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'You do not have access to this fridge'
+    });
+    return null;
+  }
+
+  return fridge;
+};
+
+/**
+ * List fridges visible to the current user, including fridges in the
+ * warehouses of dealers in their scope (not for dealer portal users). The
+ * dealer filter matches both a dealer's shops and its warehouse.
+ * @route GET /api/fridges
+ */
+export const getFridges = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { shopId, dealerId, status, modelId } = req.query;
+
+    const qb = getRepository(Fridge)
+      .createQueryBuilder('fridge')
+      .leftJoinAndSelect('fridge.shop', 'shop')
+      .leftJoinAndSelect('fridge.warehouseDealer', 'warehouseDealer')
+      .leftJoinAndSelect('fridge.model', 'model')
+      .leftJoinAndSelect('model.brand', 'brand')
+      .leftJoinAndSelect('model.type', 'type')
+      .orderBy('fridge.id', 'ASC');
+
+    if (shopId) {
+      qb.andWhere('fridge.shopId = :shopId', { shopId });
+    }
+
+    if (dealerId) {
+      qb.andWhere('(shop.dealerId = :dealerId OR fridge.warehouseDealerId = :dealerId)', { dealerId });
+    }
+
+    if (status) {
+      qb.andWhere('fridge.status = :status', { status });
+    }
+
+    if (modelId) {
+      qb.andWhere('fridge.modelId = :modelId', { modelId });
+    }
+
+    await scopeFridgeQuery(qb, req.user);
+
+    const fridges = await qb.getMany();
+
+    return res.status(200).json(fridges);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a single fridge with its model details
+ * @route GET /api/fridges/:id
+ */
+export const getFridgeById = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fridge = await findAccessibleFridge(req, res, ['warehouseDealer', 'model', 'model.brand', 'model.type']);
+    if (!fridge) return;
+
+    const balances = await getFridgeBalances([fridge]);
+
+    return res.status(200).json({
+      ...fridge,
+      description: fridge.getFullDescription(),
+      installationAgeDays: fridge.getInstallationAge(),
+      deposit: balances.get(fridge.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Register a new fridge at a shop
+ * @route POST /api/fridges
+ */
+export const createFridge = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { shopId, modelId, status, contractImgUrl, depositNpr, installedAt } = req.body;
+
+    const shop = await getRepository(Shop).findOne({ where: { id: shopId } });
+    if (!shop) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid shop specified'
+      });
+    }
+
+    if (!(await canAccessShop(req.user, shop))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have access to this shop'
+      });
+    }
+
+    const model = await getRepository(FridgeModel).findOne({ where: { id: modelId }, relations: ['brand', 'type'] });
+    if (!model || !model.isSelectable()) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: model ? 'Fridge model is no longer active' : 'Invalid fridge model specified'
+      });
+    }
+
+    const fridge = await getManager().transaction(async (manager) => {
+      const created = manager.create(Fridge, {
+        shopId,
+        modelId,
+        status: status || 'working',
+        contractImgUrl,
+        depositNpr,
+        installedAt
+      });
+
+      await manager.save(created);
+      await recordInitialStatus(manager, created, req.user);
+
+      return created;
+    });
+
+    return res.status(201).json({
+      message: 'Fridge created successfully',
+      fridge
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update fridge details (status changes use PATCH /:id/status)
+ * @route PUT /api/fridges/:id
+ */
+export const updateFridge = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fridge = await findAccessibleFridge(req, res);
+    if (!fridge) return;
+
+    // A retired model may stay on a fridge but cannot be newly chosen
+    if (req.body.modelId !== undefined && Number(req.body.modelId) !== fridge.modelId) {
+      const model = await getRepository(FridgeModel).findOne({ where: { id: req.body.modelId }, relations: ['brand', 'type'] });
+      if (!model || !model.isSelectable()) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: model ? 'Fridge model is no longer active' : 'Invalid fridge model specified'
+        });
+      }
+    }
+
+    ['modelId', 'contractImgUrl', 'depositNpr', 'installedAt'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        fridge[field] = req.body[field];
+      }
+    });
+
+    await getRepository(Fridge).save(fridge);
+
+    return res.status(200).json({
+      message: 'Fridge updated successfully',
+      fridge
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a fridge's status and record the transition
+ * @route PATCH /api/fridges/:id/status
+ */
+export const updateFridgeStatus = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fridge = await findAccessibleFridge(req, res);
+    if (!fridge) return;
+
+    const { status, reason, visitId } = req.body;
+
+    // A triggering visit must have been made to the shop holding this fridge
+    if (visitId) {
+      const visit = await getRepository(Visit).findOne({ where: { id: visitId } });
+      if (!visit || visit.shopId !== fridge.shopId) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Visit does not belong to this fridge\'s shop'
+        });
+      }
+    }
+
+    const event = await getManager().transaction(async (manager) => {
+      // An open repair ticket is closed through the repair workflow, which
+      // puts the fridge back to work itself
+      if (status === 'working') {
+        const ticket = await findOpenTicket(manager, fridge.id);
+        if (ticket) {
+          throw createError(`Close repair ticket #${ticket.id} to put this fridge back to work`, 409);
+        }
+      }
+
+      return changeFridgeStatus(manager, fridge, status, {
+        actor: req.user,
+        reason,
+        visitId
+      });
+    });
+
+    return res.status(200).json({
+      message: event ? 'Fridge status updated successfully' : 'Fridge status unchanged',
+      fridge,
+      event
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the status history of a fridge, with time spent per status. Dealer
+ * portal users only see events from while the fridge was at their shops,
+ * and time per status from its current stay.
+ * @route GET /api/fridges/:id/history
+ */
+export const getFridgeHistory = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fridge = await findAccessibleFridge(req, res);
+    if (!fridge) return;
+
+    const events = await getRepository(FridgeStatusEvent).find({
+      where: { fridgeId: fridge.id },
+      relations: ['actor'],
+      order: { createdAt: 'ASC', id: 'ASC' }
+    });
+
+    let visibleEvents = events;
+    let from = req.query.from ? new Date(req.query.from) : new Date(events[0]?.createdAt || Date.now());
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+
+    if (isDealerUser(req.user)) {
+      const periods = await getDealerShopPeriods(fridge, req.user.dealerId);
+      const stayStart = periods[periods.length - 1]?.start;
+
+      visibleEvents = events.filter(event => isWithinPeriods(periods, event.createdAt));
+      if (stayStart && stayStart > from) {
+        from = stayStart;
+      }
+    }
+
+    return res.status(200).json({
+      fridgeId: fridge.id,
+      currentStatus: fridge.status,
+      period: { from, to },
+      daysByStatus: summariseStatusDurations(events, from, to),
+      events: visibleEvents.map(event => ({
+        id: event.id,
+        fromStatus: event.fromStatus,
+        toStatus: event.toStatus,
+        reason: event.reason,
+        visitId: event.visitId,
+        actor: event.actor ? { id: event.actor.id, fullName: event.actor.fullName } : null,
+        createdAt: event.createdAt
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a fridge's deposit ledger, oldest first, with the running deposit held
+ * and the current balance. Dealer portal users only see entries recorded
+ * while the fridge was at their shops, and totals of those entries.
+ * @route GET /api/fridges/:id/deposits
+ */
+export const getFridgeDeposits = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fridge = await findAccessibleFridge(req, res);
+    if (!fridge) return;
+
+    const [deposits, balances] = await Promise.all([
+      getRepository(FridgeDeposit).find({
+        where: { fridgeId: fridge.id },
+        relations: ['collectedBy', 'recordedBy'],
+        order: { entryDate: 'ASC', id: 'ASC' }
+      }),
+      getFridgeBalances([fridge])
+    ]);
+
+    let entries = deposits;
+    let balance = balances.get(fridge.id);
+
+    if (isDealerUser(req.user)) {
+      const periods = await getDealerShopPeriods(fridge, req.user.dealerId);
+      const total = (entryType) => Math.round(entries
+        .filter(deposit => deposit.entryType === entryType)
+        .reduce((sum, deposit) => sum + Number(deposit.amountNpr), 0) * 100) / 100;
+
+      // Entries recorded before placements were kept are matched by time
+      entries = deposits.filter(deposit => (deposit.dealerId === null
+        ? isWithinPeriods(periods, deposit.createdAt)
+        : deposit.dealerId === req.user.dealerId && deposit.shopId !== null));
+      balance = {
+        ...balance,
+        paidNpr: total('payment'),
+        refundedNpr: total('refund'),
+        forfeitedNpr: total('forfeit')
+      };
+    }
+
+    let heldNpr = 0;
+
+    return res.status(200).json({
+      fridgeId: fridge.id,
+      balance,
+      entries: entries.map((deposit) => {
+        heldNpr = Math.round((heldNpr + deposit.getSignedAmount()) * 100) / 100;
+
+        return {
+          id: deposit.id,
+          entryType: deposit.entryType,
+          amountNpr: Number(deposit.amountNpr),
+          entryDate: deposit.entryDate,
+          receiptNumber: deposit.receiptNumber,
+          notes: deposit.notes,
+          heldNpr,
+          collectedBy: deposit.collectedBy
+            ? { id: deposit.collectedBy.id, fullName: deposit.collectedBy.fullName }
+            : null,
+          recordedBy: deposit.recordedBy
+            ? { id: deposit.recordedBy.id, fullName: deposit.recordedBy.fullName }
+            : null,
+          createdAt: deposit.createdAt
+        };
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record a deposit payment, refund or forfeit. Users without
+ * 'deposits:manage' may only record payments they collected themselves.
+ * @route POST /api/fridges/:id/deposits
+ */
+export const createFridgeDeposit = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fridge = await findAccessibleFridge(req, res);
+    if (!fridge) return;
+
+    const { entryType, amountNpr, entryDate, receiptNumber, collectedById, notes } = req.body;
+    const canManage = hasPermission(req.user, 'deposits:manage');
+
+    if (!canManage && entryType !== 'payment') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Recording refunds and forfeits needs the deposits:manage permission'
+      });
+    }
+
+    const result = await getManager().transaction(manager =>
+      recordDepositEntry(manager, fridge, {
+        entryType,
+        amountNpr,
+        entryDate,
+        receiptNumber,
+        collectedById: canManage ? collectedById : req.user.id,
+        notes
+      }, req.user)
+    );
+
+    return res.status(201).json({
+      message: 'Deposit entry recorded successfully',
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Move a fridge to another shop, with a new signed contract image, or into
+ * a dealer's warehouse
+ * @route POST /api/fridges/:id/transfers
+ */
+export const transferFridge = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fridge = await findAccessibleFridge(req, res);
+    if (!fridge) return;
+
+    const { toShopId, toDealerId, transferDate, psrId, notes } = req.body;
+
+    const transfer = await getManager().transaction(manager =>
+      moveFridge(manager, fridge, {
+        toShopId: toShopId ? Number(toShopId) : null,
+        toDealerId: toDealerId ? Number(toDealerId) : null,
+        transferDate,
+        psrId,
+        notes,
+        upload: req.file,
+        actor: req.user
+      })
+    );
+
+    return res.status(201).json({
+      message: 'Fridge transferred successfully',
+      transfer,
+      fridge
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the placement timeline of a fridge: where it was installed and every
+ * shop or warehouse it has been moved to since
+ * @route GET /api/fridges/:id/custody
+ */
+export const getFridgeCustody = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fridge = await findAccessibleFridge(req, res, ['shop.dealer', 'warehouseDealer']);
+    if (!fridge) return;
+
+    return res.status(200).json({
+      fridgeId: fridge.id,
+      installedAt: fridge.installedAt,
+      placements: await getCustodyTimeline(fridge)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a fridge and its history
+ * @route DELETE /api/fridges/:id
+ */
+export const deleteFridge = async (req, res, next) => {
+  try {
+    const fridge = await findAccessibleFridge(req, res);
+    if (!fridge) return;
+
+    await getRepository(Fridge).remove(fridge);
+
+    return res.status(200).json({
+      message: 'Fridge deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getFridges,
+  getFridgeById,
+  createFridge,
+  updateFridge,
+  updateFridgeStatus,
+  getFridgeHistory,
+  getFridgeDeposits,
+  createFridgeDeposit,
+  transferFridge,
+  getFridgeCustody,
+  deleteFridge
+};
@@ -0,0 +1,83 @@
+/**
+ * Geography Controller for Snowfun Nepal application
+ *
+ * Serves the Nepal province, district and municipality reference data used
+ * by location dropdowns, so clients never build them from dealer records.
+ */
+
+import { validationResult } from 'express-validator';
+import { listProvinces, listDistricts, findDistrict } from '../services/geo.service.js';
+
+/**
+ * List Nepal's provinces
+ * @route GET /api/geo/provinces
+ */
+export const getProvinces = async (req, res, next) => {
+  try {
+    return res.status(200).json(listProvinces());
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List districts, optionally within one province
+ * @route GET /api/geo/districts
+ */
+export const getDistricts = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const districts = listDistricts({ province: req.query.province });
+
+    if (!districts) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Province not found'
+      });
+    }
+
+    return res.status(200).json(districts);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the municipalities (local levels) of a district
+ * @route GET /api/geo/municipalities
+ */
+export const getMunicipalities = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const district = findDistrict(req.query.district);
+
+    if (!district) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'District not found'
+      });
+    }
+
+    return res.status(200).json({
+      province: district.province,
+      district: district.name,
+      municipalities: district.municipalities
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getProvinces,
+  getDistricts,
+  getMunicipalities
+};
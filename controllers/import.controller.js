@@ -0,0 +1,57 @@
+/**
+ * Import Controller for Snowfun Nepal application
+ *
+ * Handles bulk imports of dealers, shops and fridges from CSV or XLSX files.
+ * Imports are dry runs unless `dryRun=false` is sent, so admins can check a
+ * file's row-level errors before anything is created.
+ */
+
+import { validationResult } from 'express-validator';
+import { runImport } from '../services/import.service.js';
+
+/**
+ * Validate, and optionally import, an uploaded spreadsheet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const importRecords = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Attach a .csv or .xlsx file in the "file" field'
+      });
+    }
+
+    const dryRun = String(req.body.dryRun ?? req.query.dryRun ?? 'true') !== 'false';
+
+    const result = await runImport({
+      entity: req.params.entity,
+      file: req.file,
+      dryRun,
+      actor: req.user
+    });
+
+    if (!dryRun && !result.committed) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Nothing was imported: ${result.errors.length} error(s) in ${result.totalRows} row(s)`,
+        ...result
+      });
+    }
+
+    return res.status(result.committed ? 201 : 200).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  importRecords
+};
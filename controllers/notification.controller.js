@@ -0,0 +1,87 @@
+/**
+ * Notification Controller for Snowfun Nepal application
+ *
+ * Handles the current user's notification preferences. SMS visit reminders
+ * are sent by the visit reminder service to PSRs who opt in here.
+ */
+
+import { getRepository } from 'typeorm';
+import { validationResult } from 'express-validator';
+import User from '../models/User.js';
+
+/**
+ * Format a user's notification preferences
+ * @param {User} user - User entity
+ * @returns {Object} Preferences
+ */
+const formatPreferences = (user) => ({
+  smsEnabled: user.smsNotifications,
+  pushEnabled: false, // Push subscriptions are not stored server-side yet
+  hasPhone: Boolean(user.phone)
+});
+
+/**
+ * Get the current user's notification preferences
+ * @route GET /api/notifications/preferences
+ */
+export const getPreferences = async (req, res, next) => {
+  try {
+    const user = await getRepository(User).findOne({ where: { id: req.user.id } });
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'User not found'
+      });
+    }
+
+    return res.status(200).json(formatPreferences(user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update the current user's notification preferences
+ * @route POST /api/notifications/preferences
+ */
+export const updatePreferences = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userRepository = getRepository(User);
+    const user = await userRepository.findOne({ where: { id: req.user.id } });
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'User not found'
+      });
+    }
+
+    if (req.body.smsEnabled !== undefined) {
+      if (req.body.smsEnabled && !user.phone) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Link a phone number to your account before enabling SMS notifications.'
+        });
+      }
+
+      user.smsNotifications = req.body.smsEnabled;
+    }
+
+    await userRepository.save(user);
+
+    return res.status(200).json(formatPreferences(user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getPreferences,
+  updatePreferences
+};
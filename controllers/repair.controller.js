@@ -0,0 +1,386 @@
+/**
+ * Repair Controller for Snowfun Nepal application
+ *
+ * Handles fridge repair tickets: listing them for the shops a user can see,
+ * the admin queue grouped by district, raising tickets by hand and moving
+ * them through reported → assigned → in_progress → fixed | replaced.
+ * Tickets raised by visit inspections are opened in the visit controller.
+ */
+
+import { getRepository, getManager } from 'typeorm';
+import { validationResult } from 'express-validator';
+import RepairTicket from '../models/RepairTicket.js';
+import Fridge from '../models/Fridge.js';
+import { scopeShopQuery, canAccessFridge } from '../services/scope.service.js';
+import { changeFridgeStatus } from '../services/fridge-status.service.js';
+import { openRepairTicket, advanceRepairTicket } from '../services/repair.service.js';
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+
+/**
+ * Get the dealer responsible for a ticket's fridge: the dealer of its shop,
+ * or the dealer holding it in a warehouse
+ * @param {RepairTicket} ticket - Ticket (fridge.shop.dealer and fridge.warehouseDealer loaded)
+ * @returns {Dealer|null} Dealer
+ */
+const getTicketDealer = (ticket) => ticket.fridge?.shop?.dealer || ticket.fridge?.warehouseDealer || null;
+
+/**
+ * Convert a ticket into the shape expected by the web client
+ * @param {RepairTicket} ticket - Ticket (fridge.shop.dealer, fridge.warehouseDealer and fridge.model.brand optional)
+ * @param {Date} now - Reference time for the SLA timers
+ * @returns {Object} Serialised ticket
+ */
+const formatTicket = (ticket, now = new Date()) => {
+  const shop = ticket.fridge?.shop;
+  const dealer = getTicketDealer(ticket);
+  const model = ticket.fridge?.model;
+  const endedAt = ticket.closedAt ? new Date(ticket.closedAt) : now;
+
+  return {
+    id: ticket.id,
+    fridgeId: ticket.fridgeId,
+    status: ticket.status,
+    description: ticket.description,
+    visitId: ticket.visitId,
+    reportedById: ticket.reportedById,
+    technicianName: ticket.technicianName,
+    technicianPhone: ticket.technicianPhone,
+    costNpr: ticket.costNpr !== null && ticket.costNpr !== undefined ? Number(ticket.costNpr) : null,
+    partsNotes: ticket.partsNotes,
+    assignedAt: ticket.assignedAt,
+    startedAt: ticket.startedAt,
+    closedAt: ticket.closedAt,
+    createdAt: ticket.createdAt,
+    sla: {
+      assignDueAt: ticket.assignDueAt,
+      resolveDueAt: ticket.resolveDueAt,
+      ...ticket.getSlaStatus(now),
+      // Hours since reporting, up to closing for closed tickets
+      hoursOpen: Number(((endedAt - new Date(ticket.createdAt)) / MS_PER_HOUR).toFixed(1))
+    },
+    fridge: ticket.fridge?.model ? {
+      id: ticket.fridge.id,
+      status: ticket.fridge.status,
+      model: model.brand ? `${model.brand.brandName} ${model.modelName}` : model.modelName
+    } : undefined,
+    shop: shop ? {
+      id: shop.id,
+      name: shop.name,
+      contactName: shop.contactName,
+      contactPhone: shop.contactPhone
+    } : undefined,
+    dealer: dealer ? {
+      id: dealer.id,
+      name: dealer.name,
+      district: dealer.district
+    } : undefined
+  };
+};
+
+/**
+ * Build a ticket query joined to the fridge, model, shop and dealer. A fridge
+ * in a warehouse has no shop; its dealer is joined as 'warehouseDealer'.
+ * @returns {SelectQueryBuilder} Query builder (alias 'repair')
+ */
+const buildTicketQuery = () =>
+  getRepository(RepairTicket)
+    .createQueryBuilder('repair')
+    .innerJoinAndSelect('repair.fridge', 'fridge')
+    .leftJoinAndSelect('fridge.shop', 'shop')
+    .leftJoinAndSelect('shop.dealer', 'dealer')
+    .leftJoinAndSelect('fridge.warehouseDealer', 'warehouseDealer')
+    .leftJoinAndSelect('fridge.model', 'model')
+    .leftJoinAndSelect('model.brand', 'brand');
+
+/**
+ * Load a ticket by ID and check the user may access its fridge
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<RepairTicket|null>} Ticket, or null after a response was sent
+ */
+const findAccessibleTicket = async (req, res) => {
+  const ticket = await buildTicketQuery()
+    .where('repair.id = :id', { id: req.params.id })
+    .getOne();
+
+  if (!ticket) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'Repair ticket not found'
+    });
+    return null;
+  }
+
+  if (!(await canAccessFridge(req.user, ticket.fridge))) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'You do not have access to this repair ticket'
+    });
+    return null;
+  }
+
+  return ticket;
+};
+
+/**
+ * List repair tickets for the shops the user can see, newest first
+ * @route GET /api/repairs
+ */
+export const getRepairs = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, open, district, dealerId, shopId, fridgeId } = req.query;
+
+    const qb = buildTicketQuery().orderBy('repair.createdAt', 'DESC');
+
+    if (status) {
+      qb.andWhere('repair.status = :status', { status });
+    } else if (open !== undefined) {
+      qb.andWhere(`repair.status ${open === 'true' ? 'IN' : 'NOT IN'} (:...openStatuses)`, {
+        openStatuses: RepairTicket.OPEN_STATUS_VALUES
+      });
+    }
+
+    if (district) {
+      qb.andWhere('COALESCE(dealer.district, warehouseDealer.district) = :district', { district });
+    }
+
+    if (dealerId) {
+      qb.andWhere('COALESCE(dealer.id, warehouseDealer.id) = :dealerId', { dealerId });
+    }
+
+    if (shopId) {
+      qb.andWhere('shop.id = :shopId', { shopId });
+    }
+
+    if (fridgeId) {
+      qb.andWhere('repair.fridgeId = :fridgeId', { fridgeId });
+    }
+
+    await scopeShopQuery(qb, req.user);
+
+    const tickets = await qb.getMany();
+    const now = new Date();
+
+    return res.status(200).json(tickets.map(ticket => formatTicket(ticket, now)));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the open tickets of the shops the user can see, grouped by district.
+ * Districts with the most SLA breaches come first; within a district tickets
+ * are ordered by resolve due time. Technicians see the queue of their data
+ * scope ('data:all' or a 'data:territory'), like every other repair list.
+ * @route GET /api/repairs/queue
+ */
+export const getRepairQueue = async (req, res, next) => {
+  try {
+    const qb = buildTicketQuery()
+      .where('repair.status IN (:...openStatuses)', { openStatuses: RepairTicket.OPEN_STATUS_VALUES })
+      .orderBy('repair.resolveDueAt', 'ASC')
+      .addOrderBy('repair.id', 'ASC');
+
+    await scopeShopQuery(qb, req.user);
+
+    const tickets = await qb.getMany();
+
+    const now = new Date();
+    const groups = new Map();
+
+    tickets.forEach((ticket) => {
+      const { district } = getTicketDealer(ticket);
+
+      if (!groups.has(district)) {
+        groups.set(district, {
+          district,
+          openCount: 0,
+          breachedCount: 0,
+          byStatus: RepairTicket.OPEN_STATUS_VALUES.reduce((acc, value) => ({ ...acc, [value]: 0 }), {}),
+          tickets: []
+        });
+      }
+
+      const group = groups.get(district);
+      const formatted = formatTicket(ticket, now);
+
+      group.openCount += 1;
+      group.byStatus[ticket.status] += 1;
+      if (formatted.sla.assignBreached || formatted.sla.resolveBreached) {
+        group.breachedCount += 1;
+      }
+      group.tickets.push(formatted);
+    });
+
+    const queue = [...groups.values()].sort((a, b) =>
+      b.breachedCount - a.breachedCount || b.openCount - a.openCount || a.district.localeCompare(b.district)
+    );
+
+    return res.status(200).json(queue);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a single repair ticket
+ * @route GET /api/repairs/:id
+ */
+export const getRepairById = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ticket = await findAccessibleTicket(req, res);
+    if (!ticket) return;
+
+    return res.status(200).json(formatTicket(ticket));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Report a fridge for repair. A working fridge is moved to 'repair'; if the
+ * fridge already has an open ticket, that ticket is returned instead.
+ * @route POST /api/repairs
+ */
+export const createRepair = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fridge = await getRepository(Fridge).findOne({
+      where: { id: req.body.fridgeId },
+      relations: ['shop']
+    });
+
+    if (!fridge) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid fridge specified'
+      });
+    }
+
+    if (!(await canAccessFridge(req.user, fridge))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have access to this fridge'
+      });
+    }
+
+    if (fridge.isMissing()) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'A missing fridge must be recovered before it can be repaired'
+      });
+    }
+
+    const { ticket, created } = await getManager().transaction(async (manager) => {
+      if (fridge.isWorking()) {
+        await changeFridgeStatus(manager, fridge, 'repair', {
+          actor: req.user,
+          reason: req.body.description || 'Reported for repair'
+        });
+      }
+
+      return openRepairTicket(manager, fridge, {
+        description: req.body.description,
+        actor: req.user
+      });
+    });
+
+    return res.status(created ? 201 : 200).json({
+      message: created ? 'Repair ticket created successfully' : 'Fridge already has an open repair ticket',
+      ticket: formatTicket(ticket)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Move a ticket to its next status
+ * @route PATCH /api/repairs/:id/status
+ */
+export const updateRepairStatus = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ticket = await findAccessibleTicket(req, res);
+    if (!ticket) return;
+
+    const { status, technicianName, technicianPhone, costNpr, partsNotes } = req.body;
+
+    const updated = await getManager().transaction(manager =>
+      advanceRepairTicket(manager, ticket, status, {
+        technicianName,
+        technicianPhone,
+        costNpr,
+        partsNotes,
+        actor: req.user
+      })
+    );
+
+    return res.status(200).json({
+      message: 'Repair ticket updated successfully',
+      ticket: formatTicket(updated)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a ticket's description, technician, cost or parts notes (the status
+ * is changed with PATCH /:id/status)
+ * @route PUT /api/repairs/:id
+ */
+export const updateRepair = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ticket = await findAccessibleTicket(req, res);
+    if (!ticket) return;
+
+    ['description', 'technicianName', 'technicianPhone', 'costNpr', 'partsNotes'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        ticket[field] = req.body[field];
+      }
+    });
+
+    await getRepository(RepairTicket).save(ticket);
+
+    return res.status(200).json({
+      message: 'Repair ticket updated successfully',
+      ticket: formatTicket(ticket)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getRepairs,
+  getRepairQueue,
+  getRepairById,
+  createRepair,
+  updateRepairStatus,
+  updateRepair
+};
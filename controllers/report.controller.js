@@ -0,0 +1,199 @@
+/**
+ * Report Controller for Snowfun Nepal application
+ *
+ * Serves the admin dashboard summary, read from the nightly `daily_stats`
+ * snapshot, lets admins rebuild a day's snapshot on demand, and streams the
+ * CSV/PDF report exports.
+ */
+
+import { getRepository } from 'typeorm';
+import { validationResult } from 'express-validator';
+import Dealer from '../models/Dealer.js';
+import User from '../models/User.js';
+import Fridge from '../models/Fridge.js';
+import Visit from '../models/Visit.js';
+import { getDashboardSummary as buildDashboardSummary, refreshDailyStats } from '../services/daily-stats.service.js';
+import { REPORTS } from '../services/report.service.js';
+import { streamCsv, streamPdf } from '../services/export.service.js';
+import { findDistrict } from '../services/geo.service.js';
+import { getDealerScope } from '../services/scope.service.js';
+import { today, toDateString, addDays } from '../utils/date.js';
+
+// Days covered by the visit trend when no date range is given
+const DEFAULT_RANGE_DAYS = 7;
+
+// Days covered by date-range exports when no range is given
+const DEFAULT_EXPORT_DAYS = 30;
+
+// Status filter values accepted by each export
+const EXPORT_STATUS_VALUES = {
+  'visit-logs': Visit.STATUS_VALUES,
+  'fridge-inventory': Fridge.STATUS_VALUES,
+  'psr-performance': [],
+  'fridge-issues': ['repair', 'missing'],
+  'deposits-monthly': []
+};
+
+/**
+ * Resolve a district query value to its canonical name
+ * @param {string} value - District from the query string
+ * @returns {string|null} District name, or null for no filter ('All' or empty)
+ */
+const readDistrict = (value) => {
+  if (!value || value === 'All') {
+    return null;
+  }
+
+  const districtEntry = findDistrict(value);
+  return districtEntry ? districtEntry.name : value;
+};
+
+/**
+ * Get the admin dashboard summary, optionally for one district or dealer.
+ * Totals are as of the latest snapshot on or before ?to; the visit trend
+ * covers ?from..?to (default the last 7 days).
+ * @route GET /api/reports/dashboard-summary
+ */
+export const getDashboardSummary = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const to = req.query.to ? toDateString(req.query.to) : today();
+    const from = req.query.from ? toDateString(req.query.from) : addDays(to, -(DEFAULT_RANGE_DAYS - 1));
+
+    if (from > to) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'from must not be after to'
+      });
+    }
+
+    const summary = await buildDashboardSummary(req.user, {
+      // The dashboard's district dropdown sends 'All' for no filter
+      district: readDistrict(req.query.district),
+      dealerId: req.query.dealerId ? Number(req.query.dealerId) : null,
+      from,
+      to
+    });
+
+    return res.status(200).json(summary);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rebuild the daily stats snapshot for a day (default yesterday). Earlier
+ * days only have their visit counts recounted.
+ * @route POST /api/reports/daily-stats/refresh
+ */
+export const refreshStats = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await refreshDailyStats(req.body.date ? toDateString(req.body.date) : undefined);
+
+    return res.status(200).json({
+      message: 'Daily stats refreshed successfully',
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stream a report as CSV or PDF. Filters: district, dealerId, status, and for
+ * visit logs, PSR performance and deposits from/to (default the last 30 days)
+ * and psrId.
+ * @route GET /api/reports/:report.:format
+ */
+export const exportReport = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { report: reportName, format } = req.params;
+    const report = REPORTS[reportName];
+    const { status, psrId } = req.query;
+
+    if (status && !EXPORT_STATUS_VALUES[reportName].includes(status)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Status for this report must be one of: ${EXPORT_STATUS_VALUES[reportName].join(', ') || 'none'}`
+      });
+    }
+
+    const filters = {
+      district: readDistrict(req.query.district),
+      dealerId: req.query.dealerId ? Number(req.query.dealerId) : null,
+      status: status || null,
+      // PSR filters apply to the date-range reports only
+      psrId: report.dateRange && psrId ? psrId : null,
+      // Supervisors export their territory only
+      dealerIds: await getDealerScope(req.user)
+    };
+
+    if (report.dateRange) {
+      filters.to = req.query.to ? toDateString(req.query.to) : today();
+      filters.from = req.query.from ? toDateString(req.query.from) : addDays(filters.to, -(DEFAULT_EXPORT_DAYS - 1));
+
+      if (filters.from > filters.to) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'from must not be after to'
+        });
+      }
+    }
+
+    // Readable filter names for the PDF header
+    const [dealer, psr] = await Promise.all([
+      filters.dealerId ? getRepository(Dealer).findOne({ where: { id: filters.dealerId } }) : null,
+      filters.psrId ? getRepository(User).findOne({ where: { id: filters.psrId } }) : null
+    ]);
+
+    const options = {
+      filename: `snowfun-${reportName}-${today()}.${format}`,
+      title: report.title,
+      filters: {
+        District: filters.district,
+        Dealer: dealer ? dealer.name : filters.dealerId,
+        PSR: psr ? psr.fullName : filters.psrId,
+        Status: filters.status,
+        From: filters.from,
+        To: filters.to
+      },
+      columns: report.columns,
+      rows: report.rows(filters)
+    };
+
+    if (format === 'pdf') {
+      await streamPdf(res, options);
+    } else {
+      await streamCsv(res, options);
+    }
+  } catch (error) {
+    // Once streaming has started the status can no longer change; cut the
+    // download short so the client does not keep a truncated file as complete
+    if (res.headersSent) {
+      console.error(`[ERROR] ${req.method} ${req.originalUrl}:`, error);
+      res.destroy(error);
+      return;
+    }
+    next(error);
+  }
+};
+
+export default {
+  getDashboardSummary,
+  refreshStats,
+  exportReport
+};
@@ -0,0 +1,305 @@
+/**
+ * Role Controller for Snowfun Nepal application
+ *
+ * Lets admins compose roles from permissions: listing roles with their
+ * permissions and member counts, creating roles, changing a role's name or
+ * permissions, and deleting unused roles. The built-in admin and PSR roles
+ * keep their names; admin always holds every permission.
+ */
+
+import { getRepository, In } from 'typeorm';
+import { validationResult } from 'express-validator';
+import Role from '../models/Role.js';
+import Permission from '../models/Permission.js';
+import User from '../models/User.js';
+import { PERMISSIONS, hasPermission } from '../services/permission.service.js';
+
+/**
+ * Convert a role into the shape expected by the web client
+ * @param {Role} role - Role (permissions relation loaded)
+ * @param {number} userCount - Users holding the role
+ * @returns {Object} Serialised role
+ */
+const formatRole = (role, userCount = 0) => ({
+  id: role.id,
+  roleName: role.roleName,
+  isBuiltIn: role.isBuiltIn(),
+  // Admin is a superuser, so report the full list rather than the mapping
+  permissions: role.isAdmin()
+    ? Object.keys(PERMISSIONS)
+    : (role.permissions || []).map(permission => permission.key).sort(),
+  userCount
+});
+
+/**
+ * Count users per role
+ * @returns {Promise<Map<number, number>>} roleId → user count
+ */
+const countUsersByRole = async () => {
+  const rows = await getRepository(User)
+    .createQueryBuilder('user')
+    .select('user.roleId', 'roleId')
+    .addSelect('COUNT(*)', 'count')
+    .groupBy('user.roleId')
+    .getRawMany();
+
+  return new Map(rows.map(row => [Number(row.roleId), Number(row.count)]));
+};
+
+/**
+ * Resolve requested permission keys to rows. A user may only grant
+ * permissions they hold themselves.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string[]} keys - Permission keys
+ * @returns {Promise<Permission[]|null>} Permissions, or null after a 400/403 was sent
+ */
+const findGrantablePermissions = async (req, res, keys) => {
+  const unknown = keys.filter(key => !PERMISSIONS[key]);
+  if (unknown.length > 0) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: `Unknown permission(s): ${unknown.join(', ')}`
+    });
+    return null;
+  }
+
+  const withheld = keys.filter(key => !hasPermission(req.user, key));
+  if (withheld.length > 0) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: `You cannot grant permissions you do not hold: ${withheld.join(', ')}`
+    });
+    return null;
+  }
+
+  if (keys.length === 0) {
+    return [];
+  }
+
+  return getRepository(Permission).find({ where: { key: In(keys) } });
+};
+
+/**
+ * Find another role with the same name, ignoring case
+ * @param {string} roleName - Name to look for
+ * @param {number|null} excludeId - Role to ignore (when renaming)
+ * @returns {Promise<Role|undefined>} Conflicting role
+ */
+const findSameName = (roleName, excludeId = null) => {
+  const qb = getRepository(Role)
+    .createQueryBuilder('role')
+    .where('LOWER(role.roleName) = LOWER(:roleName)', { roleName });
+
+  if (excludeId) {
+    qb.andWhere('role.id != :excludeId', { excludeId });
+  }
+
+  return qb.getOne();
+};
+
+/**
+ * Load a role by the :id parameter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Role|null>} Role, or null after a 404 was sent
+ */
+const findRole = async (req, res) => {
+  const role = await getRepository(Role).findOne({
+    where: { id: req.params.id },
+    relations: ['permissions']
+  });
+
+  if (!role) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'Role not found'
+    });
+    return null;
+  }
+
+  return role;
+};
+
+/**
+ * List roles with their permissions and user counts
+ * @route GET /api/roles
+ */
+export const getRoles = async (req, res, next) => {
+  try {
+    const [roles, userCounts] = await Promise.all([
+      getRepository(Role).find({ relations: ['permissions'], order: { id: 'ASC' } }),
+      countUsersByRole()
+    ]);
+
+    return res.status(200).json(roles.map(role => formatRole(role, userCounts.get(role.id) || 0)));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the permissions that can be granted
+ * @route GET /api/roles/permissions
+ */
+export const getPermissions = async (req, res, next) => {
+  try {
+    return res.status(200).json(
+      Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }))
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a role with a set of permissions
+ * @route POST /api/roles
+ */
+export const createRole = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { roleName, permissions: keys = [] } = req.body;
+
+    if (await findSameName(roleName)) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `A role named "${roleName}" already exists`
+      });
+    }
+
+    const permissions = await findGrantablePermissions(req, res, keys);
+    if (!permissions) return;
+
+    const roleRepository = getRepository(Role);
+    const role = await roleRepository.save(roleRepository.create({ roleName, permissions }));
+
+    return res.status(201).json({
+      message: 'Role created successfully',
+      role: formatRole(role)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rename a role or replace its permissions. Built-in roles cannot be
+ * renamed, and the admin role's permissions are fixed.
+ * @route PUT /api/roles/:id
+ */
+export const updateRole = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const role = await findRole(req, res);
+    if (!role) return;
+
+    const { roleName, permissions: keys } = req.body;
+
+    if (roleName !== undefined && roleName !== role.roleName) {
+      if (role.isBuiltIn()) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Built-in roles cannot be renamed'
+        });
+      }
+
+      if (await findSameName(roleName, role.id)) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `A role named "${roleName}" already exists`
+        });
+      }
+
+      role.roleName = roleName;
+    }
+
+    if (keys !== undefined) {
+      if (role.isAdmin()) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'The admin role always holds every permission'
+        });
+      }
+
+      // Only the permissions being added or removed need to be held
+      const current = role.permissions.map(permission => permission.key);
+      const changed = [
+        ...keys.filter(key => !current.includes(key)),
+        ...current.filter(key => !keys.includes(key))
+      ];
+
+      if (!(await findGrantablePermissions(req, res, changed))) return;
+
+      role.permissions = keys.length > 0
+        ? await getRepository(Permission).find({ where: { key: In(keys) } })
+        : [];
+    }
+
+    await getRepository(Role).save(role);
+
+    const userCounts = await countUsersByRole();
+
+    return res.status(200).json({
+      message: 'Role updated successfully',
+      role: formatRole(role, userCounts.get(role.id) || 0)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a custom role that no user holds
+ * @route DELETE /api/roles/:id
+ */
+export const deleteRole = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const role = await findRole(req, res);
+    if (!role) return;
+
+    if (role.isBuiltIn()) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const userCount = await getRepository(User).count({ where: { roleId: role.id } });
+    if (userCount > 0) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Cannot delete a role held by ${userCount} user(s). Move them to another role first.`
+      });
+    }
+
+    await getRepository(Role).remove(role);
+
+    return res.status(200).json({
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getRoles,
+  getPermissions,
+  createRole,
+  updateRole,
+  deleteRole
+};
@@ -0,0 +1,168 @@
+/**
+ * Route Plan Controller for Snowfun Nepal application
+ *
+ * Serves a PSR's ordered daily visit route (the /psr/schedule page and the
+ * dashboard's "stop N of M" progress) and lets admins pin or unpin routes.
+ */
+
+import { getManager, getRepository } from 'typeorm';
+import { validationResult } from 'express-validator';
+import RoutePlan from '../models/RoutePlan.js';
+import { getDailyRoute, pinRoute } from '../services/route-planner.service.js';
+import { findPsr } from '../services/assignment.service.js';
+import { canAccessPsr } from '../services/scope.service.js';
+import { hasPermission } from '../services/permission.service.js';
+import { today } from '../utils/date.js';
+
+/**
+ * Read an optional start location from query or body fields
+ * @param {Object} source - req.query or req.body
+ * @param {string} latKey - Latitude field name
+ * @param {string} lngKey - Longitude field name
+ * @returns {Object|null} { latitude, longitude }
+ */
+const readStart = (source, latKey, lngKey) => {
+  if (source[latKey] === undefined || source[lngKey] === undefined) {
+    return null;
+  }
+
+  return {
+    latitude: parseFloat(source[latKey]),
+    longitude: parseFloat(source[lngKey])
+  };
+};
+
+/**
+ * Get the daily route for the current PSR, or for ?psrId when called by a
+ * user who oversees PSRs ('data:all' or 'data:territory')
+ * @route GET /api/route-plans/daily
+ */
+export const getDailyRoutePlan = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let psrId = req.user.id;
+
+    if (hasPermission(req.user, 'data:all') || hasPermission(req.user, 'data:territory')) {
+      if (!req.query.psrId) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'psrId is required'
+        });
+      }
+      psrId = req.query.psrId;
+      await findPsr(getManager(), psrId);
+
+      if (!(await canAccessPsr(req.user, psrId))) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'This PSR does not work in your territory'
+        });
+      }
+    }
+
+    const route = await getDailyRoute({
+      psrId,
+      date: req.query.date || today(),
+      start: readStart(req.query, 'lat', 'lng'),
+      maxStops: req.query.maxStops ? parseInt(req.query.maxStops, 10) : undefined
+    });
+
+    return res.status(200).json(route);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pin a PSR's route for a day. Without shopIds the route is planned from the
+ * start location; with shopIds the given order is kept.
+ * @route POST /api/route-plans
+ */
+export const createRoutePlan = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { psrId, shopIds, maxStops } = req.body;
+    const date = req.body.date || today();
+
+    if (!(await canAccessPsr(req.user, psrId))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'This PSR does not work in your territory'
+      });
+    }
+
+    await getManager().transaction(async (manager) => {
+      await findPsr(manager, psrId);
+
+      return pinRoute(manager, {
+        psrId,
+        date,
+        start: readStart(req.body, 'startLatitude', 'startLongitude'),
+        maxStops,
+        shopIds: shopIds ? shopIds.map(Number) : null,
+        actor: req.user
+      });
+    });
+
+    const route = await getDailyRoute({ psrId, date });
+
+    return res.status(201).json({
+      message: 'Route pinned successfully',
+      route
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unpin a route so the PSR's route is planned automatically again
+ * @route DELETE /api/route-plans/:id
+ */
+export const deleteRoutePlan = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const planRepository = getRepository(RoutePlan);
+    const plan = await planRepository.findOne({ where: { id: req.params.id } });
+
+    if (!plan) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Route plan not found'
+      });
+    }
+
+    if (!(await canAccessPsr(req.user, plan.psrId))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'This PSR does not work in your territory'
+      });
+    }
+
+    await planRepository.remove(plan);
+
+    return res.status(200).json({
+      message: 'Route unpinned successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getDailyRoutePlan,
+  createRoutePlan,
+  deleteRoutePlan
+};
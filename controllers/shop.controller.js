@@ -0,0 +1,411 @@
+/**
+ * Shop Controller for Snowfun Nepal application
+ *
+ * Handles shop CRUD, the PSR's assigned-shop list used by the dashboard map,
+ * and radius searches around a coordinate. Every query is restricted to the
+ * dealers the authenticated user is allowed to see.
+ */
+
+import { getRepository } from 'typeorm';
+import { validationResult } from 'express-validator';
+import Shop from '../models/Shop.js';
+import Dealer from '../models/Dealer.js';
+import Visit from '../models/Visit.js';
+import { scopeShopQuery, canAccessShop, canAccessDealer } from '../services/scope.service.js';
+import { getVisitSchedule } from '../services/visit-frequency.service.js';
+import { today } from '../utils/date.js';
+
+// Kilometres per degree of latitude, used for the bounding-box prefilter
+const KM_PER_DEGREE = 111.32;
+
+/**
+ * Convert a shop entity into the shape expected by the web client
+ * @param {Shop} shop - Shop entity (fridges relation optional)
+ * @param {Object} extras - Additional computed fields to merge in
+ * @returns {Object} Serialised shop
+ */
+const formatShop = (shop, extras = {}) => {
+  const fridgeCounts = shop.getFridgeStatusCounts();
+
+  return {
+    id: shop.id,
+    dealerId: shop.dealerId,
+    name: shop.name,
+    addressText: shop.addressText,
+    latitude: Number(shop.latitude),
+    longitude: Number(shop.longitude),
+    contactName: shop.contactName,
+    contactPhone: shop.contactPhone,
+    fridgeCount: fridgeCounts.total,
+    workingFridges: fridgeCounts.working,
+    createdAt: shop.createdAt,
+    ...extras
+  };
+};
+
+/**
+ * Work out the map marker flags for a list of shops
+ *
+ * - visitedToday: the shop has a 'visited' record today
+ * - overdue: the shop is past the due date set by its visit frequency policy
+ * - needsAttention: the shop is overdue, or a visit to it was flagged for
+ *   admin review (e.g. recorded outside the geofence) and not yet reviewed
+ *
+ * @param {Shop[]} shops - Shops to check (id, dealerId and createdAt loaded)
+ * @returns {Promise<Function>} Lookup (shopId) => { visitedToday, overdue, needsAttention, nextVisitDue }
+ */
+const getVisitFlags = async (shops) => {
+  if (shops.length === 0) {
+    return () => ({ visitedToday: false, overdue: false, needsAttention: false, nextVisitDue: null });
+  }
+
+  const shopIds = shops.map(shop => shop.id);
+  const visitRepository = getRepository(Visit);
+
+  const [visitedRows, flaggedRows, schedule] = await Promise.all([
+    visitRepository
+      .createQueryBuilder('visit')
+      .select('DISTINCT visit.shopId', 'shopId')
+      .where('visit.shopId IN (:...shopIds)', { shopIds })
+      .andWhere('visit.visitDate = :date', { date: today() })
+      .andWhere('visit.status = :status', { status: 'visited' })
+      .getRawMany(),
+    visitRepository
+      .createQueryBuilder('visit')
+      .select('DISTINCT visit.shopId', 'shopId')
+      .where('visit.shopId IN (:...shopIds)', { shopIds })
+      .andWhere('visit.needsReview = true')
+      .andWhere('visit.reviewedAt IS NULL')
+      .getRawMany(),
+    getVisitSchedule(shops)
+  ]);
+
+  const visitedIds = new Set(visitedRows.map(row => Number(row.shopId)));
+  const flaggedIds = new Set(flaggedRows.map(row => Number(row.shopId)));
+
+  return (shopId) => {
+    const { overdue = false, dueDate = null } = schedule.get(shopId) || {};
+
+    return {
+      visitedToday: visitedIds.has(shopId),
+      overdue,
+      needsAttention: overdue || flaggedIds.has(shopId),
+      nextVisitDue: dueDate
+    };
+  };
+};
+
+/**
+ * Load a shop by ID and check the user may access it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Array<string>} relations - Relations to load
+ * @returns {Promise<Shop|null>} Shop, or null after a response was sent
+ */
+const findAccessibleShop = async (req, res, relations = []) => {
+  const shop = await getRepository(Shop).findOne({
+    where: { id: req.params.id },
+    relations
+  });
+
+  if (!shop) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'Shop not found'
+    });
+    return null;
+  }
+
+  if (!(await canAccessShop(req.user, shop))) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'You do not have access to this shop'
+    });
+    return null;
+  }
+
+  return shop;
+};
+
+/**
+ * List shops visible to the current user
+ * @route GET /api/shops
+ */
+export const getShops = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { dealerId, district, search } = req.query;
+
+    const qb = getRepository(Shop)
+      .createQueryBuilder('shop')
+      .leftJoinAndSelect('shop.fridges', 'fridge')
+      .leftJoin('shop.dealer', 'dealer')
+      .orderBy('shop.name', 'ASC');
+
+    if (dealerId) {
+      qb.andWhere('shop.dealerId = :dealerId', { dealerId });
+    }
+
+    if (district) {
+      qb.andWhere('dealer.district = :district', { district });
+    }
+
+    if (search) {
+      qb.andWhere('(shop.name ILIKE :search OR shop.addressText ILIKE :search)', {
+        search: `%${search}%`
+      });
+    }
+
+    await scopeShopQuery(qb, req.user);
+
+    const shops = await qb.getMany();
+    const flagsFor = await getVisitFlags(shops);
+
+    return res.status(200).json(
+      shops.map(shop => formatShop(shop, flagsFor(shop.id)))
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the shops assigned to the current PSR (for the dashboard map)
+ * @route GET /api/shops/assigned
+ */
+export const getAssignedShops = async (req, res, next) => {
+  try {
+    const qb = getRepository(Shop)
+      .createQueryBuilder('shop')
+      .leftJoinAndSelect('shop.fridges', 'fridge')
+      .orderBy('shop.name', 'ASC');
+
+    await scopeShopQuery(qb, req.user);
+
+    const shops = await qb.getMany();
+    const flagsFor = await getVisitFlags(shops);
+
+    return res.status(200).json(
+      shops.map(shop => formatShop(shop, flagsFor(shop.id)))
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Find shops within a radius of a coordinate, nearest first
+ * @route GET /api/shops/near
+ */
+export const getShopsNear = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    const radius = parseFloat(req.query.radius || '5');
+
+    // Cheap bounding-box prefilter so the index on latitude/longitude is used;
+    // the exact great-circle distance is computed below with Shop.distanceFrom()
+    const latDelta = radius / KM_PER_DEGREE;
+    const lngDelta = radius / (KM_PER_DEGREE * Math.cos(lat * (Math.PI / 180)));
+
+    const qb = getRepository(Shop)
+      .createQueryBuilder('shop')
+      .leftJoinAndSelect('shop.fridges', 'fridge')
+      .where('shop.latitude BETWEEN :minLat AND :maxLat', {
+        minLat: lat - latDelta,
+        maxLat: lat + latDelta
+      })
+      .andWhere('shop.longitude BETWEEN :minLng AND :maxLng', {
+        minLng: lng - lngDelta,
+        maxLng: lng + lngDelta
+      });
+
+    await scopeShopQuery(qb, req.user);
+
+    const shops = await qb.getMany();
+
+    const nearby = shops
+      .map(shop => ({ shop, distanceKm: shop.distanceFrom(lat, lng) }))
+      .filter(({ distanceKm }) => distanceKm <= radius)
+      .sort((a, b) => a.distanceKm - b.distanceKm);
+
+    const flagsFor = await getVisitFlags(nearby.map(({ shop }) => shop));
+
+    return res.status(200).json(
+      nearby.map(({ shop, distanceKm }) => formatShop(shop, {
+        distanceKm: Number(distanceKm.toFixed(3)),
+        ...flagsFor(shop.id)
+      }))
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a single shop with its fridges and latest visit
+ * @route GET /api/shops/:id
+ */
+export const getShopById = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const shop = await findAccessibleShop(req, res, ['fridges', 'fridges.model', 'visits']);
+    if (!shop) return;
+
+    const latestVisit = await shop.getLatestVisit();
+    const flagsFor = await getVisitFlags([shop]);
+
+    return res.status(200).json(formatShop(shop, {
+      ...flagsFor(shop.id),
+      fridges: shop.fridges,
+      latestVisit
+    }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a new shop
+ * @route POST /api/shops
+ */
+export const createShop = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { dealerId, name, addressText, latitude, longitude, contactName, contactPhone } = req.body;
+
+    const dealer = await getRepository(Dealer).findOne({ where: { id: dealerId } });
+    if (!dealer) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid dealer specified'
+      });
+    }
+
+    // PSRs may only add shops under dealers they cover
+    if (!(await canAccessDealer(req.user, dealerId))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You are not assigned to this dealer'
+      });
+    }
+
+    const shopRepository = getRepository(Shop);
+    const shop = shopRepository.create({
+      dealerId,
+      name,
+      addressText,
+      latitude,
+      longitude,
+      contactName,
+      contactPhone
+    });
+
+    await shopRepository.save(shop);
+
+    return res.status(201).json({
+      message: 'Shop created successfully',
+      shop: formatShop(shop, { visitedToday: false, overdue: false, needsAttention: false })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update an existing shop
+ * @route PUT /api/shops/:id
+ */
+export const updateShop = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const shop = await findAccessibleShop(req, res, ['fridges']);
+    if (!shop) return;
+
+    const { dealerId } = req.body;
+
+    if (dealerId !== undefined && Number(dealerId) !== shop.dealerId) {
+      const dealer = await getRepository(Dealer).findOne({ where: { id: dealerId } });
+      if (!dealer) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Invalid dealer specified'
+        });
+      }
+
+      if (!(await canAccessDealer(req.user, dealerId))) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'You are not assigned to this dealer'
+        });
+      }
+
+      shop.dealerId = Number(dealerId);
+    }
+
+    ['name', 'addressText', 'latitude', 'longitude', 'contactName', 'contactPhone'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        shop[field] = req.body[field];
+      }
+    });
+
+    await getRepository(Shop).save(shop);
+
+    return res.status(200).json({
+      message: 'Shop updated successfully',
+      shop: formatShop(shop)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a shop (cascades to its fridges and visits)
+ * @route DELETE /api/shops/:id
+ */
+export const deleteShop = async (req, res, next) => {
+  try {
+    const shop = await findAccessibleShop(req, res);
+    if (!shop) return;
+
+    await getRepository(Shop).remove(shop);
+
+    return res.status(200).json({
+      message: 'Shop deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getShops,
+  getAssignedShops,
+  getShopsNear,
+  getShopById,
+  createShop,
+  updateShop,
+  deleteShop
+};
@@ -0,0 +1,827 @@
+/**
+ * User Controller for Snowfun Nepal application
+ *
+ * Handles user administration for roles with 'users:manage': listing and
+ * searching users, inviting new users by email, editing, changing roles,
+ * deactivating and reactivating, a PSR's coverage and visit counts, and a
+ * supervisor's territory. Also handles the signed-in user's own profile
+ * update.
+ */
+
+import crypto from 'crypto';
+import { getRepository, getManager, IsNull, In } from 'typeorm';
+import { validationResult } from 'express-validator';
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+import PsrAssignment from '../models/PsrAssignment.js';
+import Visit from '../models/Visit.js';
+import Dealer from '../models/Dealer.js';
+import SupervisorTerritory from '../models/SupervisorTerritory.js';
+import { revokeUserSessions } from '../services/session.service.js';
+import {
+  INVITE_TOKEN_TTL_MINUTES,
+  buildResetUrl,
+  createResetToken
+} from '../services/password-reset.service.js';
+import { sendTemplatedMail } from '../services/mail.service.js';
+import { getTerritoryDealerIds } from '../services/scope.service.js';
+import { findWithheldPermissions, getUserManagementBlock, isFieldRole } from '../services/permission.service.js';
+import { findDistrict } from '../services/geo.service.js';
+import { formatNepaliPhone } from '../utils/phone.js';
+import { addDays, today } from '../utils/date.js';
+
+// Window for the recent visit counts shown with each PSR
+const RECENT_VISIT_DAYS = 30;
+
+/**
+ * Convert a user into the shape expected by the web client
+ * @param {User} user - User (role relation loaded)
+ * @returns {Object} Serialised user
+ */
+const formatUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  fullName: user.fullName,
+  phone: user.phone,
+  role: user.role?.roleName,
+  roleId: user.roleId,
+  dealerId: user.dealerId,
+  isActive: user.isActive,
+  deactivatedAt: user.deactivatedAt,
+  smsNotifications: user.smsNotifications,
+  createdAt: user.createdAt
+});
+
+/**
+ * Load a role the acting user may give to someone. As in the role editor, a
+ * user can only grant what they hold: only admins hand out the admin role,
+ * and other roles must not carry permissions the acting user lacks.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {number} roleId - Requested role ID
+ * @returns {Promise<Role|null>} Role, or null after a 400/403 was sent
+ */
+const findAssignableRole = async (req, res, roleId) => {
+  const role = await getRepository(Role).findOne({
+    where: { id: roleId },
+    relations: ['permissions']
+  });
+
+  if (!role) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: 'Invalid role specified'
+    });
+    return null;
+  }
+
+  if (role.isAdmin() && req.user.role !== 'admin') {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'Only admins can grant the admin role'
+    });
+    return null;
+  }
+
+  const withheld = findWithheldPermissions(req.user, role);
+  if (withheld.length > 0) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: `You cannot grant a role with permissions you do not hold: ${withheld.join(', ')}`
+    });
+    return null;
+  }
+
+  return role;
+};
+
+/**
+ * Resolve the dealer a user is linked to. Dealer portal roles (granted
+ * 'data:dealer') need a dealer; users of any other role are never linked.
+ * @param {Object} res - Express response object
+ * @param {Role} role - User's role (permissions relation loaded)
+ * @param {number|null} dealerId - Requested dealer ID
+ * @returns {Promise<number|null|undefined>} Dealer ID to store, or undefined after a 400 was sent
+ */
+const resolveDealerLink = async (res, role, dealerId) => {
+  if (role.isAdmin() || !role.grants('data:dealer')) {
+    return null;
+  }
+
+  if (!dealerId) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: `Users with the ${role.roleName} role must be linked to a dealer`
+    });
+    return undefined;
+  }
+
+  const dealer = await getRepository(Dealer).findOne({ where: { id: dealerId } });
+  if (!dealer) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: 'Invalid dealer specified'
+    });
+    return undefined;
+  }
+
+  return dealer.id;
+};
+
+/**
+ * Load a user by the :id parameter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string[]} [relations] - Relations to load
+ * @returns {Promise<User|null>} User, or null after a 404 was sent
+ */
+const findUser = async (req, res, relations = ['role']) => {
+  const user = await getRepository(User).findOne({
+    where: { id: req.params.id },
+    relations
+  });
+
+  if (!user) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * Load a user the acting user may change (see getUserManagementBlock)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<User|null>} User (role.permissions loaded), or null after a 403/404 was sent
+ */
+const findManageableUser = async (req, res) => {
+  const user = await findUser(req, res, ['role', 'role.permissions']);
+  if (!user) return null;
+
+  const blocked = getUserManagementBlock(req.user, user);
+  if (blocked) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: blocked
+    });
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * Find another user already holding an email address or phone number
+ * @param {Object} fields - { email?, phone? }
+ * @param {string} [excludeId] - User being edited
+ * @returns {Promise<string|null>} Conflict message, or null when free
+ */
+const findContactConflict = async ({ email, phone }, excludeId = null) => {
+  const userRepository = getRepository(User);
+
+  if (email) {
+    const existing = await userRepository.findOne({ where: { email } });
+    if (existing && existing.id !== excludeId) {
+      return 'User with this email already exists';
+    }
+  }
+
+  if (phone) {
+    const existing = await userRepository.findOne({ where: { phone } });
+    if (existing && existing.id !== excludeId) {
+      return 'This phone number is already linked to another account';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Count visits per PSR: all time, in the recent window, and the last visit date
+ * @param {Array<string>} psrIds - PSR user IDs
+ * @returns {Promise<Map<string, Object>>} { total, recent, recentVisited, lastVisitDate } by PSR ID
+ */
+const getVisitCounts = async (psrIds) => {
+  if (psrIds.length === 0) {
+    return new Map();
+  }
+
+  const rows = await getRepository(Visit)
+    .createQueryBuilder('visit')
+    .select('visit.psrId', 'psrId')
+    .addSelect('COUNT(*)', 'total')
+    .addSelect('COUNT(*) FILTER (WHERE visit.visitDate >= :since)', 'recent')
+    .addSelect(`COUNT(*) FILTER (WHERE visit.visitDate >= :since AND visit.status = 'visited')`, 'recentVisited')
+    .addSelect(`TO_CHAR(MAX(visit.visitDate), 'YYYY-MM-DD')`, 'lastVisitDate')
+    .where('visit.psrId IN (:...psrIds)', { psrIds })
+    .setParameter('since', addDays(today(), -RECENT_VISIT_DAYS))
+    .groupBy('visit.psrId')
+    .getRawMany();
+
+  return new Map(rows.map(row => [row.psrId, {
+    total: Number(row.total),
+    recent: Number(row.recent),
+    recentVisited: Number(row.recentVisited),
+    lastVisitDate: row.lastVisitDate
+  }]));
+};
+
+/**
+ * Build visit counts for the client, with zeroes for PSRs without visits
+ * @param {Object} [counts] - Entry from getVisitCounts
+ * @returns {Object} { total, last30Days, visitedLast30Days, lastVisitDate }
+ */
+const formatVisitCounts = (counts) => ({
+  total: counts?.total || 0,
+  [`last${RECENT_VISIT_DAYS}Days`]: counts?.recent || 0,
+  [`visitedLast${RECENT_VISIT_DAYS}Days`]: counts?.recentVisited || 0,
+  lastVisitDate: counts?.lastVisitDate || null
+});
+
+/**
+ * List users, filtered by role, status or a search on name, email and phone.
+ * PSRs include how many dealers they cover and their visit counts.
+ * @route GET /api/users
+ */
+export const getUsers = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { role, active, search } = req.query;
+
+    const qb = getRepository(User)
+      .createQueryBuilder('user')
+      .innerJoinAndSelect('user.role', 'role')
+      .leftJoinAndSelect('role.permissions', 'permission')
+      .orderBy('user.fullName', 'ASC');
+
+    if (role) {
+      qb.andWhere('role.roleName = :role', { role });
+    }
+
+    if (active !== undefined) {
+      qb.andWhere('user.isActive = :active', { active: active === 'true' });
+    }
+
+    if (search) {
+      qb.andWhere('(user.fullName ILIKE :search OR user.email ILIKE :search OR user.phone ILIKE :search)', {
+        search: `%${search}%`
+      });
+    }
+
+    const users = await qb.getMany();
+    const psrIds = users.filter(user => isFieldRole(user.role)).map(user => user.id);
+
+    const [visitCounts, dealerRows] = await Promise.all([
+      getVisitCounts(psrIds),
+      psrIds.length === 0 ? [] : getRepository(PsrAssignment)
+        .createQueryBuilder('assignment')
+        .select('assignment.psrId', 'psrId')
+        .addSelect('COUNT(DISTINCT assignment.dealerId)', 'dealerCount')
+        .where('assignment.psrId IN (:...psrIds)', { psrIds })
+        .andWhere('assignment.unassignedAt IS NULL')
+        .groupBy('assignment.psrId')
+        .getRawMany()
+    ]);
+
+    const dealerCounts = new Map(dealerRows.map(row => [row.psrId, Number(row.dealerCount)]));
+
+    return res.status(200).json(users.map(user => (isFieldRole(user.role)
+      ? {
+        ...formatUser(user),
+        dealerCount: dealerCounts.get(user.id) || 0,
+        visits: formatVisitCounts(visitCounts.get(user.id))
+      }
+      : formatUser(user))));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a user. PSRs include their assigned dealers, directly assigned shop
+ * count and visit counts.
+ * @route GET /api/users/:id
+ */
+export const getUserById = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await findUser(req, res, ['role', 'role.permissions']);
+    if (!user) return;
+
+    if (!isFieldRole(user.role)) {
+      return res.status(200).json(formatUser(user));
+    }
+
+    const [assignments, visitCounts] = await Promise.all([
+      getRepository(PsrAssignment).find({
+        where: { psrId: user.id, unassignedAt: IsNull() },
+        relations: ['dealer'],
+        order: { assignedAt: 'ASC' }
+      }),
+      getVisitCounts([user.id])
+    ]);
+
+    return res.status(200).json({
+      ...formatUser(user),
+      dealers: assignments
+        .filter(assignment => assignment.dealer)
+        .map(assignment => ({
+          id: assignment.dealer.id,
+          name: assignment.dealer.name,
+          district: assignment.dealer.district,
+          assignedAt: assignment.assignedAt
+        })),
+      directShopCount: assignments.filter(assignment => assignment.shopId).length,
+      visits: formatVisitCounts(visitCounts.get(user.id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a user and email them a link to choose their password
+ * @route POST /api/users/invite
+ */
+export const inviteUser = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, fullName, roleId } = req.body;
+    const phone = req.body.phone ? formatNepaliPhone(req.body.phone) : null;
+
+    const role = await findAssignableRole(req, res, roleId);
+    if (!role) return;
+
+    const dealerId = await resolveDealerLink(res, role, req.body.dealerId);
+    if (dealerId === undefined) return;
+
+    const conflict = await findContactConflict({ email, phone });
+    if (conflict) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: conflict
+      });
+    }
+
+    const userRepository = getRepository(User);
+    const user = userRepository.create({
+      email,
+      fullName,
+      phone,
+      role,
+      dealerId,
+      // Unusable until the invitation link is used to choose a password
+      password_hash: crypto.randomBytes(32).toString('base64url')
+    });
+    await userRepository.save(user);
+
+    const token = await createResetToken(user, req.ip, INVITE_TOKEN_TTL_MINUTES);
+    let inviteSent = true;
+
+    try {
+      await sendTemplatedMail('user-invite', user.email, {
+        fullName: user.fullName,
+        roleName: role.roleName,
+        invitedBy: req.user.fullName,
+        setupUrl: buildResetUrl(token),
+        expiresInHours: INVITE_TOKEN_TTL_MINUTES / 60
+      });
+    } catch (error) {
+      // The account exists; the admin can resend with POST /:id/invite
+      console.error('Failed to send invitation email:', error);
+      inviteSent = false;
+    }
+
+    return res.status(201).json({
+      message: inviteSent ? 'User invited successfully' : 'User created, but the invitation email could not be sent',
+      inviteSent,
+      user: formatUser(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a new invitation link to a user
+ * @route POST /api/users/:id/invite
+ */
+export const resendInvite = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await findManageableUser(req, res);
+    if (!user) return;
+
+    if (!user.isActive || !user.email) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invitations can only be sent to active users with an email address'
+      });
+    }
+
+    const token = await createResetToken(user, req.ip, INVITE_TOKEN_TTL_MINUTES);
+
+    await sendTemplatedMail('user-invite', user.email, {
+      fullName: user.fullName,
+      roleName: user.role.roleName,
+      invitedBy: req.user.fullName,
+      setupUrl: buildResetUrl(token),
+      expiresInHours: INVITE_TOKEN_TTL_MINUTES / 60
+    });
+
+    return res.status(200).json({
+      message: 'Invitation sent successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a user's name, email, phone or SMS preference
+ * @route PUT /api/users/:id
+ */
+export const updateUser = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await findManageableUser(req, res);
+    if (!user) return;
+
+    const changes = { ...req.body };
+    if (changes.phone) {
+      changes.phone = formatNepaliPhone(changes.phone);
+    }
+
+    const conflict = await findContactConflict(changes, user.id);
+    if (conflict) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: conflict
+      });
+    }
+
+    ['fullName', 'email', 'phone', 'smsNotifications'].forEach(field => {
+      if (changes[field] !== undefined) {
+        user[field] = changes[field];
+      }
+    });
+
+    if (changes.dealerId !== undefined) {
+      const { role } = user;
+
+      if (role.isAdmin() || !role.grants('data:dealer')) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Only dealer portal users can be linked to a dealer'
+        });
+      }
+
+      const dealerId = await resolveDealerLink(res, role, changes.dealerId);
+      if (dealerId === undefined) return;
+      user.dealerId = dealerId;
+    }
+
+    await getRepository(User).save(user);
+
+    return res.status(200).json({
+      message: 'User updated successfully',
+      user: formatUser(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a user's role. A field PSR moved to a role without 'visits:record'
+ * is unassigned from all dealers and shops, since only field PSRs hold
+ * assignments.
+ * @route PATCH /api/users/:id/role
+ */
+export const changeUserRole = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await findManageableUser(req, res);
+    if (!user) return;
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const role = await findAssignableRole(req, res, req.body.roleId);
+    if (!role) return;
+
+    const dealerId = await resolveDealerLink(res, role, req.body.dealerId);
+    if (dealerId === undefined) return;
+
+    const unassigned = await getManager().transaction(async (manager) => {
+      let closed = 0;
+
+      if (isFieldRole(user.role) && !isFieldRole(role)) {
+        const result = await manager.update(
+          PsrAssignment,
+          { psrId: user.id, unassignedAt: IsNull() },
+          { unassignedAt: new Date() }
+        );
+        closed = result.affected || 0;
+      }
+
+      user.roleId = role.id;
+      user.role = role;
+      user.dealerId = dealerId;
+      await manager.save(user);
+
+      return closed;
+    });
+
+    return res.status(200).json({
+      message: 'User role updated successfully',
+      unassigned,
+      user: formatUser(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate a user and sign them out everywhere. Their assignments are
+ * kept so a reactivated PSR resumes the same coverage; reassign them with
+ * the assignment endpoints if the PSR has left.
+ * @route POST /api/users/:id/deactivate
+ */
+export const deactivateUser = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await findManageableUser(req, res);
+    if (!user) return;
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
+    if (user.isActive) {
+      user.isActive = false;
+      user.deactivatedAt = new Date();
+      await getRepository(User).save(user);
+    }
+
+    const sessionsRevoked = await revokeUserSessions(user.id, 'deactivated');
+
+    return res.status(200).json({
+      message: 'User deactivated successfully',
+      sessionsRevoked,
+      user: formatUser(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reactivate a deactivated user
+ * @route POST /api/users/:id/reactivate
+ */
+export const reactivateUser = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await findManageableUser(req, res);
+    if (!user) return;
+
+    user.isActive = true;
+    user.deactivatedAt = null;
+    await getRepository(User).save(user);
+
+    return res.status(200).json({
+      message: 'User reactivated successfully',
+      user: formatUser(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Describe a supervisor's territory
+ * @param {string} userId - Supervisor user ID
+ * @returns {Promise<Object>} { districts, dealers, dealerCount }
+ */
+const getTerritory = async (userId) => {
+  const [rows, dealerIds] = await Promise.all([
+    getRepository(SupervisorTerritory).find({
+      where: { userId },
+      relations: ['dealer']
+    }),
+    getTerritoryDealerIds(userId)
+  ]);
+
+  return {
+    districts: rows.filter(row => row.district).map(row => row.district).sort(),
+    dealers: rows
+      .filter(row => row.dealer)
+      .map(row => ({ id: row.dealer.id, name: row.dealer.name, district: row.dealer.district })),
+    // Dealers covered in total, through districts or individually
+    dealerCount: dealerIds.length
+  };
+};
+
+/**
+ * Get a supervisor's territory
+ * @route GET /api/users/:id/territory
+ */
+export const getUserTerritory = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    return res.status(200).json(await getTerritory(user.id));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace a supervisor's territory with a set of districts and dealers. Only
+ * users whose role holds 'data:territory' are scoped by a territory.
+ * @route PUT /api/users/:id/territory
+ */
+export const setUserTerritory = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await findManageableUser(req, res);
+    if (!user) return;
+
+    const { role } = user;
+
+    if (!role.permissions.some(permission => permission.key === 'data:territory')) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `The ${role.roleName} role is not scoped by territory. Grant it 'data:territory' first.`
+      });
+    }
+
+    const { districts = [], dealerIds = [] } = req.body;
+    const districtNames = [];
+
+    for (const name of districts) {
+      const districtEntry = findDistrict(name);
+      if (!districtEntry) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `Unknown district: ${name}`
+        });
+      }
+      districtNames.push(districtEntry.name);
+    }
+
+    const uniqueDealerIds = [...new Set(dealerIds.map(Number))];
+    const dealerCount = uniqueDealerIds.length === 0
+      ? 0
+      : await getRepository(Dealer).count({ where: { id: In(uniqueDealerIds) } });
+
+    if (dealerCount !== uniqueDealerIds.length) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid dealer specified'
+      });
+    }
+
+    await getManager().transaction(async (manager) => {
+      await manager.delete(SupervisorTerritory, { userId: user.id });
+
+      const rows = [
+        ...[...new Set(districtNames)].map(district => ({ district })),
+        ...uniqueDealerIds.map(dealerId => ({ dealerId }))
+      ].map(row => manager.create(SupervisorTerritory, {
+        ...row,
+        userId: user.id,
+        createdById: req.user.id
+      }));
+
+      if (rows.length > 0) {
+        await manager.save(rows);
+      }
+    });
+
+    return res.status(200).json({
+      message: 'Territory updated successfully',
+      territory: await getTerritory(user.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update the signed-in user's own name, phone or SMS preference
+ * @route PUT /api/users/profile
+ */
+export const updateProfile = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userRepository = getRepository(User);
+    const user = await userRepository.findOne({
+      where: { id: req.user.id },
+      relations: ['role']
+    });
+
+    const phone = req.body.phone ? formatNepaliPhone(req.body.phone) : req.body.phone;
+
+    const conflict = await findContactConflict({ phone }, user.id);
+    if (conflict) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: conflict
+      });
+    }
+
+    if (req.body.fullName !== undefined) user.fullName = req.body.fullName;
+    if (phone !== undefined) user.phone = phone;
+    if (req.body.smsNotifications !== undefined) user.smsNotifications = req.body.smsNotifications;
+
+    await userRepository.save(user);
+
+    return res.status(200).json({
+      message: 'Profile updated successfully',
+      user: {
+        id: user.id,
+        email: user.email,
+        fullName: user.fullName,
+        phone: user.phone,
+        role: user.role.roleName,
+        smsNotifications: user.smsNotifications
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getUsers,
+  getUserById,
+  inviteUser,
+  resendInvite,
+  updateUser,
+  changeUserRole,
+  deactivateUser,
+  reactivateUser,
+  getUserTerritory,
+  setUserTerritory,
+  updateProfile
+};
@@ -0,0 +1,203 @@
+/**
+ * Visit Policy Controller for Snowfun Nepal application
+ *
+ * Lets admins set how often shops must be visited, either for every shop of
+ * a dealer or for a single shop. The policies drive pending-visit reminders,
+ * the map's needs-attention colour and the pending-visit counts.
+ */
+
+import { getRepository } from 'typeorm';
+import { validationResult } from 'express-validator';
+import VisitFrequencyPolicy from '../models/VisitFrequencyPolicy.js';
+import Dealer from '../models/Dealer.js';
+import Shop from '../models/Shop.js';
+import { DEFAULT_VISIT_INTERVAL_DAYS } from '../services/visit-frequency.service.js';
+
+/**
+ * Convert a policy into the shape expected by the web client
+ * @param {VisitFrequencyPolicy} policy - Policy (dealer and shop relations optional)
+ * @returns {Object} Serialised policy
+ */
+const formatPolicy = (policy) => ({
+  id: policy.id,
+  dealerId: policy.dealerId,
+  dealerName: policy.dealer?.name ?? null,
+  shopId: policy.shopId,
+  shopName: policy.shop?.name ?? null,
+  frequency: policy.frequency,
+  intervalDays: policy.frequency === 'by_fridge_count' ? null : policy.getIntervalDays(),
+  fridgeTiers: policy.fridgeTiers,
+  updatedById: policy.updatedById,
+  updatedAt: policy.updatedAt
+});
+
+/**
+ * Create or replace the policy for a dealer or shop
+ * @param {Object} target - { dealerId } or { shopId }
+ * @param {Object} body - Request body
+ * @param {Object} actor - User making the change
+ * @returns {Promise<Object>} { policy, created }
+ */
+const upsertPolicy = async (target, body, actor) => {
+  const policyRepository = getRepository(VisitFrequencyPolicy);
+  const existing = await policyRepository.findOne({ where: target });
+  const policy = existing || policyRepository.create(target);
+
+  policy.frequency = body.frequency;
+  policy.intervalDays = body.frequency === 'custom' ? Number(body.intervalDays) : null;
+  policy.fridgeTiers = body.frequency === 'by_fridge_count'
+    ? body.fridgeTiers
+      .map(tier => ({ minFridges: Number(tier.minFridges), intervalDays: Number(tier.intervalDays) }))
+      .sort((a, b) => a.minFridges - b.minFridges)
+    : null;
+  policy.updatedById = actor.id;
+
+  await policyRepository.save(policy);
+
+  return { policy, created: !existing };
+};
+
+/**
+ * List visit frequency policies, optionally for one dealer or shop
+ * @route GET /api/visit-policies
+ */
+export const getVisitPolicies = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { dealerId, shopId } = req.query;
+
+    const qb = getRepository(VisitFrequencyPolicy)
+      .createQueryBuilder('policy')
+      .leftJoinAndSelect('policy.dealer', 'dealer')
+      .leftJoinAndSelect('policy.shop', 'shop')
+      .orderBy('dealer.name', 'ASC')
+      .addOrderBy('shop.name', 'ASC');
+
+    if (dealerId) {
+      // A dealer's policies include those on its shops
+      qb.andWhere('(policy.dealerId = :dealerId OR shop.dealerId = :dealerId)', { dealerId });
+    }
+
+    if (shopId) {
+      qb.andWhere('policy.shopId = :shopId', { shopId });
+    }
+
+    const policies = await qb.getMany();
+
+    return res.status(200).json({
+      defaultIntervalDays: DEFAULT_VISIT_INTERVAL_DAYS,
+      policies: policies.map(formatPolicy)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set the visit frequency for every shop of a dealer
+ * @route PUT /api/visit-policies/dealers/:dealerId
+ */
+export const updateDealerPolicy = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const dealerId = Number(req.params.dealerId);
+    const dealer = await getRepository(Dealer).findOne({ where: { id: dealerId } });
+
+    if (!dealer) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Dealer not found'
+      });
+    }
+
+    const { policy, created } = await upsertPolicy({ dealerId }, req.body, req.user);
+    policy.dealer = dealer;
+
+    return res.status(created ? 201 : 200).json({
+      message: 'Dealer visit policy saved successfully',
+      policy: formatPolicy(policy)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set the visit frequency for a single shop, overriding its dealer's policy
+ * @route PUT /api/visit-policies/shops/:shopId
+ */
+export const updateShopPolicy = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const shopId = Number(req.params.shopId);
+    const shop = await getRepository(Shop).findOne({ where: { id: shopId } });
+
+    if (!shop) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Shop not found'
+      });
+    }
+
+    const { policy, created } = await upsertPolicy({ shopId }, req.body, req.user);
+    policy.shop = shop;
+
+    return res.status(created ? 201 : 200).json({
+      message: 'Shop visit policy saved successfully',
+      policy: formatPolicy(policy)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a policy so the shop or dealer falls back to the next rule
+ * (shop → dealer → default interval)
+ * @route DELETE /api/visit-policies/:id
+ */
+export const deleteVisitPolicy = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const policyRepository = getRepository(VisitFrequencyPolicy);
+    const policy = await policyRepository.findOne({ where: { id: req.params.id } });
+
+    if (!policy) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Visit policy not found'
+      });
+    }
+
+    await policyRepository.remove(policy);
+
+    return res.status(200).json({
+      message: 'Visit policy deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getVisitPolicies,
+  updateDealerPolicy,
+  updateShopPolicy,
+  deleteVisitPolicy
+};
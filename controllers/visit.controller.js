@@ -0,0 +1,433 @@
+/**
+ * Visit Controller for Snowfun Nepal application
+ *
+ * Handles recording PSR shop visits together with the per-fridge inspection
+ * checklist, listing visit logs and the PSR dashboard statistics. Fridges
+ * flagged as needing repair are moved to 'repair' automatically and get a
+ * repair ticket, and visits recorded away from the shop's GPS position are
+ * flagged for admin review.
+ */
+
+import { getRepository, getManager } from 'typeorm';
+import { validationResult } from 'express-validator';
+import Visit from '../models/Visit.js';
+import Shop from '../models/Shop.js';
+import Fridge from '../models/Fridge.js';
+import VisitFridgeInspection from '../models/VisitFridgeInspection.js';
+import { createError } from '../middleware/errorHandler.js';
+import { scopeShopQuery, canAccessShop } from '../services/scope.service.js';
+import { changeFridgeStatus } from '../services/fridge-status.service.js';
+import { openRepairTicket } from '../services/repair.service.js';
+import { evaluateVisitLocation } from '../services/geofence.service.js';
+import { getPendingVisits as listPendingVisits } from '../services/visit-frequency.service.js';
+import { today } from '../utils/date.js';
+
+/**
+ * Build the inspection values for a fridge from a checklist payload
+ * @param {Object} checks - Checklist values sent by the client
+ * @returns {Object} Inspection column values
+ */
+const pickInspectionValues = (checks = {}) => {
+  const values = {};
+
+  VisitFridgeInspection.CHECK_FIELDS.forEach(field => {
+    if (checks[field] !== undefined) {
+      values[field] = Boolean(checks[field]);
+    }
+  });
+
+  if (checks.temperatureC !== undefined && checks.temperatureC !== null && checks.temperatureC !== '') {
+    values.temperatureC = checks.temperatureC;
+  }
+
+  if (checks.photoUrl) {
+    values.photoUrl = checks.photoUrl;
+  }
+
+  return values;
+};
+
+/**
+ * Save one inspection per fridge at the shop and flag fridges needing repair,
+ * opening a repair ticket for each (or keeping the fridge's open ticket)
+ *
+ * Accepts either per-fridge `fridgeInspections` ([{ fridgeId, ...checks }]),
+ * a shop-wide `fridgeChecks` object applied to every fridge, or both (the
+ * per-fridge entries win).
+ *
+ * @param {EntityManager} manager - Transactional entity manager
+ * @param {Visit} visit - Saved visit
+ * @param {Fridge[]} fridges - Fridges at the visited shop
+ * @param {Object} payload - { fridgeChecks, fridgeInspections }
+ * @param {Object} actor - Acting user ({ id, role, permissions })
+ * @returns {Promise<VisitFridgeInspection[]>} Saved inspections
+ * @throws {Error} 400 if an inspection references a fridge not at the shop
+ */
+const saveInspections = async (manager, visit, fridges, { fridgeChecks, fridgeInspections = [] }, actor) => {
+  const fridgesById = new Map(fridges.map(fridge => [fridge.id, fridge]));
+  const checksByFridge = new Map();
+
+  if (fridgeChecks) {
+    fridges.forEach(fridge => checksByFridge.set(fridge.id, fridgeChecks));
+  }
+
+  fridgeInspections.forEach(inspection => {
+    const fridgeId = Number(inspection.fridgeId);
+    if (!fridgesById.has(fridgeId)) {
+      throw createError(`Fridge ${inspection.fridgeId} is not at this shop`, 400);
+    }
+    checksByFridge.set(fridgeId, inspection);
+  });
+
+  const inspections = [];
+
+  for (const [fridgeId, checks] of checksByFridge) {
+    const fridge = fridgesById.get(fridgeId);
+
+    const inspection = manager.create(VisitFridgeInspection, {
+      visitId: visit.id,
+      fridgeId,
+      ...pickInspectionValues(checks)
+    });
+    await manager.save(inspection);
+    inspections.push(inspection);
+
+    // Only healthy fridges are moved automatically; a missing fridge that
+    // turns up broken has to be recovered ('fridges:recover') first
+    if (inspection.needsRepair && !fridge.isMissing()) {
+      if (fridge.isWorking()) {
+        await changeFridgeStatus(manager, fridge, 'repair', {
+          actor,
+          reason: 'Flagged for repair during shop visit',
+          visitId: visit.id
+        });
+      }
+
+      await openRepairTicket(manager, fridge, {
+        description: 'Flagged for repair during shop visit',
+        visitId: visit.id,
+        actor
+      });
+    }
+  }
+
+  return inspections;
+};
+
+/**
+ * Record a shop visit with its fridge inspections
+ * @route POST /api/visits
+ */
+export const createVisit = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      shopId,
+      status,
+      notes,
+      visitDate,
+      fridgeChecks,
+      fridgeInspections,
+      latitude,
+      longitude,
+      accuracy
+    } = req.body;
+
+    const shop = await getRepository(Shop).findOne({
+      where: { id: shopId },
+      relations: ['fridges']
+    });
+
+    if (!shop) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Shop not found'
+      });
+    }
+
+    if (!(await canAccessShop(req.user, shop))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You are not assigned to this shop'
+      });
+    }
+
+    // One visit per shop, PSR and day. Report the clash as a 409 carrying the
+    // existing visit, so an offline replay can tell it was already recorded
+    const existingVisit = await getRepository(Visit).findOne({
+      where: { shopId: shop.id, psrId: req.user.id, visitDate: visitDate || today() }
+    });
+
+    if (existingVisit) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'A visit to this shop has already been recorded for this date',
+        visit: existingVisit
+      });
+    }
+
+    // Only a 'visited' record claims the PSR was at the shop, so only those
+    // are checked against the geofence
+    const location = evaluateVisitLocation(shop, { latitude, longitude, accuracy });
+
+    const visit = await getManager().transaction(async (manager) => {
+      const created = manager.create(Visit, {
+        shopId: shop.id,
+        psrId: req.user.id,
+        visitDate: visitDate || today(),
+        status,
+        notes,
+        deviceLatitude: latitude ?? null,
+        deviceLongitude: longitude ?? null,
+        gpsAccuracyM: accuracy ?? null,
+        distanceFromShopM: location.distanceFromShopM,
+        geofenceStatus: location.geofenceStatus,
+        needsReview: status === 'visited' && location.needsReview
+      });
+      await manager.save(created);
+
+      created.inspections = status === 'visited'
+        ? await saveInspections(manager, created, shop.fridges, { fridgeChecks, fridgeInspections }, req.user)
+        : [];
+
+      return created;
+    });
+
+    return res.status(201).json({
+      message: 'Visit recorded successfully',
+      visit
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List visits visible to the current user
+ * @route GET /api/visits
+ */
+export const getVisits = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { shopId, psrId, status, from, to, needsReview } = req.query;
+
+    const qb = getRepository(Visit)
+      .createQueryBuilder('visit')
+      .innerJoinAndSelect('visit.shop', 'shop')
+      .leftJoinAndSelect('visit.psr', 'psr')
+      .orderBy('visit.visitDate', 'DESC')
+      .addOrderBy('visit.createdAt', 'DESC');
+
+    if (shopId) {
+      qb.andWhere('visit.shopId = :shopId', { shopId });
+    }
+
+    if (psrId) {
+      qb.andWhere('visit.psrId = :psrId', { psrId });
+    }
+
+    if (status) {
+      qb.andWhere('visit.status = :status', { status });
+    }
+
+    if (needsReview !== undefined) {
+      qb.andWhere('visit.needsReview = :needsReview', { needsReview: needsReview === 'true' });
+    }
+
+    if (from) {
+      qb.andWhere('visit.visitDate >= :from', { from });
+    }
+
+    if (to) {
+      qb.andWhere('visit.visitDate <= :to', { to });
+    }
+
+    await scopeShopQuery(qb, req.user);
+
+    const visits = await qb.getMany();
+
+    return res.status(200).json(visits);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get today's visit statistics for the current user's shops
+ * @route GET /api/visits/stats
+ */
+export const getVisitStats = async (req, res, next) => {
+  try {
+    const visitedQb = getRepository(Visit)
+      .createQueryBuilder('visit')
+      .innerJoin('visit.shop', 'shop')
+      .select('COUNT(DISTINCT visit.shopId)', 'count')
+      .where('visit.visitDate = :date', { date: today() })
+      .andWhere('visit.status = :status', { status: 'visited' });
+
+    await scopeShopQuery(visitedQb, req.user);
+
+    const fridgeQb = getRepository(Fridge)
+      .createQueryBuilder('fridge')
+      .innerJoin('fridge.shop', 'shop');
+
+    await scopeShopQuery(fridgeQb, req.user);
+
+    const [{ count: visitedToday }, fridgeCount] = await Promise.all([
+      visitedQb.getRawOne(),
+      fridgeQb.getCount()
+    ]);
+
+    return res.status(200).json({
+      visitedToday: Number(visitedToday),
+      fridgeCount
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's shops that are due or overdue for a visit under
+ * their visit frequency policies, most overdue first
+ * @route GET /api/visits/pending
+ */
+export const getPendingVisits = async (req, res, next) => {
+  try {
+    const pending = await listPendingVisits(req.user);
+
+    return res.status(200).json({
+      count: pending.length,
+      overdueCount: pending.filter(entry => entry.overdue).length,
+      shops: pending.map(({ shop, ...schedule }) => ({
+        id: shop.id,
+        name: shop.name,
+        dealerId: shop.dealerId,
+        addressText: shop.addressText,
+        latitude: Number(shop.latitude),
+        longitude: Number(shop.longitude),
+        intervalDays: schedule.intervalDays,
+        policySource: schedule.policySource,
+        lastVisitDate: schedule.lastVisitDate,
+        daysSinceVisit: schedule.daysSinceVisit,
+        dueDate: schedule.dueDate,
+        overdue: schedule.overdue,
+        daysOverdue: schedule.daysOverdue
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a visit with its fridge inspections
+ * @route GET /api/visits/:id
+ */
+export const getVisitById = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const visit = await getRepository(Visit).findOne({
+      where: { id: req.params.id },
+      relations: ['shop', 'psr', 'inspections', 'inspections.fridge']
+    });
+
+    if (!visit) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Visit not found'
+      });
+    }
+
+    if (!(await canAccessShop(req.user, visit.shop))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have access to this visit'
+      });
+    }
+
+    return res.status(200).json(visit);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Clear the review flag on a visit after an admin or supervisor has checked it
+ * @route PATCH /api/visits/:id/review
+ */
+export const reviewVisit = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const visitRepository = getRepository(Visit);
+    const visit = await visitRepository.findOne({
+      where: { id: req.params.id },
+      relations: ['shop']
+    });
+
+    if (!visit) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Visit not found'
+      });
+    }
+
+    if (!(await canAccessShop(req.user, visit.shop))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have access to this visit'
+      });
+    }
+
+    if (!visit.isAwaitingReview()) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Visit is not awaiting review'
+      });
+    }
+
+    visit.needsReview = false;
+    visit.reviewedById = req.user.id;
+    visit.reviewedAt = new Date();
+
+    if (req.body.notes) {
+      visit.notes = visit.notes
+        ? `${visit.notes}\n[Review] ${req.body.notes}`
+        : `[Review] ${req.body.notes}`;
+    }
+
+    await visitRepository.save(visit);
+
+    return res.status(200).json({
+      message: 'Visit reviewed successfully',
+      visit
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  createVisit,
+  getVisits,
+  getVisitStats,
+  getPendingVisits,
+  getVisitById,
+  reviewVisit
+};
@@ -0,0 +1,787 @@
+/**
+ * Nepal administrative boundaries reference data
+ *
+ * The 7 provinces and 77 districts under the 2015 constitution, with each
+ * district's local levels (metropolitan and sub-metropolitan cities,
+ * municipalities and rural municipalities). Used to validate dealer locations and to populate
+ * district dropdowns. `aliases` lists other common spellings of a district
+ * name, including the pre-2015 names of the split Nawalparasi and Rukum
+ * districts.
+ */
+
+export const NEPAL_PROVINCES = [
+  {
+    id: 1,
+    name: 'Koshi',
+    districts: [
+      {
+        name: 'Taplejung',
+        municipalities: [
+          'Phungling Municipality', 'Aathrai Tribeni Rural Municipality',
+          'Maiwakhola Rural Municipality', 'Meringden Rural Municipality',
+          'Mikwakhola Rural Municipality', 'Phaktanglung Rural Municipality',
+          'Sidingba Rural Municipality', 'Sirijangha Rural Municipality',
+          'Yangwarak Rural Municipality'
+        ]
+      },
+      {
+        name: 'Panchthar',
+        municipalities: [
+          'Phidim Municipality', 'Falelung Rural Municipality', 'Falgunanda Rural Municipality',
+          'Hilihang Rural Municipality', 'Kummayak Rural Municipality',
+          'Miklajung Rural Municipality', 'Tumbewa Rural Municipality',
+          'Yangwarak Rural Municipality'
+        ]
+      },
+      {
+        name: 'Ilam',
+        municipalities: [
+          'Ilam Municipality', 'Deumai Municipality', 'Mai Municipality', 'Suryodaya Municipality',
+          'Chulachuli Rural Municipality', 'Fakphokthum Rural Municipality',
+          'Mai Jogmai Rural Municipality', 'Mangsebung Rural Municipality',
+          'Rong Rural Municipality', 'Sandakpur Rural Municipality'
+        ]
+      },
+      {
+        name: 'Jhapa',
+        municipalities: [
+          'Arjundhara Municipality', 'Bhadrapur Municipality', 'Birtamod Municipality',
+          'Damak Municipality', 'Gauradaha Municipality', 'Kankai Municipality',
+          'Mechinagar Municipality', 'Shivasatakshi Municipality', 'Barhadashi Rural Municipality',
+          'Buddhashanti Rural Municipality', 'Gaurigunj Rural Municipality',
+          'Haldibari Rural Municipality', 'Jhapa Rural Municipality',
+          'Kachankawal Rural Municipality', 'Kamal Rural Municipality'
+        ]
+      },
+      {
+        name: 'Morang',
+        municipalities: [
+          'Biratnagar Metropolitan City', 'Belbari Municipality', 'Letang Municipality',
+          'Pathari Shanishchare Municipality', 'Rangeli Municipality', 'Ratuwamai Municipality',
+          'Sundar Haraicha Municipality', 'Sunwarshi Municipality', 'Urlabari Municipality',
+          'Budhiganga Rural Municipality', 'Dhanpalthan Rural Municipality',
+          'Gramthan Rural Municipality', 'Jahada Rural Municipality',
+          'Kanepokhari Rural Municipality', 'Katahari Rural Municipality',
+          'Kerabari Rural Municipality', 'Miklajung Rural Municipality'
+        ]
+      },
+      {
+        name: 'Sunsari',
+        municipalities: [
+          'Dharan Sub-Metropolitan City', 'Itahari Sub-Metropolitan City',
+          'Barahakshetra Municipality', 'Duhabi Municipality', 'Inaruwa Municipality',
+          'Ramdhuni Municipality', 'Barju Rural Municipality',
+          'Bhokraha Narsingh Rural Municipality', 'Dewanganj Rural Municipality',
+          'Gadhi Rural Municipality', 'Harinagar Rural Municipality', 'Koshi Rural Municipality'
+        ]
+      },
+      {
+        name: 'Dhankuta',
+        municipalities: [
+          'Dhankuta Municipality', 'Mahalaxmi Municipality', 'Pakhribas Municipality',
+          'Chaubise Rural Municipality', 'Chhathar Jorpati Rural Municipality',
+          'Khalsa Chhintang Sahidbhumi Rural Municipality', 'Sangurigadhi Rural Municipality'
+        ]
+      },
+      {
+        name: 'Terhathum',
+        aliases: ['Tehrathum', 'Terathum'],
+        municipalities: [
+          'Laligurans Municipality', 'Myanglung Municipality', 'Aathrai Rural Municipality',
+          'Chhathar Rural Municipality', 'Menchayayem Rural Municipality',
+          'Phedap Rural Municipality'
+        ]
+      },
+      {
+        name: 'Sankhuwasabha',
+        municipalities: [
+          'Chainpur Municipality', 'Dharmadevi Municipality', 'Khandbari Municipality',
+          'Madi Municipality', 'Panchkhapan Municipality', 'Bhotkhola Rural Municipality',
+          'Chichila Rural Municipality', 'Makalu Rural Municipality',
+          'Sabhapokhari Rural Municipality', 'Silichong Rural Municipality'
+        ]
+      },
+      {
+        name: 'Bhojpur',
+        municipalities: [
+          'Bhojpur Municipality', 'Shadananda Municipality', 'Aamchok Rural Municipality',
+          'Arun Rural Municipality', 'Hatuwagadhi Rural Municipality',
+          'Pauwadungma Rural Municipality', 'Ramprasad Rai Rural Municipality',
+          'Salpasilichho Rural Municipality', 'Tyamkemaiyung Rural Municipality'
+        ]
+      },
+      {
+        name: 'Solukhumbu',
+        municipalities: [
+          'Solududhkunda Municipality', 'Dudhkoshi Rural Municipality',
+          'Khumbu Pasanglhamu Rural Municipality', 'Likhupike Rural Municipality',
+          'Mahakulung Rural Municipality', 'Mapya Dudhkoshi Rural Municipality',
+          'Necha Salyan Rural Municipality', 'Sotang Rural Municipality'
+        ]
+      },
+      {
+        name: 'Okhaldhunga',
+        municipalities: [
+          'Siddhicharan Municipality', 'Champadevi Rural Municipality',
+          'Chisankhugadhi Rural Municipality', 'Khijidemba Rural Municipality',
+          'Likhu Rural Municipality', 'Manebhanjyang Rural Municipality',
+          'Molung Rural Municipality', 'Sunkoshi Rural Municipality'
+        ]
+      },
+      {
+        name: 'Khotang',
+        municipalities: [
+          'Halesi Tuwachung Municipality', 'Diktel Rupakot Majhuwagadhi Municipality',
+          'Ainselukharka Rural Municipality', 'Barahapokhari Rural Municipality',
+          'Diprung Chuichumma Rural Municipality', 'Jantedhunga Rural Municipality',
+          'Kepilasgadhi Rural Municipality', 'Khotehang Rural Municipality',
+          'Lamidanda Rural Municipality', 'Sakela Rural Municipality'
+        ]
+      },
+      {
+        name: 'Udayapur',
+        aliases: ['Udaypur'],
+        municipalities: [
+          'Belaka Municipality', 'Chaudandigadhi Municipality', 'Katari Municipality',
+          'Triyuga Municipality', 'Limchungbung Rural Municipality', 'Rautamai Rural Municipality',
+          'Tapli Rural Municipality', 'Udayapurgadhi Rural Municipality'
+        ]
+      }
+    ]
+  },
+  {
+    id: 2,
+    name: 'Madhesh',
+    districts: [
+      {
+        name: 'Saptari',
+        municipalities: [
+          'Bodebarsain Municipality', 'Dakneshwori Municipality',
+          'Hanumannagar Kankalini Municipality', 'Kanchanrup Municipality', 'Khadak Municipality',
+          'Rajbiraj Municipality', 'Saptakoshi Municipality', 'Shambhunath Municipality',
+          'Surunga Municipality', 'Agnisaira Krishnasavaran Rural Municipality',
+          'Balan-Bihul Rural Municipality', 'Belhi Chapena Rural Municipality',
+          'Bishnupur Rural Municipality', 'Chhinnamasta Rural Municipality',
+          'Mahadeva Rural Municipality', 'Rajgadh Rural Municipality', 'Rupani Rural Municipality',
+          'Tilathi Koiladi Rural Municipality', 'Tirahut Rural Municipality'
+        ]
+      },
+      {
+        name: 'Siraha',
+        municipalities: [
+          'Dhangadhimai Municipality', 'Golbazar Municipality', 'Kalyanpur Municipality',
+          'Karjanha Municipality', 'Lahan Municipality', 'Mirchaiya Municipality',
+          'Siraha Municipality', 'Sukhipur Municipality', 'Arnama Rural Municipality',
+          'Aurahi Rural Municipality', 'Bariyarpatti Rural Municipality',
+          'Bhagawanpur Rural Municipality', 'Bishnupur Rural Municipality',
+          'Laxmipur Patari Rural Municipality', 'Naraha Rural Municipality',
+          'Nawarajpur Rural Municipality', 'Sakhuwanankarkatti Rural Municipality'
+        ]
+      },
+      {
+        name: 'Dhanusha',
+        aliases: ['Dhanusa'],
+        municipalities: [
+          'Janakpurdham Sub-Metropolitan City', 'Bideha Municipality',
+          'Chhireshwornath Municipality', 'Dhanushadham Municipality',
+          'Ganeshman Charanath Municipality', 'Hansapur Municipality', 'Kamala Municipality',
+          'Mithila Municipality', 'Mithila Bihari Municipality', 'Nagarain Municipality',
+          'Sabaila Municipality', 'Sahidnagar Municipality', 'Aurahi Rural Municipality',
+          'Bateshwor Rural Municipality', 'Dhanauji Rural Municipality',
+          'Janaknandini Rural Municipality', 'Lakshminiya Rural Municipality',
+          'Mukhiyapatti Musharniya Rural Municipality'
+        ]
+      },
+      {
+        name: 'Mahottari',
+        municipalities: [
+          'Aurahi Municipality', 'Balawa Municipality', 'Bardibas Municipality',
+          'Bhangaha Municipality', 'Gaushala Municipality', 'Jaleshwor Municipality',
+          'Loharpatti Municipality', 'Manra Siswa Municipality', 'Matihani Municipality',
+          'Ramgopalpur Municipality', 'Ekdanra Rural Municipality', 'Mahottari Rural Municipality',
+          'Pipra Rural Municipality', 'Samsi Rural Municipality', 'Sonama Rural Municipality'
+        ]
+      },
+      {
+        name: 'Sarlahi',
+        municipalities: [
+          'Bagmati Municipality', 'Balara Municipality', 'Barahathwa Municipality',
+          'Godaita Municipality', 'Haripur Municipality', 'Haripurwa Municipality',
+          'Hariwan Municipality', 'Ishworpur Municipality', 'Kabilasi Municipality',
+          'Lalbandi Municipality', 'Malangwa Municipality', 'Basbariya Rural Municipality',
+          'Bishnu Rural Municipality', 'Bramhapuri Rural Municipality',
+          'Chakraghatta Rural Municipality', 'Chandranagar Rural Municipality',
+          'Dhankaul Rural Municipality', 'Kaudena Rural Municipality', 'Parsa Rural Municipality',
+          'Ramnagar Rural Municipality'
+        ]
+      },
+      {
+        name: 'Rautahat',
+        municipalities: [
+          'Baudhimai Municipality', 'Brindaban Municipality', 'Chandrapur Municipality',
+          'Dewahi Gonahi Municipality', 'Gadhimai Municipality', 'Garuda Municipality',
+          'Gaur Municipality', 'Gujara Municipality', 'Ishanath Municipality',
+          'Katahariya Municipality', 'Madhav Narayan Municipality', 'Maulapur Municipality',
+          'Paroha Municipality', 'Phatuwa Bijayapur Municipality', 'Rajdevi Municipality',
+          'Rajpur Municipality', 'Durga Bhagwati Rural Municipality',
+          'Yamunamai Rural Municipality'
+        ]
+      },
+      {
+        name: 'Bara',
+        municipalities: [
+          'Jitpur Simara Sub-Metropolitan City', 'Kalaiya Sub-Metropolitan City',
+          'Kolhabi Municipality', 'Mahagadhimai Municipality', 'Nijgadh Municipality',
+          'Pacharauta Municipality', 'Simraungadh Municipality',
+          'Adarsha Kotwal Rural Municipality', 'Baragadhi Rural Municipality',
+          'Bishrampur Rural Municipality', 'Devtal Rural Municipality',
+          'Karaiyamai Rural Municipality', 'Parwanipur Rural Municipality',
+          'Pheta Rural Municipality', 'Prasauni Rural Municipality', 'Suwarna Rural Municipality'
+        ]
+      },
+      {
+        name: 'Parsa',
+        municipalities: [
+          'Birgunj Metropolitan City', 'Bahudaramai Municipality', 'Parsagadhi Municipality',
+          'Pokhariya Municipality', 'Bindabasini Rural Municipality',
+          'Chhipaharmai Rural Municipality', 'Dhobini Rural Municipality',
+          'Jagarnathpur Rural Municipality', 'Jirabhawani Rural Municipality',
+          'Kalikamai Rural Municipality', 'Pakahamainpur Rural Municipality',
+          'Paterwasugauli Rural Municipality', 'Sakhuwa Prasauni Rural Municipality',
+          'Thori Rural Municipality'
+        ]
+      }
+    ]
+  },
+  {
+    id: 3,
+    name: 'Bagmati',
+    districts: [
+      {
+        name: 'Dolakha',
+        municipalities: [
+          'Bhimeshwar Municipality', 'Jiri Municipality', 'Baiteshwor Rural Municipality',
+          'Bigu Rural Municipality', 'Gaurishankar Rural Municipality',
+          'Kalinchok Rural Municipality', 'Melung Rural Municipality',
+          'Sailung Rural Municipality', 'Tamakoshi Rural Municipality'
+        ]
+      },
+      {
+        name: 'Sindhupalchok',
+        aliases: ['Sindhupalchowk'],
+        municipalities: [
+          'Barhabise Municipality', 'Chautara Sangachokgadhi Municipality',
+          'Melamchi Municipality', 'Balefi Rural Municipality', 'Bhotekoshi Rural Municipality',
+          'Helambu Rural Municipality', 'Indrawati Rural Municipality', 'Jugal Rural Municipality',
+          'Lisankhu Pakhar Rural Municipality', 'Panchpokhari Thangpal Rural Municipality',
+          'Sunkoshi Rural Municipality', 'Tripurasundari Rural Municipality'
+        ]
+      },
+      {
+        name: 'Rasuwa',
+        municipalities: [
+          'Amachhodingmo Rural Municipality', 'Gosaikunda Rural Municipality',
+          'Kalika Rural Municipality', 'Naukunda Rural Municipality',
+          'Uttargaya Rural Municipality'
+        ]
+      },
+      {
+        name: 'Dhading',
+        municipalities: [
+          'Dhunibeshi Municipality', 'Nilakantha Municipality',
+          'Benighat Rorang Rural Municipality', 'Gajuri Rural Municipality',
+          'Galchi Rural Municipality', 'Gangajamuna Rural Municipality',
+          'Jwalamukhi Rural Municipality', 'Khaniyabas Rural Municipality',
+          'Netrawati Dabjong Rural Municipality', 'Rubi Valley Rural Municipality',
+          'Siddhalek Rural Municipality', 'Thakre Rural Municipality',
+          'Tripurasundari Rural Municipality'
+        ]
+      },
+      {
+        name: 'Nuwakot',
+        municipalities: [
+          'Belkotgadhi Municipality', 'Bidur Municipality', 'Dupcheshwar Rural Municipality',
+          'Kakani Rural Municipality', 'Kispang Rural Municipality', 'Likhu Rural Municipality',
+          'Meghang Rural Municipality', 'Panchakanya Rural Municipality',
+          'Shivapuri Rural Municipality', 'Suryagadhi Rural Municipality',
+          'Tadi Rural Municipality', 'Tarakeshwar Rural Municipality'
+        ]
+      },
+      {
+        name: 'Kathmandu',
+        municipalities: [
+          'Kathmandu Metropolitan City', 'Budhanilkantha Municipality', 'Chandragiri Municipality',
+          'Dakshinkali Municipality', 'Gokarneshwar Municipality',
+          'Kageshwari Manohara Municipality', 'Kirtipur Municipality', 'Nagarjun Municipality',
+          'Shankharapur Municipality', 'Tarakeshwar Municipality', 'Tokha Municipality'
+        ]
+      },
+      {
+        name: 'Bhaktapur',
+        municipalities: [
+          'Bhaktapur Municipality', 'Changunarayan Municipality', 'Madhyapur Thimi Municipality',
+          'Suryabinayak Municipality'
+        ]
+      },
+      {
+        name: 'Lalitpur',
+        municipalities: [
+          'Lalitpur Metropolitan City', 'Godawari Municipality', 'Mahalaxmi Municipality',
+          'Bagmati Rural Municipality', 'Konjyosom Rural Municipality',
+          'Mahankal Rural Municipality'
+        ]
+      },
+      {
+        name: 'Kavrepalanchok',
+        aliases: ['Kavre', 'Kabhrepalanchok'],
+        municipalities: [
+          'Banepa Municipality', 'Dhulikhel Municipality', 'Mandandeupur Municipality',
+          'Namobuddha Municipality', 'Panauti Municipality', 'Panchkhal Municipality',
+          'Bethanchok Rural Municipality', 'Bhumlu Rural Municipality',
+          'Chaurideurali Rural Municipality', 'Khanikhola Rural Municipality',
+          'Mahabharat Rural Municipality', 'Roshi Rural Municipality', 'Temal Rural Municipality'
+        ]
+      },
+      {
+        name: 'Ramechhap',
+        municipalities: [
+          'Manthali Municipality', 'Ramechhap Municipality', 'Doramba Rural Municipality',
+          'Gokulganga Rural Municipality', 'Khandadevi Rural Municipality',
+          'Likhu Tamakoshi Rural Municipality', 'Sunapati Rural Municipality',
+          'Umakunda Rural Municipality'
+        ]
+      },
+      {
+        name: 'Sindhuli',
+        municipalities: [
+          'Dudhauli Municipality', 'Kamalamai Municipality', 'Ghanglekh Rural Municipality',
+          'Golanjor Rural Municipality', 'Hariharpurgadhi Rural Municipality',
+          'Marin Rural Municipality', 'Phikkal Rural Municipality', 'Sunkoshi Rural Municipality',
+          'Tinpatan Rural Municipality'
+        ]
+      },
+      {
+        name: 'Makwanpur',
+        aliases: ['Makawanpur'],
+        municipalities: [
+          'Hetauda Sub-Metropolitan City', 'Thaha Municipality', 'Bagmati Rural Municipality',
+          'Bakaiya Rural Municipality', 'Bhimphedi Rural Municipality',
+          'Indrasarowar Rural Municipality', 'Kailash Rural Municipality',
+          'Makawanpurgadhi Rural Municipality', 'Manahari Rural Municipality',
+          'Raksirang Rural Municipality'
+        ]
+      },
+      {
+        name: 'Chitwan',
+        aliases: ['Chitawan'],
+        municipalities: [
+          'Bharatpur Metropolitan City', 'Kalika Municipality', 'Khairahani Municipality',
+          'Madi Municipality', 'Rapti Municipality', 'Ratnanagar Municipality',
+          'Ichchhakamana Rural Municipality'
+        ]
+      }
+    ]
+  },
+  {
+    id: 4,
+    name: 'Gandaki',
+    districts: [
+      {
+        name: 'Gorkha',
+        municipalities: [
+          'Gorkha Municipality', 'Palungtar Municipality', 'Aarughat Rural Municipality',
+          'Ajirkot Rural Municipality', 'Barpak Sulikot Rural Municipality',
+          'Bhimsen Thapa Rural Municipality', 'Chum Nubri Rural Municipality',
+          'Dharche Rural Municipality', 'Gandaki Rural Municipality',
+          'Sahid Lakhan Rural Municipality', 'Siranchok Rural Municipality'
+        ]
+      },
+      {
+        name: 'Manang',
+        municipalities: [
+          'Chame Rural Municipality', 'Manang Ngisyang Rural Municipality',
+          'Narphu Rural Municipality', 'Nashong Rural Municipality'
+        ]
+      },
+      {
+        name: 'Mustang',
+        municipalities: [
+          'Barhagaun Muktikshetra Rural Municipality', 'Dalome Rural Municipality',
+          'Gharapjhong Rural Municipality', 'Lomanthang Rural Municipality',
+          'Thasang Rural Municipality'
+        ]
+      },
+      {
+        name: 'Myagdi',
+        municipalities: [
+          'Beni Municipality', 'Annapurna Rural Municipality', 'Dhaulagiri Rural Municipality',
+          'Malika Rural Municipality', 'Mangala Rural Municipality',
+          'Raghuganga Rural Municipality'
+        ]
+      },
+      {
+        name: 'Kaski',
+        municipalities: [
+          'Pokhara Metropolitan City', 'Annapurna Rural Municipality',
+          'Machhapuchchhre Rural Municipality', 'Madi Rural Municipality',
+          'Rupa Rural Municipality'
+        ]
+      },
+      {
+        name: 'Lamjung',
+        municipalities: [
+          'Besisahar Municipality', 'Madhyanepal Municipality', 'Rainas Municipality',
+          'Sundarbazar Municipality', 'Dordi Rural Municipality', 'Dudhpokhari Rural Municipality',
+          'Kwholasothar Rural Municipality', 'Marsyangdi Rural Municipality'
+        ]
+      },
+      {
+        name: 'Tanahun',
+        aliases: ['Tanahu'],
+        municipalities: [
+          'Bhanu Municipality', 'Bhimad Municipality', 'Byas Municipality',
+          'Shuklagandaki Municipality', 'Anbukhaireni Rural Municipality',
+          'Bandipur Rural Municipality', 'Devghat Rural Municipality',
+          'Ghiring Rural Municipality', 'Myagde Rural Municipality', 'Rhishing Rural Municipality'
+        ]
+      },
+      {
+        name: 'Nawalpur',
+        aliases: ['Nawalparasi East', 'Nawalparasi (Bardaghat Susta East)'],
+        municipalities: [
+          'Devchuli Municipality', 'Gaindakot Municipality', 'Kawasoti Municipality',
+          'Madhyabindu Municipality', 'Baudikali Rural Municipality',
+          'Binayi Triveni Rural Municipality', 'Bulingtar Rural Municipality',
+          'Hupsekot Rural Municipality'
+        ]
+      },
+      {
+        name: 'Syangja',
+        municipalities: [
+          'Bhirkot Municipality', 'Chapakot Municipality', 'Galyang Municipality',
+          'Putalibazar Municipality', 'Waling Municipality', 'Aandhikhola Rural Municipality',
+          'Arjunchaupari Rural Municipality', 'Biruwa Rural Municipality',
+          'Harinas Rural Municipality', 'Kaligandaki Rural Municipality',
+          'Phedikhola Rural Municipality'
+        ]
+      },
+      {
+        name: 'Parbat',
+        municipalities: [
+          'Kushma Municipality', 'Phalebas Municipality', 'Bihadi Rural Municipality',
+          'Jaljala Rural Municipality', 'Mahashila Rural Municipality', 'Modi Rural Municipality',
+          'Painyu Rural Municipality'
+        ]
+      },
+      {
+        name: 'Baglung',
+        municipalities: [
+          'Baglung Municipality', 'Dhorpatan Municipality', 'Galkot Municipality',
+          'Jaimini Municipality', 'Badigad Rural Municipality', 'Bareng Rural Municipality',
+          'Kathekhola Rural Municipality', 'Nisikhola Rural Municipality',
+          'Taman Khola Rural Municipality', 'Tarakhola Rural Municipality'
+        ]
+      }
+    ]
+  },
+  {
+    id: 5,
+    name: 'Lumbini',
+    districts: [
+      {
+        name: 'Rukum East',
+        aliases: ['Eastern Rukum', 'Rukum Purba'],
+        municipalities: [
+          'Bhume Rural Municipality', 'Putha Uttarganga Rural Municipality',
+          'Sisne Rural Municipality'
+        ]
+      },
+      {
+        name: 'Rolpa',
+        municipalities: [
+          'Rolpa Municipality', 'Gangadev Rural Municipality', 'Lungri Rural Municipality',
+          'Madi Rural Municipality', 'Pariwartan Rural Municipality',
+          'Runtigadhi Rural Municipality', 'Sunchhahari Rural Municipality',
+          'Sunil Smriti Rural Municipality', 'Thabang Rural Municipality',
+          'Triveni Rural Municipality'
+        ]
+      },
+      {
+        name: 'Pyuthan',
+        municipalities: [
+          'Pyuthan Municipality', 'Sworgadwari Municipality', 'Airawati Rural Municipality',
+          'Gaumukhi Rural Municipality', 'Jhimruk Rural Municipality',
+          'Mallarani Rural Municipality', 'Mandavi Rural Municipality',
+          'Naubahini Rural Municipality', 'Sarumarani Rural Municipality'
+        ]
+      },
+      {
+        name: 'Gulmi',
+        municipalities: [
+          'Musikot Municipality', 'Resunga Municipality', 'Chandrakot Rural Municipality',
+          'Chatrakot Rural Municipality', 'Dhurkot Rural Municipality',
+          'Gulmi Darbar Rural Municipality', 'Isma Rural Municipality',
+          'Kaligandaki Rural Municipality', 'Madane Rural Municipality',
+          'Malika Rural Municipality', 'Ruru Rural Municipality', 'Satyawati Rural Municipality'
+        ]
+      },
+      {
+        name: 'Arghakhanchi',
+        municipalities: [
+          'Bhumikasthan Municipality', 'Sandhikharka Municipality', 'Sitganga Municipality',
+          'Chhatradev Rural Municipality', 'Malarani Rural Municipality',
+          'Panini Rural Municipality'
+        ]
+      },
+      {
+        name: 'Palpa',
+        municipalities: [
+          'Rampur Municipality', 'Tansen Municipality', 'Bagnaskali Rural Municipality',
+          'Mathagadhi Rural Municipality', 'Nisdi Rural Municipality',
+          'Purbakhola Rural Municipality', 'Rainadevi Chhahara Rural Municipality',
+          'Rambha Rural Municipality', 'Ripdikot Rural Municipality', 'Tinau Rural Municipality'
+        ]
+      },
+      {
+        name: 'Parasi',
+        aliases: ['Nawalparasi West', 'Nawalparasi (Bardaghat Susta West)'],
+        municipalities: [
+          'Bardaghat Municipality', 'Ramgram Municipality', 'Sunwal Municipality',
+          'Palhi Nandan Rural Municipality', 'Pratappur Rural Municipality',
+          'Sarawal Rural Municipality', 'Susta Rural Municipality'
+        ]
+      },
+      {
+        name: 'Rupandehi',
+        municipalities: [
+          'Butwal Sub-Metropolitan City', 'Devdaha Municipality',
+          'Lumbini Sanskritik Municipality', 'Sainamaina Municipality',
+          'Siddharthanagar Municipality', 'Tilottama Municipality', 'Gaidahawa Rural Municipality',
+          'Kanchan Rural Municipality', 'Kotahimai Rural Municipality',
+          'Marchawari Rural Municipality', 'Mayadevi Rural Municipality',
+          'Omsatiya Rural Municipality', 'Rohini Rural Municipality',
+          'Sammarimai Rural Municipality', 'Siyari Rural Municipality',
+          'Sudhdhodhan Rural Municipality'
+        ]
+      },
+      {
+        name: 'Kapilvastu',
+        aliases: ['Kapilbastu'],
+        municipalities: [
+          'Banganga Municipality', 'Buddhabhumi Municipality', 'Kapilvastu Municipality',
+          'Krishnanagar Municipality', 'Maharajgunj Municipality', 'Shivaraj Municipality',
+          'Bijaynagar Rural Municipality', 'Mayadevi Rural Municipality',
+          'Suddhodhan Rural Municipality', 'Yashodhara Rural Municipality'
+        ]
+      },
+      {
+        name: 'Dang',
+        aliases: ['Dang Deukhuri'],
+        municipalities: [
+          'Ghorahi Sub-Metropolitan City', 'Tulsipur Sub-Metropolitan City', 'Lamahi Municipality',
+          'Babai Rural Municipality', 'Banglachuli Rural Municipality',
+          'Dangisharan Rural Municipality', 'Gadhawa Rural Municipality',
+          'Rajpur Rural Municipality', 'Rapti Rural Municipality', 'Shantinagar Rural Municipality'
+        ]
+      },
+      {
+        name: 'Banke',
+        municipalities: [
+          'Nepalgunj Sub-Metropolitan City', 'Kohalpur Municipality',
+          'Baijanath Rural Municipality', 'Duduwa Rural Municipality', 'Janaki Rural Municipality',
+          'Khajura Rural Municipality', 'Narainapur Rural Municipality',
+          'Rapti Sonari Rural Municipality'
+        ]
+      },
+      {
+        name: 'Bardiya',
+        municipalities: [
+          'Bansgadhi Municipality', 'Barbardiya Municipality', 'Gulariya Municipality',
+          'Madhuwan Municipality', 'Rajapur Municipality', 'Thakurbaba Municipality',
+          'Badhaiyatal Rural Municipality', 'Geruwa Rural Municipality'
+        ]
+      }
+    ]
+  },
+  {
+    id: 6,
+    name: 'Karnali',
+    districts: [
+      {
+        name: 'Dolpa',
+        municipalities: [
+          'Thuli Bheri Municipality', 'Tripurasundari Municipality',
+          'Chharka Tangsong Rural Municipality', 'Dolpo Buddha Rural Municipality',
+          'Jagadulla Rural Municipality', 'Kaike Rural Municipality',
+          'Mudkechula Rural Municipality', 'She Phoksundo Rural Municipality'
+        ]
+      },
+      {
+        name: 'Mugu',
+        municipalities: [
+          'Chhayanath Rara Municipality', 'Khatyad Rural Municipality',
+          'Mugum Karmarong Rural Municipality', 'Soru Rural Municipality'
+        ]
+      },
+      {
+        name: 'Humla',
+        municipalities: [
+          'Adanchuli Rural Municipality', 'Chankheli Rural Municipality',
+          'Kharpunath Rural Municipality', 'Namkha Rural Municipality',
+          'Sarkegad Rural Municipality', 'Simkot Rural Municipality', 'Tanjakot Rural Municipality'
+        ]
+      },
+      {
+        name: 'Jumla',
+        municipalities: [
+          'Chandannath Municipality', 'Guthichaur Rural Municipality', 'Hima Rural Municipality',
+          'Kankasundari Rural Municipality', 'Patarasi Rural Municipality',
+          'Sinja Rural Municipality', 'Tatopani Rural Municipality', 'Tila Rural Municipality'
+        ]
+      },
+      {
+        name: 'Kalikot',
+        municipalities: [
+          'Khandachakra Municipality', 'Raskot Municipality', 'Tilagufa Municipality',
+          'Kalika Rural Municipality', 'Mahawai Rural Municipality',
+          'Naraharinath Rural Municipality', 'Pachaljharana Rural Municipality',
+          'Palata Rural Municipality', 'Sanni Triveni Rural Municipality'
+        ]
+      },
+      {
+        name: 'Dailekh',
+        municipalities: [
+          'Aathabis Municipality', 'Chamunda Bindrasaini Municipality', 'Dullu Municipality',
+          'Narayan Municipality', 'Bhagawatimai Rural Municipality', 'Bhairabi Rural Municipality',
+          'Dungeshwar Rural Municipality', 'Gurans Rural Municipality',
+          'Mahabu Rural Municipality', 'Naumule Rural Municipality',
+          'Thantikandh Rural Municipality'
+        ]
+      },
+      {
+        name: 'Jajarkot',
+        municipalities: [
+          'Bheri Municipality', 'Chhedagad Municipality', 'Nalgad Municipality',
+          'Barekot Rural Municipality', 'Junichande Rural Municipality', 'Kuse Rural Municipality',
+          'Shiwalaya Rural Municipality'
+        ]
+      },
+      {
+        name: 'Rukum West',
+        aliases: ['Western Rukum', 'Rukum Paschim'],
+        municipalities: [
+          'Aathbiskot Municipality', 'Chaurjahari Municipality', 'Musikot Municipality',
+          'Banphikot Rural Municipality', 'Sani Bheri Rural Municipality',
+          'Tribeni Rural Municipality'
+        ]
+      },
+      {
+        name: 'Salyan',
+        municipalities: [
+          'Bagchaur Municipality', 'Bangad Kupinde Municipality', 'Sharada Municipality',
+          'Chhatreshwori Rural Municipality', 'Darma Rural Municipality',
+          'Kalimati Rural Municipality', 'Kapurkot Rural Municipality',
+          'Kumakh Rural Municipality', 'Siddha Kumakh Rural Municipality',
+          'Tribeni Rural Municipality'
+        ]
+      },
+      {
+        name: 'Surkhet',
+        municipalities: [
+          'Bheriganga Municipality', 'Birendranagar Municipality', 'Gurbhakot Municipality',
+          'Lekbeshi Municipality', 'Panchapuri Municipality', 'Barahatal Rural Municipality',
+          'Chaukune Rural Municipality', 'Chingad Rural Municipality', 'Simta Rural Municipality'
+        ]
+      }
+    ]
+  },
+  {
+    id: 7,
+    name: 'Sudurpashchim',
+    districts: [
+      {
+        name: 'Bajura',
+        municipalities: [
+          'Badimalika Municipality', 'Budhiganga Municipality', 'Budhinanda Municipality',
+          'Triveni Municipality', 'Gaumul Rural Municipality', 'Himali Rural Municipality',
+          'Jagannath Rural Municipality', 'Khaptad Chhededaha Rural Municipality',
+          'Swamikartik Khapar Rural Municipality'
+        ]
+      },
+      {
+        name: 'Bajhang',
+        municipalities: [
+          'Bungal Municipality', 'Jayaprithvi Municipality', 'Bitthadchir Rural Municipality',
+          'Chhabispathivera Rural Municipality', 'Durgathali Rural Municipality',
+          'Kedarsyu Rural Municipality', 'Khaptadchhanna Rural Municipality',
+          'Masta Rural Municipality', 'Saipal Rural Municipality', 'Surma Rural Municipality',
+          'Talkot Rural Municipality', 'Thalara Rural Municipality'
+        ]
+      },
+      {
+        name: 'Achham',
+        municipalities: [
+          'Kamalbazar Municipality', 'Mangalsen Municipality', 'Panchadewal Binayak Municipality',
+          'Sanphebagar Municipality', 'Bannigadhi Jayagadh Rural Municipality',
+          'Chaurpati Rural Municipality', 'Dhakari Rural Municipality',
+          'Mellekh Rural Municipality', 'Ramaroshan Rural Municipality',
+          'Turmakhand Rural Municipality'
+        ]
+      },
+      {
+        name: 'Doti',
+        municipalities: [
+          'Dipayal Silgadhi Municipality', 'Shikhar Municipality', 'Aadarsha Rural Municipality',
+          'Badikedar Rural Municipality', 'Bogatan Phudsil Rural Municipality',
+          'Jorayal Rural Municipality', 'K.I. Singh Rural Municipality',
+          'Purbichauki Rural Municipality', 'Sayal Rural Municipality'
+        ]
+      },
+      {
+        name: 'Kailali',
+        municipalities: [
+          'Dhangadhi Sub-Metropolitan City', 'Bhajani Municipality', 'Gauriganga Municipality',
+          'Ghodaghodi Municipality', 'Godawari Municipality', 'Lamki Chuha Municipality',
+          'Tikapur Municipality', 'Bardagoriya Rural Municipality', 'Chure Rural Municipality',
+          'Janaki Rural Municipality', 'Joshipur Rural Municipality', 'Kailari Rural Municipality',
+          'Mohanyal Rural Municipality'
+        ]
+      },
+      {
+        name: 'Kanchanpur',
+        municipalities: [
+          'Bedkot Municipality', 'Belauri Municipality', 'Bhimdatta Municipality',
+          'Krishnapur Municipality', 'Mahakali Municipality', 'Punarbas Municipality',
+          'Shuklaphanta Municipality', 'Beldandi Rural Municipality', 'Laljhadi Rural Municipality'
+        ]
+      },
+      {
+        name: 'Dadeldhura',
+        municipalities: [
+          'Amargadhi Municipality', 'Parashuram Municipality', 'Aalital Rural Municipality',
+          'Ajaymeru Rural Municipality', 'Bhageshwar Rural Municipality',
+          'Ganyapdhura Rural Municipality', 'Navadurga Rural Municipality'
+        ]
+      },
+      {
+        name: 'Baitadi',
+        municipalities: [
+          'Dasharathchand Municipality', 'Melauli Municipality', 'Patan Municipality',
+          'Purchaudi Municipality', 'Dilasaini Rural Municipality',
+          'Dogdakedar Rural Municipality', 'Pancheshwar Rural Municipality',
+          'Shivanath Rural Municipality', 'Sigas Rural Municipality', 'Surnaya Rural Municipality'
+        ]
+      },
+      {
+        name: 'Darchula',
+        municipalities: [
+          'Mahakali Municipality', 'Shailyashikhar Municipality', 'Apihimal Rural Municipality',
+          'Byas Rural Municipality', 'Duhun Rural Municipality', 'Lekam Rural Municipality',
+          'Malikarjun Rural Municipality', 'Marma Rural Municipality', 'Naugad Rural Municipality'
+        ]
+      }
+    ]
+  }
+];
+
+export default NEPAL_PROVINCES;
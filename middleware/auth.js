@@ -9,6 +9,7 @@
 import jwt from 'jsonwebtoken';
 import { getRepository } from 'typeorm';
 import User from '../models/User.js';
+import { isSessionActive } from '../services/session.service.js';
 
 /**
  * Middleware to authenticate requests using JWT
@@ -39,14 +40,22 @@ export const authMiddleware = async (req, res, next) => {
     // Verify JWT token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
+    // Reject access tokens whose session has been logged out or revoked
+    if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Session has been revoked. Please login again.'
+      });
+    }
+
     // Fetch user from database to ensure they still exist and are active
     const userRepository = getRepository(User);
     const user = await userRepository.findOne({
       where: { id: decoded.id },
-      relations: ['role'] // Include the user's role for RBAC
+      relations: ['role', 'role.permissions'] // Include the user's role and permissions for RBAC
     });
 
-    if (!user) {
+    if (!user || !user.isActive) {
       return res.status(401).json({
         error: 'Unauthorized',
         message: 'User no longer exists or access has been revoked.'
@@ -57,8 +66,11 @@ export const authMiddleware = async (req, res, next) => {
     req.user = {
       id: user.id,
       email: user.email,
-      fullName: user.full_name,
-      role: user.role.role_name
+      fullName: user.fullName,
+      role: user.role.roleName,
+      permissions: (user.role.permissions || []).map(permission => permission.key),
+      dealerId: user.dealerId,
+      sessionId: decoded.sid || null
     };
 
     // Continue to next middleware or route handler
@@ -0,0 +1,149 @@
+/**
+ * Idempotency middleware for Snowfun Nepal application
+ *
+ * Lets clients retry a non-idempotent request (e.g. POST /api/visits) by
+ * sending the same `Idempotency-Key` header. The first successful response
+ * is stored; later requests with the same key from the same user get that
+ * response back instead of running the handler again. Must be applied after
+ * authMiddleware, since keys are scoped per user.
+ *
+ * A repeat that arrives while the first request is still running gets a 503
+ * with Retry-After, so offline clients keep the request queued. A key is bound
+ * to the method and path it was first used with, and stored responses are
+ * kept for KEY_TTL_MS.
+ */
+
+import { getRepository, IsNull, LessThan } from 'typeorm';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+
+const HEADER = 'idempotency-key';
+const MAX_KEY_LENGTH = 100;
+
+// A reservation without a response after this long belongs to a request
+// that died (e.g. the API restarted mid-request) and may be taken over
+const IN_PROGRESS_TIMEOUT_MS = 2 * 60 * 1000;
+const IN_PROGRESS_RETRY_AFTER_SECONDS = 5;
+
+// Long enough to cover a PSR device that stays offline for weeks
+const KEY_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Tell the client its earlier request with this key is still running
+ * @param {Object} res - Express response object
+ */
+const sendInProgress = (res) => {
+  res.set('Retry-After', String(IN_PROGRESS_RETRY_AFTER_SECONDS));
+  return res.status(503).json({
+    error: 'Service Unavailable',
+    message: 'A request with this Idempotency-Key is still being processed. Retry shortly.',
+    retryAfter: IN_PROGRESS_RETRY_AFTER_SECONDS
+  });
+};
+
+/**
+ * Reserve a key for this request, taking over a stale reservation
+ * @param {Repository} keyRepository - IdempotencyKey repository
+ * @param {IdempotencyKey} record - Reservation to insert
+ * @returns {Promise<boolean>} False if another request holds the key
+ */
+const reserveKey = async (keyRepository, record) => {
+  const now = Date.now();
+
+  // Drop expired responses and stale reservations for this key first; the
+  // conditions make sure a live reservation is never removed
+  await keyRepository.delete({ createdAt: LessThan(new Date(now - KEY_TTL_MS)) });
+  await keyRepository.delete({
+    key: record.key,
+    userId: record.userId,
+    statusCode: IsNull(),
+    createdAt: LessThan(new Date(now - IN_PROGRESS_TIMEOUT_MS))
+  });
+
+  try {
+    // The unique constraint on (key, user_id) stops two concurrent requests
+    // both getting through
+    await keyRepository.insert(record);
+    return true;
+  } catch (error) {
+    if (error.code === '23505') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Middleware that replays stored responses for repeated idempotency keys.
+ * Requests without the header pass straight through.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const idempotency = async (req, res, next) => {
+  try {
+    const key = req.headers[HEADER];
+
+    if (!key) {
+      return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+      });
+    }
+
+    const keyRepository = getRepository(IdempotencyKey);
+    const path = req.originalUrl.slice(0, 255);
+    const existing = await keyRepository.findOne({
+      where: { key, userId: req.user.id }
+    });
+
+    if (existing && (existing.method !== req.method || existing.path !== path)) {
+      return res.status(422).json({
+        error: 'Unprocessable Entity',
+        message: 'This Idempotency-Key was already used for a different request'
+      });
+    }
+
+    if (existing && existing.isCompleted()) {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.statusCode).json(existing.responseBody);
+    }
+
+    // Reserve the key before running the handler
+    const record = keyRepository.create({
+      key,
+      userId: req.user.id,
+      method: req.method,
+      path
+    });
+
+    if (!(await reserveKey(keyRepository, record))) {
+      return sendInProgress(res);
+    }
+
+    // Store successful responses for replay; release the key on failure so
+    // the client can retry with it. The response is only sent once that is
+    // saved, so a retry after it arrives always finds the stored response.
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const persist = res.statusCode < 400
+        ? keyRepository.update(record.id, { statusCode: res.statusCode, responseBody: body })
+        : keyRepository.delete(record.id);
+
+      persist
+        .catch(error => console.error('Failed to persist idempotency key:', error))
+        .then(() => originalJson(body));
+
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default idempotency;
@@ -1,17 +1,21 @@
 /**
  * Role-Based Access Control (RBAC) middleware for Snowfun Nepal application
  * 
- * This middleware restricts access to routes based on user roles.
+ * This middleware restricts access to routes based on user roles, or on the
+ * permissions those roles have been granted.
  * It works in conjunction with the auth middleware which should be applied first
  * to attach the authenticated user to the request object.
  */
 
+import { hasPermission, isFieldUser } from '../services/permission.service.js';
+
 /**
  * Creates a middleware function that checks if the user has one of the allowed roles
  * @param {Array<string>} allowedRoles - Array of role names that are permitted to access the route
+ * @param {Array<string>} allowedPermissions - Permission keys that also grant access, for custom roles
  * @returns {Function} Express middleware function
  */
-export const rbacMiddleware = (allowedRoles = []) => {
+export const rbacMiddleware = (allowedRoles = [], allowedPermissions = []) => {
   return (req, res, next) => {
     try {
       // Ensure user is authenticated and has a role attached
@@ -23,7 +27,7 @@ export const rbacMiddleware = (allowedRoles = []) => {
       }
 
       // Check if user's role is in the allowed roles list
-      if (allowedRoles.includes(req.user.role)) {
+      if (allowedRoles.includes(req.user.role) || allowedPermissions.some(key => hasPermission(req.user, key))) {
         // User has permission, proceed to the next middleware or route handler
         return next();
       }
@@ -46,9 +50,72 @@ export const rbacMiddleware = (allowedRoles = []) => {
 export const adminOnly = rbacMiddleware(['admin']);
 
 /**
- * Middleware for routes that should be accessible by both admins and PSRs
+ * Middleware for routes that should be accessible by both admins and PSRs,
+ * and by custom roles that see dealer data (area managers, supervisors)
+ */
+export const adminOrPsr = rbacMiddleware(['admin', 'psr'], ['data:all', 'data:territory']);
+
+/**
+ * Middleware for read-only routes also open to dealer portal users, whose
+ * data is limited to their own dealer's shops by the scope service
+ */
+export const adminPsrOrDealer = rbacMiddleware(['admin', 'psr'], ['data:all', 'data:territory', 'data:dealer']);
+
+/**
+ * Creates a middleware function that checks if the user's role grants at
+ * least one of the given permissions. Admins pass every check.
+ * @param {...string} keys - Permission keys, e.g. 'fridges:transfer'
+ * @returns {Function} Express middleware function
  */
-export const adminOrPsr = rbacMiddleware(['admin', 'psr']);
+export const requirePermission = (...keys) => {
+  return (req, res, next) => {
+    try {
+      if (!req.user || !req.user.role) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'Authentication required before permission verification.'
+        });
+      }
+
+      if (keys.some(key => hasPermission(req.user, key))) {
+        return next();
+      }
+
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have permission to access this resource.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Middleware for routes only field PSRs use, such as logging visits: users
+ * whose role holds 'visits:record'. Admins do not pass.
+ */
+export const fieldUserOnly = (req, res, next) => {
+  try {
+    if (!req.user || !req.user.role) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required before permission verification.'
+      });
+    }
+
+    if (isFieldUser(req.user)) {
+      return next();
+    }
+
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Only field PSRs can access this resource.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
 /**
  * Middleware that checks if a user is accessing their own resource
@@ -0,0 +1,86 @@
+/**
+ * Upload middleware for Snowfun Nepal application
+ *
+ * Accepts multipart file uploads into memory with size and type limits, and
+ * turns multer's errors into 400/413 responses through the error handler.
+ *
+ * Configuration (environment variables):
+ * - MAX_IMAGE_UPLOAD_MB: largest image accepted (default 10)
+ */
+
+import multer from 'multer';
+import path from 'path';
+import { createError } from './errorHandler.js';
+
+// Largest spreadsheet accepted for bulk imports
+const MAX_SPREADSHEET_BYTES = 5 * 1024 * 1024;
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+// Largest photo or contract scan accepted, before resizing
+const MAX_IMAGE_BYTES = parseInt(process.env.MAX_IMAGE_UPLOAD_MB || '10', 10) * 1024 * 1024;
+
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+/**
+ * Wrap a multer handler so its errors carry an HTTP status
+ * @param {Function} handler - Multer middleware
+ * @returns {Function} Express middleware function
+ */
+const withUploadErrors = (handler) => (req, res, next) => {
+  handler(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      return next(createError(
+        error.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : error.message,
+        error.code === 'LIMIT_FILE_SIZE' ? 413 : 400
+      ));
+    }
+
+    return next(error);
+  });
+};
+
+/**
+ * Middleware accepting a single CSV or XLSX file in the `file` field
+ */
+export const spreadsheetUpload = withUploadErrors(
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_SPREADSHEET_BYTES, files: 1 },
+    fileFilter: (req, file, callback) => {
+      const extension = path.extname(file.originalname).toLowerCase();
+
+      if (!SPREADSHEET_EXTENSIONS.includes(extension)) {
+        return callback(createError('Only .csv and .xlsx files can be imported', 400));
+      }
+
+      return callback(null, true);
+    }
+  }).single('file')
+);
+
+/**
+ * Middleware accepting a single JPEG, PNG or WebP image in the `file` field
+ */
+export const imageUpload = withUploadErrors(
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+    fileFilter: (req, file, callback) => {
+      if (!IMAGE_MIME_TYPES.includes(file.mimetype)) {
+        return callback(createError('Only JPEG, PNG and WebP images can be uploaded', 400));
+      }
+
+      return callback(null, true);
+    }
+  }).single('file')
+);
+
+export default {
+  spreadsheetUpload,
+  imageUpload
+};
@@ -0,0 +1,111 @@
+/**
+ * DailyStat entity model for Snowfun Nepal application
+ *
+ * This model stores a nightly snapshot of each dealer's shops, fridges and
+ * visits for one day, so the admin dashboard and reports can read totals
+ * without counting every fridge and visit on each request. The dealer's
+ * district is copied onto the row so district filters need no join.
+ */
+
+import {
+  Entity,
+  PrimaryGeneratedColumn,
+  Column,
+  ManyToOne,
+  JoinColumn,
+  Unique,
+  Index
+} from 'typeorm';
+import Dealer from './Dealer.js';
+
+@Entity('daily_stats')
+@Unique(['statDate', 'dealerId'])
+@Index(['statDate', 'district'])
+class DailyStat {
+  @PrimaryGeneratedColumn()
+  id;
+
+  @Column({
+    name: 'stat_date',
+    type: 'date',
+    nullable: false
+  })
+  statDate;
+
+  @Column({
+    name: 'dealer_id',
+    nullable: false
+  })
+  dealerId;
+
+  @ManyToOne(() => Dealer, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'dealer_id' })
+  dealer;
+
+  @Column({
+    type: 'varchar',
+    length: 80,
+    nullable: false
+  })
+  district;
+
+  @Column({
+    name: 'shop_count',
+    type: 'int',
+    nullable: false,
+    default: 0
+  })
+  shopCount;
+
+  @Column({
+    name: 'fridge_count',
+    type: 'int',
+    nullable: false,
+    default: 0
+  })
+  fridgeCount;
+
+  // { typeName: count }
+  @Column({
+    name: 'fridges_by_type',
+    type: 'jsonb',
+    nullable: false,
+    default: () => `'{}'`
+  })
+  fridgesByType;
+
+  // { working, repair, missing }
+  @Column({
+    name: 'fridges_by_status',
+    type: 'jsonb',
+    nullable: false,
+    default: () => `'{}'`
+  })
+  fridgesByStatus;
+
+  @Column({
+    name: 'visit_count',
+    type: 'int',
+    nullable: false,
+    default: 0
+  })
+  visitCount; // 'visited' records that day
+
+  @Column({
+    name: 'shops_visited',
+    type: 'int',
+    nullable: false,
+    default: 0
+  })
+  shopsVisited; // Distinct shops with a 'visited' record that day
+
+  @Column({
+    name: 'refreshed_at',
+    type: 'timestamp',
+    nullable: false,
+    default: () => 'CURRENT_TIMESTAMP'
+  })
+  refreshedAt;
+}
+
+export default DailyStat;
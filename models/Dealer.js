@@ -3,6 +3,8 @@
  * 
  * This model represents dealers/distributors who are assigned to specific
  * regions in Nepal. Each dealer can have multiple shops and PSRs assigned to them.
+ * Province, district and municipality hold canonical names from the Nepal
+ * reference dataset (see services/geo.service.js).
  */
 
 import {
@@ -27,6 +29,13 @@ class Dealer {
   })
   name;
 
+  @Column({
+    type: 'varchar',
+    length: 40,
+    nullable: true
+  })
+  province;
+
   @Column({
     type: 'varchar',
     length: 80,
@@ -71,7 +80,7 @@ class Dealer {
   createdAt;
 
   /**
-   * Get all PSRs assigned to this dealer
+   * Get all PSRs currently assigned to this dealer
    * @returns {Promise<User[]>} Array of PSR users
    */
   async getAssignedPsrs() {
@@ -79,7 +88,9 @@ class Dealer {
       return [];
     }
     
-    return this.psrAssignments.map(assignment => assignment.psr);
+    return this.psrAssignments
+      .filter(assignment => assignment.isActive())
+      .map(assignment => assignment.psr);
   }
 
   /**
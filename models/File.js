@@ -0,0 +1,183 @@
+/**
+ * File entity model for Snowfun Nepal application
+ *
+ * This model records an uploaded image (a fridge contract or a shop or
+ * inspection photo). The contents live in the storage driver under
+ * `storageKey`/`thumbnailKey` with their EXIF data stripped; the GPS position
+ * and capture time read from the original EXIF are kept here instead.
+ * Every file belongs to a shop, which decides who may download it.
+ */
+
+import {
+  Entity,
+  PrimaryGeneratedColumn,
+  Column,
+  CreateDateColumn,
+  ManyToOne,
+  JoinColumn,
+  Index,
+  Check
+} from 'typeorm';
+import Shop from './Shop.js';
+import Fridge from './Fridge.js';
+import Visit from './Visit.js';
+import User from './User.js';
+
+@Entity('files')
+@Index(['shopId', 'createdAt'])
+@Index(['fridgeId'])
+@Check(`kind IN ('contract', 'shop_photo', 'inspection_photo')`)
+class File {
+  @PrimaryGeneratedColumn('uuid')
+  id;
+
+  @Column({
+    type: 'varchar',
+    length: 20,
+    nullable: false
+  })
+  kind;
+
+  @Column({
+    name: 'shop_id',
+    nullable: false
+  })
+  shopId;
+
+  @ManyToOne(() => Shop, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'shop_id' })
+  shop;
+
+  @Column({
+    name: 'fridge_id',
+    nullable: true
+  })
+  fridgeId;
+
+  @ManyToOne(() => Fridge, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'fridge_id' })
+  fridge;
+
+  @Column({
+    name: 'visit_id',
+    nullable: true
+  })
+  visitId;
+
+  @ManyToOne(() => Visit, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'visit_id' })
+  visit;
+
+  @Column({
+    name: 'storage_key',
+    type: 'varchar',
+    length: 255,
+    nullable: false
+  })
+  storageKey;
+
+  @Column({
+    name: 'thumbnail_key',
+    type: 'varchar',
+    length: 255,
+    nullable: false
+  })
+  thumbnailKey;
+
+  @Column({
+    name: 'original_name',
+    type: 'varchar',
+    length: 255,
+    nullable: true
+  })
+  originalName;
+
+  @Column({
+    name: 'content_type',
+    type: 'varchar',
+    length: 50,
+    nullable: false
+  })
+  contentType;
+
+  @Column({
+    name: 'size_bytes',
+    type: 'int',
+    nullable: false
+  })
+  sizeBytes;
+
+  @Column({
+    type: 'int',
+    nullable: false
+  })
+  width;
+
+  @Column({
+    type: 'int',
+    nullable: false
+  })
+  height;
+
+  @Column({
+    name: 'gps_latitude',
+    type: 'decimal',
+    precision: 9,
+    scale: 6,
+    nullable: true
+  })
+  gpsLatitude;
+
+  @Column({
+    name: 'gps_longitude',
+    type: 'decimal',
+    precision: 9,
+    scale: 6,
+    nullable: true
+  })
+  gpsLongitude;
+
+  @Column({
+    name: 'captured_at',
+    type: 'timestamp',
+    nullable: true // From EXIF DateTimeOriginal, when present
+  })
+  capturedAt;
+
+  @Column({
+    name: 'uploaded_by_id',
+    type: 'uuid',
+    nullable: true
+  })
+  uploadedById;
+
+  @ManyToOne(() => User, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'uploaded_by_id' })
+  uploadedBy;
+
+  @CreateDateColumn({
+    name: 'created_at',
+    type: 'timestamp',
+    default: () => 'CURRENT_TIMESTAMP'
+  })
+  createdAt;
+
+  /**
+   * Get valid file kind values
+   * @returns {Array<string>} Array of valid kinds
+   */
+  static get KIND_VALUES() {
+    return ['contract', 'shop_photo', 'inspection_photo'];
+  }
+
+  /**
+   * Get the API path that serves this file
+   * @param {boolean} thumbnail - Whether to link the thumbnail
+   * @returns {string} Content URL path
+   */
+  getContentPath(thumbnail = false) {
+    return `/api/files/${this.id}/content${thumbnail ? '?variant=thumbnail' : ''}`;
+  }
+}
+
+export default File;
@@ -3,6 +3,8 @@
  * 
  * This model represents physical freezer units placed in shops.
  * Each fridge has a specific model, status, and contract details.
+ * A fridge is either at a shop or held in a dealer's warehouse between
+ * placements; moves are recorded in `fridge_transfers`.
  */
 
 import {
@@ -12,21 +14,29 @@ import {
   CreateDateColumn,
   UpdateDateColumn,
   ManyToOne,
+  OneToMany,
   JoinColumn,
   Check
 } from 'typeorm';
 import Shop from './Shop.js';
+import Dealer from './Dealer.js';
 import FridgeModel from './FridgeModel.js';
+import FridgeStatusEvent from './FridgeStatusEvent.js';
+import VisitFridgeInspection from './VisitFridgeInspection.js';
+import FridgeDeposit from './FridgeDeposit.js';
+import RepairTicket from './RepairTicket.js';
+import FridgeTransfer from './FridgeTransfer.js';
 
 @Entity('fridges')
 @Check(`status IN ('working', 'repair', 'missing')`)
+@Check('(shop_id IS NULL) <> (warehouse_dealer_id IS NULL)') // Exactly one location
 class Fridge {
   @PrimaryGeneratedColumn()
   id;
 
   @Column({
     name: 'shop_id',
-    nullable: false
+    nullable: true // Null while the fridge is in a dealer's warehouse
   })
   shopId;
 
@@ -34,6 +44,16 @@ class Fridge {
   @JoinColumn({ name: 'shop_id' })
   shop;
 
+  @Column({
+    name: 'warehouse_dealer_id',
+    nullable: true
+  })
+  warehouseDealerId;
+
+  @ManyToOne(() => Dealer, { onDelete: 'RESTRICT' })
+  @JoinColumn({ name: 'warehouse_dealer_id' })
+  warehouseDealer;
+
   @Column({
     name: 'model_id',
     nullable: false
@@ -75,6 +95,21 @@ class Fridge {
   })
   installedAt;
 
+  @OneToMany(() => FridgeStatusEvent, event => event.fridge)
+  statusEvents;
+
+  @OneToMany(() => VisitFridgeInspection, inspection => inspection.fridge)
+  inspections;
+
+  @OneToMany(() => FridgeDeposit, deposit => deposit.fridge)
+  deposits;
+
+  @OneToMany(() => RepairTicket, repair => repair.fridge)
+  repairs;
+
+  @OneToMany(() => FridgeTransfer, transfer => transfer.fridge)
+  transfers;
+
   @UpdateDateColumn({
     name: 'updated_at',
     type: 'timestamp',
@@ -107,6 +142,14 @@ class Fridge {
     return this.status === 'missing';
   }
 
+  /**
+   * Check if the fridge is held in a dealer's warehouse
+   * @returns {boolean} True if the fridge is not at a shop
+   */
+  isInWarehouse() {
+    return !this.shopId && Boolean(this.warehouseDealerId);
+  }
+
   /**
    * Get the full fridge description including brand, model and size
    * @returns {string} Formatted description
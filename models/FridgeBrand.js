@@ -0,0 +1,43 @@
+/**
+ * FridgeBrand entity model for Snowfun Nepal application
+ *
+ * This model represents freezer brands offered in the catalogue dropdowns.
+ * Brands are deactivated rather than deleted, so fridges of a retired brand
+ * keep their model while new fridges can no longer pick it.
+ */
+
+import {
+  Entity,
+  PrimaryGeneratedColumn,
+  Column,
+  OneToMany
+} from 'typeorm';
+import FridgeModel from './FridgeModel.js';
+
+@Entity('fridge_brands')
+class FridgeBrand {
+  @PrimaryGeneratedColumn()
+  id;
+
+  @Column({
+    name: 'brand_name',
+    type: 'varchar',
+    length: 60,
+    unique: true,
+    nullable: false
+  })
+  brandName;
+
+  @Column({
+    name: 'is_active',
+    type: 'boolean',
+    default: true,
+    nullable: false
+  })
+  isActive;
+
+  @OneToMany(() => FridgeModel, model => model.brand)
+  models;
+}
+
+export default FridgeBrand;
@@ -0,0 +1,165 @@
+/**
+ * FridgeDeposit entity model for Snowfun Nepal application
+ *
+ * This model is the ledger of deposit money for a fridge: instalments paid by
+ * the shop, refunds when a freezer is pulled and amounts forfeited (e.g. for
+ * a missing or damaged freezer). Amounts are always positive; the entry type
+ * gives the direction. Rows are append-only; a mistake is corrected with a
+ * further entry. Each row keeps the shop and dealer holding the fridge when
+ * it was recorded, so a later transfer does not move past collections. A
+ * transfer moves the held deposit with the fridge as a transfer_out entry at
+ * the old placement and a transfer_in entry at the new one.
+ */
+
+import {
+  Entity,
+  PrimaryGeneratedColumn,
+  Column,
+  CreateDateColumn,
+  ManyToOne,
+  JoinColumn,
+  Index,
+  Check
+} from 'typeorm';
+import Fridge from './Fridge.js';
+import Shop from './Shop.js';
+import Dealer from './Dealer.js';
+import User from './User.js';
+
+@Entity('fridge_deposits')
+@Index(['fridgeId', 'entryDate'])
+@Index(['entryDate'])
+@Index(['dealerId', 'entryDate'])
+@Index(['receiptNumber'], { unique: true, where: 'receipt_number IS NOT NULL' })
+@Check(`entry_type IN ('payment', 'refund', 'forfeit', 'transfer_out', 'transfer_in')`)
+@Check('amount_npr > 0')
+class FridgeDeposit {
+  @PrimaryGeneratedColumn()
+  id;
+
+  @Column({
+    name: 'fridge_id',
+    nullable: false
+  })
+  fridgeId;
+
+  @ManyToOne(() => Fridge, fridge => fridge.deposits, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'fridge_id' })
+  fridge;
+
+  @Column({
+    name: 'shop_id',
+    nullable: true // Null while the fridge was in a warehouse
+  })
+  shopId;
+
+  @ManyToOne(() => Shop, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'shop_id' })
+  shop;
+
+  @Column({
+    name: 'dealer_id',
+    nullable: true // Null for entries recorded before placements were kept
+  })
+  dealerId;
+
+  // Dealer of the shop, or the warehouse dealer, when the entry was recorded
+  @ManyToOne(() => Dealer, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'dealer_id' })
+  dealer;
+
+  @Column({
+    name: 'entry_type',
+    type: 'varchar',
+    length: 20,
+    nullable: false
+  })
+  entryType;
+
+  @Column({
+    name: 'amount_npr',
+    type: 'decimal',
+    precision: 12,
+    scale: 2,
+    nullable: false
+  })
+  amountNpr;
+
+  @Column({
+    name: 'entry_date',
+    type: 'date',
+    nullable: false
+  })
+  entryDate;
+
+  @Column({
+    name: 'receipt_number',
+    type: 'varchar',
+    length: 50,
+    nullable: true // Required for payments and refunds, optional for forfeits
+  })
+  receiptNumber;
+
+  @Column({
+    name: 'collected_by_id',
+    type: 'uuid',
+    nullable: true
+  })
+  collectedById;
+
+  // PSR who collected or paid out the cash
+  @ManyToOne(() => User, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'collected_by_id' })
+  collectedBy;
+
+  @Column({
+    type: 'text',
+    nullable: true
+  })
+  notes;
+
+  @Column({
+    name: 'recorded_by_id',
+    type: 'uuid',
+    nullable: true
+  })
+  recordedById;
+
+  @ManyToOne(() => User, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'recorded_by_id' })
+  recordedBy;
+
+  @CreateDateColumn({
+    name: 'created_at',
+    type: 'timestamp',
+    default: () => 'CURRENT_TIMESTAMP'
+  })
+  createdAt;
+
+  /**
+   * Get entry type values users can record
+   * @returns {Array<string>} Array of valid entry types
+   */
+  static get ENTRY_TYPE_VALUES() {
+    return ['payment', 'refund', 'forfeit'];
+  }
+
+  /**
+   * Get entry type values written by fridge transfers
+   * @returns {Array<string>} Array of transfer entry types
+   */
+  static get TRANSFER_ENTRY_TYPE_VALUES() {
+    return ['transfer_out', 'transfer_in'];
+  }
+
+  /**
+   * Get the effect of this entry on the deposit held at its placement
+   * @returns {number} Positive for payments and transfers in, negative otherwise
+   */
+  getSignedAmount() {
+    const amount = Number(this.amountNpr);
+    return this.entryType === 'payment' || this.entryType === 'transfer_in' ? amount : -amount;
+  }
+}
+
+export default FridgeDeposit;
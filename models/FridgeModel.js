@@ -3,7 +3,8 @@
  * 
  * This model represents different freezer models available in the system.
  * Each model belongs to a brand and type, and can be associated with multiple
- * physical fridge instances.
+ * physical fridge instances. Retired models are deactivated: they stay on
+ * existing fridges but are no longer offered for new ones.
  */
 
 import {
@@ -60,6 +61,14 @@ class FridgeModel {
   @JoinColumn({ name: 'type_id' })
   type;
 
+  @Column({
+    name: 'is_active',
+    type: 'boolean',
+    default: true,
+    nullable: false
+  })
+  isActive;
+
   @OneToMany(() => Fridge, fridge => fridge.model)
   fridges;
 
@@ -91,6 +100,15 @@ class FridgeModel {
   getTypeName() {
     return this.type ? this.type.typeName : 'Unknown';
   }
+
+  /**
+   * Check if the model can be picked for new fridges: the model, its brand
+   * and its type must all be active
+   * @returns {boolean} True if selectable (brand and type relations loaded)
+   */
+  isSelectable() {
+    return this.isActive && Boolean(this.brand?.isActive) && Boolean(this.type?.isActive);
+  }
 }
 
 export default FridgeModel;
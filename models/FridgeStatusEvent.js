@@ -0,0 +1,100 @@
+/**
+ * FridgeStatusEvent entity model for Snowfun Nepal application
+ *
+ * This model records every status change of a fridge ('working' | 'repair' |
+ * 'missing') together with who made it, why, and the visit that triggered it.
+ * Rows are append-only, so the full status timeline of a freezer can be
+ * reconstructed for any period.
+ */
+
+import {
+  Entity,
+  PrimaryGeneratedColumn,
+  Column,
+  CreateDateColumn,
+  ManyToOne,
+  JoinColumn,
+  Index,
+  Check
+} from 'typeorm';
+import Fridge from './Fridge.js';
+import User from './User.js';
+import Visit from './Visit.js';
+
+@Entity('fridge_status_events')
+@Index(['fridgeId', 'createdAt'])
+@Check(`to_status IN ('working', 'repair', 'missing')`)
+class FridgeStatusEvent {
+  @PrimaryGeneratedColumn()
+  id;
+
+  @Column({
+    name: 'fridge_id',
+    nullable: false
+  })
+  fridgeId;
+
+  @ManyToOne(() => Fridge, fridge => fridge.statusEvents, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'fridge_id' })
+  fridge;
+
+  @Column({
+    name: 'from_status',
+    type: 'varchar',
+    length: 20,
+    nullable: true // Null for the event recorded when the fridge is created
+  })
+  fromStatus;
+
+  @Column({
+    name: 'to_status',
+    type: 'varchar',
+    length: 20,
+    nullable: false
+  })
+  toStatus;
+
+  @Column({
+    type: 'text',
+    nullable: true
+  })
+  reason;
+
+  @Column({
+    name: 'actor_id',
+    type: 'uuid',
+    nullable: true
+  })
+  actorId;
+
+  @ManyToOne(() => User, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'actor_id' })
+  actor;
+
+  @Column({
+    name: 'visit_id',
+    nullable: true
+  })
+  visitId;
+
+  @ManyToOne(() => Visit, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'visit_id' })
+  visit;
+
+  @CreateDateColumn({
+    name: 'created_at',
+    type: 'timestamp',
+    default: () => 'CURRENT_TIMESTAMP'
+  })
+  createdAt;
+
+  /**
+   * Check if this event is the initial status recorded at creation
+   * @returns {boolean} True if there was no previous status
+   */
+  isInitial() {
+    return this.fromStatus === null;
+  }
+}
+
+export default FridgeStatusEvent;
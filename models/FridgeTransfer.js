@@ -0,0 +1,146 @@
+/**
+ * FridgeTransfer entity model for Snowfun Nepal application
+ *
+ * This model records each move of a fridge between shops and dealer
+ * warehouses, with the PSR responsible and the contract signed at the new
+ * shop. Together with the fridge's installation it gives the full chain of
+ * custody. Each side of a transfer is either a shop or a dealer's warehouse.
+ */
+
+import {
+  Entity,
+  PrimaryGeneratedColumn,
+  Column,
+  CreateDateColumn,
+  ManyToOne,
+  JoinColumn,
+  Index,
+  Check
+} from 'typeorm';
+import Fridge from './Fridge.js';
+import Shop from './Shop.js';
+import Dealer from './Dealer.js';
+import User from './User.js';
+import File from './File.js';
+
+@Entity('fridge_transfers')
+@Index(['fridgeId', 'transferDate'])
+@Check('(to_shop_id IS NULL) <> (to_dealer_id IS NULL)')
+class FridgeTransfer {
+  @PrimaryGeneratedColumn()
+  id;
+
+  @Column({
+    name: 'fridge_id',
+    nullable: false
+  })
+  fridgeId;
+
+  @ManyToOne(() => Fridge, fridge => fridge.transfers, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'fridge_id' })
+  fridge;
+
+  @Column({
+    name: 'from_shop_id',
+    nullable: true
+  })
+  fromShopId;
+
+  @ManyToOne(() => Shop, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'from_shop_id' })
+  fromShop;
+
+  @Column({
+    name: 'from_dealer_id',
+    nullable: true // Set when the fridge left a dealer's warehouse
+  })
+  fromDealerId;
+
+  @ManyToOne(() => Dealer, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'from_dealer_id' })
+  fromDealer;
+
+  @Column({
+    name: 'to_shop_id',
+    nullable: true
+  })
+  toShopId;
+
+  @ManyToOne(() => Shop, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'to_shop_id' })
+  toShop;
+
+  @Column({
+    name: 'to_dealer_id',
+    nullable: true // Set when the fridge went into a dealer's warehouse
+  })
+  toDealerId;
+
+  @ManyToOne(() => Dealer, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'to_dealer_id' })
+  toDealer;
+
+  @Column({
+    name: 'transfer_date',
+    type: 'date',
+    nullable: false
+  })
+  transferDate;
+
+  @Column({
+    name: 'psr_id',
+    type: 'uuid',
+    nullable: true
+  })
+  psrId;
+
+  // PSR responsible for moving the fridge
+  @ManyToOne(() => User, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'psr_id' })
+  psr;
+
+  @Column({
+    name: 'contract_file_id',
+    type: 'uuid',
+    nullable: true
+  })
+  contractFileId;
+
+  @ManyToOne(() => File, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'contract_file_id' })
+  contractFile;
+
+  @Column({
+    type: 'text',
+    nullable: true
+  })
+  notes;
+
+  @Column({
+    name: 'recorded_by_id',
+    type: 'uuid',
+    nullable: true
+  })
+  recordedById;
+
+  @ManyToOne(() => User, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'recorded_by_id' })
+  recordedBy;
+
+  @CreateDateColumn({
+    name: 'created_at',
+    type: 'timestamp',
+    default: () => 'CURRENT_TIMESTAMP'
+  })
+  createdAt;
+
+  /**
+   * Check if the transfer put the fridge into a dealer's warehouse
+   * @returns {boolean} True if the destination is a warehouse
+   */
+  isToWarehouse() {
+    return !this.toShopId;
+  }
+}
+
+export default FridgeTransfer;
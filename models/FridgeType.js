@@ -0,0 +1,43 @@
+/**
+ * FridgeType entity model for Snowfun Nepal application
+ *
+ * This model represents freezer types (e.g. Hard Top, Curve Glass) offered in
+ * the catalogue dropdowns. Types are deactivated rather than deleted, so
+ * existing models keep their type.
+ */
+
+import {
+  Entity,
+  PrimaryGeneratedColumn,
+  Column,
+  OneToMany
+} from 'typeorm';
+import FridgeModel from './FridgeModel.js';
+
+@Entity('fridge_types')
+class FridgeType {
+  @PrimaryGeneratedColumn()
+  id;
+
+  @Column({
+    name: 'type_name',
+    type: 'varchar',
+    length: 40,
+    unique: true,
+    nullable: false
+  })
+  typeName;
+
+  @Column({
+    name: 'is_active',
+    type: 'boolean',
+    default: true,
+    nullable: false
+  })
+  isActive;
+
+  @OneToMany(() => FridgeModel, model => model.type)
+  models;
+}
+
+export default FridgeType;
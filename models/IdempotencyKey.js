@@ -0,0 +1,82 @@
+/**
+ * IdempotencyKey entity model for Snowfun Nepal application
+ *
+ * This model remembers the response to a request sent with an
+ * `Idempotency-Key` header, so that the PSR app can safely replay queued
+ * offline requests: a replay returns the stored response instead of
+ * creating the record a second time.
+ */
+
+import {
+  Entity,
+  PrimaryGeneratedColumn,
+  Column,
+  CreateDateColumn,
+  Unique
+} from 'typeorm';
+
+@Entity('idempotency_keys')
+@Unique(['key', 'userId'])
+class IdempotencyKey {
+  @PrimaryGeneratedColumn()
+  id;
+
+  @Column({
+    type: 'varchar',
+    length: 100,
+    nullable: false
+  })
+  key;
+
+  @Column({
+    name: 'user_id',
+    type: 'uuid',
+    nullable: false
+  })
+  userId;
+
+  @Column({
+    type: 'varchar',
+    length: 10,
+    nullable: false
+  })
+  method;
+
+  @Column({
+    type: 'varchar',
+    length: 255,
+    nullable: false
+  })
+  path;
+
+  @Column({
+    name: 'status_code',
+    type: 'int',
+    nullable: true // Null while the original request is still being processed
+  })
+  statusCode;
+
+  @Column({
+    name: 'response_body',
+    type: 'jsonb',
+    nullable: true
+  })
+  responseBody;
+
+  @CreateDateColumn({
+    name: 'created_at',
+    type: 'timestamp',
+    default: () => 'CURRENT_TIMESTAMP'
+  })
+  createdAt;
+
+  /**
+   * Check if the original request has finished and its response is stored
+   * @returns {boolean} True if a response can be replayed
+   */
+  isCompleted() {
+    return this.statusCode !== null && this.statusCode !== undefined;
+  }
+}
+
+export default IdempotencyKey;
@@ -0,0 +1,67 @@
+/**
+ * OtpCode entity model for Snowfun Nepal application
+ *
+ * This model holds the one active login code per phone number. Only a hash
+ * of the code is stored, together with its expiry and the number of failed
+ * verification attempts made against it.
+ */
+
+import {
+  Entity,
+  PrimaryGeneratedColumn,
+  Column,
+  CreateDateColumn
+} from 'typeorm';
+
+@Entity('otp_codes')
+class OtpCode {
+  @PrimaryGeneratedColumn()
+  id;
+
+  @Column({
+    type: 'varchar',
+    length: 30,
+    unique: true,
+    nullable: false
+  })
+  phone;
+
+  @Column({
+    name: 'code_hash',
+    type: 'varchar',
+    length: 128,
+    nullable: false
+  })
+  codeHash;
+
+  @Column({
+    name: 'expires_at',
+    type: 'timestamp',
+    nullable: false
+  })
+  expiresAt;
+
+  @Column({
+    type: 'int',
+    default: 0,
+    nullable: false
+  })
+  attempts;
+
+  @CreateDateColumn({
+    name: 'created_at',
+    type: 'timestamp',
+    default: () => 'CURRENT_TIMESTAMP'
+  })
+  createdAt;
+
+  /**
+   * Check if the code has expired
+   * @returns {boolean} True if past its expiry time
+   */
+  isExpired() {
+    return new Date(this.expiresAt).getTime() <= Date.now();
+  }
+}
+
+export default OtpCode;
@@ -0,0 +1,39 @@
+/**
+ * OtpSendLog entity model for Snowfun Nepal application
+ *
+ * This model logs each OTP send against a throttle key (e.g. `phone:+977…`
+ * or `ip:203.0.113.5`) so that send-otp can be rate limited across API
+ * instances and restarts.
+ */
+
+import {
+  Entity,
+  PrimaryGeneratedColumn,
+  Column,
+  CreateDateColumn,
+  Index
+} from 'typeorm';
+
+@Entity('otp_send_log')
+@Index(['throttleKey', 'createdAt'])
+class OtpSendLog {
+  @PrimaryGeneratedColumn()
+  id;
+
+  @Column({
+    name: 'throttle_key',
+    type: 'varchar',
+    length: 80,
+    nullable: false
+  })
+  throttleKey;
+
+  @CreateDateColumn({
+    name: 'created_at',
+    type: 'timestamp',
+    default: () => 'CURRENT_TIMESTAMP'
+  })
+  createdAt;
+}
+
+export default OtpSendLog;
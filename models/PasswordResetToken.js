@@ -0,0 +1,84 @@
+/**
+ * PasswordResetToken entity model for Snowfun Nepal application
+ *
+ * This model stores the tokens emailed by forgot-password. Only a SHA-256
+ * hash of each token is kept. A token can be used once; outstanding tokens
+ * are also invalidated whenever the user's password changes.
+ */
+
+import {
+  Entity,
+  PrimaryGeneratedColumn,
+  Column,
+  CreateDateColumn,
+  ManyToOne,
+  JoinColumn,
+  Index
+} from 'typeorm';
+import User from './User.js';
+
+@Entity('password_reset_tokens')
+class PasswordResetToken {
+  @PrimaryGeneratedColumn()
+  id;
+
+  @Column({
+    name: 'user_id',
+    type: 'uuid',
+    nullable: false
+  })
+  @Index()
+  userId;
+
+  @ManyToOne(() => User, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'user_id' })
+  user;
+
+  @Column({
+    name: 'token_hash',
+    type: 'varchar',
+    length: 64,
+    unique: true,
+    nullable: false
+  })
+  tokenHash;
+
+  @Column({
+    name: 'expires_at',
+    type: 'timestamp',
+    nullable: false
+  })
+  expiresAt;
+
+  @Column({
+    name: 'used_at',
+    type: 'timestamp',
+    nullable: true // Set when the token is used, or invalidated by a password change
+  })
+  usedAt;
+
+  @Column({
+    name: 'requested_ip',
+    type: 'varchar',
+    length: 45,
+    nullable: true
+  })
+  requestedIp;
+
+  @CreateDateColumn({
+    name: 'created_at',
+    type: 'timestamp',
+    default: () => 'CURRENT_TIMESTAMP'
+  })
+  createdAt;
+
+  /**
+   * Check if the token can still be used
+   * @returns {boolean} True if unused and not expired
+   */
+  isUsable() {
+    return !this.usedAt && new Date(this.expiresAt).getTime() > Date.now();
+  }
+}
+
+export default PasswordResetToken;
@@ -0,0 +1,42 @@
+/**
+ * Permission entity model for Snowfun Nepal application
+ *
+ * This model represents a single action a role may be granted, such as
+ * 'fridges:transfer'. The available permissions are defined in code (see
+ * services/permission.service.js) and synced to this table on start-up;
+ * which roles hold them is data, edited by admins.
+ */
+
+import {
+  Entity,
+  PrimaryGeneratedColumn,
+  Column,
+  ManyToMany
+} from 'typeorm';
+import Role from './Role.js';
+
+@Entity('permissions')
+class Permission {
+  @PrimaryGeneratedColumn()
+  id;
+
+  @Column({
+    type: 'varchar',
+    length: 60,
+    unique: true,
+    nullable: false
+  })
+  key;
+
+  @Column({
+    type: 'varchar',
+    length: 200,
+    nullable: false
+  })
+  description;
+
+  @ManyToMany(() => Role, role => role.permissions)
+  roles;
+}
+
+export default Permission;
@@ -0,0 +1,112 @@
+/**
+ * PsrAssignment entity model for Snowfun Nepal application
+ *
+ * This model records which PSR covers which territory, and when. An
+ * assignment targets either a whole dealer (the default for all of the
+ * dealer's shops) or a single shop, which overrides the dealer default for
+ * that shop. Ending an assignment sets `unassigned_at` instead of deleting
+ * the row, so the history of who covered which territory is kept.
+ */
+
+import {
+  Entity,
+  PrimaryGeneratedColumn,
+  Column,
+  ManyToOne,
+  JoinColumn,
+  Index,
+  Check
+} from 'typeorm';
+import User from './User.js';
+import Dealer from './Dealer.js';
+import Shop from './Shop.js';
+
+@Entity('psr_assignments')
+@Index(['psrId', 'unassignedAt'])
+@Index('uq_psr_assignments_active_dealer', ['psrId', 'dealerId'], {
+  unique: true,
+  where: '"unassigned_at" IS NULL AND "dealer_id" IS NOT NULL'
+})
+@Index('uq_psr_assignments_active_shop', ['shopId'], {
+  unique: true,
+  where: '"unassigned_at" IS NULL AND "shop_id" IS NOT NULL'
+})
+@Check(`(dealer_id IS NULL) <> (shop_id IS NULL)`)
+class PsrAssignment {
+  @PrimaryGeneratedColumn()
+  id;
+
+  @Column({
+    name: 'user_id',
+    type: 'uuid',
+    nullable: false
+  })
+  psrId;
+
+  @ManyToOne(() => User, user => user.assignments, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'user_id' })
+  psr;
+
+  @Column({
+    name: 'dealer_id',
+    nullable: true // Set for dealer-wide assignments
+  })
+  dealerId;
+
+  @ManyToOne(() => Dealer, dealer => dealer.psrAssignments, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'dealer_id' })
+  dealer;
+
+  @Column({
+    name: 'shop_id',
+    nullable: true // Set for shop-level overrides
+  })
+  shopId;
+
+  @ManyToOne(() => Shop, shop => shop.psrAssignments, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'shop_id' })
+  shop;
+
+  @Column({
+    name: 'assigned_by',
+    type: 'uuid',
+    nullable: true
+  })
+  assignedById;
+
+  @ManyToOne(() => User, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'assigned_by' })
+  assignedBy;
+
+  @Column({
+    name: 'assigned_at',
+    type: 'timestamp',
+    default: () => 'CURRENT_TIMESTAMP'
+  })
+  assignedAt;
+
+  @Column({
+    name: 'unassigned_at',
+    type: 'timestamp',
+    nullable: true
+  })
+  unassignedAt;
+
+  /**
+   * Check if the assignment is still in effect
+   * @returns {boolean} True if it has not been ended
+   */
+  isActive() {
+    return !this.unassignedAt;
+  }
+
+  /**
+   * Check if this is a shop-level override rather than a dealer assignment
+   * @returns {boolean} True for shop-level assignments
+   */
+  isShopOverride() {
+    return Boolean(this.shopId);
+  }
+}
+
+export default PsrAssignment;
@@ -0,0 +1,214 @@
+/**
+ * RepairTicket entity model for Snowfun Nepal application
+ *
+ * This model tracks the repair of a fridge from the moment it is reported
+ * (usually by a PSR's visit inspection) until it is fixed or replaced:
+ * reported → assigned (to a technician) → in_progress → fixed | replaced.
+ * SLA due times are fixed when the ticket is opened, so later changes to the
+ * SLA settings do not move the goalposts of existing tickets. A fridge has at
+ * most one open ticket at a time.
+ */
+
+import {
+  Entity,
+  PrimaryGeneratedColumn,
+  Column,
+  CreateDateColumn,
+  UpdateDateColumn,
+  ManyToOne,
+  JoinColumn,
+  Index,
+  Check
+} from 'typeorm';
+import Fridge from './Fridge.js';
+import Visit from './Visit.js';
+import User from './User.js';
+
+@Entity('repairs')
+@Index(['fridgeId'], { unique: true, where: `status IN ('reported', 'assigned', 'in_progress')` })
+@Index(['status', 'resolveDueAt'])
+@Check(`status IN ('reported', 'assigned', 'in_progress', 'fixed', 'replaced')`)
+@Check('cost_npr IS NULL OR cost_npr >= 0')
+class RepairTicket {
+  @PrimaryGeneratedColumn()
+  id;
+
+  @Column({
+    name: 'fridge_id',
+    nullable: false
+  })
+  fridgeId;
+
+  @ManyToOne(() => Fridge, fridge => fridge.repairs, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'fridge_id' })
+  fridge;
+
+  @Column({
+    type: 'varchar',
+    length: 20,
+    default: 'reported',
+    nullable: false
+  })
+  status;
+
+  @Column({
+    type: 'text',
+    nullable: true
+  })
+  description;
+
+  @Column({
+    name: 'visit_id',
+    nullable: true // Set when the ticket was raised by a visit inspection
+  })
+  visitId;
+
+  @ManyToOne(() => Visit, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'visit_id' })
+  visit;
+
+  @Column({
+    name: 'reported_by_id',
+    type: 'uuid',
+    nullable: true
+  })
+  reportedById;
+
+  @ManyToOne(() => User, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'reported_by_id' })
+  reportedBy;
+
+  @Column({
+    name: 'technician_name',
+    type: 'varchar',
+    length: 120,
+    nullable: true
+  })
+  technicianName;
+
+  @Column({
+    name: 'technician_phone',
+    type: 'varchar',
+    length: 20,
+    nullable: true
+  })
+  technicianPhone;
+
+  @Column({
+    name: 'cost_npr',
+    type: 'numeric',
+    precision: 10,
+    scale: 2,
+    nullable: true
+  })
+  costNpr;
+
+  @Column({
+    name: 'parts_notes',
+    type: 'text',
+    nullable: true
+  })
+  partsNotes;
+
+  @Column({
+    name: 'assign_due_at',
+    type: 'timestamp',
+    nullable: false
+  })
+  assignDueAt;
+
+  @Column({
+    name: 'resolve_due_at',
+    type: 'timestamp',
+    nullable: false
+  })
+  resolveDueAt;
+
+  @Column({
+    name: 'assigned_at',
+    type: 'timestamp',
+    nullable: true
+  })
+  assignedAt;
+
+  @Column({
+    name: 'started_at',
+    type: 'timestamp',
+    nullable: true
+  })
+  startedAt;
+
+  @Column({
+    name: 'closed_at',
+    type: 'timestamp',
+    nullable: true
+  })
+  closedAt;
+
+  @Column({
+    name: 'closed_by_id',
+    type: 'uuid',
+    nullable: true
+  })
+  closedById;
+
+  @ManyToOne(() => User, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'closed_by_id' })
+  closedBy;
+
+  @CreateDateColumn({
+    name: 'created_at',
+    type: 'timestamp',
+    default: () => 'CURRENT_TIMESTAMP'
+  })
+  createdAt;
+
+  @UpdateDateColumn({
+    name: 'updated_at',
+    type: 'timestamp',
+    default: () => 'CURRENT_TIMESTAMP',
+    onUpdate: 'CURRENT_TIMESTAMP'
+  })
+  updatedAt;
+
+  /**
+   * Check if the ticket is still being worked on
+   * @returns {boolean} True until the fridge is fixed or replaced
+   */
+  isOpen() {
+    return RepairTicket.OPEN_STATUS_VALUES.includes(this.status);
+  }
+
+  /**
+   * Work out the SLA state of the ticket at a point in time
+   * @param {Date} now - Reference time
+   * @returns {Object} { assignBreached, resolveBreached }
+   */
+  getSlaStatus(now = new Date()) {
+    const assignedBy = this.assignedAt ? new Date(this.assignedAt) : now;
+    const resolvedBy = this.closedAt ? new Date(this.closedAt) : now;
+
+    return {
+      assignBreached: assignedBy > new Date(this.assignDueAt),
+      resolveBreached: resolvedBy > new Date(this.resolveDueAt)
+    };
+  }
+
+  /**
+   * Get valid status values
+   * @returns {Array<string>} Array of valid statuses
+   */
+  static get STATUS_VALUES() {
+    return ['reported', 'assigned', 'in_progress', 'fixed', 'replaced'];
+  }
+
+  /**
+   * Get the statuses of tickets still being worked on
+   * @returns {Array<string>} Array of open statuses
+   */
+  static get OPEN_STATUS_VALUES() {
+    return ['reported', 'assigned', 'in_progress'];
+  }
+}
+
+export default RepairTicket;
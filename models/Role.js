@@ -2,16 +2,21 @@
  * Role entity model for Snowfun Nepal application
  * 
  * This model represents user roles in the system for role-based access control.
- * Currently supported roles are 'admin' and 'psr' (Pilot Sales Representative).
+ * 'admin' and 'psr' (Pilot Sales Representative) are built in; further roles
+ * are created by admins and given permissions through `role_permissions`.
+ * Admins hold every permission implicitly.
  */
 
 import {
   Entity,
   PrimaryGeneratedColumn,
   Column,
-  OneToMany
+  OneToMany,
+  ManyToMany,
+  JoinTable
 } from 'typeorm';
 import User from './User.js';
+import Permission from './Permission.js';
 
 @Entity('roles')
 class Role {
@@ -30,6 +35,14 @@ class Role {
   @OneToMany(() => User, user => user.role)
   users;
 
+  @ManyToMany(() => Permission, permission => permission.roles)
+  @JoinTable({
+    name: 'role_permissions',
+    joinColumn: { name: 'role_id', referencedColumnName: 'id' },
+    inverseJoinColumn: { name: 'permission_id', referencedColumnName: 'id' }
+  })
+  permissions;
+
   /**
    * Check if this role is an admin role
    * @returns {boolean} True if this is an admin role
@@ -46,6 +59,24 @@ class Role {
     return this.roleName === 'psr';
   }
 
+  /**
+   * Check if this role grants a permission. Admins hold every permission.
+   * @param {string} key - Permission key
+   * @returns {boolean} True if granted (permissions relation must be loaded)
+   */
+  grants(key) {
+    return this.isAdmin() || Boolean(this.permissions?.some(permission => permission.key === key));
+  }
+
+  /**
+   * Check if this is one of the seeded roles, which cannot be renamed or
+   * deleted because code refers to them by name
+   * @returns {boolean} True for admin and PSR
+   */
+  isBuiltIn() {
+    return Object.values(Role.ROLES).includes(this.id);
+  }
+
   /**
    * Get predefined role IDs for seeding and lookups
    * @returns {Object} Map of role names to IDs
@@ -0,0 +1,105 @@
+/**
+ * RoutePlan entity model for Snowfun Nepal application
+ *
+ * This model stores a PSR's daily visit route once an admin pins it. Pinned
+ * routes are shown to the PSR as-is instead of being re-planned, so the
+ * order and stop numbering ("stop 3 of 14") stay stable through the day.
+ * Unpinned routes are planned on demand and never stored.
+ */
+
+import {
+  Entity,
+  PrimaryGeneratedColumn,
+  Column,
+  CreateDateColumn,
+  ManyToOne,
+  OneToMany,
+  JoinColumn,
+  Unique
+} from 'typeorm';
+import User from './User.js';
+import RouteStop from './RouteStop.js';
+
+@Entity('route_plans')
+@Unique(['psrId', 'routeDate']) // One pinned route per PSR per day
+class RoutePlan {
+  @PrimaryGeneratedColumn()
+  id;
+
+  @Column({
+    name: 'psr_id',
+    type: 'uuid',
+    nullable: false
+  })
+  psrId;
+
+  @ManyToOne(() => User, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'psr_id' })
+  psr;
+
+  @Column({
+    name: 'route_date',
+    type: 'date',
+    nullable: false
+  })
+  routeDate;
+
+  @Column({
+    name: 'start_latitude',
+    type: 'decimal',
+    precision: 9,
+    scale: 6,
+    nullable: true
+  })
+  startLatitude;
+
+  @Column({
+    name: 'start_longitude',
+    type: 'decimal',
+    precision: 9,
+    scale: 6,
+    nullable: true
+  })
+  startLongitude;
+
+  @Column({
+    name: 'total_distance_km',
+    type: 'decimal',
+    precision: 8,
+    scale: 3,
+    nullable: false,
+    default: 0
+  })
+  totalDistanceKm;
+
+  @Column({
+    name: 'pinned_by',
+    type: 'uuid',
+    nullable: true
+  })
+  pinnedById;
+
+  @ManyToOne(() => User, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'pinned_by' })
+  pinnedBy;
+
+  @OneToMany(() => RouteStop, stop => stop.routePlan, { cascade: true })
+  stops;
+
+  @CreateDateColumn({
+    name: 'pinned_at',
+    type: 'timestamp',
+    default: () => 'CURRENT_TIMESTAMP'
+  })
+  pinnedAt;
+
+  /**
+   * Get the stops in visiting order
+   * @returns {RouteStop[]} Ordered stops
+   */
+  getOrderedStops() {
+    return [...(this.stops || [])].sort((a, b) => a.position - b.position);
+  }
+}
+
+export default RoutePlan;
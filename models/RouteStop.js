@@ -0,0 +1,63 @@
+/**
+ * RouteStop entity model for Snowfun Nepal application
+ *
+ * This model is one shop on a pinned route plan, with its 1-based position
+ * in the visiting order and the leg distance from the previous stop (or the
+ * start location for the first stop).
+ */
+
+import {
+  Entity,
+  PrimaryGeneratedColumn,
+  Column,
+  ManyToOne,
+  JoinColumn,
+  Unique
+} from 'typeorm';
+import RoutePlan from './RoutePlan.js';
+import Shop from './Shop.js';
+
+@Entity('route_stops')
+@Unique(['routePlanId', 'position'])
+@Unique(['routePlanId', 'shopId'])
+class RouteStop {
+  @PrimaryGeneratedColumn()
+  id;
+
+  @Column({
+    name: 'route_plan_id',
+    nullable: false
+  })
+  routePlanId;
+
+  @ManyToOne(() => RoutePlan, plan => plan.stops, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'route_plan_id' })
+  routePlan;
+
+  @Column({
+    name: 'shop_id',
+    nullable: false
+  })
+  shopId;
+
+  @ManyToOne(() => Shop, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'shop_id' })
+  shop;
+
+  @Column({
+    type: 'smallint',
+    nullable: false
+  })
+  position;
+
+  @Column({
+    name: 'leg_distance_km',
+    type: 'decimal',
+    precision: 8,
+    scale: 3,
+    nullable: true // Null for the first stop when the route has no start location
+  })
+  legDistanceKm;
+}
+
+export default RouteStop;
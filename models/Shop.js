@@ -19,6 +19,7 @@ import {
 import Dealer from './Dealer.js';
 import Fridge from './Fridge.js';
 import Visit from './Visit.js';
+import PsrAssignment from './PsrAssignment.js';
 
 @Entity('shops')
 class Shop {
@@ -89,6 +90,10 @@ class Shop {
   @OneToMany(() => Visit, visit => visit.shop)
   visits;
 
+  // Shop-level PSR overrides (see PsrAssignment)
+  @OneToMany(() => PsrAssignment, psrAssignment => psrAssignment.shop)
+  psrAssignments;
+
   @CreateDateColumn({
     name: 'created_at',
     type: 'timestamp',
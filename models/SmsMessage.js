@@ -0,0 +1,142 @@
+/**
+ * SmsMessage entity model for Snowfun Nepal application
+ *
+ * This model records every SMS the API sends (login codes, visit reminders)
+ * together with the gateway used and its delivery status, so failed sends
+ * can be investigated and reminders are not sent twice on the same day.
+ */
+
+import {
+  Entity,
+  PrimaryGeneratedColumn,
+  Column,
+  CreateDateColumn,
+  ManyToOne,
+  JoinColumn,
+  Index,
+  Check
+} from 'typeorm';
+import User from './User.js';
+
+@Entity('sms_messages')
+@Index(['userId', 'purpose', 'createdAt'])
+// Claims a PSR's reminder for the day before it is sent; a failed send
+// releases the claim so a later run can retry
+@Index(['userId', 'reminderDate'], {
+  unique: true,
+  where: `"purpose" = 'visit_reminder' AND "status" <> 'failed'`
+})
+@Check(`purpose IN ('otp', 'visit_reminder')`)
+@Check(`status IN ('pending', 'sent', 'failed')`)
+class SmsMessage {
+  @PrimaryGeneratedColumn()
+  id;
+
+  @Column({
+    name: 'to_phone',
+    type: 'varchar',
+    length: 30,
+    nullable: false
+  })
+  toPhone;
+
+  @Column({
+    type: 'text',
+    nullable: false // Login codes are stored masked
+  })
+  body;
+
+  @Column({
+    type: 'varchar',
+    length: 20,
+    nullable: false
+  })
+  purpose;
+
+  @Column({
+    type: 'varchar',
+    length: 20,
+    nullable: false
+  })
+  provider;
+
+  @Column({
+    type: 'varchar',
+    length: 10,
+    default: 'pending',
+    nullable: false
+  })
+  status;
+
+  @Column({
+    name: 'provider_message_id',
+    type: 'varchar',
+    length: 100,
+    nullable: true
+  })
+  providerMessageId;
+
+  @Column({
+    type: 'text',
+    nullable: true
+  })
+  error;
+
+  @Column({
+    name: 'user_id',
+    type: 'uuid',
+    nullable: true
+  })
+  userId;
+
+  @ManyToOne(() => User, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'user_id' })
+  user;
+
+  @CreateDateColumn({
+    name: 'created_at',
+    type: 'timestamp',
+    default: () => 'CURRENT_TIMESTAMP'
+  })
+  createdAt;
+
+  @Column({
+    name: 'sent_at',
+    type: 'timestamp',
+    nullable: true
+  })
+  sentAt;
+
+  @Column({
+    name: 'reminder_date',
+    type: 'date',
+    nullable: true // Only set for visit reminders
+  })
+  reminderDate;
+
+  /**
+   * Check if the gateway accepted the message
+   * @returns {boolean} True if sent
+   */
+  isSent() {
+    return this.status === 'sent';
+  }
+
+  /**
+   * Get purpose values
+   * @returns {Array<string>} Valid purpose values
+   */
+  static get PURPOSE_VALUES() {
+    return ['otp', 'visit_reminder'];
+  }
+
+  /**
+   * Get delivery status values
+   * @returns {Array<string>} Valid status values
+   */
+  static get STATUS_VALUES() {
+    return ['pending', 'sent', 'failed'];
+  }
+}
+
+export default SmsMessage;
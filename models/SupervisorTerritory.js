@@ -0,0 +1,84 @@
+/**
+ * SupervisorTerritory entity model for Snowfun Nepal application
+ *
+ * This model records the territory of a supervisor: users whose role holds
+ * the 'data:territory' permission see every dealer, shop, fridge and visit
+ * in their territory and nothing outside it. A row covers either a whole
+ * district, including dealers added there later, or a single dealer.
+ */
+
+import {
+  Entity,
+  PrimaryGeneratedColumn,
+  Column,
+  CreateDateColumn,
+  ManyToOne,
+  JoinColumn,
+  Index,
+  Check
+} from 'typeorm';
+import User from './User.js';
+import Dealer from './Dealer.js';
+
+@Entity('supervisor_territories')
+@Index('uq_supervisor_territories_district', ['userId', 'district'], {
+  unique: true,
+  where: '"district" IS NOT NULL'
+})
+@Index('uq_supervisor_territories_dealer', ['userId', 'dealerId'], {
+  unique: true,
+  where: '"dealer_id" IS NOT NULL'
+})
+@Check(`(district IS NULL) <> (dealer_id IS NULL)`)
+class SupervisorTerritory {
+  @PrimaryGeneratedColumn()
+  id;
+
+  @Column({
+    name: 'user_id',
+    type: 'uuid',
+    nullable: false
+  })
+  userId;
+
+  @ManyToOne(() => User, user => user.territories, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'user_id' })
+  user;
+
+  @Column({
+    type: 'varchar',
+    length: 80,
+    nullable: true // Set for district-wide coverage
+  })
+  district;
+
+  @Column({
+    name: 'dealer_id',
+    nullable: true // Set for single-dealer coverage
+  })
+  dealerId;
+
+  @ManyToOne(() => Dealer, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'dealer_id' })
+  dealer;
+
+  @Column({
+    name: 'created_by',
+    type: 'uuid',
+    nullable: true
+  })
+  createdById;
+
+  @ManyToOne(() => User, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'created_by' })
+  createdBy;
+
+  @CreateDateColumn({
+    name: 'created_at',
+    type: 'timestamp',
+    default: () => 'CURRENT_TIMESTAMP'
+  })
+  createdAt;
+}
+
+export default SupervisorTerritory;
@@ -2,7 +2,11 @@
  * User entity model for Snowfun Nepal application
  * 
  * This model represents users in the system with role-based access control.
- * Users can be either administrators or PSRs (Pilot Sales Representatives).
+ * Users are administrators, PSRs (Pilot Sales Representatives) or hold a
+ * custom role such as a district supervisor. Dealer portal users are linked
+ * to the dealer whose shops they may see.
+ * Users are deactivated rather than deleted, so their visits and history
+ * stay attributed; a deactivated user cannot sign in.
  */
 
 import {
@@ -19,8 +23,11 @@ import {
 } from 'typeorm';
 import { hash } from 'bcrypt';
 import Role from './Role.js';
+import Dealer from './Dealer.js';
 import Visit from './Visit.js';
 import PsrAssignment from './PsrAssignment.js';
+import UserSession from './UserSession.js';
+import SupervisorTerritory from './SupervisorTerritory.js';
 
 @Entity('users')
 class User {
@@ -57,22 +64,61 @@ class User {
   })
   phone;
 
+  @Column({
+    name: 'sms_notifications',
+    type: 'boolean',
+    default: false,
+    nullable: false
+  })
+  smsNotifications;
+
   @Column({
     name: 'role_id',
     nullable: false
   })
   roleId;
 
+  @Column({
+    name: 'is_active',
+    type: 'boolean',
+    default: true,
+    nullable: false
+  })
+  isActive;
+
+  @Column({
+    name: 'deactivated_at',
+    type: 'timestamp',
+    nullable: true
+  })
+  deactivatedAt;
+
+  @Column({
+    name: 'dealer_id',
+    nullable: true // Set for dealer portal users only
+  })
+  dealerId;
+
   @ManyToOne(() => Role, role => role.users, { eager: true })
   @JoinColumn({ name: 'role_id' })
   role;
 
+  @ManyToOne(() => Dealer, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'dealer_id' })
+  dealer;
+
   @OneToMany(() => PsrAssignment, psrAssignment => psrAssignment.psr)
   assignments;
 
   @OneToMany(() => Visit, visit => visit.psr)
   visits;
 
+  @OneToMany(() => UserSession, session => session.user)
+  sessions;
+
+  @OneToMany(() => SupervisorTerritory, territory => territory.user)
+  territories;
+
   @CreateDateColumn({
     name: 'created_at',
     type: 'timestamp',
@@ -115,7 +161,7 @@ class User {
    * @returns {boolean} True if user has admin role
    */
   isAdmin() {
-    return this.role?.role_name === 'admin';
+    return this.role?.roleName === 'admin';
   }
 
   /**
@@ -123,7 +169,7 @@ class User {
    * @returns {boolean} True if user has PSR role
    */
   isPsr() {
-    return this.role?.role_name === 'psr';
+    return this.role?.roleName === 'psr';
   }
 }
 
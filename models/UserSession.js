@@ -0,0 +1,140 @@
+/**
+ * UserSession entity model for Snowfun Nepal application
+ *
+ * This model stores one row per refresh token. Signing in starts a session
+ * family; every refresh rotates the token, marking the old row as rotated
+ * and adding a new row to the same family. Presenting a token that has
+ * already been rotated indicates theft, and revokes the whole family.
+ * Only a SHA-256 hash of each refresh token is stored.
+ */
+
+import {
+  Entity,
+  PrimaryGeneratedColumn,
+  Column,
+  CreateDateColumn,
+  ManyToOne,
+  JoinColumn,
+  Index
+} from 'typeorm';
+import User from './User.js';
+
+@Entity('user_sessions')
+@Index(['userId', 'revokedAt'])
+class UserSession {
+  @PrimaryGeneratedColumn('uuid')
+  id;
+
+  @Column({
+    name: 'user_id',
+    type: 'uuid',
+    nullable: false
+  })
+  userId;
+
+  @ManyToOne(() => User, user => user.sessions, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'user_id' })
+  user;
+
+  @Column({
+    name: 'family_id',
+    type: 'uuid',
+    nullable: false
+  })
+  @Index()
+  familyId;
+
+  @Column({
+    name: 'token_hash',
+    type: 'varchar',
+    length: 64,
+    unique: true,
+    nullable: false
+  })
+  tokenHash;
+
+  @Column({
+    name: 'device_name',
+    type: 'varchar',
+    length: 120,
+    nullable: true
+  })
+  deviceName;
+
+  @Column({
+    name: 'ip_address',
+    type: 'varchar',
+    length: 45,
+    nullable: true
+  })
+  ipAddress;
+
+  @Column({
+    name: 'user_agent',
+    type: 'text',
+    nullable: true
+  })
+  userAgent;
+
+  @Column({
+    name: 'signed_in_at',
+    type: 'timestamp',
+    nullable: false // Carried over on rotation: when the family was started
+  })
+  signedInAt;
+
+  @Column({
+    name: 'last_used_at',
+    type: 'timestamp',
+    nullable: false
+  })
+  lastUsedAt;
+
+  @Column({
+    name: 'expires_at',
+    type: 'timestamp',
+    nullable: false
+  })
+  expiresAt;
+
+  @Column({
+    name: 'rotated_at',
+    type: 'timestamp',
+    nullable: true // Set when this token is exchanged for a new one
+  })
+  rotatedAt;
+
+  @Column({
+    name: 'revoked_at',
+    type: 'timestamp',
+    nullable: true
+  })
+  revokedAt;
+
+  @Column({
+    name: 'revoked_reason',
+    type: 'varchar',
+    length: 30,
+    nullable: true
+  })
+  revokedReason;
+
+  @CreateDateColumn({
+    name: 'created_at',
+    type: 'timestamp',
+    default: () => 'CURRENT_TIMESTAMP'
+  })
+  createdAt;
+
+  /**
+   * Check if this token can still be exchanged for new tokens
+   * @returns {boolean} True if not rotated, revoked or expired
+   */
+  isActive() {
+    return !this.rotatedAt
+      && !this.revokedAt
+      && new Date(this.expiresAt).getTime() > Date.now();
+  }
+}
+
+export default UserSession;
@@ -12,6 +12,7 @@ import {
   Column,
   CreateDateColumn,
   ManyToOne,
+  OneToMany,
   JoinColumn,
   Index,
   Check,
@@ -19,10 +20,12 @@ import {
 } from 'typeorm';
 import Shop from './Shop.js';
 import User from './User.js';
+import VisitFridgeInspection from './VisitFridgeInspection.js';
 
 @Entity('visits')
 @Unique(['shopId', 'psrId', 'visitDate']) // Prevent duplicate visits for same shop/PSR/date
 @Check(`status IN ('visited', 'not_visited')`)
+@Check(`geofence_status IN ('inside', 'outside', 'unverified')`)
 class Visit {
   @PrimaryGeneratedColumn()
   id;
@@ -72,6 +75,81 @@ class Visit {
   })
   notes;
 
+  @Column({
+    name: 'device_latitude',
+    type: 'decimal',
+    precision: 9,
+    scale: 6,
+    nullable: true
+  })
+  deviceLatitude;
+
+  @Column({
+    name: 'device_longitude',
+    type: 'decimal',
+    precision: 9,
+    scale: 6,
+    nullable: true
+  })
+  deviceLongitude;
+
+  @Column({
+    name: 'gps_accuracy_m',
+    type: 'numeric',
+    precision: 8,
+    scale: 1,
+    nullable: true
+  })
+  gpsAccuracyM;
+
+  @Column({
+    name: 'distance_from_shop_m',
+    type: 'numeric',
+    precision: 10,
+    scale: 1,
+    nullable: true
+  })
+  distanceFromShopM;
+
+  @Column({
+    name: 'geofence_status',
+    type: 'varchar',
+    length: 12,
+    default: 'unverified',
+    nullable: false
+  })
+  geofenceStatus;
+
+  @Column({
+    name: 'needs_review',
+    type: 'boolean',
+    default: false,
+    nullable: false
+  })
+  @Index()
+  needsReview;
+
+  @Column({
+    name: 'reviewed_by',
+    type: 'uuid',
+    nullable: true
+  })
+  reviewedById;
+
+  @ManyToOne(() => User, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'reviewed_by' })
+  reviewedBy;
+
+  @Column({
+    name: 'reviewed_at',
+    type: 'timestamp',
+    nullable: true
+  })
+  reviewedAt;
+
+  @OneToMany(() => VisitFridgeInspection, inspection => inspection.visit)
+  inspections;
+
   @CreateDateColumn({
     name: 'created_at',
     type: 'timestamp',
@@ -95,6 +173,14 @@ class Visit {
     return this.status === 'not_visited';
   }
 
+  /**
+   * Check if the visit is flagged and still awaiting admin review
+   * @returns {boolean} True if flagged and not yet reviewed
+   */
+  isAwaitingReview() {
+    return this.needsReview && !this.reviewedAt;
+  }
+
   /**
    * Get the days elapsed since this visit
    * @returns {number} Number of days since the visit
@@ -113,6 +199,14 @@ class Visit {
   static get STATUS_VALUES() {
     return ['visited', 'not_visited'];
   }
+
+  /**
+   * Get geofence status values
+   * @returns {Array<string>} Valid geofence status values
+   */
+  static get GEOFENCE_STATUS_VALUES() {
+    return ['inside', 'outside', 'unverified'];
+  }
 }
 
 export default Visit;
@@ -0,0 +1,147 @@
+/**
+ * VisitFrequencyPolicy entity model for Snowfun Nepal application
+ *
+ * This model defines how often shops must be visited. A policy applies to a
+ * single shop or to every shop of a dealer; a shop policy takes precedence
+ * over its dealer's, and shops with neither use the default interval. The
+ * interval is fixed ('weekly', 'fortnightly', 'monthly', or 'custom' with
+ * interval_days) or depends on how many fridges the shop holds
+ * ('by_fridge_count', using fridge_tiers).
+ */
+
+import {
+  Entity,
+  PrimaryGeneratedColumn,
+  Column,
+  CreateDateColumn,
+  UpdateDateColumn,
+  ManyToOne,
+  JoinColumn,
+  Index,
+  Check
+} from 'typeorm';
+import Dealer from './Dealer.js';
+import Shop from './Shop.js';
+import User from './User.js';
+
+@Entity('visit_frequency_policies')
+@Index(['shopId'], { unique: true, where: '"shop_id" IS NOT NULL' })
+@Index(['dealerId'], { unique: true, where: '"dealer_id" IS NOT NULL' })
+@Check(`(dealer_id IS NULL) <> (shop_id IS NULL)`)
+@Check(`frequency IN ('weekly', 'fortnightly', 'monthly', 'custom', 'by_fridge_count')`)
+class VisitFrequencyPolicy {
+  @PrimaryGeneratedColumn()
+  id;
+
+  @Column({
+    name: 'dealer_id',
+    nullable: true
+  })
+  dealerId;
+
+  @ManyToOne(() => Dealer, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'dealer_id' })
+  dealer;
+
+  @Column({
+    name: 'shop_id',
+    nullable: true
+  })
+  shopId;
+
+  @ManyToOne(() => Shop, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'shop_id' })
+  shop;
+
+  @Column({
+    type: 'varchar',
+    length: 20,
+    nullable: false
+  })
+  frequency;
+
+  @Column({
+    name: 'interval_days',
+    type: 'smallint',
+    nullable: true // Required for 'custom'
+  })
+  intervalDays;
+
+  // [{ minFridges, intervalDays }] for 'by_fridge_count'; the tier with the
+  // highest minFridges not above the shop's fridge count applies
+  @Column({
+    name: 'fridge_tiers',
+    type: 'jsonb',
+    nullable: true
+  })
+  fridgeTiers;
+
+  @Column({
+    name: 'updated_by',
+    type: 'uuid',
+    nullable: true
+  })
+  updatedById;
+
+  @ManyToOne(() => User, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'updated_by' })
+  updatedBy;
+
+  @CreateDateColumn({
+    name: 'created_at',
+    type: 'timestamp',
+    default: () => 'CURRENT_TIMESTAMP'
+  })
+  createdAt;
+
+  @UpdateDateColumn({
+    name: 'updated_at',
+    type: 'timestamp',
+    default: () => 'CURRENT_TIMESTAMP',
+    onUpdate: 'CURRENT_TIMESTAMP'
+  })
+  updatedAt;
+
+  /**
+   * Get the number of days allowed between visits for a shop
+   * @param {number} fridgeCount - Fridges at the shop
+   * @returns {number|null} Interval in days, or null if no fridge tier matches
+   */
+  getIntervalDays(fridgeCount = 0) {
+    if (this.frequency === 'by_fridge_count') {
+      const tier = [...(this.fridgeTiers || [])]
+        .sort((a, b) => b.minFridges - a.minFridges)
+        .find(candidate => fridgeCount >= candidate.minFridges);
+
+      return tier ? tier.intervalDays : null;
+    }
+
+    if (this.frequency === 'custom') {
+      return this.intervalDays;
+    }
+
+    return VisitFrequencyPolicy.FIXED_INTERVALS[this.frequency];
+  }
+
+  /**
+   * Get frequency values for validation and dropdowns
+   * @returns {Array<string>} Valid frequency values
+   */
+  static get FREQUENCY_VALUES() {
+    return ['weekly', 'fortnightly', 'monthly', 'custom', 'by_fridge_count'];
+  }
+
+  /**
+   * Get the interval in days of each fixed frequency
+   * @returns {Object} Frequency → days
+   */
+  static get FIXED_INTERVALS() {
+    return {
+      weekly: 7,
+      fortnightly: 14,
+      monthly: 30
+    };
+  }
+}
+
+export default VisitFrequencyPolicy;
@@ -0,0 +1,129 @@
+/**
+ * VisitFridgeInspection entity model for Snowfun Nepal application
+ *
+ * This model stores the checklist a PSR fills in for each fridge at a shop
+ * during a visit: condition checks, the measured temperature and an optional
+ * photo. One row per fridge per visit.
+ */
+
+import {
+  Entity,
+  PrimaryGeneratedColumn,
+  Column,
+  CreateDateColumn,
+  ManyToOne,
+  JoinColumn,
+  Index,
+  Unique
+} from 'typeorm';
+import Visit from './Visit.js';
+import Fridge from './Fridge.js';
+
+@Entity('visit_fridge_inspections')
+@Unique(['visitId', 'fridgeId']) // One inspection per fridge per visit
+class VisitFridgeInspection {
+  @PrimaryGeneratedColumn()
+  id;
+
+  @Column({
+    name: 'visit_id',
+    nullable: false
+  })
+  @Index()
+  visitId;
+
+  @ManyToOne(() => Visit, visit => visit.inspections, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'visit_id' })
+  visit;
+
+  @Column({
+    name: 'fridge_id',
+    nullable: false
+  })
+  @Index()
+  fridgeId;
+
+  @ManyToOne(() => Fridge, fridge => fridge.inspections, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'fridge_id' })
+  fridge;
+
+  @Column({
+    type: 'boolean',
+    default: true,
+    nullable: false
+  })
+  working;
+
+  @Column({
+    type: 'boolean',
+    default: true,
+    nullable: false
+  })
+  clean;
+
+  @Column({
+    name: 'properly_stocked',
+    type: 'boolean',
+    default: true,
+    nullable: false
+  })
+  properlyStocked;
+
+  @Column({
+    name: 'temperature_correct',
+    type: 'boolean',
+    default: true,
+    nullable: false
+  })
+  temperatureCorrect;
+
+  @Column({
+    name: 'needs_repair',
+    type: 'boolean',
+    default: false,
+    nullable: false
+  })
+  needsRepair;
+
+  @Column({
+    name: 'temperature_c',
+    type: 'numeric',
+    precision: 4,
+    scale: 1,
+    nullable: true
+  })
+  temperatureC;
+
+  @Column({
+    name: 'photo_url',
+    type: 'text',
+    nullable: true
+  })
+  photoUrl;
+
+  @CreateDateColumn({
+    name: 'created_at',
+    type: 'timestamp',
+    default: () => 'CURRENT_TIMESTAMP'
+  })
+  createdAt;
+
+  /**
+   * Check if every condition check on this fridge passed
+   * @returns {boolean} True if the fridge passed inspection
+   */
+  isPassing() {
+    return this.working && this.clean && this.properlyStocked &&
+      this.temperatureCorrect && !this.needsRepair;
+  }
+
+  /**
+   * Get the checklist field names, in the order shown to PSRs
+   * @returns {Array<string>} Check field names
+   */
+  static get CHECK_FIELDS() {
+    return ['working', 'clean', 'properlyStocked', 'temperatureCorrect', 'needsRepair'];
+  }
+}
+
+export default VisitFridgeInspection;
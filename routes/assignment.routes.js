@@ -0,0 +1,131 @@
+/**
+ * PSR Assignment Routes for Snowfun Nepal application
+ *
+ * Defines the endpoints for assigning PSRs to dealers and shops, viewing
+ * assignment history, and bulk reassignment, all behind the
+ * 'assignments:manage' permission. Mounted behind authMiddleware in server.js.
+ */
+
+import express from 'express';
+import { body, query, param } from 'express-validator';
+import * as assignmentController from '../controllers/assignment.controller.js';
+import { requirePermission } from '../middleware/rbac.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/assignments
+ * @desc List assignments with history, filtered by PSR, dealer or shop
+ * @access Private (assignments:manage)
+ */
+router.get(
+  '/',
+  requirePermission('assignments:manage'),
+  [
+    query('psrId')
+      .optional()
+      .isUUID()
+      .withMessage('PSR ID must be a valid UUID'),
+    query('dealerId')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Dealer ID must be a positive integer'),
+    query('shopId')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Shop ID must be a positive integer'),
+    query('active')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('Active must be true or false')
+  ],
+  assignmentController.getAssignments
+);
+
+/**
+ * @route GET /api/assignments/board
+ * @desc List a dealer's shops with the PSRs currently covering each one
+ * @access Private (assignments:manage)
+ */
+router.get(
+  '/board',
+  requirePermission('assignments:manage'),
+  [
+    query('dealerId')
+      .isInt({ min: 1 })
+      .withMessage('Dealer ID must be a positive integer')
+  ],
+  assignmentController.getAssignmentBoard
+);
+
+/**
+ * @route POST /api/assignments/dealers
+ * @desc Assign a PSR to cover a dealer's shops
+ * @access Private (assignments:manage)
+ */
+router.post(
+  '/dealers',
+  requirePermission('assignments:manage'),
+  [
+    body('psrId')
+      .isUUID()
+      .withMessage('PSR ID must be a valid UUID'),
+    body('dealerId')
+      .isInt({ min: 1 })
+      .withMessage('Dealer ID must be a positive integer')
+  ],
+  assignmentController.createDealerAssignment
+);
+
+/**
+ * @route PUT /api/assignments/shops/:shopId
+ * @desc Assign a shop to a PSR, overriding the dealer default (null psrId clears it)
+ * @access Private (assignments:manage)
+ */
+router.put(
+  '/shops/:shopId',
+  requirePermission('assignments:manage'),
+  [
+    param('shopId')
+      .isInt({ min: 1 })
+      .withMessage('Shop ID must be a positive integer'),
+    body('psrId')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('PSR ID must be a valid UUID')
+  ],
+  assignmentController.updateShopAssignment
+);
+
+/**
+ * @route POST /api/assignments/reassign
+ * @desc Move all of one PSR's dealers and shops to another PSR
+ * @access Private (assignments:manage)
+ */
+router.post(
+  '/reassign',
+  requirePermission('assignments:manage'),
+  [
+    body('fromPsrId')
+      .isUUID()
+      .withMessage('From PSR ID must be a valid UUID'),
+    body('toPsrId')
+      .isUUID()
+      .withMessage('To PSR ID must be a valid UUID')
+  ],
+  assignmentController.reassignPsr
+);
+
+/**
+ * @route DELETE /api/assignments/:id
+ * @desc End an assignment (kept in history)
+ * @access Private (assignments:manage)
+ */
+router.delete(
+  '/:id',
+  requirePermission('assignments:manage'),
+  [param('id').isInt({ min: 1 }).withMessage('Assignment ID must be a positive integer')],
+  assignmentController.deleteAssignment
+);
+
+export default router;
@@ -6,7 +6,7 @@
  */
 
 import express from 'express';
-import { body } from 'express-validator';
+import { body, query, param } from 'express-validator';
 import * as authController from '../controllers/auth.controller.js';
 import { authMiddleware } from '../middleware/auth.js';
 
@@ -60,7 +60,11 @@ router.post(
       .withMessage('Please provide a valid email address'),
     body('password')
       .notEmpty()
-      .withMessage('Password is required')
+      .withMessage('Password is required'),
+    body('deviceName')
+      .optional()
+      .isLength({ max: 120 })
+      .withMessage('Device name must be at most 120 characters')
   ],
   authController.login
 );
@@ -80,6 +84,48 @@ router.post(
   authController.refreshToken
 );
 
+/**
+ * @route POST /api/auth/logout
+ * @desc Logout the current device and revoke its refresh token
+ * @access Private
+ */
+router.post('/logout', authMiddleware, authController.logout);
+
+// Users with 'users:manage' may target the sessions of users they can manage with ?userId
+const sessionOwnerQuery = query('userId')
+  .optional()
+  .isUUID()
+  .withMessage('User ID must be a valid UUID');
+
+/**
+ * @route GET /api/auth/sessions
+ * @desc List signed-in devices for the current user (or ?userId for user managers)
+ * @access Private
+ */
+router.get('/sessions', authMiddleware, [sessionOwnerQuery], authController.getSessions);
+
+/**
+ * @route DELETE /api/auth/sessions
+ * @desc Log out all other devices (or all of ?userId's devices for user managers)
+ * @access Private
+ */
+router.delete('/sessions', authMiddleware, [sessionOwnerQuery], authController.deleteSessions);
+
+/**
+ * @route DELETE /api/auth/sessions/:id
+ * @desc Log out one device
+ * @access Private
+ */
+router.delete(
+  '/sessions/:id',
+  authMiddleware,
+  [
+    param('id').isUUID().withMessage('Session ID must be a valid UUID'),
+    sessionOwnerQuery
+  ],
+  authController.deleteSession
+);
+
 /**
  * @route GET /api/auth/me
  * @desc Get current user profile
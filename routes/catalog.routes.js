@@ -0,0 +1,228 @@
+/**
+ * Catalog Routes for Snowfun Nepal application
+ *
+ * Defines the fridge brand, type and model dropdown endpoints. Everyone can
+ * read the active entries; admins manage them. Mounted behind authMiddleware
+ * in server.js.
+ */
+
+import express from 'express';
+import { body, query, param } from 'express-validator';
+import * as catalogController from '../controllers/catalog.controller.js';
+import { adminOrPsr, requirePermission } from '../middleware/rbac.js';
+
+const router = express.Router();
+
+const idParam = param('id')
+  .isInt({ min: 1 })
+  .withMessage('ID must be a positive integer');
+
+const includeInactiveQuery = query('includeInactive')
+  .optional()
+  .isBoolean()
+  .withMessage('includeInactive must be true or false')
+  .toBoolean();
+
+const isActiveBody = body('isActive')
+  .optional()
+  .isBoolean()
+  .withMessage('isActive must be true or false')
+  .toBoolean();
+
+/**
+ * @route GET /api/catalog/brands
+ * @desc List fridge brands (active only unless an admin asks for inactive ones)
+ * @access Private (Admin, PSR)
+ */
+router.get('/brands', adminOrPsr, [includeInactiveQuery], catalogController.getBrands);
+
+/**
+ * @route POST /api/catalog/brands
+ * @desc Create a fridge brand
+ * @access Private (catalog:manage)
+ */
+router.post(
+  '/brands',
+  requirePermission('catalog:manage'),
+  [
+    body('brandName')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 60 })
+      .withMessage('Brand name must be between 1 and 60 characters')
+  ],
+  catalogController.createBrand
+);
+
+/**
+ * @route PUT /api/catalog/brands/:id
+ * @desc Rename or reactivate a fridge brand
+ * @access Private (catalog:manage)
+ */
+router.put(
+  '/brands/:id',
+  requirePermission('catalog:manage'),
+  [
+    idParam,
+    body('brandName')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 60 })
+      .withMessage('Brand name must be between 1 and 60 characters'),
+    isActiveBody
+  ],
+  catalogController.updateBrand
+);
+
+/**
+ * @route DELETE /api/catalog/brands/:id
+ * @desc Deactivate a fridge brand
+ * @access Private (catalog:manage)
+ */
+router.delete('/brands/:id', requirePermission('catalog:manage'), [idParam], catalogController.deactivateBrand);
+
+/**
+ * @route GET /api/catalog/types
+ * @desc List fridge types (active only unless an admin asks for inactive ones)
+ * @access Private (Admin, PSR)
+ */
+router.get('/types', adminOrPsr, [includeInactiveQuery], catalogController.getTypes);
+
+/**
+ * @route POST /api/catalog/types
+ * @desc Create a fridge type
+ * @access Private (catalog:manage)
+ */
+router.post(
+  '/types',
+  requirePermission('catalog:manage'),
+  [
+    body('typeName')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 40 })
+      .withMessage('Type name must be between 1 and 40 characters')
+  ],
+  catalogController.createType
+);
+
+/**
+ * @route PUT /api/catalog/types/:id
+ * @desc Rename or reactivate a fridge type
+ * @access Private (catalog:manage)
+ */
+router.put(
+  '/types/:id',
+  requirePermission('catalog:manage'),
+  [
+    idParam,
+    body('typeName')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 40 })
+      .withMessage('Type name must be between 1 and 40 characters'),
+    isActiveBody
+  ],
+  catalogController.updateType
+);
+
+/**
+ * @route DELETE /api/catalog/types/:id
+ * @desc Deactivate a fridge type
+ * @access Private (catalog:manage)
+ */
+router.delete('/types/:id', requirePermission('catalog:manage'), [idParam], catalogController.deactivateType);
+
+/**
+ * @route GET /api/catalog/models
+ * @desc List fridge models with brand, type and fridge count
+ * @access Private (Admin, PSR)
+ */
+router.get(
+  '/models',
+  adminOrPsr,
+  [
+    includeInactiveQuery,
+    query('brandId').optional().isInt({ min: 1 }).withMessage('Brand ID must be a positive integer'),
+    query('typeId').optional().isInt({ min: 1 }).withMessage('Type ID must be a positive integer'),
+    query('search').optional().isString()
+  ],
+  catalogController.getModels
+);
+
+/**
+ * @route POST /api/catalog/models
+ * @desc Create a fridge model
+ * @access Private (catalog:manage)
+ */
+router.post(
+  '/models',
+  requirePermission('catalog:manage'),
+  [
+    body('brandId').isInt({ min: 1 }).withMessage('Brand ID must be a positive integer'),
+    body('typeId').isInt({ min: 1 }).withMessage('Type ID must be a positive integer'),
+    body('modelName')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 80 })
+      .withMessage('Model name must be between 1 and 80 characters'),
+    body('sizeLitre')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Size must be a positive number of litres')
+  ],
+  catalogController.createModel
+);
+
+/**
+ * @route PUT /api/catalog/models/:id
+ * @desc Update or reactivate a fridge model
+ * @access Private (catalog:manage)
+ */
+router.put(
+  '/models/:id',
+  requirePermission('catalog:manage'),
+  [
+    idParam,
+    body('brandId').optional().isInt({ min: 1 }).withMessage('Brand ID must be a positive integer'),
+    body('typeId').optional().isInt({ min: 1 }).withMessage('Type ID must be a positive integer'),
+    body('modelName')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 80 })
+      .withMessage('Model name must be between 1 and 80 characters'),
+    body('sizeLitre')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Size must be a positive number of litres'),
+    isActiveBody
+  ],
+  catalogController.updateModel
+);
+
+/**
+ * @route DELETE /api/catalog/models/:id
+ * @desc Deactivate a fridge model
+ * @access Private (catalog:manage)
+ */
+router.delete('/models/:id', requirePermission('catalog:manage'), [idParam], catalogController.deactivateModel);
+
+/**
+ * @route POST /api/catalog/models/:id/merge
+ * @desc Merge a duplicate model into another, repointing its fridges
+ * @access Private (catalog:manage)
+ */
+router.post(
+  '/models/:id/merge',
+  requirePermission('catalog:manage'),
+  [
+    idParam,
+    body('targetModelId').isInt({ min: 1 }).withMessage('Target model ID must be a positive integer')
+  ],
+  catalogController.mergeModel
+);
+
+export default router;
@@ -0,0 +1,113 @@
+/**
+ * Dealer Routes for Snowfun Nepal application
+ *
+ * Defines dealer management endpoints including listing, the PSR's assigned
+ * dealers, and CRUD operations. Mounted behind authMiddleware in server.js.
+ */
+
+import express from 'express';
+import { body, query, param } from 'express-validator';
+import * as dealerController from '../controllers/dealer.controller.js';
+import { adminOrPsr, adminPsrOrDealer, requirePermission } from '../middleware/rbac.js';
+
+const router = express.Router();
+
+// Shared validation rules for dealer create/update payloads; the location
+// itself is checked against the Nepal reference data in the controller
+const dealerFieldRules = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .isLength({ min: 2, max: 120 })
+      .withMessage('Dealer name must be between 2 and 120 characters'),
+    field('district')
+      .isString()
+      .notEmpty()
+      .withMessage('District is required'),
+    body('province')
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('Province must be a string'),
+    body('municipality')
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('Municipality must be a string'),
+    body('latitude')
+      .optional({ nullable: true })
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be between -90 and 90'),
+    body('longitude')
+      .optional({ nullable: true })
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be between -180 and 180')
+  ];
+};
+
+const dealerIdParam = param('id')
+  .isInt({ min: 1 })
+  .withMessage('Dealer ID must be a positive integer');
+
+/**
+ * @route GET /api/dealers
+ * @desc List dealers visible to the current user
+ * @access Private (Admin, PSR, Dealer)
+ */
+router.get(
+  '/',
+  adminPsrOrDealer,
+  [
+    query('province')
+      .optional()
+      .isString(),
+    query('district')
+      .optional()
+      .isString(),
+    query('search')
+      .optional()
+      .isString()
+  ],
+  dealerController.getDealers
+);
+
+/**
+ * @route GET /api/dealers/assigned
+ * @desc List dealers assigned to the current PSR
+ * @access Private (Admin, PSR)
+ */
+router.get('/assigned', adminOrPsr, dealerController.getAssignedDealers);
+
+/**
+ * @route GET /api/dealers/:id
+ * @desc Get dealer details
+ * @access Private (Admin, PSR, Dealer)
+ */
+router.get('/:id', adminPsrOrDealer, [dealerIdParam], dealerController.getDealerById);
+
+/**
+ * @route POST /api/dealers
+ * @desc Create a new dealer
+ * @access Private (dealers:manage)
+ */
+router.post('/', requirePermission('dealers:manage'), dealerFieldRules(), dealerController.createDealer);
+
+/**
+ * @route PUT /api/dealers/:id
+ * @desc Update a dealer
+ * @access Private (dealers:manage)
+ */
+router.put(
+  '/:id',
+  requirePermission('dealers:manage'),
+  [dealerIdParam, ...dealerFieldRules(true)],
+  dealerController.updateDealer
+);
+
+/**
+ * @route DELETE /api/dealers/:id
+ * @desc Delete a dealer that has no shops
+ * @access Private (dealers:manage)
+ */
+router.delete('/:id', requirePermission('dealers:manage'), [dealerIdParam], dealerController.deleteDealer);
+
+export default router;
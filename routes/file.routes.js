@@ -0,0 +1,94 @@
+/**
+ * File Routes for Snowfun Nepal application
+ *
+ * Defines the endpoints for uploading and serving contract and shop images.
+ * Mounted behind authMiddleware in server.js; access to each file follows
+ * access to its shop.
+ */
+
+import express from 'express';
+import { body, query, param } from 'express-validator';
+import * as fileController from '../controllers/file.controller.js';
+import { adminOrPsr, requirePermission } from '../middleware/rbac.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { imageUpload } from '../middleware/upload.js';
+import File from '../models/File.js';
+
+const router = express.Router();
+
+const idParam = param('id').isUUID().withMessage('File ID must be a valid UUID');
+
+/**
+ * @route GET /api/files
+ * @desc List files for the shops the user can see
+ * @access Private (Admin, PSR)
+ */
+router.get(
+  '/',
+  adminOrPsr,
+  [
+    query('shopId').optional().isInt({ min: 1 }).withMessage('Shop ID must be a positive integer'),
+    query('fridgeId').optional().isInt({ min: 1 }).withMessage('Fridge ID must be a positive integer'),
+    query('visitId').optional().isInt({ min: 1 }).withMessage('Visit ID must be a positive integer'),
+    query('kind')
+      .optional()
+      .isIn(File.KIND_VALUES)
+      .withMessage(`Kind must be one of: ${File.KIND_VALUES.join(', ')}`)
+  ],
+  fileController.getFiles
+);
+
+/**
+ * @route POST /api/files
+ * @desc Upload a contract, shop or inspection image (multipart, field "file")
+ * @access Private (Admin, PSR)
+ */
+router.post(
+  '/',
+  adminOrPsr,
+  idempotency,
+  imageUpload,
+  [
+    body('kind')
+      .isIn(File.KIND_VALUES)
+      .withMessage(`Kind must be one of: ${File.KIND_VALUES.join(', ')}`),
+    body('shopId').isInt({ min: 1 }).withMessage('Shop ID must be a positive integer'),
+    body('fridgeId').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Fridge ID must be a positive integer'),
+    body('visitId').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Visit ID must be a positive integer')
+  ],
+  fileController.uploadFile
+);
+
+/**
+ * @route GET /api/files/:id
+ * @desc Get file details, including EXIF GPS and capture time
+ * @access Private (Admin, PSR)
+ */
+router.get('/:id', adminOrPsr, [idParam], fileController.getFileById);
+
+/**
+ * @route GET /api/files/:id/content
+ * @desc Stream the image, or its thumbnail with ?variant=thumbnail
+ * @access Private (Admin, PSR)
+ */
+router.get(
+  '/:id/content',
+  adminOrPsr,
+  [
+    idParam,
+    query('variant')
+      .optional()
+      .isIn(['original', 'thumbnail'])
+      .withMessage('Variant must be original or thumbnail')
+  ],
+  fileController.getFileContent
+);
+
+/**
+ * @route DELETE /api/files/:id
+ * @desc Delete a file and its stored image
+ * @access Private (files:delete)
+ */
+router.delete('/:id', requirePermission('files:delete'), [idParam], fileController.removeFile);
+
+export default router;
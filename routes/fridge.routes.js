@@ -0,0 +1,200 @@
+/**
+ * Fridge Routes for Snowfun Nepal application
+ *
+ * Defines fridge inventory endpoints including CRUD, status transitions,
+ * status history and transfers between shops and dealer warehouses. Mounted behind authMiddleware in server.js.
+ */
+
+import express from 'express';
+import { body, query, param } from 'express-validator';
+import * as fridgeController from '../controllers/fridge.controller.js';
+import { adminOrPsr, adminPsrOrDealer, requirePermission } from '../middleware/rbac.js';
+import { imageUpload } from '../middleware/upload.js';
+import Fridge from '../models/Fridge.js';
+import FridgeDeposit from '../models/FridgeDeposit.js';
+
+const router = express.Router();
+
+const idParam = param('id')
+  .isInt({ min: 1 })
+  .withMessage('Fridge ID must be a positive integer');
+
+/**
+ * @route GET /api/fridges
+ * @desc List fridges visible to the current user
+ * @access Private (Admin, PSR, Dealer)
+ */
+router.get(
+  '/',
+  adminPsrOrDealer,
+  [
+    query('shopId').optional().isInt({ min: 1 }).withMessage('Shop ID must be a positive integer'),
+    query('dealerId').optional().isInt({ min: 1 }).withMessage('Dealer ID must be a positive integer'),
+    query('modelId').optional().isInt({ min: 1 }).withMessage('Model ID must be a positive integer'),
+    query('status')
+      .optional()
+      .isIn(Fridge.STATUS_VALUES)
+      .withMessage(`Status must be one of: ${Fridge.STATUS_VALUES.join(', ')}`)
+  ],
+  fridgeController.getFridges
+);
+
+/**
+ * @route GET /api/fridges/:id
+ * @desc Get fridge details
+ * @access Private (Admin, PSR, Dealer)
+ */
+router.get('/:id', adminPsrOrDealer, [idParam], fridgeController.getFridgeById);
+
+/**
+ * @route GET /api/fridges/:id/history
+ * @desc Get fridge status history and days spent per status
+ * @access Private (Admin, PSR, Dealer)
+ */
+router.get(
+  '/:id/history',
+  adminPsrOrDealer,
+  [
+    idParam,
+    query('from').optional().isISO8601().withMessage('From must be a valid date'),
+    query('to').optional().isISO8601().withMessage('To must be a valid date')
+  ],
+  fridgeController.getFridgeHistory
+);
+
+/**
+ * @route GET /api/fridges/:id/deposits
+ * @desc Get the fridge's deposit ledger and outstanding balance
+ * @access Private (Admin, PSR, Dealer)
+ */
+router.get('/:id/deposits', adminPsrOrDealer, [idParam], fridgeController.getFridgeDeposits);
+
+/**
+ * @route POST /api/fridges/:id/deposits
+ * @desc Record a deposit payment; refunds, forfeits and payments by others need deposits:manage
+ * @access Private (Admin, PSR)
+ */
+router.post(
+  '/:id/deposits',
+  adminOrPsr,
+  [
+    idParam,
+    body('entryType')
+      .isIn(FridgeDeposit.ENTRY_TYPE_VALUES)
+      .withMessage(`Entry type must be one of: ${FridgeDeposit.ENTRY_TYPE_VALUES.join(', ')}`),
+    body('amountNpr').isFloat({ gt: 0 }).withMessage('Amount must be greater than zero'),
+    body('entryDate').optional().isISO8601().withMessage('Entry date must be a valid date'),
+    body('receiptNumber')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Receipt number must be at most 50 characters'),
+    body('collectedById').optional({ nullable: true }).isUUID().withMessage('Collected by must be a valid user ID'),
+    body('notes')
+      .optional({ nullable: true })
+      .isLength({ max: 500 })
+      .withMessage('Notes must be at most 500 characters')
+  ],
+  fridgeController.createFridgeDeposit
+);
+
+/**
+ * @route GET /api/fridges/:id/custody
+ * @desc Get the fridge's placement timeline across shops and warehouses
+ * @access Private (Admin, PSR)
+ */
+router.get('/:id/custody', adminOrPsr, [idParam], fridgeController.getFridgeCustody);
+
+/**
+ * @route POST /api/fridges/:id/transfers
+ * @desc Move a fridge to a shop (contract image in field "file") or into a dealer's warehouse
+ * @access Private (fridges:transfer)
+ */
+router.post(
+  '/:id/transfers',
+  requirePermission('fridges:transfer'),
+  imageUpload,
+  [
+    idParam,
+    body('toShopId').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Shop ID must be a positive integer'),
+    body('toDealerId').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Dealer ID must be a positive integer'),
+    body('transferDate').optional({ checkFalsy: true }).isISO8601().withMessage('Transfer date must be a valid date'),
+    body('psrId').isUUID().withMessage('Responsible PSR must be a valid user ID'),
+    body('notes')
+      .optional({ nullable: true })
+      .isLength({ max: 500 })
+      .withMessage('Notes must be at most 500 characters')
+  ],
+  fridgeController.transferFridge
+);
+
+/**
+ * @route POST /api/fridges
+ * @desc Register a new fridge at a shop
+ * @access Private (fridges:manage)
+ */
+router.post(
+  '/',
+  requirePermission('fridges:manage'),
+  [
+    body('shopId').isInt({ min: 1 }).withMessage('Shop ID must be a positive integer'),
+    body('modelId').isInt({ min: 1 }).withMessage('Model ID must be a positive integer'),
+    body('status')
+      .optional()
+      .isIn(Fridge.STATUS_VALUES)
+      .withMessage(`Status must be one of: ${Fridge.STATUS_VALUES.join(', ')}`),
+    body('contractImgUrl').optional().isString(),
+    body('depositNpr').optional().isFloat({ min: 0 }).withMessage('Deposit must be a positive amount'),
+    body('installedAt').optional().isISO8601().withMessage('Installation date must be a valid date')
+  ],
+  fridgeController.createFridge
+);
+
+/**
+ * @route PUT /api/fridges/:id
+ * @desc Update fridge details
+ * @access Private (fridges:manage)
+ */
+router.put(
+  '/:id',
+  requirePermission('fridges:manage'),
+  [
+    idParam,
+    body('modelId').optional().isInt({ min: 1 }).withMessage('Model ID must be a positive integer'),
+    body('contractImgUrl').optional().isString(),
+    body('depositNpr').optional().isFloat({ min: 0 }).withMessage('Deposit must be a positive amount'),
+    body('installedAt').optional().isISO8601().withMessage('Installation date must be a valid date')
+  ],
+  fridgeController.updateFridge
+);
+
+/**
+ * @route PATCH /api/fridges/:id/status
+ * @desc Change fridge status (validated against allowed transitions)
+ * @access Private (Admin, PSR)
+ */
+router.patch(
+  '/:id/status',
+  adminOrPsr,
+  [
+    idParam,
+    body('status')
+      .isIn(Fridge.STATUS_VALUES)
+      .withMessage(`Status must be one of: ${Fridge.STATUS_VALUES.join(', ')}`),
+    body('reason')
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage('Reason must be at most 500 characters'),
+    body('visitId').optional().isInt({ min: 1 }).withMessage('Visit ID must be a positive integer')
+  ],
+  fridgeController.updateFridgeStatus
+);
+
+/**
+ * @route DELETE /api/fridges/:id
+ * @desc Delete a fridge
+ * @access Private (fridges:manage)
+ */
+router.delete('/:id', requirePermission('fridges:manage'), [idParam], fridgeController.deleteFridge);
+
+export default router;
@@ -0,0 +1,51 @@
+/**
+ * Geography Routes for Snowfun Nepal application
+ *
+ * Read-only Nepal administrative boundaries (provinces, districts and
+ * municipalities). Mounted behind authMiddleware in server.js.
+ */
+
+import express from 'express';
+import { query } from 'express-validator';
+import * as geoController from '../controllers/geo.controller.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/geo/provinces
+ * @desc List Nepal's 7 provinces
+ * @access Private
+ */
+router.get('/provinces', geoController.getProvinces);
+
+/**
+ * @route GET /api/geo/districts
+ * @desc List districts, optionally filtered by ?province (name or number)
+ * @access Private
+ */
+router.get(
+  '/districts',
+  [
+    query('province')
+      .optional()
+      .isString()
+  ],
+  geoController.getDistricts
+);
+
+/**
+ * @route GET /api/geo/municipalities
+ * @desc List the municipalities of a ?district
+ * @access Private
+ */
+router.get(
+  '/municipalities',
+  [
+    query('district')
+      .notEmpty()
+      .withMessage('District is required')
+  ],
+  geoController.getMunicipalities
+);
+
+export default router;
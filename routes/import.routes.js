@@ -0,0 +1,39 @@
+/**
+ * Import Routes for Snowfun Nepal application
+ *
+ * Defines the admin endpoint for bulk spreadsheet imports.
+ * Mounted behind authMiddleware in server.js.
+ */
+
+import express from 'express';
+import { body, param } from 'express-validator';
+import * as importController from '../controllers/import.controller.js';
+import { requirePermission } from '../middleware/rbac.js';
+import { spreadsheetUpload } from '../middleware/upload.js';
+import { IMPORT_ENTITIES } from '../services/import.service.js';
+
+const router = express.Router();
+
+/**
+ * @route POST /api/imports/:entity
+ * @desc Validate a CSV/XLSX file of dealers, shops or fridges and, when
+ *       dryRun is false and every row is valid, import it in one transaction
+ * @access Private (imports:run)
+ */
+router.post(
+  '/:entity',
+  requirePermission('imports:run'),
+  spreadsheetUpload,
+  [
+    param('entity')
+      .isIn(IMPORT_ENTITIES)
+      .withMessage(`Entity must be one of: ${IMPORT_ENTITIES.join(', ')}`),
+    body('dryRun')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('dryRun must be true or false')
+  ],
+  importController.importRecords
+);
+
+export default router;
@@ -0,0 +1,38 @@
+/**
+ * Notification Routes for Snowfun Nepal application
+ *
+ * Defines notification preference endpoints used by the web app's
+ * NotificationContext. Mounted behind authMiddleware in server.js.
+ */
+
+import express from 'express';
+import { body } from 'express-validator';
+import * as notificationController from '../controllers/notification.controller.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/notifications/preferences
+ * @desc Get the current user's notification preferences
+ * @access Private
+ */
+router.get('/preferences', notificationController.getPreferences);
+
+/**
+ * @route POST /api/notifications/preferences
+ * @desc Update the current user's notification preferences
+ * @access Private
+ */
+router.post(
+  '/preferences',
+  [
+    body('smsEnabled')
+      .optional()
+      .isBoolean()
+      .withMessage('smsEnabled must be true or false')
+      .toBoolean()
+  ],
+  notificationController.updatePreferences
+);
+
+export default router;
@@ -0,0 +1,137 @@
+/**
+ * Repair Routes for Snowfun Nepal application
+ *
+ * Defines the fridge repair ticket endpoints: listing, the admin queue by
+ * district, reporting a fridge and moving tickets through their workflow.
+ * Mounted behind authMiddleware in server.js.
+ */
+
+import express from 'express';
+import { body, query, param } from 'express-validator';
+import * as repairController from '../controllers/repair.controller.js';
+import { rbacMiddleware, requirePermission } from '../middleware/rbac.js';
+import RepairTicket from '../models/RepairTicket.js';
+
+const router = express.Router();
+
+// Technician roles work tickets through 'repairs:manage' without being PSRs;
+// dealer portal users view and raise tickets for their own shops
+const canViewRepairs = rbacMiddleware(['admin', 'psr'], ['data:all', 'data:territory', 'data:dealer', 'repairs:manage']);
+
+const idParam = param('id')
+  .isInt({ min: 1 })
+  .withMessage('Repair ticket ID must be a positive integer');
+
+// Validation rules for the technician and closing details
+const detailRules = [
+  body('technicianName')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ min: 2, max: 120 })
+    .withMessage('Technician name must be between 2 and 120 characters'),
+  body('technicianPhone')
+    .optional({ nullable: true })
+    .isLength({ max: 20 })
+    .withMessage('Technician phone must be at most 20 characters'),
+  body('costNpr')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Cost must be a positive amount'),
+  body('partsNotes')
+    .optional({ nullable: true })
+    .isLength({ max: 2000 })
+    .withMessage('Parts notes must be at most 2000 characters')
+];
+
+/**
+ * @route GET /api/repairs
+ * @desc List repair tickets for the shops the user can see
+ * @access Private (Admin, PSR, Dealer, repairs:manage)
+ */
+router.get(
+  '/',
+  canViewRepairs,
+  [
+    query('status')
+      .optional()
+      .isIn(RepairTicket.STATUS_VALUES)
+      .withMessage(`Status must be one of: ${RepairTicket.STATUS_VALUES.join(', ')}`),
+    query('open').optional().isBoolean().withMessage('Open must be true or false'),
+    query('district').optional().isString(),
+    query('dealerId').optional().isInt({ min: 1 }).withMessage('Dealer ID must be a positive integer'),
+    query('shopId').optional().isInt({ min: 1 }).withMessage('Shop ID must be a positive integer'),
+    query('fridgeId').optional().isInt({ min: 1 }).withMessage('Fridge ID must be a positive integer')
+  ],
+  repairController.getRepairs
+);
+
+/**
+ * @route GET /api/repairs/queue
+ * @desc Get open repair tickets in the user's scope grouped by district, with SLA breaches
+ * @access Private (repairs:manage)
+ */
+router.get('/queue', requirePermission('repairs:manage'), repairController.getRepairQueue);
+
+/**
+ * @route GET /api/repairs/:id
+ * @desc Get a repair ticket
+ * @access Private (Admin, PSR, Dealer, repairs:manage)
+ */
+router.get('/:id', canViewRepairs, [idParam], repairController.getRepairById);
+
+/**
+ * @route POST /api/repairs
+ * @desc Report a fridge for repair
+ * @access Private (Admin, PSR, Dealer, repairs:manage)
+ */
+router.post(
+  '/',
+  canViewRepairs,
+  [
+    body('fridgeId').isInt({ min: 1 }).withMessage('Fridge ID must be a positive integer'),
+    body('description')
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage('Description must be at most 1000 characters')
+  ],
+  repairController.createRepair
+);
+
+/**
+ * @route PATCH /api/repairs/:id/status
+ * @desc Move a ticket to assigned, in_progress, fixed or replaced
+ * @access Private (repairs:manage)
+ */
+router.patch(
+  '/:id/status',
+  requirePermission('repairs:manage'),
+  [
+    idParam,
+    body('status')
+      .isIn(RepairTicket.STATUS_VALUES)
+      .withMessage(`Status must be one of: ${RepairTicket.STATUS_VALUES.join(', ')}`),
+    ...detailRules
+  ],
+  repairController.updateRepairStatus
+);
+
+/**
+ * @route PUT /api/repairs/:id
+ * @desc Update a ticket's description, technician, cost or parts notes
+ * @access Private (repairs:manage)
+ */
+router.put(
+  '/:id',
+  requirePermission('repairs:manage'),
+  [
+    idParam,
+    body('description')
+      .optional({ nullable: true })
+      .isLength({ max: 1000 })
+      .withMessage('Description must be at most 1000 characters'),
+    ...detailRules
+  ],
+  repairController.updateRepair
+);
+
+export default router;
@@ -0,0 +1,110 @@
+/**
+ * Report Routes for Snowfun Nepal application
+ *
+ * Defines the admin dashboard summary, daily stats and report export
+ * endpoints. Mounted behind authMiddleware and the 'reports:view' permission
+ * check in server.js.
+ */
+
+import express from 'express';
+import { body, query, param } from 'express-validator';
+import * as reportController from '../controllers/report.controller.js';
+import { requirePermission } from '../middleware/rbac.js';
+import { REPORTS } from '../services/report.service.js';
+import { today, toDateString } from '../utils/date.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/reports/dashboard-summary
+ * @desc Get dashboard totals, today's visits, pending visits and the visit trend
+ * @access Private (reports:view)
+ */
+router.get(
+  '/dashboard-summary',
+  requirePermission('reports:view'),
+  [
+    query('district')
+      .optional()
+      .isString()
+      .withMessage('District must be a string'),
+    query('dealerId')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Dealer ID must be a positive integer'),
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be YYYY-MM-DD'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To must be YYYY-MM-DD')
+  ],
+  reportController.getDashboardSummary
+);
+
+/**
+ * @route POST /api/reports/daily-stats/refresh
+ * @desc Rebuild yesterday's daily stats snapshot, or recount visits for an earlier day
+ * @access Private (reports:manage)
+ */
+router.post(
+  '/daily-stats/refresh',
+  requirePermission('reports:manage'),
+  [
+    body('date')
+      .optional()
+      .isISO8601()
+      .withMessage('Date must be YYYY-MM-DD')
+      .custom(date => toDateString(date) < today())
+      .withMessage('Only past days can be snapshotted')
+  ],
+  reportController.refreshStats
+);
+
+/**
+ * @route GET /api/reports/:report.:format
+ * @desc Export visit-logs, fridge-inventory, psr-performance, fridge-issues or
+ *       deposits-monthly as CSV or PDF
+ * @access Private (reports:view)
+ */
+router.get(
+  '/:report.:format',
+  requirePermission('reports:view'),
+  [
+    param('report')
+      .isIn(Object.keys(REPORTS))
+      .withMessage(`Report must be one of: ${Object.keys(REPORTS).join(', ')}`),
+    param('format')
+      .isIn(['csv', 'pdf'])
+      .withMessage('Format must be csv or pdf'),
+    query('district')
+      .optional()
+      .isString()
+      .withMessage('District must be a string'),
+    query('dealerId')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Dealer ID must be a positive integer'),
+    query('psrId')
+      .optional()
+      .isUUID()
+      .withMessage('PSR ID must be a valid UUID'),
+    query('status')
+      .optional()
+      .isString()
+      .withMessage('Status must be a string'),
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be YYYY-MM-DD'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To must be YYYY-MM-DD')
+  ],
+  reportController.exportReport
+);
+
+export default router;
@@ -0,0 +1,83 @@
+/**
+ * Role Routes for Snowfun Nepal application
+ *
+ * Defines the endpoints for composing roles from permissions. Mounted
+ * behind authMiddleware in server.js.
+ */
+
+import express from 'express';
+import { body, param } from 'express-validator';
+import * as roleController from '../controllers/role.controller.js';
+import { requirePermission } from '../middleware/rbac.js';
+
+const router = express.Router();
+
+const idParam = param('id')
+  .isInt({ min: 1 })
+  .withMessage('Role ID must be a positive integer');
+
+const roleNameRule = (field) => field
+  .isString()
+  .trim()
+  .isLength({ min: 2, max: 50 })
+  .withMessage('Role name must be between 2 and 50 characters')
+  .matches(/^[a-z][a-z0-9_]*$/)
+  .withMessage('Role name must be lowercase letters, digits and underscores');
+
+const permissionsRule = (field) => field
+  .isArray()
+  .withMessage('Permissions must be an array of permission keys');
+
+/**
+ * @route GET /api/roles
+ * @desc List roles with their permissions and user counts
+ * @access Private (roles:manage, users:manage)
+ */
+router.get('/', requirePermission('roles:manage', 'users:manage'), roleController.getRoles);
+
+/**
+ * @route GET /api/roles/permissions
+ * @desc List the permissions that can be granted to roles
+ * @access Private (roles:manage)
+ */
+router.get('/permissions', requirePermission('roles:manage'), roleController.getPermissions);
+
+/**
+ * @route POST /api/roles
+ * @desc Create a role with a set of permissions
+ * @access Private (roles:manage)
+ */
+router.post(
+  '/',
+  requirePermission('roles:manage'),
+  [
+    roleNameRule(body('roleName')),
+    permissionsRule(body('permissions').optional())
+  ],
+  roleController.createRole
+);
+
+/**
+ * @route PUT /api/roles/:id
+ * @desc Rename a custom role or replace a role's permissions
+ * @access Private (roles:manage)
+ */
+router.put(
+  '/:id',
+  requirePermission('roles:manage'),
+  [
+    idParam,
+    roleNameRule(body('roleName').optional()),
+    permissionsRule(body('permissions').optional())
+  ],
+  roleController.updateRole
+);
+
+/**
+ * @route DELETE /api/roles/:id
+ * @desc Delete a custom role that no user holds
+ * @access Private (roles:manage)
+ */
+router.delete('/:id', requirePermission('roles:manage'), [idParam], roleController.deleteRole);
+
+export default router;
@@ -0,0 +1,99 @@
+/**
+ * Route Plan Routes for Snowfun Nepal application
+ *
+ * Defines the PSR daily route endpoint and route pinning ('routes:pin').
+ * Mounted behind authMiddleware in server.js.
+ */
+
+import express from 'express';
+import { body, query, param } from 'express-validator';
+import * as routePlanController from '../controllers/route-plan.controller.js';
+import { adminOrPsr, requirePermission } from '../middleware/rbac.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/route-plans/daily
+ * @desc Get the ordered daily route (pinned, or planned from ?lat/?lng)
+ * @access Private (Admin, PSR)
+ */
+router.get(
+  '/daily',
+  adminOrPsr,
+  [
+    query('psrId')
+      .optional()
+      .isUUID()
+      .withMessage('PSR ID must be a valid UUID'),
+    query('date')
+      .optional()
+      .isISO8601()
+      .withMessage('Date must be YYYY-MM-DD'),
+    query('lat')
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be between -90 and 90'),
+    query('lng')
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be between -180 and 180'),
+    query('maxStops')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Max stops must be between 1 and 100')
+  ],
+  routePlanController.getDailyRoutePlan
+);
+
+/**
+ * @route POST /api/route-plans
+ * @desc Pin a PSR's route for a day (replaces any pinned route for that day)
+ * @access Private (routes:pin)
+ */
+router.post(
+  '/',
+  requirePermission('routes:pin'),
+  [
+    body('psrId')
+      .isUUID()
+      .withMessage('PSR ID must be a valid UUID'),
+    body('date')
+      .optional()
+      .isISO8601()
+      .withMessage('Date must be YYYY-MM-DD'),
+    body('startLatitude')
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Start latitude must be between -90 and 90'),
+    body('startLongitude')
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Start longitude must be between -180 and 180'),
+    body('maxStops')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Max stops must be between 1 and 100'),
+    body('shopIds')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Shop IDs must be a non-empty array'),
+    body('shopIds.*')
+      .isInt({ min: 1 })
+      .withMessage('Shop IDs must be positive integers')
+  ],
+  routePlanController.createRoutePlan
+);
+
+/**
+ * @route DELETE /api/route-plans/:id
+ * @desc Unpin a route
+ * @access Private (routes:pin)
+ */
+router.delete(
+  '/:id',
+  requirePermission('routes:pin'),
+  [param('id').isInt({ min: 1 }).withMessage('Route plan ID must be a positive integer')],
+  routePlanController.deleteRoutePlan
+);
+
+export default router;
@@ -0,0 +1,143 @@
+/**
+ * Shop Routes for Snowfun Nepal application
+ *
+ * Defines shop management endpoints including listing, radius search,
+ * the PSR's assigned shops, and CRUD operations. Mounted behind
+ * authMiddleware in server.js.
+ */
+
+import express from 'express';
+import { body, query, param } from 'express-validator';
+import * as shopController from '../controllers/shop.controller.js';
+import { adminOrPsr, adminPsrOrDealer, requirePermission } from '../middleware/rbac.js';
+import { idempotency } from '../middleware/idempotency.js';
+
+const router = express.Router();
+
+// Shared validation rules for shop create/update payloads
+const shopFieldRules = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('dealerId')
+      .isInt({ min: 1 })
+      .withMessage('Dealer ID must be a positive integer'),
+    field('name')
+      .isLength({ min: 2, max: 150 })
+      .withMessage('Shop name must be between 2 and 150 characters'),
+    field('latitude')
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be between -90 and 90'),
+    field('longitude')
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be between -180 and 180'),
+    body('addressText')
+      .optional()
+      .isString(),
+    body('contactName')
+      .optional()
+      .isLength({ max: 120 })
+      .withMessage('Contact name must be at most 120 characters'),
+    body('contactPhone')
+      .optional()
+      .isLength({ max: 30 })
+      .withMessage('Contact phone must be at most 30 characters')
+  ];
+};
+
+/**
+ * @route GET /api/shops
+ * @desc List shops visible to the current user
+ * @access Private (Admin, PSR, Dealer)
+ */
+router.get(
+  '/',
+  adminPsrOrDealer,
+  [
+    query('dealerId')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Dealer ID must be a positive integer'),
+    query('district')
+      .optional()
+      .isString(),
+    query('search')
+      .optional()
+      .isString()
+  ],
+  shopController.getShops
+);
+
+/**
+ * @route GET /api/shops/assigned
+ * @desc List shops assigned to the current PSR
+ * @access Private (Admin, PSR)
+ */
+router.get('/assigned', adminOrPsr, shopController.getAssignedShops);
+
+/**
+ * @route GET /api/shops/near
+ * @desc Find shops within a radius (km) of a coordinate
+ * @access Private (Admin, PSR)
+ */
+router.get(
+  '/near',
+  adminOrPsr,
+  [
+    query('lat')
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be between -90 and 90'),
+    query('lng')
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be between -180 and 180'),
+    query('radius')
+      .optional()
+      .isFloat({ min: 0.01, max: 500 })
+      .withMessage('Radius must be between 0.01 and 500 km')
+  ],
+  shopController.getShopsNear
+);
+
+/**
+ * @route GET /api/shops/:id
+ * @desc Get shop details with fridges and latest visit
+ * @access Private (Admin, PSR, Dealer)
+ */
+router.get(
+  '/:id',
+  adminPsrOrDealer,
+  [param('id').isInt({ min: 1 }).withMessage('Shop ID must be a positive integer')],
+  shopController.getShopById
+);
+
+/**
+ * @route POST /api/shops
+ * @desc Create a new shop
+ * @access Private (Admin, PSR)
+ * @header Idempotency-Key - Optional; replays of shops added offline return the original response
+ */
+router.post('/', adminOrPsr, idempotency, shopFieldRules(), shopController.createShop);
+
+/**
+ * @route PUT /api/shops/:id
+ * @desc Update a shop
+ * @access Private (Admin, PSR)
+ */
+router.put(
+  '/:id',
+  adminOrPsr,
+  [
+    param('id').isInt({ min: 1 }).withMessage('Shop ID must be a positive integer'),
+    ...shopFieldRules(true)
+  ],
+  shopController.updateShop
+);
+
+/**
+ * @route DELETE /api/shops/:id
+ * @desc Delete a shop
+ * @access Private (shops:delete)
+ */
+router.delete('/:id', requirePermission('shops:delete'), shopController.deleteShop);
+
+export default router;
@@ -0,0 +1,183 @@
+/**
+ * User Routes for Snowfun Nepal application
+ *
+ * Defines user administration endpoints for admins and the signed-in user's
+ * profile update. Mounted behind authMiddleware in server.js.
+ */
+
+import express from 'express';
+import { body, query, param } from 'express-validator';
+import * as userController from '../controllers/user.controller.js';
+import { requirePermission } from '../middleware/rbac.js';
+import { NEPALI_MOBILE_PATTERN } from '../utils/phone.js';
+
+const router = express.Router();
+
+const idParam = param('id').isUUID().withMessage('User ID must be a valid UUID');
+
+const fullNameRule = (field) => field
+  .trim()
+  .isLength({ min: 2, max: 120 })
+  .withMessage('Full name must be between 2 and 120 characters');
+
+const phoneRule = () => body('phone')
+  .optional({ nullable: true })
+  .matches(NEPALI_MOBILE_PATTERN)
+  .withMessage('Please provide a valid Nepali mobile number');
+
+const smsNotificationsRule = () => body('smsNotifications')
+  .optional()
+  .isBoolean()
+  .withMessage('smsNotifications must be true or false')
+  .toBoolean();
+
+const dealerIdRule = () => body('dealerId')
+  .optional({ nullable: true })
+  .isInt({ min: 1 })
+  .withMessage('Dealer ID must be a positive integer');
+
+/**
+ * @route PUT /api/users/profile
+ * @desc Update the current user's name, phone or SMS preference
+ * @access Private
+ */
+router.put(
+  '/profile',
+  [
+    fullNameRule(body('fullName').optional()),
+    phoneRule(),
+    smsNotificationsRule()
+  ],
+  userController.updateProfile
+);
+
+/**
+ * @route GET /api/users
+ * @desc List users, with PSR dealer and visit counts
+ * @access Private (users:manage)
+ */
+router.get(
+  '/',
+  requirePermission('users:manage'),
+  [
+    query('role').optional().isString(),
+    query('active').optional().isBoolean().withMessage('active must be true or false'),
+    query('search').optional().isString()
+  ],
+  userController.getUsers
+);
+
+/**
+ * @route POST /api/users/invite
+ * @desc Create a user and email them a link to choose a password
+ * @access Private (users:manage)
+ */
+router.post(
+  '/invite',
+  requirePermission('users:manage'),
+  [
+    body('email')
+      .isEmail()
+      .withMessage('Please provide a valid email address')
+      .normalizeEmail(),
+    fullNameRule(body('fullName')),
+    phoneRule(),
+    body('roleId').isInt({ min: 1 }).withMessage('Role ID must be a positive integer'),
+    dealerIdRule()
+  ],
+  userController.inviteUser
+);
+
+/**
+ * @route GET /api/users/:id
+ * @desc Get a user, with a PSR's assigned dealers and visit counts
+ * @access Private (users:manage)
+ */
+router.get('/:id', requirePermission('users:manage'), [idParam], userController.getUserById);
+
+/**
+ * @route PUT /api/users/:id
+ * @desc Update a user's name, email, phone, SMS preference or linked dealer
+ * @access Private (users:manage)
+ */
+router.put(
+  '/:id',
+  requirePermission('users:manage'),
+  [
+    idParam,
+    fullNameRule(body('fullName').optional()),
+    body('email')
+      .optional()
+      .isEmail()
+      .withMessage('Please provide a valid email address')
+      .normalizeEmail(),
+    phoneRule(),
+    smsNotificationsRule(),
+    dealerIdRule()
+  ],
+  userController.updateUser
+);
+
+/**
+ * @route PATCH /api/users/:id/role
+ * @desc Change a user's role, with the dealer for dealer portal roles
+ * @access Private (users:manage)
+ */
+router.patch(
+  '/:id/role',
+  requirePermission('users:manage'),
+  [
+    idParam,
+    body('roleId').isInt({ min: 1 }).withMessage('Role ID must be a positive integer'),
+    dealerIdRule()
+  ],
+  userController.changeUserRole
+);
+
+/**
+ * @route POST /api/users/:id/invite
+ * @desc Send a new invitation link
+ * @access Private (users:manage)
+ */
+router.post('/:id/invite', requirePermission('users:manage'), [idParam], userController.resendInvite);
+
+/**
+ * @route POST /api/users/:id/deactivate
+ * @desc Deactivate a user and revoke their sessions
+ * @access Private (users:manage)
+ */
+router.post('/:id/deactivate', requirePermission('users:manage'), [idParam], userController.deactivateUser);
+
+/**
+ * @route POST /api/users/:id/reactivate
+ * @desc Reactivate a deactivated user
+ * @access Private (users:manage)
+ */
+router.post('/:id/reactivate', requirePermission('users:manage'), [idParam], userController.reactivateUser);
+
+/**
+ * @route GET /api/users/:id/territory
+ * @desc Get a supervisor's districts and dealers
+ * @access Private (users:manage)
+ */
+router.get('/:id/territory', requirePermission('users:manage'), [idParam], userController.getUserTerritory);
+
+/**
+ * @route PUT /api/users/:id/territory
+ * @desc Replace a supervisor's districts and dealers
+ * @access Private (users:manage)
+ */
+router.put(
+  '/:id/territory',
+  requirePermission('users:manage'),
+  [
+    idParam,
+    body('districts').optional().isArray().withMessage('Districts must be an array of district names'),
+    body('districts.*').isString().withMessage('District must be a string'),
+    body('dealerIds').optional().isArray().withMessage('Dealer IDs must be an array'),
+    body('dealerIds.*').isInt({ min: 1 }).withMessage('Dealer ID must be a positive integer')
+  ],
+  userController.setUserTerritory
+);
+
+export default router;
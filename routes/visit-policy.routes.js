@@ -0,0 +1,110 @@
+/**
+ * Visit Policy Routes for Snowfun Nepal application
+ *
+ * Defines the endpoints for dealer and shop visit frequency policies, behind
+ * the 'visit-policies:manage' permission.
+ * Mounted behind authMiddleware in server.js.
+ */
+
+import express from 'express';
+import { body, query, param } from 'express-validator';
+import * as visitPolicyController from '../controllers/visit-policy.controller.js';
+import { requirePermission } from '../middleware/rbac.js';
+import VisitFrequencyPolicy from '../models/VisitFrequencyPolicy.js';
+
+const router = express.Router();
+
+// Validation rules shared by dealer and shop policies
+const policyFieldRules = [
+  body('frequency')
+    .isIn(VisitFrequencyPolicy.FREQUENCY_VALUES)
+    .withMessage(`Frequency must be one of: ${VisitFrequencyPolicy.FREQUENCY_VALUES.join(', ')}`),
+  body('intervalDays')
+    .if(body('frequency').equals('custom'))
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Interval days must be between 1 and 365 for a custom frequency'),
+  body('fridgeTiers')
+    .if(body('frequency').equals('by_fridge_count'))
+    .isArray({ min: 1 })
+    .withMessage('Fridge tiers are required for a fridge-count frequency')
+    .bail()
+    .custom((tiers) => new Set(tiers.map(tier => Number(tier?.minFridges))).size === tiers.length)
+    .withMessage('Fridge tiers must have distinct minimum fridge counts'),
+  body('fridgeTiers.*.minFridges')
+    .if(body('frequency').equals('by_fridge_count'))
+    .isInt({ min: 0 })
+    .withMessage('Tier minimum fridges must be a non-negative integer'),
+  body('fridgeTiers.*.intervalDays')
+    .if(body('frequency').equals('by_fridge_count'))
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Tier interval days must be between 1 and 365')
+];
+
+/**
+ * @route GET /api/visit-policies
+ * @desc List visit frequency policies, filtered by dealer or shop
+ * @access Private (visit-policies:manage)
+ */
+router.get(
+  '/',
+  requirePermission('visit-policies:manage'),
+  [
+    query('dealerId')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Dealer ID must be a positive integer'),
+    query('shopId')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Shop ID must be a positive integer')
+  ],
+  visitPolicyController.getVisitPolicies
+);
+
+/**
+ * @route PUT /api/visit-policies/dealers/:dealerId
+ * @desc Set the visit frequency for all of a dealer's shops
+ * @access Private (visit-policies:manage)
+ */
+router.put(
+  '/dealers/:dealerId',
+  requirePermission('visit-policies:manage'),
+  [
+    param('dealerId')
+      .isInt({ min: 1 })
+      .withMessage('Dealer ID must be a positive integer'),
+    ...policyFieldRules
+  ],
+  visitPolicyController.updateDealerPolicy
+);
+
+/**
+ * @route PUT /api/visit-policies/shops/:shopId
+ * @desc Set the visit frequency for one shop, overriding its dealer's policy
+ * @access Private (visit-policies:manage)
+ */
+router.put(
+  '/shops/:shopId',
+  requirePermission('visit-policies:manage'),
+  [
+    param('shopId')
+      .isInt({ min: 1 })
+      .withMessage('Shop ID must be a positive integer'),
+    ...policyFieldRules
+  ],
+  visitPolicyController.updateShopPolicy
+);
+
+/**
+ * @route DELETE /api/visit-policies/:id
+ * @desc Delete a policy (the shop or dealer falls back to the next rule)
+ * @access Private (visit-policies:manage)
+ */
+router.delete(
+  '/:id',
+  requirePermission('visit-policies:manage'),
+  [param('id').isInt({ min: 1 }).withMessage('Visit policy ID must be a positive integer')],
+  visitPolicyController.deleteVisitPolicy
+);
+
+export default router;
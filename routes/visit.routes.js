@@ -0,0 +1,163 @@
+/**
+ * Visit Routes for Snowfun Nepal application
+ *
+ * Defines visit endpoints including recording a visit with its fridge
+ * checklist, visit logs and dashboard statistics. Mounted behind
+ * authMiddleware in server.js.
+ */
+
+import express from 'express';
+import { body, query, param } from 'express-validator';
+import * as visitController from '../controllers/visit.controller.js';
+import { adminOrPsr, adminPsrOrDealer, requirePermission, fieldUserOnly } from '../middleware/rbac.js';
+import { idempotency } from '../middleware/idempotency.js';
+import Visit from '../models/Visit.js';
+import { toDateString, nepalToday, addDays } from '../utils/date.js';
+
+const router = express.Router();
+
+// How far back a visit may be dated: long enough for a PSR's offline queue
+// to replay after a few days without signal, not so long visits can be
+// back-filled to game frequency targets
+const VISIT_BACKDATE_DAYS = parseInt(process.env.VISIT_BACKDATE_DAYS || '7', 10);
+
+// Validation rules for one fridge checklist (shop-wide or per fridge)
+const checklistRules = (prefix) => [
+  body(`${prefix}.working`).optional().isBoolean(),
+  body(`${prefix}.clean`).optional().isBoolean(),
+  body(`${prefix}.properlyStocked`).optional().isBoolean(),
+  body(`${prefix}.temperatureCorrect`).optional().isBoolean(),
+  body(`${prefix}.needsRepair`).optional().isBoolean(),
+  body(`${prefix}.temperatureC`)
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: -60, max: 60 })
+    .withMessage('Temperature must be between -60 and 60 °C'),
+  body(`${prefix}.photoUrl`).optional().isString()
+];
+
+/**
+ * @route GET /api/visits
+ * @desc List visit logs visible to the current user
+ * @access Private (Admin, PSR, Dealer)
+ */
+router.get(
+  '/',
+  adminPsrOrDealer,
+  [
+    query('shopId').optional().isInt({ min: 1 }).withMessage('Shop ID must be a positive integer'),
+    query('psrId').optional().isUUID().withMessage('PSR ID must be a valid UUID'),
+    query('status')
+      .optional()
+      .isIn(Visit.STATUS_VALUES)
+      .withMessage(`Status must be one of: ${Visit.STATUS_VALUES.join(', ')}`),
+    query('from').optional().isISO8601().withMessage('From must be a valid date'),
+    query('to').optional().isISO8601().withMessage('To must be a valid date'),
+    query('needsReview').optional().isBoolean().withMessage('needsReview must be true or false')
+  ],
+  visitController.getVisits
+);
+
+/**
+ * @route GET /api/visits/stats
+ * @desc Get today's visit statistics for the current user's shops
+ * @access Private (Admin, PSR)
+ */
+router.get('/stats', adminOrPsr, visitController.getVisitStats);
+
+/**
+ * @route GET /api/visits/pending
+ * @desc Get shops due or overdue for a visit under their visit frequency policies
+ * @access Private (Admin, PSR)
+ */
+router.get('/pending', adminOrPsr, visitController.getPendingVisits);
+
+/**
+ * @route GET /api/visits/:id
+ * @desc Get a visit with its fridge inspections
+ * @access Private (Admin, PSR, Dealer)
+ */
+router.get(
+  '/:id',
+  adminPsrOrDealer,
+  [param('id').isInt({ min: 1 }).withMessage('Visit ID must be a positive integer')],
+  visitController.getVisitById
+);
+
+/**
+ * @route POST /api/visits
+ * @desc Record a shop visit with its fridge checklist
+ * @access Private (field PSRs: visits:record, see db-schema.md §3 "Role enforcement")
+ * @header Idempotency-Key - Optional; replays of queued offline visits return the original response
+ */
+router.post(
+  '/',
+  fieldUserOnly,
+  idempotency,
+  [
+    body('shopId')
+      .isInt({ min: 1 })
+      .withMessage('Shop ID must be a positive integer'),
+    body('status')
+      .isIn(Visit.STATUS_VALUES)
+      .withMessage(`Status must be one of: ${Visit.STATUS_VALUES.join(', ')}`),
+    body('notes')
+      .optional()
+      .isString(),
+    body('visitDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Visit date must be a valid date')
+      .bail()
+      .custom(date => toDateString(date) <= nepalToday())
+      .withMessage('Visit date cannot be in the future')
+      .bail()
+      .custom(date => toDateString(date) >= addDays(nepalToday(), -VISIT_BACKDATE_DAYS))
+      .withMessage(`Visit date cannot be more than ${VISIT_BACKDATE_DAYS} days ago`),
+    body('fridgeChecks')
+      .optional()
+      .isObject()
+      .withMessage('Fridge checks must be an object'),
+    ...checklistRules('fridgeChecks'),
+    body('fridgeInspections')
+      .optional()
+      .isArray()
+      .withMessage('Fridge inspections must be an array'),
+    body('fridgeInspections.*.fridgeId')
+      .isInt({ min: 1 })
+      .withMessage('Each inspection needs a valid fridge ID'),
+    ...checklistRules('fridgeInspections.*'),
+    body('latitude')
+      .optional({ nullable: true })
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be between -90 and 90'),
+    body('longitude')
+      .optional({ nullable: true })
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be between -180 and 180'),
+    body('accuracy')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Accuracy must be a positive number of metres')
+  ],
+  visitController.createVisit
+);
+
+/**
+ * @route PATCH /api/visits/:id/review
+ * @desc Mark a geofence-flagged visit as reviewed
+ * @access Private (visits:review)
+ */
+router.patch(
+  '/:id/review',
+  requirePermission('visits:review'),
+  [
+    param('id').isInt({ min: 1 }).withMessage('Visit ID must be a positive integer'),
+    body('notes')
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage('Review notes must be at most 500 characters')
+  ],
+  visitController.reviewVisit
+);
+
+export default router;
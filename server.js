@@ -24,11 +24,26 @@ import shopRoutes from './routes/shop.routes.js';
 import fridgeRoutes from './routes/fridge.routes.js';
 import visitRoutes from './routes/visit.routes.js';
 import reportRoutes from './routes/report.routes.js';
+import notificationRoutes from './routes/notification.routes.js';
+import geoRoutes from './routes/geo.routes.js';
+import assignmentRoutes from './routes/assignment.routes.js';
+import routePlanRoutes from './routes/route-plan.routes.js';
+import visitPolicyRoutes from './routes/visit-policy.routes.js';
+import importRoutes from './routes/import.routes.js';
+import fileRoutes from './routes/file.routes.js';
+import repairRoutes from './routes/repair.routes.js';
+import catalogRoutes from './routes/catalog.routes.js';
+import roleRoutes from './routes/role.routes.js';
 
 // Middleware imports
 import { errorHandler } from './middleware/errorHandler.js';
 import { authMiddleware } from './middleware/auth.js';
-import { rbacMiddleware } from './middleware/rbac.js';
+import { requirePermission } from './middleware/rbac.js';
+
+// Service imports
+import { startVisitReminderSchedule } from './services/visit-reminder.service.js';
+import { startDailyStatsSchedule } from './services/daily-stats.service.js';
+import { syncPermissions } from './services/permission.service.js';
 
 // Load environment variables
 dotenv.config();
@@ -59,6 +74,12 @@ const initializeDatabase = async () => {
   }
 };
 
+// Trust the reverse proxy (e.g. nginx) so req.ip is the client address,
+// which OTP throttling relies on
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
 // Configure middleware
 app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
@@ -69,9 +90,6 @@ app.use(express.json()); // Parse JSON request bodies
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded request bodies
 app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev')); // Logging
 
-// Static file serving for uploaded images
-app.use('/uploads', express.static(path.join(__dirname, '..', 'uploads')));
-
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -81,11 +99,21 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/auth', authOtpRoutes); // Add OTP authentication routes
 app.use('/api/users', authMiddleware, userRoutes);
+app.use('/api/roles', authMiddleware, roleRoutes); // Roles composed from permissions
 app.use('/api/dealers', authMiddleware, dealerRoutes);
 app.use('/api/shops', authMiddleware, shopRoutes);
+app.use('/api/assignments', authMiddleware, assignmentRoutes);
 app.use('/api/fridges', authMiddleware, fridgeRoutes);
+app.use('/api/catalog', authMiddleware, catalogRoutes); // Fridge brand, type and model dropdowns
+app.use('/api/repairs', authMiddleware, repairRoutes);
 app.use('/api/visits', authMiddleware, visitRoutes);
-app.use('/api/reports', authMiddleware, rbacMiddleware(['admin']), reportRoutes);
+app.use('/api/route-plans', authMiddleware, routePlanRoutes);
+app.use('/api/visit-policies', authMiddleware, visitPolicyRoutes);
+app.use('/api/imports', authMiddleware, importRoutes);
+app.use('/api/files', authMiddleware, fileRoutes); // Uploaded images, served per shop access
+app.use('/api/reports', authMiddleware, requirePermission('reports:view'), reportRoutes);
+app.use('/api/notifications', authMiddleware, notificationRoutes);
+app.use('/api/geo', authMiddleware, geoRoutes);
 
 // Error handling middleware (must be after all routes)
 app.use(errorHandler);
@@ -102,6 +130,9 @@ app.use((req, res) => {
 const startServer = async () => {
   try {
     await initializeDatabase();
+    await syncPermissions();
+    startVisitReminderSchedule();
+    startDailyStatsSchedule();
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT} in ${process.env.NODE_ENV || 'development'} mode`);
       console.log(`❄️ Snowfun Nepal API is ready!`);
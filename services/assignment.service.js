@@ -0,0 +1,195 @@
+/**
+ * PSR assignment service for Snowfun Nepal application
+ *
+ * Assigns PSRs to dealers and individual shops, ends assignments, and moves
+ * a PSR's whole territory to a colleague. Assignments are never deleted:
+ * ending one stamps `unassigned_at` so the coverage history is preserved.
+ * Functions that change assignments take a transactional entity manager.
+ */
+
+import { IsNull } from 'typeorm';
+import { createError } from '../middleware/errorHandler.js';
+import PsrAssignment from '../models/PsrAssignment.js';
+import User from '../models/User.js';
+import Dealer from '../models/Dealer.js';
+import Shop from '../models/Shop.js';
+import { isFieldRole } from './permission.service.js';
+
+/**
+ * Load a user and check they are an active PSR
+ * @param {EntityManager} manager - Entity manager
+ * @param {string} psrId - User ID
+ * @returns {Promise<User>} PSR user
+ * @throws {Error} 400 if the user does not exist, is not a PSR or is deactivated
+ */
+export const findPsr = async (manager, psrId) => {
+  const psr = await manager.findOne(User, { where: { id: psrId }, relations: ['role', 'role.permissions'] });
+
+  if (!psr || !isFieldRole(psr.role) || !psr.isActive) {
+    throw createError('Assignments can only be made to an active PSR', 400);
+  }
+
+  return psr;
+};
+
+/**
+ * Assign a PSR to cover a dealer's shops. Returns the existing assignment if
+ * the PSR already covers the dealer.
+ * @param {EntityManager} manager - Transactional entity manager
+ * @param {Object} options - { psrId, dealerId, actor }
+ * @returns {Promise<Object>} { assignment, created }
+ */
+export const assignDealer = async (manager, { psrId, dealerId, actor }) => {
+  await findPsr(manager, psrId);
+
+  const dealer = await manager.findOne(Dealer, { where: { id: dealerId } });
+  if (!dealer) {
+    throw createError('Invalid dealer specified', 400);
+  }
+
+  const existing = await manager.findOne(PsrAssignment, {
+    where: { psrId, dealerId, unassignedAt: IsNull() }
+  });
+
+  if (existing) {
+    return { assignment: existing, created: false };
+  }
+
+  const assignment = await manager.save(manager.create(PsrAssignment, {
+    psrId,
+    dealerId,
+    assignedById: actor?.id || null
+  }));
+
+  return { assignment, created: true };
+};
+
+/**
+ * Set the shop-level PSR for a shop, replacing any current override. Passing
+ * a null psrId clears the override so the shop falls back to its dealer's PSRs.
+ * @param {EntityManager} manager - Transactional entity manager
+ * @param {Object} options - { shopId, psrId, actor }
+ * @returns {Promise<PsrAssignment|null>} New override, or null when cleared
+ */
+export const assignShop = async (manager, { shopId, psrId, actor }) => {
+  const shop = await manager.findOne(Shop, { where: { id: shopId } });
+  if (!shop) {
+    throw createError('Shop not found', 404);
+  }
+
+  const current = await manager.findOne(PsrAssignment, {
+    where: { shopId, unassignedAt: IsNull() }
+  });
+
+  if (current && current.psrId === psrId) {
+    return current;
+  }
+
+  if (psrId) {
+    await findPsr(manager, psrId);
+  }
+
+  if (current) {
+    current.unassignedAt = new Date();
+    await manager.save(current);
+  }
+
+  if (!psrId) {
+    return null;
+  }
+
+  return manager.save(manager.create(PsrAssignment, {
+    psrId,
+    shopId,
+    assignedById: actor?.id || null
+  }));
+};
+
+/**
+ * End an active assignment
+ * @param {EntityManager} manager - Transactional entity manager
+ * @param {number} assignmentId - Assignment ID
+ * @returns {Promise<PsrAssignment>} Ended assignment
+ * @throws {Error} 404 if missing, 409 if already ended
+ */
+export const endAssignment = async (manager, assignmentId) => {
+  const assignment = await manager.findOne(PsrAssignment, { where: { id: assignmentId } });
+
+  if (!assignment) {
+    throw createError('Assignment not found', 404);
+  }
+
+  if (!assignment.isActive()) {
+    throw createError('Assignment has already ended', 409);
+  }
+
+  assignment.unassignedAt = new Date();
+  return manager.save(assignment);
+};
+
+/**
+ * Move all of a PSR's active assignments (dealers and shop overrides) to
+ * another PSR. Run inside a transaction so a failure leaves both PSRs'
+ * territories unchanged.
+ * @param {EntityManager} manager - Transactional entity manager
+ * @param {Object} options - { fromPsrId, toPsrId, actor }
+ * @returns {Promise<Object>} { dealers, shops } counts of moved assignments
+ */
+export const reassignTerritory = async (manager, { fromPsrId, toPsrId, actor }) => {
+  if (fromPsrId === toPsrId) {
+    throw createError('Cannot reassign a PSR\'s territory to the same PSR', 400);
+  }
+
+  await findPsr(manager, fromPsrId);
+  await findPsr(manager, toPsrId);
+
+  const outgoing = await manager.find(PsrAssignment, {
+    where: { psrId: fromPsrId, unassignedAt: IsNull() }
+  });
+
+  const incomingDealerIds = new Set(
+    (await manager.find(PsrAssignment, { where: { psrId: toPsrId, unassignedAt: IsNull() } }))
+      .filter(assignment => assignment.dealerId !== null)
+      .map(assignment => assignment.dealerId)
+  );
+
+  const now = new Date();
+  const moved = { dealers: 0, shops: 0 };
+
+  // End the outgoing rows first so the one-active-override-per-shop index
+  // is never violated by the replacement rows
+  outgoing.forEach(assignment => {
+    assignment.unassignedAt = now;
+  });
+  await manager.save(outgoing);
+
+  const replacements = outgoing
+    .filter(assignment => assignment.shopId !== null || !incomingDealerIds.has(assignment.dealerId))
+    .map(assignment => manager.create(PsrAssignment, {
+      psrId: toPsrId,
+      dealerId: assignment.dealerId,
+      shopId: assignment.shopId,
+      assignedById: actor?.id || null,
+      assignedAt: now
+    }));
+
+  await manager.save(replacements);
+
+  outgoing.forEach(assignment => {
+    if (assignment.shopId !== null) {
+      moved.shops += 1;
+    } else {
+      moved.dealers += 1;
+    }
+  });
+
+  return moved;
+};
+
+export default {
+  findPsr,
+  assignDealer,
+  assignShop,
+  endAssignment,
+  reassignTerritory
+};
@@ -0,0 +1,389 @@
+/**
+ * Daily stats service for Snowfun Nepal application
+ *
+ * Builds the `daily_stats` snapshot (one row per dealer per day) and reads
+ * the admin dashboard summary from it. Shop and fridge totals come from the
+ * latest snapshot; only today's visits, the pending-visit count and the PSR
+ * count are worked out live, as they change through the day and are cheap
+ * to count in SQL.
+ *
+ * Configuration (environment variables):
+ * - DAILY_STATS_TIME: daily refresh time as HH:MM in UTC (default 00:05).
+ *   Each run snapshots the UTC day that has just ended.
+ */
+
+import { getRepository, getManager } from 'typeorm';
+import DailyStat from '../models/DailyStat.js';
+import Dealer from '../models/Dealer.js';
+import Shop from '../models/Shop.js';
+import Fridge from '../models/Fridge.js';
+import Visit from '../models/Visit.js';
+import User from '../models/User.js';
+import PsrAssignment from '../models/PsrAssignment.js';
+import { countPendingVisits } from './visit-frequency.service.js';
+import { getDealerScope } from './scope.service.js';
+import { joinFieldRole } from './permission.service.js';
+import { today, addDays, msUntilDailyRun } from '../utils/date.js';
+
+/**
+ * Group raw rows into a Map keyed by dealer ID
+ * @param {Array<Object>} rows - Raw rows with a dealerId column
+ * @param {Function} reduce - (current, row) => next value
+ * @param {Function} initial - () => starting value
+ * @returns {Map<number, *>} dealerId → reduced value
+ */
+const groupByDealer = (rows, reduce, initial) => {
+  const grouped = new Map();
+
+  rows.forEach((row) => {
+    const dealerId = Number(row.dealerId);
+    grouped.set(dealerId, reduce(grouped.has(dealerId) ? grouped.get(dealerId) : initial(), row));
+  });
+
+  return grouped;
+};
+
+/**
+ * Count visits per dealer on one day
+ * @param {EntityManager} manager - Entity manager
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Map<number, Object>>} dealerId → { visitCount, shopsVisited }
+ */
+const countVisitsByDealer = async (manager, date) => {
+  const rows = await manager
+    .createQueryBuilder(Visit, 'visit')
+    .innerJoin('visit.shop', 'shop')
+    .select('shop.dealerId', 'dealerId')
+    .addSelect('COUNT(*)', 'visitCount')
+    .addSelect('COUNT(DISTINCT visit.shopId)', 'shopsVisited')
+    .where('visit.visitDate = :date', { date })
+    .andWhere('visit.status = :status', { status: 'visited' })
+    .groupBy('shop.dealerId')
+    .getRawMany();
+
+  return groupByDealer(rows, (_, row) => ({
+    visitCount: Number(row.visitCount),
+    shopsVisited: Number(row.shopsVisited)
+  }), () => null);
+};
+
+/**
+ * Recount the visits of an existing snapshot, e.g. after visits recorded
+ * offline were synced late. Shop and fridge totals are left as recorded.
+ * @param {string} date - Snapshot day, YYYY-MM-DD
+ * @returns {Promise<Object>} { date, dealers, visitsOnly: true }
+ */
+const refreshVisitCounts = async (date) =>
+  getManager().transaction(async (manager) => {
+    const [stats, visits] = await Promise.all([
+      manager.find(DailyStat, { where: { statDate: date } }),
+      countVisitsByDealer(manager, date)
+    ]);
+
+    stats.forEach((stat) => {
+      const counts = visits.get(stat.dealerId);
+      stat.visitCount = counts ? counts.visitCount : 0;
+      stat.shopsVisited = counts ? counts.shopsVisited : 0;
+    });
+
+    await manager.save(DailyStat, stats, { chunk: 500 });
+
+    return { date, dealers: stats.length, visitsOnly: true };
+  });
+
+/**
+ * Rebuild the snapshot for one day. Shop and fridge counts are taken as they
+ * stand when the refresh runs, so they are only (re)built for the day that
+ * has just ended; for an earlier day only the visit counts are recounted,
+ * rather than overwriting its history with today's totals.
+ * @param {string} [date] - Day to snapshot, YYYY-MM-DD (default yesterday)
+ * @returns {Promise<Object>} { date, dealers, visitsOnly }
+ */
+export const refreshDailyStats = async (date = addDays(today(), -1)) => {
+  if (date < addDays(today(), -1)) {
+    return refreshVisitCounts(date);
+  }
+
+  return getManager().transaction(async (manager) => {
+    const [dealers, shopRows, statusRows, typeRows, visits] = await Promise.all([
+      manager.find(Dealer),
+      manager
+        .createQueryBuilder(Shop, 'shop')
+        .select('shop.dealerId', 'dealerId')
+        .addSelect('COUNT(*)', 'count')
+        .groupBy('shop.dealerId')
+        .getRawMany(),
+      manager
+        .createQueryBuilder(Fridge, 'fridge')
+        .leftJoin('fridge.shop', 'shop')
+        .select('COALESCE(shop.dealerId, fridge.warehouseDealerId)', 'dealerId')
+        .addSelect('fridge.status', 'status')
+        .addSelect('COUNT(*)', 'count')
+        .groupBy('COALESCE(shop.dealerId, fridge.warehouseDealerId)')
+        .addGroupBy('fridge.status')
+        .getRawMany(),
+      manager
+        .createQueryBuilder(Fridge, 'fridge')
+        .leftJoin('fridge.shop', 'shop')
+        .innerJoin('fridge.model', 'model')
+        .innerJoin('model.type', 'type')
+        .select('COALESCE(shop.dealerId, fridge.warehouseDealerId)', 'dealerId')
+        .addSelect('type.typeName', 'typeName')
+        .addSelect('COUNT(*)', 'count')
+        .groupBy('COALESCE(shop.dealerId, fridge.warehouseDealerId)')
+        .addGroupBy('type.typeName')
+        .getRawMany(),
+      countVisitsByDealer(manager, date)
+    ]);
+
+    const shopCounts = groupByDealer(shopRows, (_, row) => Number(row.count), () => 0);
+    const byStatus = groupByDealer(
+      statusRows,
+      (counts, row) => ({ ...counts, [row.status]: Number(row.count) }),
+      () => Object.fromEntries(Fridge.STATUS_VALUES.map(status => [status, 0]))
+    );
+    const byType = groupByDealer(
+      typeRows,
+      (counts, row) => ({ ...counts, [row.typeName]: Number(row.count) }),
+      () => ({})
+    );
+    await manager.delete(DailyStat, { statDate: date });
+
+    const stats = dealers.map((dealer) => {
+      const fridgesByStatus = byStatus.get(dealer.id)
+        || Object.fromEntries(Fridge.STATUS_VALUES.map(status => [status, 0]));
+      const visitCounts = visits.get(dealer.id);
+
+      return manager.create(DailyStat, {
+        statDate: date,
+        dealerId: dealer.id,
+        district: dealer.district,
+        shopCount: shopCounts.get(dealer.id) || 0,
+        fridgeCount: Object.values(fridgesByStatus).reduce((sum, count) => sum + count, 0),
+        fridgesByType: byType.get(dealer.id) || {},
+        fridgesByStatus,
+        visitCount: visitCounts ? visitCounts.visitCount : 0,
+        shopsVisited: visitCounts ? visitCounts.shopsVisited : 0
+      });
+    });
+
+    await manager.save(DailyStat, stats, { chunk: 500 });
+
+    return { date, dealers: stats.length, visitsOnly: false };
+  });
+};
+
+/**
+ * Get the date of the latest snapshot on or before a day
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<string|null>} Snapshot date, or null if none exists
+ */
+const getLatestStatDate = async (date) => {
+  const row = await getRepository(DailyStat)
+    .createQueryBuilder('stat')
+    .select(`TO_CHAR(MAX(stat.statDate), 'YYYY-MM-DD')`, 'statDate')
+    .where('stat.statDate <= :date', { date })
+    .getRawOne();
+
+  return row?.statDate || null;
+};
+
+/**
+ * Apply the dashboard's district and dealer filters, and the user's dealer
+ * scope, to a query
+ * @param {SelectQueryBuilder} qb - Query builder
+ * @param {Object} columns - { district, dealerId } column expressions
+ * @param {Object} filters - { district, dealerId, dealerIds } (dealerIds null when unrestricted)
+ * @returns {SelectQueryBuilder} The same query builder
+ */
+const applyFilters = (qb, columns, { district, dealerId, dealerIds = null }) => {
+  if (dealerIds) {
+    if (dealerIds.length === 0) {
+      qb.andWhere('1 = 0');
+    } else {
+      qb.andWhere(`${columns.dealerId} IN (:...scopeDealerIds)`, { scopeDealerIds: dealerIds });
+    }
+  }
+
+  if (district) {
+    qb.andWhere(`${columns.district} = :district`, { district });
+  }
+
+  if (dealerId) {
+    qb.andWhere(`${columns.dealerId} = :dealerId`, { dealerId });
+  }
+
+  return qb;
+};
+
+/**
+ * Count distinct shops visited today (live)
+ * @param {Object} filters - { district, dealerId, dealerIds }
+ * @returns {Promise<number>} Shops visited today
+ */
+const countVisitedToday = async (filters) => {
+  const qb = getRepository(Visit)
+    .createQueryBuilder('visit')
+    .innerJoin('visit.shop', 'shop')
+    .innerJoin('shop.dealer', 'dealer')
+    .select('COUNT(DISTINCT visit.shopId)', 'count')
+    .where('visit.visitDate = :date', { date: today() })
+    .andWhere('visit.status = :status', { status: 'visited' });
+
+  applyFilters(qb, { district: 'dealer.district', dealerId: 'shop.dealerId' }, filters);
+
+  const { count } = await qb.getRawOne();
+  return Number(count);
+};
+
+/**
+ * Count active PSRs; with filters, only those actively covering a matching
+ * dealer or one of its shops (live)
+ * @param {Object} filters - { district, dealerId, dealerIds }
+ * @returns {Promise<number>} PSR count
+ */
+const countPsrs = async (filters) => {
+  if (!filters.district && !filters.dealerId && !filters.dealerIds) {
+    return joinFieldRole(getRepository(User).createQueryBuilder('user'))
+      .where('user.isActive = true')
+      .getCount();
+  }
+
+  const qb = getRepository(PsrAssignment)
+    .createQueryBuilder('assignment')
+    .innerJoin('assignment.psr', 'psr')
+    .leftJoin('assignment.shop', 'shop')
+    .innerJoin(Dealer, 'dealer', 'dealer.id = COALESCE(assignment.dealerId, shop.dealerId)')
+    .select('COUNT(DISTINCT assignment.psrId)', 'count')
+    .where('assignment.unassignedAt IS NULL')
+    .andWhere('psr.isActive = true');
+
+  applyFilters(qb, { district: 'dealer.district', dealerId: 'dealer.id' }, filters);
+
+  const { count } = await qb.getRawOne();
+  return Number(count);
+};
+
+/**
+ * Build the admin dashboard summary
+ * @param {Object} user - { id, role } of the requesting user
+ * @param {Object} filters - { district, dealerId, from, to } (YYYY-MM-DD dates)
+ * @returns {Promise<Object>} Summary
+ */
+export const getDashboardSummary = async (user, { district = null, dealerId = null, from, to }) => {
+  // Supervisors see their territory only
+  const filters = { district, dealerId, dealerIds: await getDealerScope(user) };
+  // Until the first snapshot is built (on API start) asOf is null and the
+  // snapshot totals are zero
+  const asOf = await getLatestStatDate(to);
+
+  const snapshotQb = getRepository(DailyStat)
+    .createQueryBuilder('stat')
+    .where('stat.statDate = :asOf', { asOf });
+  applyFilters(snapshotQb, { district: 'stat.district', dealerId: 'stat.dealerId' }, filters);
+
+  const dailyQb = getRepository(DailyStat)
+    .createQueryBuilder('stat')
+    .select(`TO_CHAR(stat.statDate, 'YYYY-MM-DD')`, 'date')
+    .addSelect('SUM(stat.visitCount)', 'visitCount')
+    .addSelect('SUM(stat.shopsVisited)', 'shopsVisited')
+    .where('stat.statDate BETWEEN :from AND :to', { from, to })
+    .groupBy('stat.statDate')
+    .orderBy('stat.statDate', 'ASC');
+  applyFilters(dailyQb, { district: 'stat.district', dealerId: 'stat.dealerId' }, filters);
+
+  const [snapshot, dailyRows, visitedToday, pendingVisits, totalPsrs] = await Promise.all([
+    asOf ? snapshotQb.getMany() : [],
+    dailyQb.getRawMany(),
+    countVisitedToday(filters),
+    countPendingVisits(user, { district, dealerId }),
+    countPsrs(filters)
+  ]);
+
+  const fridgesByType = {};
+  const fridgesByStatus = Object.fromEntries(Fridge.STATUS_VALUES.map(status => [status, 0]));
+
+  snapshot.forEach((stat) => {
+    Object.entries(stat.fridgesByType).forEach(([type, count]) => {
+      fridgesByType[type] = (fridgesByType[type] || 0) + count;
+    });
+    Object.entries(stat.fridgesByStatus).forEach(([status, count]) => {
+      fridgesByStatus[status] = (fridgesByStatus[status] || 0) + count;
+    });
+  });
+
+  const daily = dailyRows.map(row => ({
+    date: row.date,
+    visitCount: Number(row.visitCount),
+    shopsVisited: Number(row.shopsVisited)
+  }));
+
+  return {
+    asOf,
+    filters: { district, dealerId, from, to },
+    totalShops: snapshot.reduce((sum, stat) => sum + stat.shopCount, 0),
+    totalDealers: snapshot.length,
+    totalPsrs,
+    totalFridges: snapshot.reduce((sum, stat) => sum + stat.fridgeCount, 0),
+    visitedToday,
+    pendingVisits,
+    fridgesByType,
+    fridgesByStatus,
+    visits: {
+      visitCount: daily.reduce((sum, day) => sum + day.visitCount, 0),
+      shopsVisited: daily.reduce((sum, day) => sum + day.shopsVisited, 0),
+      daily
+    }
+  };
+};
+
+/**
+ * Schedule the nightly snapshot. Also snapshots yesterday straight away if
+ * the last run was missed (e.g. the API was down at refresh time).
+ * @returns {Function} Stop function
+ */
+export const startDailyStatsSchedule = () => {
+  const time = process.env.DAILY_STATS_TIME || '00:05';
+
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+    console.warn(`Invalid DAILY_STATS_TIME '${time}', expected HH:MM. Daily stats refresh is disabled.`);
+    return () => {};
+  }
+
+  let timeoutId = null;
+
+  const refresh = async () => {
+    try {
+      const { date, dealers } = await refreshDailyStats();
+      console.log(`📊 Daily stats refreshed for ${date} (${dealers} dealers)`);
+    } catch (error) {
+      console.error('Daily stats refresh failed:', error);
+    }
+  };
+
+  const scheduleNext = () => {
+    timeoutId = setTimeout(async () => {
+      await refresh();
+      scheduleNext();
+    }, msUntilDailyRun(time));
+  };
+
+  getLatestStatDate(today())
+    .then((latest) => {
+      if (!latest || latest < addDays(today(), -1)) {
+        return refresh();
+      }
+      return null;
+    })
+    .catch(error => console.error('Daily stats catch-up failed:', error));
+
+  scheduleNext();
+
+  return () => clearTimeout(timeoutId);
+};
+
+export default {
+  refreshDailyStats,
+  getDashboardSummary,
+  startDailyStatsSchedule
+};
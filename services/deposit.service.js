@@ -0,0 +1,300 @@
+/**
+ * Deposit service for Snowfun Nepal application
+ *
+ * Records entries in the `fridge_deposits` ledger and works out deposit
+ * balances. `fridges.deposit_npr` is the deposit agreed for a fridge; the
+ * ledger holds what was actually paid, refunded and forfeited. From these:
+ *
+ * - heldNpr: paid − refunded − forfeited, the deposit Snowfun currently holds
+ * - outstandingNpr: agreed − paid (never below zero), still to be collected
+ *
+ * Entries keep the shop and dealer holding the fridge when they were
+ * recorded, so reports per dealer do not change when a fridge is transferred.
+ * The held deposit moves with the fridge: a transfer writes a transfer_out
+ * entry at the old placement and a transfer_in entry at the new one, which
+ * cancel out in the fridge's own balance.
+ */
+
+import { getRepository } from 'typeorm';
+import { createError } from '../middleware/errorHandler.js';
+import Fridge from '../models/Fridge.js';
+import FridgeDeposit from '../models/FridgeDeposit.js';
+import Shop from '../models/Shop.js';
+import User from '../models/User.js';
+import { isFieldRole } from './permission.service.js';
+import { today, toDateString } from '../utils/date.js';
+
+/**
+ * SQL for the placement of a ledger entry, for queries aliasing the ledger
+ * 'deposit', its fridge 'fridge' and the fridge's current shop 'shop'.
+ * Entries recorded before placements were kept fall back to where the
+ * fridge is now.
+ */
+export const DEPOSIT_PLACEMENT = {
+  dealerId: 'COALESCE(deposit.dealerId, shop.dealerId, fridge.warehouseDealerId)',
+  shopId: 'CASE WHEN deposit.dealerId IS NULL THEN fridge.shopId ELSE deposit.shopId END'
+};
+
+/**
+ * Round an amount to whole paisa
+ * @param {number} amount - Amount in NPR
+ * @returns {number} Amount rounded to 2 decimal places
+ */
+const roundNpr = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Read a fridge's agreed deposit
+ * @param {Fridge} fridge - Fridge
+ * @returns {number|null} Agreed deposit, or null when not set
+ */
+const getAgreedNpr = (fridge) =>
+  fridge.depositNpr === null || fridge.depositNpr === undefined ? null : Number(fridge.depositNpr);
+
+/**
+ * Build a balance from ledger totals and the agreed deposit
+ * @param {number|null} agreedNpr - Agreed deposit (null when not set)
+ * @param {Object} totals - { paidNpr, refundedNpr, forfeitedNpr }
+ * @returns {Object} { agreedNpr, paidNpr, refundedNpr, forfeitedNpr, heldNpr, outstandingNpr }
+ */
+const buildBalance = (agreedNpr, { paidNpr = 0, refundedNpr = 0, forfeitedNpr = 0 } = {}) => ({
+  agreedNpr: agreedNpr === null ? null : roundNpr(agreedNpr),
+  paidNpr: roundNpr(paidNpr),
+  refundedNpr: roundNpr(refundedNpr),
+  forfeitedNpr: roundNpr(forfeitedNpr),
+  heldNpr: roundNpr(paidNpr - refundedNpr - forfeitedNpr),
+  outstandingNpr: agreedNpr === null ? 0 : roundNpr(Math.max(agreedNpr - paidNpr, 0))
+});
+
+/**
+ * Select ledger totals per fridge
+ * @param {EntityManager|null} manager - Entity manager (null for the default connection)
+ * @param {number[]} fridgeIds - Fridge IDs
+ * @returns {Promise<Map<number, Object>>} fridgeId → { paidNpr, refundedNpr, forfeitedNpr }
+ */
+const getLedgerTotals = async (manager, fridgeIds) => {
+  if (fridgeIds.length === 0) {
+    return new Map();
+  }
+
+  const rows = await (manager ? manager.getRepository(FridgeDeposit) : getRepository(FridgeDeposit))
+    .createQueryBuilder('deposit')
+    .select('deposit.fridgeId', 'fridgeId')
+    .addSelect(`COALESCE(SUM(deposit.amountNpr) FILTER (WHERE deposit.entryType = 'payment'), 0)`, 'paidNpr')
+    .addSelect(`COALESCE(SUM(deposit.amountNpr) FILTER (WHERE deposit.entryType = 'refund'), 0)`, 'refundedNpr')
+    .addSelect(`COALESCE(SUM(deposit.amountNpr) FILTER (WHERE deposit.entryType = 'forfeit'), 0)`, 'forfeitedNpr')
+    .where('deposit.fridgeId IN (:...fridgeIds)', { fridgeIds })
+    .groupBy('deposit.fridgeId')
+    .getRawMany();
+
+  return new Map(rows.map(row => [Number(row.fridgeId), {
+    paidNpr: Number(row.paidNpr),
+    refundedNpr: Number(row.refundedNpr),
+    forfeitedNpr: Number(row.forfeitedNpr)
+  }]));
+};
+
+/**
+ * Get the deposit balance of each fridge
+ * @param {Fridge[]} fridges - Fridges (id and depositNpr loaded)
+ * @returns {Promise<Map<number, Object>>} fridgeId → balance (see buildBalance)
+ */
+export const getFridgeBalances = async (fridges) => {
+  const totals = await getLedgerTotals(null, fridges.map(fridge => fridge.id));
+
+  return new Map(fridges.map(fridge => [
+    fridge.id,
+    buildBalance(getAgreedNpr(fridge), totals.get(fridge.id))
+  ]));
+};
+
+/**
+ * Get a dealer's deposit balance. Agreed, held and outstanding amounts are
+ * those of the fridges now at the dealer's shops or in its warehouse. Paid,
+ * refunded and forfeited amounts, and held deposits moved in or out by
+ * transfers, are the entries recorded while fridges were at the dealer.
+ * @param {number} dealerId - Dealer ID
+ * @param {Object} [options] - { shopsOnly } leaves out the warehouse
+ * @returns {Promise<Object>} Balance (see buildBalance) plus transferredInNpr, transferredOutNpr, fridgeCount and fridgesWithOutstanding
+ */
+export const getDealerBalance = async (dealerId, { shopsOnly = false } = {}) => {
+  const fridgesQb = getRepository(Fridge)
+    .createQueryBuilder('fridge')
+    .leftJoin(Shop, 'shop', 'shop.id = fridge.shopId')
+    .select(['fridge.id', 'fridge.depositNpr'])
+    .where(shopsOnly
+      ? 'shop.dealerId = :dealerId'
+      : '(shop.dealerId = :dealerId OR fridge.warehouseDealerId = :dealerId)', { dealerId });
+
+  const entriesQb = getRepository(FridgeDeposit)
+    .createQueryBuilder('deposit')
+    .innerJoin('deposit.fridge', 'fridge')
+    .leftJoin(Shop, 'shop', 'shop.id = fridge.shopId')
+    .select(`COALESCE(SUM(deposit.amountNpr) FILTER (WHERE deposit.entryType = 'payment'), 0)`, 'paidNpr')
+    .addSelect(`COALESCE(SUM(deposit.amountNpr) FILTER (WHERE deposit.entryType = 'refund'), 0)`, 'refundedNpr')
+    .addSelect(`COALESCE(SUM(deposit.amountNpr) FILTER (WHERE deposit.entryType = 'forfeit'), 0)`, 'forfeitedNpr')
+    .addSelect(`COALESCE(SUM(deposit.amountNpr) FILTER (WHERE deposit.entryType = 'transfer_in'), 0)`, 'transferredInNpr')
+    .addSelect(`COALESCE(SUM(deposit.amountNpr) FILTER (WHERE deposit.entryType = 'transfer_out'), 0)`, 'transferredOutNpr')
+    .where(`${DEPOSIT_PLACEMENT.dealerId} = :dealerId`, { dealerId });
+
+  if (shopsOnly) {
+    entriesQb.andWhere(`${DEPOSIT_PLACEMENT.shopId} IS NOT NULL`);
+  }
+
+  const [fridges, entries] = await Promise.all([fridgesQb.getMany(), entriesQb.getRawOne()]);
+  const balances = [...(await getFridgeBalances(fridges)).values()];
+  const sum = (field) => roundNpr(balances.reduce((total, balance) => total + (balance[field] || 0), 0));
+
+  return {
+    agreedNpr: sum('agreedNpr'),
+    paidNpr: roundNpr(Number(entries.paidNpr)),
+    refundedNpr: roundNpr(Number(entries.refundedNpr)),
+    forfeitedNpr: roundNpr(Number(entries.forfeitedNpr)),
+    transferredInNpr: roundNpr(Number(entries.transferredInNpr)),
+    transferredOutNpr: roundNpr(Number(entries.transferredOutNpr)),
+    heldNpr: sum('heldNpr'),
+    // Per-fridge shortfalls; overpayment on one fridge does not cover another
+    outstandingNpr: sum('outstandingNpr'),
+    fridgeCount: fridges.length,
+    fridgesWithOutstanding: balances.filter(balance => balance.outstandingNpr > 0).length
+  };
+};
+
+/**
+ * Get where a fridge is now, as stored on its ledger entries
+ * @param {EntityManager} manager - Entity manager
+ * @param {Fridge} fridge - Fridge (shopId and warehouseDealerId loaded)
+ * @returns {Promise<Object>} { shopId, dealerId }
+ */
+const getPlacement = async (manager, fridge) => {
+  if (!fridge.shopId) {
+    return { shopId: null, dealerId: fridge.warehouseDealerId || null };
+  }
+
+  const shop = await manager.findOne(Shop, fridge.shopId);
+  return { shopId: fridge.shopId, dealerId: shop ? shop.dealerId : null };
+};
+
+/**
+ * Add an entry to a fridge's deposit ledger. Refunds and forfeits may not
+ * exceed the deposit currently held; the fridge row is locked so concurrent
+ * entries are checked against each other.
+ * @param {EntityManager} manager - Transactional entity manager
+ * @param {Fridge} fridge - Fridge the entry is for
+ * @param {Object} entry - { entryType, amountNpr, entryDate?, receiptNumber?, collectedById?, notes? }
+ * @param {Object} actor - User recording the entry
+ * @returns {Promise<Object>} { deposit, balance }
+ * @throws {Error} 400 for an invalid collector or an amount above the held deposit, 409 for a reused receipt number
+ */
+export const recordDepositEntry = async (manager, fridge, entry, actor) => {
+  const { entryType, receiptNumber = null, collectedById = null, notes = null } = entry;
+  const amountNpr = roundNpr(Number(entry.amountNpr));
+  const entryDate = entry.entryDate ? toDateString(entry.entryDate) : today();
+
+  if ((entryType === 'payment' || entryType === 'refund') && !receiptNumber) {
+    throw createError('A receipt number is required for payments and refunds', 400);
+  }
+
+  if (entryDate > today()) {
+    throw createError('Entry date cannot be in the future', 400);
+  }
+
+  if (collectedById) {
+    const collector = await manager.findOne(User, { where: { id: collectedById }, relations: ['role', 'role.permissions'] });
+    if (!collector || !isFieldRole(collector.role)) {
+      throw createError('Collected by must be a PSR', 400);
+    }
+  }
+
+  if (receiptNumber) {
+    const existing = await manager.count(FridgeDeposit, { where: { receiptNumber } });
+    if (existing > 0) {
+      throw createError(`Receipt number ${receiptNumber} has already been recorded`, 409);
+    }
+  }
+
+  // Serialise ledger entries for this fridge
+  const locked = await manager
+    .createQueryBuilder(Fridge, 'fridge')
+    .setLock('pessimistic_write')
+    .where('fridge.id = :id', { id: fridge.id })
+    .getOne();
+
+  const agreedNpr = getAgreedNpr(locked);
+  const before = buildBalance(agreedNpr, (await getLedgerTotals(manager, [fridge.id])).get(fridge.id));
+
+  if (entryType !== 'payment' && amountNpr > before.heldNpr) {
+    throw createError(
+      `Cannot ${entryType === 'refund' ? 'refund' : 'forfeit'} NPR ${amountNpr}; only NPR ${before.heldNpr} is held for this fridge`,
+      400
+    );
+  }
+
+  const deposit = manager.create(FridgeDeposit, {
+    fridgeId: fridge.id,
+    ...(await getPlacement(manager, locked)),
+    entryType,
+    amountNpr,
+    entryDate,
+    receiptNumber,
+    collectedById,
+    notes,
+    recordedById: actor.id
+  });
+
+  // The count above is only a friendly early check; two entries with the same
+  // receipt can still race past it, and the unique index settles which wins
+  try {
+    await manager.save(deposit);
+  } catch (error) {
+    if (error.code === '23505' && receiptNumber) {
+      throw createError(`Receipt number ${receiptNumber} has already been recorded`, 409);
+    }
+    throw error;
+  }
+
+  return {
+    deposit,
+    balance: buildBalance(agreedNpr, {
+      paidNpr: before.paidNpr + (entryType === 'payment' ? amountNpr : 0),
+      refundedNpr: before.refundedNpr + (entryType === 'refund' ? amountNpr : 0),
+      forfeitedNpr: before.forfeitedNpr + (entryType === 'forfeit' ? amountNpr : 0)
+    })
+  };
+};
+
+/**
+ * Move the deposit held for a fridge to its new placement, as a transfer_out
+ * entry at the current placement and a transfer_in entry at the new one.
+ * Call before the fridge's location is changed, with the fridge row locked.
+ * @param {EntityManager} manager - Transactional entity manager
+ * @param {Fridge} fridge - Fridge being transferred (still at its old placement)
+ * @param {Object} to - New placement { shopId, dealerId }
+ * @param {Object} details - { entryDate, actor, notes? }
+ * @returns {Promise<FridgeDeposit[]>} Entries written (none when nothing is held)
+ */
+export const moveHeldDeposit = async (manager, fridge, to, { entryDate, actor, notes = null }) => {
+  const { heldNpr } = buildBalance(
+    getAgreedNpr(fridge),
+    (await getLedgerTotals(manager, [fridge.id])).get(fridge.id)
+  );
+
+  if (heldNpr <= 0) {
+    return [];
+  }
+
+  const from = await getPlacement(manager, fridge);
+  const entry = { fridgeId: fridge.id, amountNpr: heldNpr, entryDate, notes, recordedById: actor.id };
+
+  return manager.save(FridgeDeposit, [
+    manager.create(FridgeDeposit, { ...entry, ...from, entryType: 'transfer_out' }),
+    manager.create(FridgeDeposit, { ...entry, ...to, entryType: 'transfer_in' })
+  ]);
+};
+
+export default {
+  DEPOSIT_PLACEMENT,
+  getFridgeBalances,
+  getDealerBalance,
+  recordDepositEntry,
+  moveHeldDeposit
+};
@@ -0,0 +1,279 @@
+/**
+ * Export service for Snowfun Nepal application
+ *
+ * Streams report rows to the response as CSV or as a Snowfun-branded PDF.
+ * Rows arrive from an async iterable and are written as they come, waiting
+ * for the client to drain the socket between chunks, so exports of any size
+ * run in constant memory.
+ *
+ * Configuration (environment variables):
+ * - REPORT_LOGO_PATH: PNG/JPEG logo drawn in the PDF header (optional).
+ * - REPORT_FONT_PATH / REPORT_FONT_BOLD_PATH: TTF/OTF fonts for PDFs. They
+ *   must cover Devanagari, as shop and dealer names are often written in it
+ *   (default: Noto Sans Devanagari from the fonts-noto-core package).
+ */
+
+import fs from 'fs';
+import { once } from 'events';
+import { finished } from 'stream/promises';
+import PDFDocument from 'pdfkit';
+
+// Brand colours, matching the web app's snow-green / snow-red theme
+const BRAND_GREEN = '#16a34a';
+const BRAND_RED = '#ef4444';
+const TEXT_MUTED = '#6b7280';
+
+const PAGE_MARGIN = 36;
+const ROW_HEIGHT = 16;
+
+const NOTO_FONT_DIR = '/usr/share/fonts/truetype/noto';
+const FONT_PATHS = {
+  regular: process.env.REPORT_FONT_PATH || `${NOTO_FONT_DIR}/NotoSansDevanagari-Regular.ttf`,
+  bold: process.env.REPORT_FONT_BOLD_PATH || `${NOTO_FONT_DIR}/NotoSansDevanagari-Bold.ttf`
+};
+
+// PDFKit's built-in fonts, which only cover Latin text
+const FALLBACK_FONTS = {
+  regular: 'Helvetica',
+  bold: 'Helvetica-Bold'
+};
+
+let warnedMissingFont = false;
+
+/**
+ * Register the report fonts on a document. A missing font file falls back
+ * to the built-in font, in which Devanagari text does not render.
+ * @param {PDFDocument} doc - PDF document
+ * @returns {Object} { regular, bold } font names to pass to doc.font()
+ */
+const registerFonts = (doc) => {
+  const fonts = { ...FALLBACK_FONTS };
+
+  Object.entries(FONT_PATHS).forEach(([weight, fontPath]) => {
+    if (fs.existsSync(fontPath)) {
+      doc.registerFont(`report-${weight}`, fontPath);
+      fonts[weight] = `report-${weight}`;
+    } else if (!warnedMissingFont) {
+      console.warn(`PDF font not found at ${fontPath}; Devanagari text will not render in PDF exports.`);
+      warnedMissingFont = true;
+    }
+  });
+
+  return fonts;
+};
+
+/**
+ * Wait for the response to drain if its buffer is full
+ * @param {Object} res - Express response
+ * @returns {Promise<boolean>} false if the client has gone away
+ */
+const waitForDrain = async (res) => {
+  if (res.writableNeedDrain && !res.destroyed) {
+    await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  }
+
+  return !res.destroyed;
+};
+
+/**
+ * Quote a value for CSV. Values that a spreadsheet would treat as a formula
+ * are prefixed with an apostrophe.
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format a cell for the PDF table
+ * @param {*} value - Cell value
+ * @returns {string} Display text
+ */
+const toPdfCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 16).replace('T', ' ');
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+};
+
+/**
+ * Set download headers for an export
+ * @param {Object} res - Express response
+ * @param {string} contentType - MIME type
+ * @param {string} filename - Download file name
+ */
+const setDownloadHeaders = (res, contentType, filename) => {
+  res.status(200);
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'no-store');
+};
+
+/**
+ * Describe the applied filters for a report header
+ * @param {Object} filters - Filter name → value (empty values are skipped)
+ * @returns {string} e.g. "District: Kaski · From: 2024-01-01"
+ */
+export const describeFilters = (filters) => {
+  const parts = Object.entries(filters)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([name, value]) => `${name}: ${value}`);
+
+  return parts.length > 0 ? parts.join(' · ') : 'None (all records)';
+};
+
+/**
+ * Stream rows to the response as CSV (UTF-8 with BOM so Excel reads
+ * Devanagari names correctly)
+ * @param {Object} res - Express response
+ * @param {Object} options - { filename, columns: [{ key, header }], rows: AsyncIterable<Object> }
+ * @returns {Promise<number>} Rows written
+ */
+export const streamCsv = async (res, { filename, columns, rows }) => {
+  setDownloadHeaders(res, 'text/csv; charset=utf-8', filename);
+  res.write(`\uFEFF${columns.map(column => toCsvCell(column.header)).join(',')}\r\n`);
+
+  let count = 0;
+
+  for await (const row of rows) {
+    res.write(`${columns.map(column => toCsvCell(row[column.key])).join(',')}\r\n`);
+    count += 1;
+
+    if (!(await waitForDrain(res))) {
+      return count;
+    }
+  }
+
+  res.end();
+  return count;
+};
+
+/**
+ * Stream rows to the response as a landscape A4 PDF with a Snowfun header,
+ * the report title, the applied filters and a table that repeats its column
+ * headings on every page
+ * @param {Object} res - Express response
+ * @param {Object} options - { filename, title, filters, columns: [{ key, header, width }], rows }
+ *   Column widths are relative weights.
+ * @returns {Promise<number>} Rows written
+ */
+export const streamPdf = async (res, { filename, title, filters, columns, rows }) => {
+  setDownloadHeaders(res, 'application/pdf', filename);
+
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: PAGE_MARGIN });
+  doc.pipe(res);
+  const fonts = registerFonts(doc);
+
+  const tableWidth = doc.page.width - PAGE_MARGIN * 2;
+  const totalWeight = columns.reduce((sum, column) => sum + (column.width || 1), 0);
+  const widths = columns.map(column => ((column.width || 1) / totalWeight) * tableWidth);
+  const generatedAt = new Date().toISOString().slice(0, 16).replace('T', ' ');
+  const logoPath = process.env.REPORT_LOGO_PATH;
+  let pageNumber = 0;
+
+  const drawRow = (values, y, { bold = false, fill = null } = {}) => {
+    if (fill) {
+      doc.rect(PAGE_MARGIN, y - 3, tableWidth, ROW_HEIGHT).fill(fill);
+    }
+
+    doc.font(bold ? fonts.bold : fonts.regular).fontSize(8).fillColor(bold ? '#ffffff' : '#111827');
+
+    let x = PAGE_MARGIN;
+    values.forEach((value, index) => {
+      doc.text(value, x + 2, y, { width: widths[index] - 4, height: ROW_HEIGHT - 4, ellipsis: true, lineBreak: false });
+      x += widths[index];
+    });
+  };
+
+  const startPage = () => {
+    pageNumber += 1;
+    if (pageNumber > 1) {
+      doc.addPage();
+    }
+
+    // Brand band
+    doc.rect(0, 0, doc.page.width, 6).fill(BRAND_GREEN);
+    doc.rect(0, 6, doc.page.width, 2).fill(BRAND_RED);
+
+    let textX = PAGE_MARGIN;
+    if (logoPath && fs.existsSync(logoPath)) {
+      doc.image(logoPath, PAGE_MARGIN, 18, { height: 32 });
+      textX += 42;
+    }
+
+    doc.font(fonts.bold).fontSize(16).fillColor(BRAND_GREEN).text('Snowfun Nepal', textX, 18, { lineBreak: false });
+    doc.font(fonts.regular).fontSize(9).fillColor(TEXT_MUTED)
+      .text(`Generated ${generatedAt} UTC · Page ${pageNumber}`, PAGE_MARGIN, 22, { width: tableWidth, align: 'right' });
+    doc.font(fonts.bold).fontSize(12).fillColor('#111827').text(title, textX, 38, { lineBreak: false });
+    doc.font(fonts.regular).fontSize(8).fillColor(TEXT_MUTED)
+      .text(`Filters: ${describeFilters(filters)}`, PAGE_MARGIN, 58, { width: tableWidth });
+
+    const headerY = 78;
+    drawRow(columns.map(column => column.header), headerY, { bold: true, fill: BRAND_GREEN });
+    return headerY + ROW_HEIGHT;
+  };
+
+  let y = startPage();
+  let count = 0;
+
+  for await (const row of rows) {
+    if (y + ROW_HEIGHT > doc.page.height - PAGE_MARGIN) {
+      y = startPage();
+    }
+
+    drawRow(columns.map(column => toPdfCell(row[column.key])), y, { fill: count % 2 ? '#f0fdf4' : null });
+    y += ROW_HEIGHT;
+    count += 1;
+
+    if (!(await waitForDrain(res))) {
+      doc.end();
+      return count;
+    }
+  }
+
+  if (count === 0) {
+    doc.font(fonts.regular).fontSize(9).fillColor(TEXT_MUTED).text('No records match these filters.', PAGE_MARGIN, y + 4);
+  }
+
+  doc.end();
+  await finished(res);
+  return count;
+};
+
+/**
+ * Read rows in fixed-size batches using keyset pagination, so a large export
+ * never holds more than one batch
+ * @param {Function} fetchBatch - (cursor, limit) => Promise<Array<Object>>; cursor is null for the first batch
+ * @param {Function} getCursor - (lastRow) => cursor for the next batch
+ * @param {number} [batchSize=500] - Rows per batch
+ * @returns {AsyncGenerator<Object>} Rows
+ */
+export async function* iterateInBatches(fetchBatch, getCursor, batchSize = 500) {
+  let cursor = null;
+
+  while (true) {
+    const batch = await fetchBatch(cursor, batchSize);
+    yield* batch;
+
+    if (batch.length < batchSize) {
+      return;
+    }
+    cursor = getCursor(batch[batch.length - 1]);
+  }
+}
+
+export default {
+  describeFilters,
+  streamCsv,
+  streamPdf,
+  iterateInBatches
+};
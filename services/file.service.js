@@ -0,0 +1,191 @@
+/**
+ * File service for Snowfun Nepal application
+ *
+ * Processes uploaded images before they are stored: the image is rotated
+ * upright, shrunk to a sensible size and re-encoded as JPEG, which drops all
+ * EXIF metadata (camera serials, GPS, owner names) from the stored copy. The
+ * GPS position and capture time are read from the original EXIF first and
+ * kept on the `files` row, where they can be compared with the shop's
+ * location. A thumbnail is stored alongside each image.
+ */
+
+import crypto from 'crypto';
+import sharp from 'sharp';
+import exifr from 'exifr';
+import { getManager } from 'typeorm';
+import { createError } from '../middleware/errorHandler.js';
+import File from '../models/File.js';
+import Fridge from '../models/Fridge.js';
+import Visit from '../models/Visit.js';
+import { getStorage } from './storage/index.js';
+
+// Longest edge of the stored image and of its thumbnail, in pixels
+const MAX_IMAGE_EDGE = 2048;
+const THUMBNAIL_EDGE = 320;
+
+/**
+ * Read the GPS position and capture time from an image's EXIF data
+ * @param {Buffer} buffer - Original image
+ * @returns {Promise<Object>} { gpsLatitude, gpsLongitude, capturedAt }, nulls when absent
+ */
+export const readExif = async (buffer) => {
+  try {
+    const [gps, tags] = await Promise.all([
+      exifr.gps(buffer),
+      exifr.parse(buffer, ['DateTimeOriginal', 'CreateDate'])
+    ]);
+
+    const capturedAt = tags?.DateTimeOriginal || tags?.CreateDate || null;
+    const hasGps = gps && Number.isFinite(gps.latitude) && Number.isFinite(gps.longitude);
+
+    return {
+      gpsLatitude: hasGps ? gps.latitude : null,
+      gpsLongitude: hasGps ? gps.longitude : null,
+      capturedAt: capturedAt instanceof Date && !Number.isNaN(capturedAt.getTime()) ? capturedAt : null
+    };
+  } catch (error) {
+    // Unreadable EXIF should not block the upload
+    return { gpsLatitude: null, gpsLongitude: null, capturedAt: null };
+  }
+};
+
+/**
+ * Re-encode an image as metadata-free JPEG, with a thumbnail
+ * @param {Buffer} buffer - Original image
+ * @returns {Promise<Object>} { image: { data, info }, thumbnail: { data, info } }
+ * @throws {Error} 400 if the buffer is not a readable image
+ */
+const processImage = async (buffer) => {
+  try {
+    // rotate() applies the EXIF orientation before the metadata is dropped
+    const source = sharp(buffer, { failOn: 'error' }).rotate();
+
+    const [image, thumbnail] = await Promise.all([
+      source.clone()
+        .resize({ width: MAX_IMAGE_EDGE, height: MAX_IMAGE_EDGE, fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 85, mozjpeg: true })
+        .toBuffer({ resolveWithObject: true }),
+      source.clone()
+        .resize({ width: THUMBNAIL_EDGE, height: THUMBNAIL_EDGE, fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 70 })
+        .toBuffer({ resolveWithObject: true })
+    ]);
+
+    return { image, thumbnail };
+  } catch (error) {
+    throw createError('The file is not a readable image', 400);
+  }
+};
+
+/**
+ * Store an uploaded image for a shop
+ * @param {Object} options
+ * @param {Object} options.upload - Multer file ({ buffer, originalname })
+ * @param {string} options.kind - One of File.KIND_VALUES
+ * @param {Shop} options.shop - Owning shop
+ * @param {number} [options.fridgeId] - Fridge the image belongs to (required for contracts)
+ * @param {number} [options.visitId] - Visit the image was taken on
+ * @param {Object} options.actor - Uploading user
+ * @param {EntityManager} [options.manager] - Transaction to join (a new one is started otherwise)
+ * @returns {Promise<File>} Saved file record
+ * @throws {Error} 400 if the fridge or visit is not at the shop, or the image is unreadable
+ */
+export const storeImage = async ({ upload, kind, shop, fridgeId = null, visitId = null, actor, manager: transaction = null }) => {
+  if (kind === 'contract' && !fridgeId) {
+    throw createError('A fridge is required for contract images', 400);
+  }
+
+  const [exif, { image, thumbnail }] = await Promise.all([
+    readExif(upload.buffer),
+    processImage(upload.buffer)
+  ]);
+
+  const id = crypto.randomUUID();
+  const storageKey = `shops/${shop.id}/${id}.jpg`;
+  const thumbnailKey = `shops/${shop.id}/${id}_thumb.jpg`;
+  const storage = getStorage();
+
+  await storage.put(storageKey, image.data, { contentType: 'image/jpeg' });
+  await storage.put(thumbnailKey, thumbnail.data, { contentType: 'image/jpeg' });
+
+  const saveRecord = async (manager) => {
+    const file = manager.create(File, {
+      id,
+      kind,
+      shopId: shop.id,
+      fridgeId,
+      visitId,
+      storageKey,
+      thumbnailKey,
+      originalName: upload.originalname ? upload.originalname.slice(0, 255) : null,
+      contentType: 'image/jpeg',
+      sizeBytes: image.info.size,
+      width: image.info.width,
+      height: image.info.height,
+      ...exif,
+      uploadedById: actor.id
+    });
+
+    if (fridgeId) {
+      const fridge = await manager.findOne(Fridge, fridgeId);
+      if (!fridge || fridge.shopId !== shop.id) {
+        throw createError('Fridge not found at this shop', 400);
+      }
+
+      // Contracts replace the fridge's contract link
+      if (kind === 'contract') {
+        fridge.contractImgUrl = file.getContentPath();
+        await manager.save(fridge);
+      }
+    }
+
+    if (visitId) {
+      const visit = await manager.findOne(Visit, visitId);
+      if (!visit || visit.shopId !== shop.id) {
+        throw createError('Visit not found at this shop', 400);
+      }
+    }
+
+    return manager.save(file);
+  };
+
+  try {
+    return await (transaction ? saveRecord(transaction) : getManager().transaction(saveRecord));
+  } catch (error) {
+    // Do not leave orphaned objects behind
+    await Promise.all([storage.remove(storageKey), storage.remove(thumbnailKey)]).catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Open a stored file for reading
+ * @param {File} file - File record
+ * @param {string} [variant='original'] - 'original' or 'thumbnail'
+ * @returns {Promise<Readable>} File contents
+ */
+export const openFile = (file, variant = 'original') =>
+  getStorage().getStream(variant === 'thumbnail' ? file.thumbnailKey : file.storageKey);
+
+/**
+ * Delete a file record and its stored contents. A fridge whose contract
+ * link points at the file has the link cleared.
+ * @param {File} file - File record
+ * @returns {Promise<void>}
+ */
+export const deleteFile = async (file) => {
+  await getManager().transaction(async (manager) => {
+    await manager.update(Fridge, { contractImgUrl: file.getContentPath() }, { contractImgUrl: null });
+    await manager.delete(File, file.id);
+  });
+
+  const storage = getStorage();
+  await Promise.all([storage.remove(file.storageKey), storage.remove(file.thumbnailKey)]);
+};
+
+export default {
+  readExif,
+  storeImage,
+  openFile,
+  deleteFile
+};
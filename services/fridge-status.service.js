@@ -0,0 +1,161 @@
+/**
+ * Fridge status service for Snowfun Nepal application
+ *
+ * Central place for changing a fridge's status. Every change is validated
+ * against the allowed transition table and written to `fridge_status_events`
+ * in the same transaction as the fridge update, so the history can never
+ * drift from the current status. The fridge row is locked and re-read first,
+ * so concurrent changes are validated one after the other.
+ */
+
+import { createError } from '../middleware/errorHandler.js';
+import Fridge from '../models/Fridge.js';
+import FridgeStatusEvent from '../models/FridgeStatusEvent.js';
+import { hasPermission } from './permission.service.js';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Allowed status transitions and the permissions that allow them (any of).
+ * Field staff ('fridges:report', held by PSRs) and supervisors flag fridges;
+ * repair technicians ('repairs:manage') put repaired fridges back to work.
+ * Dealer portal users can only report a fridge for repair. Recovering a
+ * missing freezer needs 'fridges:recover'. Admins may make every transition.
+ */
+export const STATUS_TRANSITIONS = {
+  working: {
+    repair: ['fridges:report', 'data:all', 'data:territory', 'data:dealer'],
+    missing: ['fridges:report', 'data:all', 'data:territory']
+  },
+  repair: {
+    working: ['fridges:report', 'repairs:manage', 'data:all', 'data:territory'],
+    missing: ['fridges:report', 'data:all', 'data:territory']
+  },
+  missing: {
+    working: ['fridges:recover'],
+    repair: ['fridges:recover']
+  }
+};
+
+/**
+ * Check whether a user may move a fridge between two statuses
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @param {Object} user - Acting user ({ role, permissions })
+ * @returns {boolean} True if the transition is allowed
+ */
+export const canTransition = (fromStatus, toStatus, user) => {
+  const allowedPermissions = STATUS_TRANSITIONS[fromStatus]?.[toStatus];
+  return Boolean(allowedPermissions && allowedPermissions.some(key => hasPermission(user, key)));
+};
+
+/**
+ * Record the initial status of a newly created fridge
+ * @param {EntityManager} manager - Transactional entity manager
+ * @param {Fridge} fridge - Saved fridge entity
+ * @param {Object} actor - Acting user ({ id, role })
+ * @returns {Promise<FridgeStatusEvent>} Created event
+ */
+export const recordInitialStatus = async (manager, fridge, actor) => {
+  const event = manager.create(FridgeStatusEvent, {
+    fridgeId: fridge.id,
+    fromStatus: null,
+    toStatus: fridge.status,
+    reason: 'Fridge registered',
+    actorId: actor?.id || null
+  });
+
+  return manager.save(event);
+};
+
+/**
+ * Change a fridge's status and append a history event
+ * @param {EntityManager} manager - Transactional entity manager
+ * @param {Fridge} fridge - Fridge entity to update (its status is refreshed
+ *   from the locked row)
+ * @param {string} toStatus - New status
+ * @param {Object} options - Change metadata
+ * @param {Object} options.actor - Acting user ({ id, role, permissions })
+ * @param {string} [options.reason] - Why the status changed
+ * @param {number} [options.visitId] - Visit that triggered the change
+ * @returns {Promise<FridgeStatusEvent|null>} Created event, or null if unchanged
+ * @throws {Error} 400 for unknown statuses, 403 for disallowed transitions
+ */
+export const changeFridgeStatus = async (manager, fridge, toStatus, { actor, reason = null, visitId = null }) => {
+  if (!Fridge.STATUS_VALUES.includes(toStatus)) {
+    throw createError(`Invalid fridge status '${toStatus}'`, 400);
+  }
+
+  // The caller's copy may be stale: validate against the row as it stands,
+  // locked until the transaction ends
+  const locked = await manager
+    .createQueryBuilder(Fridge, 'fridge')
+    .setLock('pessimistic_write')
+    .where('fridge.id = :id', { id: fridge.id })
+    .getOne();
+
+  const fromStatus = locked.status;
+  fridge.status = fromStatus;
+
+  if (fromStatus === toStatus) {
+    return null;
+  }
+
+  if (!STATUS_TRANSITIONS[fromStatus]?.[toStatus]) {
+    throw createError(`Fridge cannot move from '${fromStatus}' to '${toStatus}'`, 400);
+  }
+
+  if (!canTransition(fromStatus, toStatus, actor)) {
+    throw createError(`Moving a fridge from '${fromStatus}' to '${toStatus}' needs one of: ${STATUS_TRANSITIONS[fromStatus][toStatus].join(', ')}`, 403);
+  }
+
+  // Only the status is written, so other fields on a stale copy are not
+  await manager.update(Fridge, fridge.id, { status: toStatus });
+  fridge.status = toStatus;
+
+  const event = manager.create(FridgeStatusEvent, {
+    fridgeId: fridge.id,
+    fromStatus,
+    toStatus,
+    reason,
+    actorId: actor.id,
+    visitId
+  });
+
+  return manager.save(event);
+};
+
+/**
+ * Work out how many days a fridge spent in each status within a window
+ * @param {FridgeStatusEvent[]} events - All events of the fridge, oldest first
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end
+ * @returns {Object} Days per status, e.g. { working: 80.5, repair: 9.5, missing: 0 }
+ */
+export const summariseStatusDurations = (events, from, to) => {
+  const totals = Fridge.STATUS_VALUES.reduce((acc, status) => ({ ...acc, [status]: 0 }), {});
+
+  events.forEach((event, index) => {
+    const next = events[index + 1];
+    const start = Math.max(new Date(event.createdAt).getTime(), from.getTime());
+    const end = Math.min(next ? new Date(next.createdAt).getTime() : Date.now(), to.getTime());
+
+    if (end > start) {
+      totals[event.toStatus] += end - start;
+    }
+  });
+
+  Object.keys(totals).forEach(status => {
+    totals[status] = Number((totals[status] / MS_PER_DAY).toFixed(2));
+  });
+
+  return totals;
+};
+
+export default {
+  STATUS_TRANSITIONS,
+  canTransition,
+  recordInitialStatus,
+  changeFridgeStatus,
+  summariseStatusDurations
+};
@@ -0,0 +1,193 @@
+/**
+ * Geography service for Snowfun Nepal application
+ *
+ * Looks up and validates locations against the bundled reference dataset of
+ * Nepal's provinces, districts and local levels. Names are matched loosely
+ * (case, punctuation, common alternative spellings and the "Municipality" /
+ * "Rural Municipality" suffixes are ignored) and resolved to their canonical
+ * spelling so dealer records stay consistent.
+ */
+
+import NEPAL_PROVINCES from '../data/nepal-admin-boundaries.js';
+
+// Local level type suffixes, longest first so "Rural Municipality" wins
+const LOCAL_LEVEL_SUFFIXES = [
+  'sub metropolitan city',
+  'metropolitan city',
+  'rural municipality',
+  'municipality',
+  'gaunpalika',
+  'nagarpalika',
+  'mahanagarpalika',
+  'upamahanagarpalika'
+];
+
+/**
+ * Normalise a place name for comparison
+ * @param {string} name - Place name as entered
+ * @returns {string} Lowercase name with punctuation collapsed to single spaces
+ */
+export const normaliseName = (name) =>
+  String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+/**
+ * Normalise a local level name, dropping its type suffix
+ * @param {string} name - Local level name
+ * @returns {string} Normalised name without suffix
+ */
+const normaliseLocalLevel = (name) => {
+  const normalised = normaliseName(name);
+  const suffix = LOCAL_LEVEL_SUFFIXES.find(candidate => normalised.endsWith(` ${candidate}`));
+  return suffix ? normalised.slice(0, -suffix.length - 1) : normalised;
+};
+
+// Bounding box around Nepal, used to catch coordinates that are swapped or
+// were entered for the wrong place
+export const NEPAL_BOUNDS = {
+  minLatitude: 26.3,
+  maxLatitude: 30.5,
+  minLongitude: 80.0,
+  maxLongitude: 88.3
+};
+
+// Lookup tables built once at import time
+const provincesByKey = new Map();
+const districtsByKey = new Map();
+
+NEPAL_PROVINCES.forEach(province => {
+  provincesByKey.set(normaliseName(province.name), province);
+  provincesByKey.set(normaliseName(`Province ${province.id}`), province);
+  provincesByKey.set(String(province.id), province);
+
+  province.districts.forEach(district => {
+    const entry = { ...district, province: province.name };
+    [district.name, ...(district.aliases || [])].forEach(name => {
+      districtsByKey.set(normaliseName(name), entry);
+    });
+  });
+});
+
+/**
+ * List all provinces
+ * @returns {Array<Object>} { id, name, districtCount }
+ */
+export const listProvinces = () =>
+  NEPAL_PROVINCES.map(province => ({
+    id: province.id,
+    name: province.name,
+    districtCount: province.districts.length
+  }));
+
+/**
+ * Find a province by name, "Province N" or number
+ * @param {string|number} name - Province name or number
+ * @returns {Object|null} Province entry
+ */
+export const findProvince = (name) => provincesByKey.get(normaliseName(name)) || null;
+
+/**
+ * Find a district by name or alias
+ * @param {string} name - District name
+ * @returns {Object|null} District entry including its province name
+ */
+export const findDistrict = (name) => districtsByKey.get(normaliseName(name)) || null;
+
+/**
+ * List districts, optionally limited to one province, in dataset order
+ * @param {Object} options - { province }
+ * @returns {Array<Object>|null} { name, province } entries, or null for an unknown province
+ */
+export const listDistricts = ({ province } = {}) => {
+  let provinces = NEPAL_PROVINCES;
+
+  if (province) {
+    const match = findProvince(province);
+    if (!match) return null;
+    provinces = [match];
+  }
+
+  return provinces.flatMap(entry =>
+    entry.districts.map(district => ({ name: district.name, province: entry.name }))
+  );
+};
+
+/**
+ * Find a local level (municipality) within a district
+ * @param {Object} district - District entry from findDistrict()
+ * @param {string} name - Municipality name, with or without its type suffix
+ * @returns {string|null} Canonical municipality name
+ */
+export const findMunicipality = (district, name) => {
+  const key = normaliseLocalLevel(name);
+  const exact = normaliseName(name);
+
+  // Prefer an exact match so "Ilam Municipality" is not confused with a
+  // same-named rural municipality in the district
+  return district.municipalities.find(candidate => normaliseName(candidate) === exact)
+    || district.municipalities.find(candidate => normaliseLocalLevel(candidate) === key)
+    || null;
+};
+
+/**
+ * Validate a province → district → municipality combination and resolve it
+ * to canonical names. The province is derived from the district when omitted.
+ * @param {Object} location - { province?, district, municipality? }
+ * @returns {Object} { province, district, municipality } or { error }
+ */
+export const resolveLocation = ({ province, district, municipality } = {}) => {
+  const districtEntry = findDistrict(district);
+  if (!districtEntry) {
+    return { error: `Unknown district "${district}"` };
+  }
+
+  if (province) {
+    const provinceEntry = findProvince(province);
+    if (!provinceEntry) {
+      return { error: `Unknown province "${province}"` };
+    }
+    if (provinceEntry.name !== districtEntry.province) {
+      return {
+        error: `District "${districtEntry.name}" is in ${districtEntry.province} province, not ${provinceEntry.name}`
+      };
+    }
+  }
+
+  let municipalityName = null;
+  if (municipality) {
+    municipalityName = findMunicipality(districtEntry, municipality);
+    if (!municipalityName) {
+      return { error: `Municipality "${municipality}" is not in ${districtEntry.name} district` };
+    }
+  }
+
+  return {
+    province: districtEntry.province,
+    district: districtEntry.name,
+    municipality: municipalityName
+  };
+};
+
+/**
+ * Check whether a coordinate lies within Nepal's bounding box
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @returns {boolean} True if inside the box
+ */
+export const isWithinNepal = (latitude, longitude) =>
+  latitude >= NEPAL_BOUNDS.minLatitude && latitude <= NEPAL_BOUNDS.maxLatitude
+  && longitude >= NEPAL_BOUNDS.minLongitude && longitude <= NEPAL_BOUNDS.maxLongitude;
+
+export default {
+  NEPAL_BOUNDS,
+  normaliseName,
+  listProvinces,
+  findProvince,
+  findDistrict,
+  listDistricts,
+  findMunicipality,
+  resolveLocation,
+  isWithinNepal
+};
@@ -0,0 +1,61 @@
+/**
+ * Geofence service for Snowfun Nepal application
+ *
+ * Verifies that a PSR was actually at the shop when recording a visit by
+ * comparing the device's GPS fix with the shop's coordinates. Visits that
+ * fall outside the allowed radius, or whose fix is missing or too imprecise
+ * to tell, are flagged for admin review.
+ *
+ * Configuration (environment variables):
+ * - VISIT_GEOFENCE_RADIUS_M: allowed distance from the shop (default 150 m)
+ * - VISIT_GPS_MAX_ACCURACY_M: worst accepted GPS accuracy (default 100 m)
+ */
+
+const DEFAULT_RADIUS_M = 150;
+const DEFAULT_MAX_ACCURACY_M = 100;
+
+/**
+ * Read the geofence configuration from the environment
+ * @returns {Object} { radiusM, maxAccuracyM }
+ */
+export const getGeofenceConfig = () => ({
+  radiusM: parseFloat(process.env.VISIT_GEOFENCE_RADIUS_M) || DEFAULT_RADIUS_M,
+  maxAccuracyM: parseFloat(process.env.VISIT_GPS_MAX_ACCURACY_M) || DEFAULT_MAX_ACCURACY_M
+});
+
+/**
+ * Evaluate a device location against a shop's geofence
+ * @param {Shop} shop - Visited shop
+ * @param {Object} location - Device fix
+ * @param {number} [location.latitude] - Device latitude
+ * @param {number} [location.longitude] - Device longitude
+ * @param {number} [location.accuracy] - Reported accuracy radius in metres
+ * @returns {Object} { distanceFromShopM, geofenceStatus, needsReview }
+ */
+export const evaluateVisitLocation = (shop, { latitude, longitude, accuracy } = {}) => {
+  const { radiusM, maxAccuracyM } = getGeofenceConfig();
+
+  if (latitude === undefined || latitude === null || longitude === undefined || longitude === null) {
+    return { distanceFromShopM: null, geofenceStatus: 'unverified', needsReview: true };
+  }
+
+  const distanceFromShopM = Number((shop.distanceFrom(Number(latitude), Number(longitude)) * 1000).toFixed(1));
+
+  // A fix this imprecise cannot prove the PSR was (or was not) at the shop
+  if (accuracy !== undefined && accuracy !== null && Number(accuracy) > maxAccuracyM) {
+    return { distanceFromShopM, geofenceStatus: 'unverified', needsReview: true };
+  }
+
+  const geofenceStatus = distanceFromShopM <= radiusM ? 'inside' : 'outside';
+
+  return {
+    distanceFromShopM,
+    geofenceStatus,
+    needsReview: geofenceStatus !== 'inside'
+  };
+};
+
+export default {
+  getGeofenceConfig,
+  evaluateVisitLocation
+};
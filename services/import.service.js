@@ -0,0 +1,643 @@
+/**
+ * Bulk import service for Snowfun Nepal application
+ *
+ * Imports dealers, shops or fridges from a CSV or XLSX spreadsheet. Every
+ * row is validated first (locations against the Nepal reference data, shops
+ * against existing shops nearby, fridge models against `fridge_models`) and
+ * problems are reported per row. Nothing is written unless every row is
+ * valid, and then all rows are saved in a single transaction. A dry run
+ * only validates.
+ *
+ * Column headings are matched loosely: case, spaces and punctuation are
+ * ignored, and common alternatives are accepted (e.g. "Lat" for latitude).
+ */
+
+import { getManager } from 'typeorm';
+import XLSX from 'xlsx';
+import path from 'path';
+import { createError } from '../middleware/errorHandler.js';
+import Dealer from '../models/Dealer.js';
+import Shop from '../models/Shop.js';
+import Fridge from '../models/Fridge.js';
+import FridgeModel from '../models/FridgeModel.js';
+import { recordInitialStatus } from './fridge-status.service.js';
+import { resolveLocation, isWithinNepal } from './geo.service.js';
+import { toDateString } from '../utils/date.js';
+import { normaliseName } from '../utils/name.js';
+
+export const IMPORT_ENTITIES = ['dealers', 'shops', 'fridges'];
+
+// Largest number of data rows accepted in one file
+export const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS || '5000', 10);
+
+// Shops closer than this to another shop are treated as duplicates
+export const DUPLICATE_SHOP_RADIUS_M = 20;
+
+// Grid cell size for the duplicate-shop search, larger than the radius so
+// only neighbouring cells need checking
+const GRID_CELL_DEGREES = 0.0005;
+const KM_PER_DEGREE = 111.32;
+
+// Accepted headings for each field, after normalisation
+const COLUMNS = {
+  dealers: {
+    name: ['name', 'dealer', 'dealername'],
+    province: ['province'],
+    district: ['district'],
+    municipality: ['municipality', 'locallevel', 'palika'],
+    latitude: ['latitude', 'lat'],
+    longitude: ['longitude', 'lng', 'lon', 'long']
+  },
+  shops: {
+    dealerId: ['dealerid'],
+    dealer: ['dealer', 'dealername'],
+    name: ['name', 'shop', 'shopname'],
+    addressText: ['address', 'addresstext'],
+    latitude: ['latitude', 'lat'],
+    longitude: ['longitude', 'lng', 'lon', 'long'],
+    contactName: ['contactname', 'contact', 'owner'],
+    contactPhone: ['contactphone', 'phone', 'mobile']
+  },
+  fridges: {
+    shopId: ['shopid'],
+    shop: ['shop', 'shopname'],
+    dealer: ['dealer', 'dealername'],
+    brand: ['brand', 'brandname'],
+    model: ['model', 'modelname'],
+    status: ['status'],
+    depositNpr: ['deposit', 'depositnpr'],
+    installedAt: ['installed', 'installedat', 'installationdate'],
+    contractImgUrl: ['contract', 'contracturl', 'contractimgurl']
+  }
+};
+
+/**
+ * Normalise a column heading for matching
+ * @param {string} heading - Heading as written in the file
+ * @returns {string} Lowercase letters and digits only
+ */
+const normaliseHeading = (heading) => String(heading).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Read the first sheet of an uploaded spreadsheet
+ * @param {Object} file - Multer file ({ originalname, buffer })
+ * @param {string} entity - 'dealers', 'shops' or 'fridges'
+ * @returns {Array<Object>} { rowNumber, values } with values keyed by field name
+ * @throws {Error} 400 if the file cannot be read or has no usable columns
+ */
+export const parseSpreadsheet = (file, entity) => {
+  let workbook;
+
+  try {
+    workbook = path.extname(file.originalname).toLowerCase() === '.csv'
+      ? XLSX.read(file.buffer.toString('utf8').replace(/^\uFEFF/, ''), { type: 'string', cellDates: true })
+      : XLSX.read(file.buffer, { type: 'buffer', cellDates: true });
+  } catch (error) {
+    throw createError('The file could not be read as a spreadsheet', 400);
+  }
+
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const rows = sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: null, blankrows: false }) : [];
+
+  if (rows.length === 0) {
+    throw createError('The file is empty', 400);
+  }
+
+  // Map each known field to the index of its column
+  const headings = rows[0].map(heading => normaliseHeading(heading ?? ''));
+  const fieldIndexes = Object.entries(COLUMNS[entity])
+    .map(([field, aliases]) => [field, headings.findIndex(heading => aliases.includes(heading))])
+    .filter(([, index]) => index !== -1);
+
+  if (fieldIndexes.length === 0) {
+    throw createError(
+      `No recognised columns. Expected headings such as: ${Object.keys(COLUMNS[entity]).join(', ')}`,
+      400
+    );
+  }
+
+  return rows.slice(1).map((row, index) => ({
+    rowNumber: index + 2, // 1-based, after the heading row
+    values: Object.fromEntries(fieldIndexes.map(([field, columnIndex]) => {
+      const value = row[columnIndex];
+      return [field, typeof value === 'string' ? (value.trim() || null) : value ?? null];
+    }))
+  }));
+};
+
+/**
+ * Collects row-level validation errors
+ */
+class RowErrors {
+  constructor() {
+    this.list = [];
+  }
+
+  /**
+   * Record an error against a row
+   * @param {number} row - Spreadsheet row number
+   * @param {string} column - Field name
+   * @param {string} message - Problem description
+   */
+  add(row, column, message) {
+    this.list.push({ row, column, message });
+  }
+}
+
+/**
+ * Read an optional text field, checking its length
+ * @param {Object} values - Row values
+ * @param {string} field - Field name
+ * @param {number} maxLength - Maximum length
+ * @param {Function} fail - (field, message) => void
+ * @returns {string|null} Text value
+ */
+const readText = (values, field, maxLength, fail) => {
+  if (values[field] === null || values[field] === undefined) return null;
+
+  const text = String(values[field]);
+  if (text.length > maxLength) {
+    fail(field, `Must be at most ${maxLength} characters`);
+  }
+  return text;
+};
+
+/**
+ * Read a coordinate pair, requiring it to fall within Nepal
+ * @param {Object} values - Row values
+ * @param {boolean} required - Whether the coordinates are required
+ * @param {Function} fail - (field, message) => void
+ * @returns {Object|null} { latitude, longitude }, or null if absent or invalid
+ */
+const readCoordinates = (values, required, fail) => {
+  const hasLatitude = values.latitude !== null && values.latitude !== undefined;
+  const hasLongitude = values.longitude !== null && values.longitude !== undefined;
+
+  if (!hasLatitude && !hasLongitude) {
+    if (required) fail('latitude', 'Latitude and longitude are required');
+    return null;
+  }
+
+  if (!hasLatitude || !hasLongitude) {
+    fail(hasLatitude ? 'longitude' : 'latitude', 'Latitude and longitude must be given together');
+    return null;
+  }
+
+  const latitude = Number(values.latitude);
+  const longitude = Number(values.longitude);
+
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    fail('latitude', 'Latitude and longitude must be numbers');
+    return null;
+  }
+
+  if (!isWithinNepal(latitude, longitude)) {
+    fail('latitude', isWithinNepal(longitude, latitude)
+      ? 'Coordinates are outside Nepal; latitude and longitude look swapped'
+      : 'Coordinates are outside Nepal');
+    return null;
+  }
+
+  return { latitude, longitude };
+};
+
+/**
+ * Grid of shops for finding neighbours within the duplicate radius
+ */
+class ShopGrid {
+  constructor() {
+    this.cells = new Map();
+  }
+
+  /**
+   * Get the grid cell key of a coordinate
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
+   * @returns {Array<number>} [row, column]
+   */
+  static cellOf(latitude, longitude) {
+    return [Math.floor(latitude / GRID_CELL_DEGREES), Math.floor(longitude / GRID_CELL_DEGREES)];
+  }
+
+  /**
+   * Add a shop to the grid
+   * @param {Shop} shop - Shop with latitude and longitude
+   * @param {string} label - Description used in error messages
+   */
+  add(shop, label) {
+    const key = ShopGrid.cellOf(shop.latitude, shop.longitude).join(':');
+    if (!this.cells.has(key)) this.cells.set(key, []);
+    this.cells.get(key).push({ shop, label });
+  }
+
+  /**
+   * Find the nearest shop within the duplicate radius of a coordinate
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
+   * @returns {Object|null} { label, distanceM }
+   */
+  findNearby(latitude, longitude) {
+    const [row, column] = ShopGrid.cellOf(latitude, longitude);
+    let nearest = null;
+
+    for (let dRow = -1; dRow <= 1; dRow += 1) {
+      for (let dColumn = -1; dColumn <= 1; dColumn += 1) {
+        (this.cells.get(`${row + dRow}:${column + dColumn}`) || []).forEach(({ shop, label }) => {
+          const distanceM = shop.distanceFrom(latitude, longitude) * 1000;
+          if (distanceM <= DUPLICATE_SHOP_RADIUS_M && (!nearest || distanceM < nearest.distanceM)) {
+            nearest = { label, distanceM };
+          }
+        });
+      }
+    }
+
+    return nearest;
+  }
+}
+
+/**
+ * Validate dealer rows
+ * @param {EntityManager} manager - Entity manager
+ * @param {Array<Object>} rows - Parsed rows
+ * @param {RowErrors} errors - Error collector
+ * @returns {Promise<Array<Object>>} Dealer fields for valid rows
+ */
+const validateDealers = async (manager, rows, errors) => {
+  const existing = await manager.find(Dealer, { select: ['id', 'name', 'district'] });
+  const seen = new Map(existing.map(dealer => [
+    `${normaliseName(dealer.name)}|${dealer.district}`,
+    `existing dealer #${dealer.id}`
+  ]));
+  const records = [];
+
+  rows.forEach(({ rowNumber, values }) => {
+    let valid = true;
+    const fail = (column, message) => {
+      errors.add(rowNumber, column, message);
+      valid = false;
+    };
+
+    const name = readText(values, 'name', 120, fail);
+    if (!name || name.length < 2) {
+      fail('name', 'Dealer name must be between 2 and 120 characters');
+    }
+
+    let location = null;
+    if (!values.district) {
+      fail('district', 'District is required');
+    } else {
+      location = resolveLocation({
+        province: values.province,
+        district: values.district,
+        municipality: values.municipality
+      });
+      if (location.error) {
+        fail('district', location.error);
+      }
+    }
+
+    const coordinates = readCoordinates(values, false, fail);
+
+    if (valid) {
+      const key = `${normaliseName(name)}|${location.district}`;
+      if (seen.has(key)) {
+        fail('name', `Duplicate of ${seen.get(key)} in ${location.district}`);
+      } else {
+        seen.set(key, `row ${rowNumber}`);
+      }
+    }
+
+    if (valid) {
+      records.push({
+        name,
+        province: location.province,
+        district: location.district,
+        municipality: location.municipality,
+        latitude: coordinates?.latitude ?? null,
+        longitude: coordinates?.longitude ?? null
+      });
+    }
+  });
+
+  return records;
+};
+
+/**
+ * Validate shop rows. Dealers are matched by ID or by name, and shops within
+ * DUPLICATE_SHOP_RADIUS_M of an existing shop or an earlier row are rejected.
+ * @param {EntityManager} manager - Entity manager
+ * @param {Array<Object>} rows - Parsed rows
+ * @param {RowErrors} errors - Error collector
+ * @returns {Promise<Array<Object>>} Shop fields for valid rows
+ */
+const validateShops = async (manager, rows, errors) => {
+  const dealers = await manager.find(Dealer, { select: ['id', 'name'] });
+  const dealersById = new Map(dealers.map(dealer => [dealer.id, dealer]));
+  const dealersByName = new Map();
+  dealers.forEach((dealer) => {
+    const key = normaliseName(dealer.name);
+    dealersByName.set(key, [...(dealersByName.get(key) || []), dealer]);
+  });
+
+  // Existing shops around the file's coordinates, for the duplicate check
+  const points = rows
+    .map(({ values }) => [Number(values.latitude), Number(values.longitude)])
+    .filter(([latitude, longitude]) => isWithinNepal(latitude, longitude));
+  const grid = new ShopGrid();
+
+  if (points.length > 0) {
+    const margin = (DUPLICATE_SHOP_RADIUS_M / 1000) / (KM_PER_DEGREE * 0.85); // cos(31°) ≈ 0.85 covers all of Nepal
+    const existing = await manager
+      .createQueryBuilder(Shop, 'shop')
+      .select(['shop.id', 'shop.name', 'shop.latitude', 'shop.longitude'])
+      .where('shop.latitude BETWEEN :minLat AND :maxLat', {
+        minLat: Math.min(...points.map(([latitude]) => latitude)) - margin,
+        maxLat: Math.max(...points.map(([latitude]) => latitude)) + margin
+      })
+      .andWhere('shop.longitude BETWEEN :minLng AND :maxLng', {
+        minLng: Math.min(...points.map(([, longitude]) => longitude)) - margin,
+        maxLng: Math.max(...points.map(([, longitude]) => longitude)) + margin
+      })
+      .getMany();
+
+    existing.forEach((shop) => {
+      shop.latitude = Number(shop.latitude);
+      shop.longitude = Number(shop.longitude);
+      grid.add(shop, `existing shop "${shop.name}" (#${shop.id})`);
+    });
+  }
+
+  const records = [];
+
+  rows.forEach(({ rowNumber, values }) => {
+    let valid = true;
+    const fail = (column, message) => {
+      errors.add(rowNumber, column, message);
+      valid = false;
+    };
+
+    let dealer = null;
+    if (values.dealerId !== null && values.dealerId !== undefined) {
+      dealer = dealersById.get(Number(values.dealerId)) || null;
+      if (!dealer) fail('dealerId', `No dealer with ID ${values.dealerId}`);
+    } else if (values.dealer) {
+      const matches = dealersByName.get(normaliseName(values.dealer)) || [];
+      if (matches.length === 1) {
+        [dealer] = matches;
+      } else {
+        fail('dealer', matches.length === 0
+          ? `Unknown dealer "${values.dealer}"`
+          : `"${values.dealer}" matches ${matches.length} dealers; use a dealerId column`);
+      }
+    } else {
+      fail('dealer', 'Dealer is required');
+    }
+
+    const name = readText(values, 'name', 150, fail);
+    if (!name) {
+      fail('name', 'Shop name is required');
+    }
+
+    const addressText = readText(values, 'addressText', 500, fail);
+    const contactName = readText(values, 'contactName', 120, fail);
+    const contactPhone = readText(values, 'contactPhone', 30, fail);
+    const coordinates = readCoordinates(values, true, fail);
+
+    if (coordinates) {
+      const nearby = grid.findNearby(coordinates.latitude, coordinates.longitude);
+      if (nearby) {
+        fail('latitude', `Within ${Math.round(nearby.distanceM)} m of ${nearby.label}; possible duplicate`);
+      }
+    }
+
+    if (valid) {
+      const shop = manager.create(Shop, {
+        dealerId: dealer.id,
+        name,
+        addressText,
+        latitude: coordinates.latitude,
+        longitude: coordinates.longitude,
+        contactName,
+        contactPhone
+      });
+      grid.add(shop, `row ${rowNumber} ("${name}")`);
+      records.push(shop);
+    }
+  });
+
+  return records;
+};
+
+/**
+ * Validate fridge rows. Shops are matched by ID or by name (with an optional
+ * dealer to disambiguate); active models by name, with an optional brand.
+ * @param {EntityManager} manager - Entity manager
+ * @param {Array<Object>} rows - Parsed rows
+ * @param {RowErrors} errors - Error collector
+ * @returns {Promise<Array<Object>>} Fridge fields for valid rows
+ */
+const validateFridges = async (manager, rows, errors) => {
+  const models = await manager.find(FridgeModel, { relations: ['brand', 'type'] });
+  const modelsByName = new Map();
+  models.filter(model => model.isSelectable()).forEach((model) => {
+    // Accept "Model" and "Brand Model"
+    [model.modelName, `${model.brand.brandName} ${model.modelName}`].forEach((name) => {
+      const key = normaliseName(name);
+      modelsByName.set(key, [...(modelsByName.get(key) || []), model]);
+    });
+  });
+
+  const shopIds = [...new Set(rows
+    .map(({ values }) => Number(values.shopId))
+    .filter(id => Number.isInteger(id) && id > 0))];
+  const shopNames = [...new Set(rows
+    .filter(({ values }) => !values.shopId && values.shop)
+    .map(({ values }) => normaliseName(values.shop)))];
+
+  const shopsById = new Map();
+  const shopsByName = new Map();
+
+  if (shopIds.length > 0) {
+    (await manager.findByIds(Shop, shopIds)).forEach(shop => shopsById.set(shop.id, shop));
+  }
+
+  if (shopNames.length > 0) {
+    // Names are compared here rather than in SQL: Postgres' character classes
+    // depend on the database locale and do not reliably match normaliseName
+    // for Devanagari, so only the columns needed for matching are loaded
+    const wanted = new Set(shopNames);
+    const named = await manager
+      .createQueryBuilder(Shop, 'shop')
+      .innerJoin('shop.dealer', 'dealer')
+      .select(['shop.id', 'shop.name', 'shop.dealerId', 'dealer.id', 'dealer.name'])
+      .getMany();
+
+    named.forEach((shop) => {
+      const key = normaliseName(shop.name);
+      if (wanted.has(key)) {
+        shopsByName.set(key, [...(shopsByName.get(key) || []), shop]);
+      }
+    });
+  }
+
+  const records = [];
+
+  rows.forEach(({ rowNumber, values }) => {
+    let valid = true;
+    const fail = (column, message) => {
+      errors.add(rowNumber, column, message);
+      valid = false;
+    };
+
+    let shop = null;
+    if (values.shopId !== null && values.shopId !== undefined) {
+      shop = shopsById.get(Number(values.shopId)) || null;
+      if (!shop) fail('shopId', `No shop with ID ${values.shopId}`);
+    } else if (values.shop) {
+      let matches = shopsByName.get(normaliseName(values.shop)) || [];
+      if (values.dealer) {
+        matches = matches.filter(candidate => normaliseName(candidate.dealer.name) === normaliseName(values.dealer));
+      }
+      if (matches.length === 1) {
+        [shop] = matches;
+      } else {
+        fail('shop', matches.length === 0
+          ? `Unknown shop "${values.shop}"${values.dealer ? ` for dealer "${values.dealer}"` : ''}`
+          : `"${values.shop}" matches ${matches.length} shops; add a dealer or shopId column`);
+      }
+    } else {
+      fail('shop', 'Shop is required');
+    }
+
+    let model = null;
+    if (!values.model) {
+      fail('model', 'Model is required');
+    } else {
+      let matches = modelsByName.get(normaliseName(values.model)) || [];
+      if (values.brand) {
+        matches = matches.filter(candidate => normaliseName(candidate.brand.brandName) === normaliseName(values.brand));
+      }
+      if (matches.length === 1) {
+        [model] = matches;
+      } else {
+        fail('model', matches.length === 0
+          ? `Unknown fridge model "${values.model}"${values.brand ? ` for brand "${values.brand}"` : ''}`
+          : `"${values.model}" matches models from ${matches.length} brands; add a brand column`);
+      }
+    }
+
+    const status = values.status ? String(values.status).toLowerCase() : 'working';
+    if (!Fridge.STATUS_VALUES.includes(status)) {
+      fail('status', `Status must be one of: ${Fridge.STATUS_VALUES.join(', ')}`);
+    }
+
+    let depositNpr = null;
+    if (values.depositNpr !== null && values.depositNpr !== undefined) {
+      depositNpr = Number(String(values.depositNpr).replace(/,/g, ''));
+      if (!Number.isFinite(depositNpr) || depositNpr < 0) {
+        fail('depositNpr', 'Deposit must be a positive amount');
+      }
+    }
+
+    let installedAt = null;
+    if (values.installedAt !== null && values.installedAt !== undefined) {
+      const date = values.installedAt instanceof Date ? values.installedAt : new Date(values.installedAt);
+      if (Number.isNaN(date.getTime())) {
+        fail('installedAt', 'Installation date must be a valid date (YYYY-MM-DD)');
+      } else {
+        installedAt = toDateString(date);
+      }
+    }
+
+    const contractImgUrl = readText(values, 'contractImgUrl', 2000, fail);
+
+    if (valid) {
+      records.push({
+        shopId: shop.id,
+        modelId: model.id,
+        status,
+        depositNpr,
+        installedAt,
+        contractImgUrl
+      });
+    }
+  });
+
+  return records;
+};
+
+/**
+ * Save validated fridges with their initial status event
+ * @param {EntityManager} manager - Transactional entity manager
+ * @param {Array<Object>} records - Fridge fields
+ * @param {Object} actor - Importing user
+ * @returns {Promise<number>} Fridges created
+ */
+const saveFridges = async (manager, records, actor) => {
+  for (const record of records) {
+    const fridge = manager.create(Fridge, record);
+    await manager.save(fridge);
+    await recordInitialStatus(manager, fridge, actor);
+  }
+
+  return records.length;
+};
+
+const IMPORTERS = {
+  dealers: {
+    validate: validateDealers,
+    save: async (manager, records) => (await manager.save(Dealer, records.map(record => manager.create(Dealer, record)), { chunk: 200 })).length
+  },
+  shops: {
+    validate: validateShops,
+    save: async (manager, records) => (await manager.save(Shop, records, { chunk: 200 })).length
+  },
+  fridges: {
+    validate: validateFridges,
+    save: saveFridges
+  }
+};
+
+/**
+ * Validate an uploaded spreadsheet and, unless it is a dry run or any row is
+ * invalid, create every row in one transaction
+ * @param {Object} options - { entity, file, dryRun, actor }
+ * @returns {Promise<Object>} { entity, dryRun, committed, totalRows, validRows, created, errors }
+ * @throws {Error} 400 if the file is unreadable, empty or too large
+ */
+export const runImport = async ({ entity, file, dryRun, actor }) => {
+  const rows = parseSpreadsheet(file, entity);
+
+  if (rows.length === 0) {
+    throw createError('The file has a heading row but no data rows', 400);
+  }
+
+  if (rows.length > IMPORT_MAX_ROWS) {
+    throw createError(`Files may contain at most ${IMPORT_MAX_ROWS} rows; split the file and import each part`, 400);
+  }
+
+  return getManager().transaction(async (manager) => {
+    const errors = new RowErrors();
+    const importer = IMPORTERS[entity];
+    const records = await importer.validate(manager, rows, errors);
+    const committed = !dryRun && errors.list.length === 0;
+
+    return {
+      entity,
+      dryRun,
+      committed,
+      totalRows: rows.length,
+      validRows: records.length,
+      created: committed ? await importer.save(manager, records, actor) : 0,
+      errors: errors.list.sort((a, b) => a.row - b.row)
+    };
+  });
+};
+
+export default {
+  IMPORT_ENTITIES,
+  IMPORT_MAX_ROWS,
+  DUPLICATE_SHOP_RADIUS_M,
+  parseSpreadsheet,
+  runImport
+};
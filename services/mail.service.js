@@ -0,0 +1,46 @@
+/**
+ * Mail service for Snowfun Nepal application
+ *
+ * Renders email templates and sends them through the configured mail
+ * transport (see mail/index.js).
+ */
+
+import { getMailTransport } from './mail/index.js';
+import { passwordResetTemplate } from './mail/templates/password-reset.js';
+import { userInviteTemplate } from './mail/templates/user-invite.js';
+
+const templates = {
+  'password-reset': passwordResetTemplate,
+  'user-invite': userInviteTemplate
+};
+
+const DEFAULT_FROM = 'Snowfun Nepal <no-reply@snowfun.com>';
+
+/**
+ * Render a template and send it
+ * @param {string} templateName - Key of a registered template
+ * @param {string} to - Recipient address
+ * @param {Object} data - Template data
+ * @returns {Promise<Object>} { messageId }
+ */
+export const sendTemplatedMail = async (templateName, to, data) => {
+  const template = templates[templateName];
+
+  if (!template) {
+    throw new Error(`Unknown mail template '${templateName}'`);
+  }
+
+  const { subject, text, html } = template(data);
+
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+export default {
+  sendTemplatedMail
+};
@@ -0,0 +1,21 @@
+/**
+ * Console mail transport for Snowfun Nepal application
+ *
+ * Development transport that prints the plain-text body of each message to
+ * the server log instead of sending it.
+ */
+
+/**
+ * Create a console mail transport
+ * @returns {Object} Mail transport
+ */
+export const createConsoleTransport = () => ({
+  name: 'console',
+
+  async send({ to, subject, text }) {
+    console.log(`✉️ Mail to ${to}: ${subject}\n${text}`);
+    return { messageId: null };
+  }
+});
+
+export default createConsoleTransport;
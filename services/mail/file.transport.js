@@ -0,0 +1,32 @@
+/**
+ * File mail transport for Snowfun Nepal application
+ *
+ * Development transport that writes each message to its own JSON file, so
+ * rendered emails (including the HTML version) can be inspected.
+ */
+
+import { writeFile, mkdir } from 'fs/promises';
+import path from 'path';
+
+/**
+ * Create a file mail transport
+ * @param {Object} config - { directory }
+ * @returns {Object} Mail transport
+ */
+export const createFileTransport = ({ directory }) => ({
+  name: 'file',
+
+  async send(message) {
+    await mkdir(directory, { recursive: true });
+
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await writeFile(
+      path.join(directory, `${messageId}.json`),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+
+    return { messageId };
+  }
+});
+
+export default createFileTransport;
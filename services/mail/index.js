@@ -0,0 +1,75 @@
+/**
+ * Mail transport factory for Snowfun Nepal application
+ *
+ * A mail transport exposes `name` and `send({ from, to, subject, text, html })`,
+ * which resolves to `{ messageId }` and throws if the message cannot be sent.
+ * Callers should go through mail.service.js, which renders templates.
+ *
+ * Configuration (environment variables):
+ * - MAIL_DRIVER: 'smtp', 'file' or 'console'. Required in production;
+ *   defaults to 'console' elsewhere
+ * - MAIL_FROM: sender address (default "Snowfun Nepal <no-reply@snowfun.com>")
+ * - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS: SMTP settings
+ * - MAIL_OUTPUT_DIR: output directory for the 'file' driver (default logs/mail)
+ */
+
+import { createSmtpTransport } from './smtp.transport.js';
+import { createConsoleTransport } from './console.transport.js';
+import { createFileTransport } from './file.transport.js';
+
+const factories = {
+  smtp: () => {
+    if (!process.env.SMTP_HOST) {
+      throw new Error("SMTP_HOST must be set to use the 'smtp' mail driver");
+    }
+
+    return createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587'),
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    });
+  },
+  file: () => createFileTransport({
+    directory: process.env.MAIL_OUTPUT_DIR || 'logs/mail'
+  }),
+  console: () => createConsoleTransport()
+};
+
+let transport = null;
+
+/**
+ * Get the configured mail transport (created on first use)
+ * @returns {Object} Mail transport
+ */
+export const getMailTransport = () => {
+  if (!transport) {
+    const driver = process.env.MAIL_DRIVER
+      || (process.env.NODE_ENV === 'production' ? null : 'console');
+
+    if (!driver) {
+      throw new Error('MAIL_DRIVER is not configured');
+    }
+
+    const factory = factories[driver];
+
+    if (!factory) {
+      throw new Error(`Unknown MAIL_DRIVER '${driver}'. Expected one of: ${Object.keys(factories).join(', ')}`);
+    }
+
+    transport = factory();
+  }
+
+  return transport;
+};
+
+/**
+ * Replace the mail transport (e.g. with a stub in tests)
+ * @param {Object} mailTransport - Mail transport implementation
+ */
+export const setMailTransport = (mailTransport) => {
+  transport = mailTransport;
+};
+
+export default getMailTransport;
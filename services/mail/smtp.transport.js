@@ -0,0 +1,33 @@
+/**
+ * SMTP mail transport for Snowfun Nepal application
+ *
+ * Sends mail through any SMTP server (e.g. a hosted provider or the
+ * company mail server) using nodemailer.
+ */
+
+import nodemailer from 'nodemailer';
+
+/**
+ * Create an SMTP mail transport
+ * @param {Object} config - { host, port, secure, user, pass }
+ * @returns {Object} Mail transport
+ */
+export const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+export default createSmtpTransport;
@@ -0,0 +1,47 @@
+/**
+ * Shared HTML layout for Snowfun Nepal emails
+ */
+
+/**
+ * Escape text for safe interpolation into HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+export const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Wrap email body HTML in the Snowfun Nepal layout
+ * @param {string} title - Heading shown above the body
+ * @param {string} bodyHtml - Already-escaped body HTML
+ * @returns {string} Complete HTML document
+ */
+export const renderLayout = (title, bodyHtml) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f0fdf4;font-family:Arial,sans-serif;color:#1f2937;">
+    <table role="presentation" width="100%" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;border:1px solid #dcfce7;">
+      <tr>
+        <td style="padding:20px 24px;background:#16a34a;border-radius:8px 8px 0 0;color:#ffffff;font-size:20px;font-weight:bold;">
+          ❄️ Snowfun Nepal
+        </td>
+      </tr>
+      <tr>
+        <td style="padding:24px;">
+          <h1 style="margin:0 0 16px;font-size:18px;">${escapeHtml(title)}</h1>
+          ${bodyHtml}
+        </td>
+      </tr>
+      <tr>
+        <td style="padding:16px 24px;font-size:12px;color:#6b7280;border-top:1px solid #f3f4f6;">
+          Freezer &amp; Outlet Tracker &middot; This is an automated message, please do not reply.
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+
+export default renderLayout;
@@ -0,0 +1,42 @@
+/**
+ * Password reset email template
+ */
+
+import { renderLayout, escapeHtml } from './layout.js';
+
+/**
+ * Render the password reset email
+ * @param {Object} data - Template data
+ * @param {string} data.fullName - Recipient name
+ * @param {string} data.resetUrl - Link to the reset page, including the token
+ * @param {number} data.expiresInMinutes - Token lifetime
+ * @returns {Object} { subject, text, html }
+ */
+export const passwordResetTemplate = ({ fullName, resetUrl, expiresInMinutes }) => ({
+  subject: 'Reset your Snowfun Nepal password',
+
+  text: [
+    `Hello ${fullName},`,
+    '',
+    'We received a request to reset the password for your Snowfun Nepal account.',
+    `Open the link below to choose a new password. It can be used once and expires in ${expiresInMinutes} minutes.`,
+    '',
+    resetUrl,
+    '',
+    'If you did not request this, you can ignore this email; your password will not change.'
+  ].join('\n'),
+
+  html: renderLayout('Reset your password', `
+    <p>Hello ${escapeHtml(fullName)},</p>
+    <p>We received a request to reset the password for your Snowfun Nepal account.</p>
+    <p style="margin:24px 0;">
+      <a href="${escapeHtml(resetUrl)}" style="background:#16a34a;color:#ffffff;padding:10px 20px;border-radius:6px;text-decoration:none;font-weight:bold;">
+        Choose a new password
+      </a>
+    </p>
+    <p>This link can be used once and expires in ${escapeHtml(expiresInMinutes)} minutes.</p>
+    <p style="color:#6b7280;">If you did not request this, you can ignore this email; your password will not change.</p>
+  `)
+});
+
+export default passwordResetTemplate;
@@ -0,0 +1,41 @@
+/**
+ * User invitation email template
+ */
+
+import { renderLayout, escapeHtml } from './layout.js';
+
+/**
+ * Render the invitation email sent when an admin creates an account
+ * @param {Object} data - Template data
+ * @param {string} data.fullName - Recipient name
+ * @param {string} data.roleName - Role the account was given
+ * @param {string} data.invitedBy - Name of the inviting admin
+ * @param {string} data.setupUrl - Link to choose a password, including the token
+ * @param {number} data.expiresInHours - Link lifetime
+ * @returns {Object} { subject, text, html }
+ */
+export const userInviteTemplate = ({ fullName, roleName, invitedBy, setupUrl, expiresInHours }) => ({
+  subject: 'You have been invited to Snowfun Nepal',
+
+  text: [
+    `Hello ${fullName},`,
+    '',
+    `${invitedBy} has created a Snowfun Nepal account for you (${roleName}).`,
+    `Open the link below to choose your password. It can be used once and expires in ${expiresInHours} hours.`,
+    '',
+    setupUrl
+  ].join('\n'),
+
+  html: renderLayout('Welcome to Snowfun Nepal', `
+    <p>Hello ${escapeHtml(fullName)},</p>
+    <p>${escapeHtml(invitedBy)} has created a Snowfun Nepal account for you (${escapeHtml(roleName)}).</p>
+    <p style="margin:24px 0;">
+      <a href="${escapeHtml(setupUrl)}" style="background:#16a34a;color:#ffffff;padding:10px 20px;border-radius:6px;text-decoration:none;font-weight:bold;">
+        Choose your password
+      </a>
+    </p>
+    <p>This link can be used once and expires in ${escapeHtml(expiresInHours)} hours.</p>
+  `)
+});
+
+export default userInviteTemplate;
@@ -0,0 +1,65 @@
+/**
+ * OTP store factory for Snowfun Nepal application
+ *
+ * An OTP store persists hashed login codes and OTP send history. Every
+ * implementation exposes the same async interface:
+ *
+ * - saveCode({ phone, codeHash, expiresAt }) – replace the phone's code, resetting attempts
+ * - findCode(phone) – { phone, codeHash, expiresAt, attempts } or null
+ * - claimAttempt(phone, maxAttempts) – count a verify attempt if the code has
+ *   fewer than maxAttempts, returning the code with the new count, or null
+ * - consumeCode(phone, codeHash) – delete the code only if it still has this
+ *   hash, returns true if it was deleted
+ * - deleteCode(phone) – remove the phone's code
+ * - withSendLock(keys, callback) – run callback(sendLog) while holding a lock
+ *   on every throttle key, where sendLog has:
+ *   - getSendTimes(key, since) – send times for a throttle key since a date, oldest first
+ *   - recordSend(keys, at) – log a send against each throttle key
+ *
+ * claimAttempt, consumeCode and withSendLock must be atomic across API
+ * instances sharing the store, so concurrent requests cannot exceed the
+ * attempt or send limits or use a code twice.
+ *
+ * The backend is chosen with OTP_STORE ('postgres' by default, or 'memory').
+ */
+
+import { createPostgresOtpStore } from './postgres.store.js';
+import { createMemoryOtpStore } from './memory.store.js';
+
+const factories = {
+  postgres: createPostgresOtpStore,
+  memory: createMemoryOtpStore
+};
+
+let store = null;
+
+/**
+ * Get the configured OTP store (created on first use)
+ * @returns {Object} OTP store
+ */
+export const getOtpStore = () => {
+  if (!store) {
+    const driver = process.env.OTP_STORE || 'postgres';
+    const factory = factories[driver];
+
+    if (!factory) {
+      throw new Error(`Unknown OTP_STORE '${driver}'. Expected one of: ${Object.keys(factories).join(', ')}`);
+    }
+
+    store = factory();
+  }
+
+  return store;
+};
+
+/**
+ * Replace the OTP store (e.g. with an in-memory store in tests)
+ * @param {Object} otpStore - OTP store implementation
+ */
+export const setOtpStore = (otpStore) => {
+  store = otpStore;
+};
+
+export { createPostgresOtpStore, createMemoryOtpStore };
+
+export default getOtpStore;
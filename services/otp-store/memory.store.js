@@ -0,0 +1,69 @@
+/**
+ * In-memory OTP store for Snowfun Nepal application
+ *
+ * Process-local implementation of the OTP store interface (see index.js).
+ * Intended for tests and single-instance local development only: data is
+ * lost on restart and is not shared between API instances.
+ */
+
+/**
+ * Create an in-memory OTP store
+ * @returns {Object} OTP store
+ */
+export const createMemoryOtpStore = () => {
+  const codes = new Map();
+  const sends = new Map();
+  let sendQueue = Promise.resolve();
+
+  const sendLog = {
+    async recordSend(keys, at = new Date()) {
+      keys.forEach(key => {
+        sends.set(key, [...(sends.get(key) || []), at]);
+      });
+    },
+
+    async getSendTimes(key, since) {
+      const times = (sends.get(key) || []).filter(time => time >= since);
+      sends.set(key, times); // Drop entries outside the window as we go
+      return times;
+    }
+  };
+
+  return {
+    async saveCode({ phone, codeHash, expiresAt }) {
+      codes.set(phone, { phone, codeHash, expiresAt, attempts: 0 });
+    },
+
+    async findCode(phone) {
+      const code = codes.get(phone);
+      return code ? { ...code } : null;
+    },
+
+    async claimAttempt(phone, maxAttempts) {
+      const code = codes.get(phone);
+      if (!code || code.attempts >= maxAttempts) return null;
+      code.attempts += 1;
+      return { ...code };
+    },
+
+    async consumeCode(phone, codeHash) {
+      const code = codes.get(phone);
+      if (!code || code.codeHash !== codeHash) return false;
+      codes.delete(phone);
+      return true;
+    },
+
+    async deleteCode(phone) {
+      codes.delete(phone);
+    },
+
+    async withSendLock(keys, callback) {
+      // Run throttled sends one at a time; a single process needs no per-key locks
+      const run = sendQueue.then(() => callback(sendLog));
+      sendQueue = run.catch(() => {});
+      return run;
+    }
+  };
+};
+
+export default createMemoryOtpStore;
@@ -0,0 +1,98 @@
+/**
+ * Postgres OTP store for Snowfun Nepal application
+ *
+ * Implementation of the OTP store interface (see index.js) backed by the
+ * `otp_codes` and `otp_send_log` tables, so codes and rate limits survive
+ * restarts and are shared by every API instance.
+ */
+
+import { getManager, getRepository, MoreThanOrEqual, LessThan } from 'typeorm';
+import OtpCode from '../../models/OtpCode.js';
+import OtpSendLog from '../../models/OtpSendLog.js';
+
+// Send log rows older than this are no longer needed by any throttle window
+const SEND_LOG_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Send log operations bound to a transaction
+ * @param {EntityManager} manager - Transaction entity manager
+ * @returns {Object} { recordSend, getSendTimes }
+ */
+const createSendLog = (manager) => ({
+  async recordSend(keys, at = new Date()) {
+    const repository = manager.getRepository(OtpSendLog);
+    await repository.insert(keys.map(throttleKey => ({ throttleKey, createdAt: at })));
+    await repository.delete({ createdAt: LessThan(new Date(at.getTime() - SEND_LOG_RETENTION_MS)) });
+  },
+
+  async getSendTimes(key, since) {
+    const rows = await manager.getRepository(OtpSendLog).find({
+      where: { throttleKey: key, createdAt: MoreThanOrEqual(since) },
+      order: { createdAt: 'ASC' }
+    });
+    return rows.map(row => new Date(row.createdAt));
+  }
+});
+
+/**
+ * Create a Postgres-backed OTP store
+ * @returns {Object} OTP store
+ */
+export const createPostgresOtpStore = () => ({
+  async saveCode({ phone, codeHash, expiresAt }) {
+    // Issuing a new code replaces the previous one and resets its attempts
+    await getRepository(OtpCode)
+      .createQueryBuilder()
+      .insert()
+      .values({ phone, codeHash, expiresAt, attempts: 0 })
+      .orUpdate({
+        conflict_target: ['phone'],
+        overwrite: ['code_hash', 'expires_at', 'attempts', 'created_at']
+      })
+      .execute();
+  },
+
+  async findCode(phone) {
+    const code = await getRepository(OtpCode).findOne({ where: { phone } });
+    return code || null;
+  },
+
+  async claimAttempt(phone, maxAttempts) {
+    // A single conditional UPDATE, so concurrent guesses cannot both pass the limit
+    const result = await getRepository(OtpCode)
+      .createQueryBuilder()
+      .update()
+      .set({ attempts: () => 'attempts + 1' })
+      .where('phone = :phone AND attempts < :maxAttempts', { phone, maxAttempts })
+      .returning('*')
+      .execute();
+
+    const [row] = result.raw;
+    return row
+      ? { phone, codeHash: row.code_hash, expiresAt: row.expires_at, attempts: row.attempts }
+      : null;
+  },
+
+  async consumeCode(phone, codeHash) {
+    const { affected } = await getRepository(OtpCode).delete({ phone, codeHash });
+    return Boolean(affected);
+  },
+
+  async deleteCode(phone) {
+    await getRepository(OtpCode).delete({ phone });
+  },
+
+  async withSendLock(keys, callback) {
+    return getManager().transaction(async (manager) => {
+      // Transaction-scoped advisory locks, taken in a fixed order so that
+      // sends sharing a key queue up instead of deadlocking
+      for (const key of [...keys].sort()) {
+        await manager.query('SELECT pg_advisory_xact_lock(hashtext($1))', [key]);
+      }
+
+      return callback(createSendLog(manager));
+    });
+  }
+});
+
+export default createPostgresOtpStore;
@@ -0,0 +1,173 @@
+/**
+ * OTP service for Snowfun Nepal application
+ *
+ * Issues and verifies one-time login codes on top of the configured OTP
+ * store (see otp-store/index.js). Codes are stored as an HMAC of the phone
+ * number and code, so a leaked table cannot be replayed. Each code accepts
+ * a limited number of wrong guesses, and sending is throttled per phone
+ * number and per client IP.
+ *
+ * Configuration (environment variables):
+ * - OTP_STORE: 'postgres' (default) or 'memory'
+ * - OTP_HASH_SECRET: HMAC key for stored codes (falls back to JWT_SECRET)
+ */
+
+import crypto from 'crypto';
+import { getOtpStore } from './otp-store/index.js';
+
+export const OTP_TTL_MS = 5 * 60 * 1000;
+export const MAX_VERIFY_ATTEMPTS = 5;
+
+// Each rule allows `limit` sends per `windowMs` for its key type
+export const THROTTLE_RULES = [
+  { key: 'phone', limit: 1, windowMs: 60 * 1000 },
+  { key: 'phone', limit: 5, windowMs: 60 * 60 * 1000 },
+  { key: 'ip', limit: 20, windowMs: 60 * 60 * 1000 }
+];
+
+/**
+ * Generate a random 6-digit OTP
+ * @returns {string} 6-digit OTP
+ */
+const generateOTP = () => crypto.randomInt(100000, 1000000).toString();
+
+/**
+ * Hash a code for storage, bound to the phone number it was sent to
+ * @param {string} phone - Formatted phone number
+ * @param {string} code - Plain OTP
+ * @returns {string} Hex HMAC-SHA256
+ */
+const hashCode = (phone, code) =>
+  crypto
+    .createHmac('sha256', process.env.OTP_HASH_SECRET || process.env.JWT_SECRET)
+    .update(`${phone}:${code}`)
+    .digest('hex');
+
+/**
+ * Compare two hex hashes in constant time
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash
+ * @returns {boolean} True if equal
+ */
+const hashesMatch = (a, b) => {
+  const bufferA = Buffer.from(a, 'hex');
+  const bufferB = Buffer.from(b, 'hex');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Work out how long a caller must wait before another send is allowed
+ * @param {Object} sendLog - Send log from the store's withSendLock
+ * @param {Object} keys - { phone, ip } throttle keys
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Seconds to wait, 0 if allowed
+ */
+const getRetryAfter = async (sendLog, keys, now) => {
+  let retryAfterMs = 0;
+
+  for (const rule of THROTTLE_RULES) {
+    const key = keys[rule.key];
+    if (!key) continue;
+
+    const times = await sendLog.getSendTimes(key, new Date(now.getTime() - rule.windowMs));
+
+    if (times.length >= rule.limit) {
+      // The window frees up once the oldest send that counts against it expires
+      const oldest = times[times.length - rule.limit];
+      retryAfterMs = Math.max(retryAfterMs, oldest.getTime() + rule.windowMs - now.getTime());
+    }
+  }
+
+  return Math.ceil(retryAfterMs / 1000);
+};
+
+/**
+ * Issue a new OTP for a phone number, unless throttled
+ * @param {string} phone - Formatted phone number
+ * @param {string} [ip] - Client IP address
+ * @returns {Promise<Object>} { otp } on success, or { throttled: true, retryAfter } (seconds)
+ */
+export const issueOtp = async (phone, ip) => {
+  const store = getOtpStore();
+  const now = new Date();
+  const keys = {
+    phone: `phone:${phone}`,
+    ip: ip ? `ip:${ip}` : null
+  };
+
+  const throttleKeys = Object.values(keys).filter(Boolean);
+
+  // Check and record the send under one lock so concurrent requests cannot
+  // both pass the throttle
+  const retryAfter = await store.withSendLock(throttleKeys, async (sendLog) => {
+    const wait = await getRetryAfter(sendLog, keys, now);
+    if (wait === 0) {
+      await sendLog.recordSend(throttleKeys, now);
+    }
+    return wait;
+  });
+
+  if (retryAfter > 0) {
+    return { throttled: true, retryAfter };
+  }
+
+  const otp = generateOTP();
+
+  await store.saveCode({
+    phone,
+    codeHash: hashCode(phone, otp),
+    expiresAt: new Date(now.getTime() + OTP_TTL_MS)
+  });
+
+  return { otp };
+};
+
+/**
+ * Verify an OTP. Every guess is counted before the code is compared, so
+ * concurrent guesses cannot exceed the attempt limit. A correct code is
+ * consumed; once the limit is reached the code is discarded.
+ * @param {string} phone - Formatted phone number
+ * @param {string} code - OTP entered by the user
+ * @returns {Promise<Object>} { valid, reason?, attemptsRemaining? } where reason is
+ *   'missing', 'expired', 'locked' or 'mismatch'
+ */
+export const verifyOtp = async (phone, code) => {
+  const store = getOtpStore();
+  const stored = await store.claimAttempt(phone, MAX_VERIFY_ATTEMPTS);
+
+  if (!stored) {
+    // Either there is no code or its attempts are used up
+    const existing = await store.findCode(phone);
+    if (!existing) {
+      return { valid: false, reason: 'missing' };
+    }
+
+    await store.consumeCode(phone, existing.codeHash);
+    return { valid: false, reason: 'locked', attemptsRemaining: 0 };
+  }
+
+  if (new Date(stored.expiresAt).getTime() <= Date.now()) {
+    await store.consumeCode(phone, stored.codeHash);
+    return { valid: false, reason: 'expired' };
+  }
+
+  if (!hashesMatch(stored.codeHash, hashCode(phone, code))) {
+    const attemptsRemaining = Math.max(MAX_VERIFY_ATTEMPTS - stored.attempts, 0);
+
+    if (attemptsRemaining === 0) {
+      await store.consumeCode(phone, stored.codeHash);
+      return { valid: false, reason: 'locked', attemptsRemaining };
+    }
+
+    return { valid: false, reason: 'mismatch', attemptsRemaining };
+  }
+
+  // Valid: only the request that deletes the code may use it
+  const consumed = await store.consumeCode(phone, stored.codeHash);
+  return consumed ? { valid: true } : { valid: false, reason: 'missing' };
+};
+
+export default {
+  issueOtp,
+  verifyOtp
+};
@@ -0,0 +1,99 @@
+/**
+ * Password reset service for Snowfun Nepal application
+ *
+ * Issues single-use password reset tokens. The token itself is only ever
+ * sent by email; the database keeps a SHA-256 hash of it.
+ *
+ * Configuration (environment variables):
+ * - APP_URL: web app origin used in reset links (falls back to CORS_ORIGIN)
+ */
+
+import crypto from 'crypto';
+import { getRepository, IsNull } from 'typeorm';
+import PasswordResetToken from '../models/PasswordResetToken.js';
+
+export const RESET_TOKEN_TTL_MINUTES = 60;
+
+// Invitation links set the first password, so they last longer
+export const INVITE_TOKEN_TTL_MINUTES = 3 * 24 * 60;
+
+/**
+ * Hash a reset token for storage and lookup
+ * @param {string} token - Reset token
+ * @returns {string} Hex SHA-256
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Build the web app link for a reset token
+ * @param {string} token - Reset token
+ * @returns {string} Reset URL
+ */
+export const buildResetUrl = (token) => {
+  const origin = process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+  return `${origin.replace(/\/$/, '')}/reset-password?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Invalidate all outstanding reset tokens for a user. Called whenever the
+ * password changes.
+ * @param {string} userId - User ID
+ */
+export const invalidateResetTokens = async (userId) => {
+  await getRepository(PasswordResetToken).update(
+    { userId, usedAt: IsNull() },
+    { usedAt: new Date() }
+  );
+};
+
+/**
+ * Create a reset token for a user
+ * @param {Object} user - User entity
+ * @param {string} [requestedIp] - IP address of the request
+ * @param {number} [ttlMinutes] - Token lifetime
+ * @returns {Promise<string>} Plain reset token
+ */
+export const createResetToken = async (user, requestedIp = null, ttlMinutes = RESET_TOKEN_TTL_MINUTES) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const tokenRepository = getRepository(PasswordResetToken);
+
+  await tokenRepository.save(tokenRepository.create({
+    userId: user.id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    requestedIp
+  }));
+
+  return token;
+};
+
+/**
+ * Use a reset token. Succeeds at most once per token.
+ * @param {string} token - Reset token from the email link
+ * @returns {Promise<string|null>} User ID, or null if invalid, used or expired
+ */
+export const consumeResetToken = async (token) => {
+  const tokenRepository = getRepository(PasswordResetToken);
+  const record = await tokenRepository.findOne({
+    where: { tokenHash: hashToken(token) }
+  });
+
+  if (!record || !record.isUsable()) {
+    return null;
+  }
+
+  // Conditional update so two concurrent requests cannot both use the token
+  const { affected } = await tokenRepository.update(
+    { id: record.id, usedAt: IsNull() },
+    { usedAt: new Date() }
+  );
+
+  return affected ? record.userId : null;
+};
+
+export default {
+  buildResetUrl,
+  createResetToken,
+  consumeResetToken,
+  invalidateResetTokens
+};
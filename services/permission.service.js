@@ -0,0 +1,205 @@
+/**
+ * Permission service for Snowfun Nepal application
+ *
+ * Defines the permissions routes can require and checks them against the
+ * authenticated user. The list lives here so code and database agree on the
+ * keys; `syncPermissions` adds any new ones to the `permissions` table at
+ * start-up. Which roles hold which permissions is data, managed through
+ * /api/roles. The admin role holds every permission without a mapping.
+ * Dealer portal users are users whose role holds 'data:dealer'; field PSRs
+ * are users whose role holds 'visits:record'.
+ */
+
+import { getRepository } from 'typeorm';
+import Permission from '../models/Permission.js';
+import Role from '../models/Role.js';
+
+/**
+ * Permission keys and their descriptions, shown in the role editor
+ */
+export const PERMISSIONS = {
+  'fridges:transfer': 'Move fridges between shops and dealer warehouses',
+  'repairs:manage': 'Work the repair queue and update repair tickets',
+  'catalog:manage': 'Edit fridge brands, types and models',
+  'imports:run': 'Run bulk shop and fridge imports',
+  'reports:view': 'View and export reports',
+  'reports:manage': 'Rebuild the daily stats snapshot behind the dashboard',
+  'users:manage': 'Invite, edit and deactivate users',
+  'roles:manage': 'Create roles and change their permissions',
+  'data:all': 'See every dealer, shop and fridge regardless of assignment',
+  'data:territory': 'See every dealer, shop and fridge in the districts or dealers of their territory',
+  'visits:review': 'Review visits flagged outside the shop geofence',
+  'data:dealer': 'Dealer portal: see only the shops, fridges and visits of the linked dealer',
+  'fridges:report': 'Flag fridges for repair or as missing, and mark repaired fridges as working',
+  'fridges:recover': 'Recover fridges reported missing',
+  'deposits:manage': 'Record deposit refunds and forfeits, and payments collected by other PSRs',
+  'visits:record': 'Field PSR: record shop visits, take dealer and shop assignments, collect deposits and get visit reminders',
+  'dealers:manage': 'Create, edit and delete dealers',
+  'fridges:manage': 'Register, edit and delete fridges',
+  'shops:delete': 'Delete shops with their fridges and visits',
+  'files:delete': 'Delete uploaded files',
+  'assignments:manage': 'Assign PSRs to dealers and shops, and move a PSR\'s territory to another PSR',
+  'routes:pin': 'Pin and unpin PSRs\' daily routes',
+  'visit-policies:manage': 'Set how often dealers and shops must be visited'
+};
+
+/**
+ * Permission held by field PSRs' roles
+ */
+export const FIELD_PERMISSION = 'visits:record';
+
+/**
+ * Built-in roles that receive a permission when it is first added, so
+ * existing installs keep working when a role-name check becomes a permission.
+ * Later changes in the role editor are left alone.
+ */
+const DEFAULT_GRANTS = {
+  'fridges:report': [Role.ROLES.PSR],
+  'visits:record': [Role.ROLES.PSR]
+};
+
+/**
+ * Check whether a user holds a permission
+ * @param {Object} user - Authenticated user from req.user ({ role, permissions })
+ * @param {string} key - Permission key
+ * @returns {boolean} True if the user's role grants the permission
+ */
+export const hasPermission = (user, key) => {
+  if (!user) {
+    return false;
+  }
+
+  if (user.role === 'admin') {
+    return true;
+  }
+
+  return Boolean(user.permissions && user.permissions.includes(key));
+};
+
+/**
+ * Check whether a user signs in to the dealer portal: a non-admin whose
+ * role holds 'data:dealer' and who only sees their linked dealer
+ * @param {Object} user - Authenticated user from req.user
+ * @returns {boolean} True for dealer portal users
+ */
+export const isDealerUser = (user) =>
+  Boolean(user && user.role !== 'admin' && hasPermission(user, 'data:dealer'));
+
+/**
+ * Check whether a user is a field PSR: a non-admin whose role holds
+ * 'visits:record'. Admins hold every permission but do not work in the field.
+ * @param {Object} user - Authenticated user from req.user
+ * @returns {boolean} True for field PSRs
+ */
+export const isFieldUser = (user) =>
+  Boolean(user && user.role !== 'admin' && hasPermission(user, FIELD_PERMISSION));
+
+/**
+ * Check whether a role makes its users field PSRs
+ * @param {Role} role - Role (permissions relation loaded)
+ * @returns {boolean} True if the role is not admin and holds 'visits:record'
+ */
+export const isFieldRole = (role) =>
+  Boolean(role && !role.isAdmin() && role.grants(FIELD_PERMISSION));
+
+/**
+ * Restrict a user query builder to field PSRs by joining their role's
+ * 'visits:record' permission
+ * @param {SelectQueryBuilder} qb - Query builder selecting users
+ * @param {string} alias - Alias of the user entity in the query
+ * @returns {SelectQueryBuilder} The same query builder
+ */
+export const joinFieldRole = (qb, alias = 'user') =>
+  qb
+    .innerJoin(`${alias}.role`, 'fieldRole', 'fieldRole.roleName != :adminRoleName', { adminRoleName: 'admin' })
+    .innerJoin('fieldRole.permissions', 'fieldPermission', 'fieldPermission.key = :fieldPermission', {
+      fieldPermission: FIELD_PERMISSION
+    });
+
+/**
+ * List the permissions of a role that a user does not hold
+ * @param {Object} user - Authenticated user from req.user
+ * @param {Role} role - Role (permissions relation loaded)
+ * @returns {string[]} Withheld permission keys
+ */
+export const findWithheldPermissions = (user, role) =>
+  (role.permissions || [])
+    .map(permission => permission.key)
+    .filter(key => !hasPermission(user, key));
+
+/**
+ * Check whether a user may change another user's account or sessions. Admin
+ * accounts can only be changed by admins, and users whose role holds
+ * permissions the acting user lacks are out of reach, so 'users:manage'
+ * cannot be used to take over or lock out a more privileged account.
+ * @param {Object} actor - Authenticated user from req.user
+ * @param {User} target - User to change (role.permissions loaded)
+ * @returns {string|null} Why the change is not allowed, or null if it is
+ */
+export const getUserManagementBlock = (actor, target) => {
+  if (target.role.isAdmin() && actor.role !== 'admin') {
+    return 'Only admins can change admin accounts';
+  }
+
+  const withheld = findWithheldPermissions(actor, target.role);
+  if (withheld.length > 0) {
+    return `You cannot change users whose role holds permissions you do not hold: ${withheld.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Insert permissions that exist in code but not yet in the database, and
+ * refresh the descriptions of existing ones. Permissions removed from code
+ * are left in place so existing role mappings are not lost silently. A new
+ * permission is given to the built-in roles listed in DEFAULT_GRANTS.
+ * @returns {Promise<number>} Number of permissions added
+ */
+export const syncPermissions = async () => {
+  const repository = getRepository(Permission);
+  const roleRepository = getRepository(Role);
+  const existing = await repository.find();
+  const byKey = new Map(existing.map(permission => [permission.key, permission]));
+  let added = 0;
+
+  for (const [key, description] of Object.entries(PERMISSIONS)) {
+    const permission = byKey.get(key);
+
+    if (!permission) {
+      const created = await repository.save(repository.create({ key, description }));
+      added += 1;
+
+      for (const roleId of DEFAULT_GRANTS[key] || []) {
+        if (await roleRepository.count({ where: { id: roleId } })) {
+          await roleRepository
+            .createQueryBuilder()
+            .relation(Role, 'permissions')
+            .of(roleId)
+            .add(created.id);
+        }
+      }
+    } else if (permission.description !== description) {
+      await repository.update(permission.id, { description });
+    }
+  }
+
+  if (added > 0) {
+    console.log(`Added ${added} new permission(s)`);
+  }
+
+  return added;
+};
+
+export default {
+  PERMISSIONS,
+  FIELD_PERMISSION,
+  hasPermission,
+  isDealerUser,
+  isFieldUser,
+  isFieldRole,
+  joinFieldRole,
+  findWithheldPermissions,
+  getUserManagementBlock,
+  syncPermissions
+};
@@ -0,0 +1,145 @@
+/**
+ * Repair service for Snowfun Nepal application
+ *
+ * Opens and advances fridge repair tickets. A ticket moves
+ * reported → assigned → in_progress → fixed | replaced; closing it moves the
+ * fridge back to 'working' through the fridge status service, in the same
+ * transaction, so the status history shows the repair. While a ticket is
+ * open, closing it is the only way to mark the fridge working again.
+ *
+ * Configuration (environment variables):
+ * - REPAIR_SLA_ASSIGN_HOURS: hours to assign a technician (default 24)
+ * - REPAIR_SLA_RESOLVE_HOURS: hours to fix or replace the fridge (default 72)
+ */
+
+import { createError } from '../middleware/errorHandler.js';
+import RepairTicket from '../models/RepairTicket.js';
+import Fridge from '../models/Fridge.js';
+import { changeFridgeStatus } from './fridge-status.service.js';
+
+export const REPAIR_SLA_ASSIGN_HOURS = parseInt(process.env.REPAIR_SLA_ASSIGN_HOURS || '24', 10);
+export const REPAIR_SLA_RESOLVE_HOURS = parseInt(process.env.REPAIR_SLA_RESOLVE_HOURS || '72', 10);
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+
+/**
+ * Allowed ticket status transitions
+ */
+export const REPAIR_TRANSITIONS = {
+  reported: ['assigned'],
+  assigned: ['in_progress'],
+  in_progress: ['fixed', 'replaced'],
+  fixed: [],
+  replaced: []
+};
+
+/**
+ * Find the open ticket of a fridge
+ * @param {EntityManager} manager - Entity manager
+ * @param {number} fridgeId - Fridge ID
+ * @returns {Promise<RepairTicket|undefined>} Open ticket, if any
+ */
+export const findOpenTicket = (manager, fridgeId) =>
+  manager
+    .createQueryBuilder(RepairTicket, 'repair')
+    .where('repair.fridgeId = :fridgeId', { fridgeId })
+    .andWhere('repair.status IN (:...openStatuses)', { openStatuses: RepairTicket.OPEN_STATUS_VALUES })
+    .getOne();
+
+/**
+ * Open a repair ticket for a fridge, or return its existing open ticket
+ * @param {EntityManager} manager - Transactional entity manager
+ * @param {Fridge} fridge - Fridge needing repair
+ * @param {Object} options - { description, visitId, actor }
+ * @returns {Promise<Object>} { ticket, created }
+ */
+export const openRepairTicket = async (manager, fridge, { description = null, visitId = null, actor }) => {
+  const existing = await findOpenTicket(manager, fridge.id);
+  if (existing) {
+    return { ticket: existing, created: false };
+  }
+
+  const now = Date.now();
+  const ticket = manager.create(RepairTicket, {
+    fridgeId: fridge.id,
+    status: 'reported',
+    description,
+    visitId,
+    reportedById: actor?.id || null,
+    assignDueAt: new Date(now + REPAIR_SLA_ASSIGN_HOURS * MS_PER_HOUR),
+    resolveDueAt: new Date(now + REPAIR_SLA_RESOLVE_HOURS * MS_PER_HOUR)
+  });
+
+  return { ticket: await manager.save(ticket), created: true };
+};
+
+/**
+ * Move a ticket to its next status. Assigning needs a technician; closing
+ * (fixed or replaced) records the cost and parts and returns the fridge to
+ * 'working' if it is still in 'repair' (a fridge marked missing meanwhile
+ * stays missing and has to be recovered).
+ * @param {EntityManager} manager - Transactional entity manager
+ * @param {RepairTicket} ticket - Ticket to update
+ * @param {string} toStatus - New status
+ * @param {Object} details - { technicianName, technicianPhone, costNpr, partsNotes, actor }
+ * @returns {Promise<RepairTicket>} Updated ticket
+ * @throws {Error} 400 for a disallowed transition or missing details
+ */
+export const advanceRepairTicket = async (manager, ticket, toStatus, details) => {
+  const { technicianName, technicianPhone, costNpr, partsNotes, actor } = details;
+
+  if (!REPAIR_TRANSITIONS[ticket.status]?.includes(toStatus)) {
+    throw createError(`Repair ticket cannot move from '${ticket.status}' to '${toStatus}'`, 400);
+  }
+
+  const now = new Date();
+
+  if (toStatus === 'assigned') {
+    if (!technicianName) {
+      throw createError('A technician name is required to assign the ticket', 400);
+    }
+    ticket.technicianName = technicianName;
+    ticket.technicianPhone = technicianPhone || null;
+    ticket.assignedAt = now;
+  }
+
+  if (toStatus === 'in_progress') {
+    ticket.startedAt = now;
+  }
+
+  if (toStatus === 'fixed' || toStatus === 'replaced') {
+    if (costNpr !== undefined && costNpr !== null) ticket.costNpr = costNpr;
+    if (partsNotes !== undefined) ticket.partsNotes = partsNotes;
+    ticket.closedAt = now;
+    ticket.closedById = actor.id;
+
+    const fridge = await manager
+      .createQueryBuilder(Fridge, 'fridge')
+      .setLock('pessimistic_write')
+      .where('fridge.id = :id', { id: ticket.fridgeId })
+      .getOne();
+
+    if (fridge.needsRepair()) {
+      await changeFridgeStatus(manager, fridge, 'working', {
+        actor,
+        reason: `Repair ticket #${ticket.id} closed as ${toStatus}`
+      });
+    }
+
+    if (ticket.fridge) {
+      ticket.fridge.status = fridge.status;
+    }
+  }
+
+  ticket.status = toStatus;
+  return manager.save(ticket);
+};
+
+export default {
+  REPAIR_SLA_ASSIGN_HOURS,
+  REPAIR_SLA_RESOLVE_HOURS,
+  REPAIR_TRANSITIONS,
+  findOpenTicket,
+  openRepairTicket,
+  advanceRepairTicket
+};
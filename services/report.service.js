@@ -0,0 +1,443 @@
+/**
+ * Report service for Snowfun Nepal application
+ *
+ * Defines the exportable reports: visit logs, fridge inventory by dealer,
+ * PSR performance, missing/repair fridges and monthly deposits per dealer. Each report has a title, its
+ * columns and a row source that reads the database in batches, for the
+ * export service to stream as CSV or PDF.
+ */
+
+import { getRepository } from 'typeorm';
+import Visit from '../models/Visit.js';
+import Fridge from '../models/Fridge.js';
+import Dealer from '../models/Dealer.js';
+import Shop from '../models/Shop.js';
+import User from '../models/User.js';
+import VisitFridgeInspection from '../models/VisitFridgeInspection.js';
+import FridgeDeposit from '../models/FridgeDeposit.js';
+import { scopeShopQuery } from './scope.service.js';
+import { joinFieldRole } from './permission.service.js';
+import { iterateInBatches } from './export.service.js';
+import { DEPOSIT_PLACEMENT } from './deposit.service.js';
+import { today, daysBetween, toDateString } from '../utils/date.js';
+
+/**
+ * Apply the district and dealer filters shared by every report, and the
+ * requesting user's dealer scope
+ * @param {SelectQueryBuilder} qb - Query builder joined to 'shop' and 'dealer'
+ * @param {Object} filters - { district, dealerId, dealerIds } (dealerIds null when unrestricted)
+ * @returns {SelectQueryBuilder} The same query builder
+ */
+const applyLocationFilters = (qb, { district, dealerId, dealerIds = null }) => {
+  if (dealerIds) {
+    if (dealerIds.length === 0) {
+      qb.andWhere('1 = 0');
+    } else {
+      qb.andWhere('dealer.id IN (:...scopeDealerIds)', { scopeDealerIds: dealerIds });
+    }
+  }
+
+  if (district) {
+    qb.andWhere('dealer.district = :district', { district });
+  }
+
+  if (dealerId) {
+    qb.andWhere('dealer.id = :dealerId', { dealerId });
+  }
+
+  return qb;
+};
+
+/**
+ * Visit records in a date range, oldest first
+ * @param {Object} filters - { district, dealerId, psrId, status, from, to }
+ * @returns {AsyncGenerator<Object>} Rows
+ */
+const visitLogRows = (filters) => iterateInBatches(
+  (cursor, limit) => {
+    const qb = getRepository(Visit)
+      .createQueryBuilder('visit')
+      .innerJoin('visit.shop', 'shop')
+      .innerJoin('shop.dealer', 'dealer')
+      .innerJoin('visit.psr', 'psr')
+      .select('visit.id', 'id')
+      .addSelect(`TO_CHAR(visit.visitDate, 'YYYY-MM-DD')`, 'visitDate')
+      .addSelect('psr.fullName', 'psrName')
+      .addSelect('shop.name', 'shopName')
+      .addSelect('dealer.name', 'dealerName')
+      .addSelect('dealer.district', 'district')
+      .addSelect('visit.status', 'status')
+      .addSelect('visit.geofenceStatus', 'geofenceStatus')
+      .addSelect('visit.distanceFromShopM', 'distanceFromShopM')
+      .addSelect('visit.needsReview', 'needsReview')
+      .addSelect('visit.notes', 'notes')
+      .where('visit.visitDate BETWEEN :from AND :to', { from: filters.from, to: filters.to })
+      .orderBy('visit.visitDate', 'ASC')
+      .addOrderBy('visit.id', 'ASC')
+      .limit(limit);
+
+    applyLocationFilters(qb, filters);
+
+    if (filters.psrId) {
+      qb.andWhere('visit.psrId = :psrId', { psrId: filters.psrId });
+    }
+
+    if (filters.status) {
+      qb.andWhere('visit.status = :status', { status: filters.status });
+    }
+
+    if (cursor) {
+      qb.andWhere('(visit.visitDate, visit.id) > (:cursorDate, :cursorId)', {
+        cursorDate: cursor.visitDate,
+        cursorId: cursor.id
+      });
+    }
+
+    return qb.getRawMany();
+  },
+  row => ({ visitDate: row.visitDate, id: row.id })
+);
+
+/**
+ * Fridges grouped by dealer (dealers by name, fridges by shop)
+ * @param {Object} filters - { district, dealerId, status }
+ * @returns {AsyncGenerator<Object>} Rows
+ */
+async function* fridgeInventoryRows(filters) {
+  const dealers = await applyLocationFilters(
+    getRepository(Dealer).createQueryBuilder('dealer').orderBy('dealer.name', 'ASC'),
+    filters
+  ).getMany();
+
+  for (const dealer of dealers) {
+    yield* iterateInBatches(
+      (cursor, limit) => {
+        const qb = getRepository(Fridge)
+          .createQueryBuilder('fridge')
+          .leftJoin('fridge.shop', 'shop')
+          .innerJoin('fridge.model', 'model')
+          .innerJoin('model.brand', 'brand')
+          .innerJoin('model.type', 'type')
+          .select('fridge.id', 'id')
+          // Warehouse fridges sort first, under shop ID 0
+          .addSelect('COALESCE(shop.id, 0)', 'shopId')
+          .addSelect(`COALESCE(shop.name, 'Dealer warehouse')`, 'shopName')
+          .addSelect('brand.brandName', 'brandName')
+          .addSelect('model.modelName', 'modelName')
+          .addSelect('type.typeName', 'typeName')
+          .addSelect('model.sizeLitre', 'sizeLitre')
+          .addSelect('fridge.status', 'status')
+          .addSelect(`TO_CHAR(fridge.installedAt, 'YYYY-MM-DD')`, 'installedAt')
+          .addSelect('fridge.depositNpr', 'depositNpr')
+          .where('(shop.dealerId = :dealerId OR fridge.warehouseDealerId = :dealerId)', { dealerId: dealer.id })
+          .orderBy('COALESCE(shop.id, 0)', 'ASC')
+          .addOrderBy('fridge.id', 'ASC')
+          .limit(limit);
+
+        if (filters.status) {
+          qb.andWhere('fridge.status = :status', { status: filters.status });
+        }
+
+        if (cursor) {
+          qb.andWhere('(COALESCE(shop.id, 0), fridge.id) > (:cursorShopId, :cursorId)', cursor);
+        }
+
+        return qb.getRawMany().then(rows => rows.map(row => ({
+          ...row,
+          dealerName: dealer.name,
+          district: dealer.district
+        })));
+      },
+      row => ({ cursorShopId: row.shopId, cursorId: row.id })
+    );
+  }
+}
+
+/**
+ * Visit activity per PSR over a date range, with coverage of their shops
+ * @param {Object} filters - { district, dealerId, psrId, from, to }
+ * @returns {AsyncGenerator<Object>} Rows
+ */
+async function* psrPerformanceRows(filters) {
+  const visitQb = getRepository(Visit)
+    .createQueryBuilder('visit')
+    .innerJoin('visit.shop', 'shop')
+    .innerJoin('shop.dealer', 'dealer')
+    .select('visit.psrId', 'psrId')
+    .addSelect(`COUNT(*) FILTER (WHERE visit.status = 'visited')`, 'visits')
+    .addSelect(`COUNT(DISTINCT visit.shopId) FILTER (WHERE visit.status = 'visited')`, 'shopsVisited')
+    .addSelect(`COUNT(DISTINCT visit.visitDate) FILTER (WHERE visit.status = 'visited')`, 'activeDays')
+    .addSelect(`COUNT(*) FILTER (WHERE visit.geofenceStatus = 'outside')`, 'outsideGeofence')
+    .addSelect('COUNT(*) FILTER (WHERE visit.needsReview = true)', 'flagged')
+    .where('visit.visitDate BETWEEN :from AND :to', { from: filters.from, to: filters.to })
+    .groupBy('visit.psrId');
+
+  const repairQb = getRepository(VisitFridgeInspection)
+    .createQueryBuilder('inspection')
+    .innerJoin('inspection.visit', 'visit')
+    .innerJoin('visit.shop', 'shop')
+    .innerJoin('shop.dealer', 'dealer')
+    .select('visit.psrId', 'psrId')
+    .addSelect('COUNT(*)', 'count')
+    .where('visit.visitDate BETWEEN :from AND :to', { from: filters.from, to: filters.to })
+    .andWhere('inspection.needsRepair = true')
+    .groupBy('visit.psrId');
+
+  const psrQb = joinFieldRole(getRepository(User).createQueryBuilder('user'))
+    .orderBy('user.fullName', 'ASC');
+
+  // Deactivated PSRs are only reported when asked for by ID
+  if (filters.psrId) {
+    psrQb.where('user.id = :psrId', { psrId: filters.psrId });
+  } else {
+    psrQb.where('user.isActive = true');
+  }
+
+  const [psrs, visitRows, repairRows] = await Promise.all([
+    psrQb.getMany(),
+    applyLocationFilters(visitQb, filters).getRawMany(),
+    applyLocationFilters(repairQb, filters).getRawMany()
+  ]);
+
+  const visitsByPsr = new Map(visitRows.map(row => [row.psrId, row]));
+  const repairsByPsr = new Map(repairRows.map(row => [row.psrId, Number(row.count)]));
+
+  for (const psr of psrs) {
+    const shopQb = getRepository(Shop)
+      .createQueryBuilder('shop')
+      .innerJoin('shop.dealer', 'dealer');
+    await scopeShopQuery(shopQb, { id: psr.id, role: 'psr' });
+    const assignedShops = await applyLocationFilters(shopQb, filters).getCount();
+
+    const activity = visitsByPsr.get(psr.id);
+
+    // With a location filter, skip PSRs with no shops or visits there
+    if ((filters.district || filters.dealerId || filters.dealerIds) && assignedShops === 0 && !activity) {
+      continue;
+    }
+
+    const shopsVisited = activity ? Number(activity.shopsVisited) : 0;
+
+    yield {
+      psrName: psr.fullName,
+      phone: psr.phone,
+      assignedShops,
+      visits: activity ? Number(activity.visits) : 0,
+      shopsVisited,
+      coverage: assignedShops ? `${Math.round((Math.min(shopsVisited, assignedShops) / assignedShops) * 100)}%` : '',
+      activeDays: activity ? Number(activity.activeDays) : 0,
+      outsideGeofence: activity ? Number(activity.outsideGeofence) : 0,
+      flagged: activity ? Number(activity.flagged) : 0,
+      repairsReported: repairsByPsr.get(psr.id) || 0
+    };
+  }
+}
+
+/**
+ * Fridges currently marked for repair or missing, with when and why
+ * @param {Object} filters - { district, dealerId, status }
+ * @returns {AsyncGenerator<Object>} Rows
+ */
+const fridgeIssueRows = (filters) => {
+  const referenceDate = today();
+
+  return iterateInBatches(
+    async (cursor, limit) => {
+      const qb = getRepository(Fridge)
+        .createQueryBuilder('fridge')
+        .innerJoin('fridge.shop', 'shop')
+        .innerJoin('shop.dealer', 'dealer')
+        .innerJoin('fridge.model', 'model')
+        .innerJoin('model.brand', 'brand')
+        .select('fridge.id', 'id')
+        .addSelect('fridge.status', 'status')
+        .addSelect(
+          `(SELECT event.created_at FROM fridge_status_events event
+            WHERE event.fridge_id = fridge.id ORDER BY event.created_at DESC LIMIT 1)`,
+          'since'
+        )
+        .addSelect(
+          `(SELECT event.reason FROM fridge_status_events event
+            WHERE event.fridge_id = fridge.id ORDER BY event.created_at DESC LIMIT 1)`,
+          'reason'
+        )
+        .addSelect(
+          `(SELECT TO_CHAR(MAX(visit.visit_date), 'YYYY-MM-DD') FROM visits visit
+            WHERE visit.shop_id = shop.id AND visit.status = 'visited')`,
+          'lastVisitDate'
+        )
+        .addSelect('dealer.name', 'dealerName')
+        .addSelect('dealer.district', 'district')
+        .addSelect('shop.name', 'shopName')
+        .addSelect('shop.contactName', 'contactName')
+        .addSelect('shop.contactPhone', 'contactPhone')
+        .addSelect(`CONCAT(brand.brandName, ' ', model.modelName)`, 'model')
+        .where('fridge.status IN (:...statuses)', {
+          statuses: filters.status ? [filters.status] : ['repair', 'missing']
+        })
+        .orderBy('fridge.id', 'ASC')
+        .limit(limit);
+
+      applyLocationFilters(qb, filters);
+
+      if (cursor) {
+        qb.andWhere('fridge.id > :cursor', { cursor });
+      }
+
+      const rows = await qb.getRawMany();
+
+      return rows.map(row => ({
+        ...row,
+        since: row.since ? toDateString(row.since) : null,
+        daysInStatus: row.since ? daysBetween(row.since, referenceDate) : null
+      }));
+    },
+    row => row.id
+  );
+};
+
+/**
+ * Deposit money collected, refunded and forfeited per dealer per month
+ * @param {Object} filters - { district, dealerId, psrId, from, to }
+ * @returns {AsyncGenerator<Object>} Rows
+ */
+async function* depositMonthlyRows(filters) {
+  const qb = getRepository(FridgeDeposit)
+    .createQueryBuilder('deposit')
+    .innerJoin('deposit.fridge', 'fridge')
+    .leftJoin('fridge.shop', 'shop')
+    // Entries stay with the dealer holding the fridge when they were recorded
+    .innerJoin(Dealer, 'dealer', `dealer.id = ${DEPOSIT_PLACEMENT.dealerId}`)
+    .select('dealer.name', 'dealerName')
+    .addSelect('dealer.district', 'district')
+    .addSelect(`TO_CHAR(deposit.entryDate, 'YYYY-MM')`, 'month')
+    .addSelect(`COUNT(*) FILTER (WHERE deposit.entryType = 'payment')`, 'payments')
+    .addSelect(`COALESCE(SUM(deposit.amountNpr) FILTER (WHERE deposit.entryType = 'payment'), 0)`, 'collectedNpr')
+    .addSelect(`COALESCE(SUM(deposit.amountNpr) FILTER (WHERE deposit.entryType = 'refund'), 0)`, 'refundedNpr')
+    .addSelect(`COALESCE(SUM(deposit.amountNpr) FILTER (WHERE deposit.entryType = 'forfeit'), 0)`, 'forfeitedNpr')
+    .where('deposit.entryDate BETWEEN :from AND :to', { from: filters.from, to: filters.to })
+    .andWhere('deposit.entryType IN (:...entryTypes)', { entryTypes: FridgeDeposit.ENTRY_TYPE_VALUES })
+    .groupBy('dealer.id')
+    .addGroupBy('dealer.name')
+    .addGroupBy('dealer.district')
+    .addGroupBy(`TO_CHAR(deposit.entryDate, 'YYYY-MM')`)
+    .orderBy('dealer.name', 'ASC')
+    .addOrderBy('month', 'ASC');
+
+  applyLocationFilters(qb, filters);
+
+  if (filters.psrId) {
+    qb.andWhere('deposit.collectedById = :psrId', { psrId: filters.psrId });
+  }
+
+  for (const row of await qb.getRawMany()) {
+    const collectedNpr = Number(row.collectedNpr);
+    const refundedNpr = Number(row.refundedNpr);
+    const forfeitedNpr = Number(row.forfeitedNpr);
+
+    yield {
+      ...row,
+      payments: Number(row.payments),
+      collectedNpr: collectedNpr.toFixed(2),
+      refundedNpr: refundedNpr.toFixed(2),
+      forfeitedNpr: forfeitedNpr.toFixed(2),
+      // Forfeits stay with Snowfun, so only refunds reduce the net
+      netNpr: (collectedNpr - refundedNpr).toFixed(2)
+    };
+  }
+}
+
+// Report definitions, keyed by the export URL name
+export const REPORTS = {
+  'visit-logs': {
+    title: 'Visit Log',
+    columns: [
+      { key: 'id', header: 'Visit ID', width: 0.7 },
+      { key: 'visitDate', header: 'Date', width: 1 },
+      { key: 'psrName', header: 'PSR', width: 1.6 },
+      { key: 'shopName', header: 'Shop', width: 2 },
+      { key: 'dealerName', header: 'Dealer', width: 1.6 },
+      { key: 'district', header: 'District', width: 1.1 },
+      { key: 'status', header: 'Status', width: 1 },
+      { key: 'geofenceStatus', header: 'Geofence', width: 0.9 },
+      { key: 'distanceFromShopM', header: 'Distance (m)', width: 0.9 },
+      { key: 'needsReview', header: 'Flagged', width: 0.7 },
+      { key: 'notes', header: 'Notes', width: 2.5 }
+    ],
+    dateRange: true,
+    rows: visitLogRows
+  },
+  'fridge-inventory': {
+    title: 'Fridge Inventory by Dealer',
+    columns: [
+      { key: 'dealerName', header: 'Dealer', width: 1.6 },
+      { key: 'district', header: 'District', width: 1.1 },
+      { key: 'shopName', header: 'Shop', width: 2 },
+      { key: 'id', header: 'Fridge ID', width: 0.7 },
+      { key: 'brandName', header: 'Brand', width: 1 },
+      { key: 'modelName', header: 'Model', width: 1.3 },
+      { key: 'typeName', header: 'Type', width: 1 },
+      { key: 'sizeLitre', header: 'Size (L)', width: 0.7 },
+      { key: 'status', header: 'Status', width: 0.8 },
+      { key: 'installedAt', header: 'Installed', width: 1 },
+      { key: 'depositNpr', header: 'Deposit (NPR)', width: 1 }
+    ],
+    dateRange: false,
+    rows: fridgeInventoryRows
+  },
+  'psr-performance': {
+    title: 'PSR Performance',
+    columns: [
+      { key: 'psrName', header: 'PSR', width: 1.8 },
+      { key: 'phone', header: 'Phone', width: 1.2 },
+      { key: 'assignedShops', header: 'Assigned Shops', width: 1 },
+      { key: 'visits', header: 'Visits', width: 0.8 },
+      { key: 'shopsVisited', header: 'Shops Visited', width: 1 },
+      { key: 'coverage', header: 'Coverage', width: 0.8 },
+      { key: 'activeDays', header: 'Active Days', width: 0.8 },
+      { key: 'outsideGeofence', header: 'Outside Geofence', width: 1.1 },
+      { key: 'flagged', header: 'Flagged', width: 0.8 },
+      { key: 'repairsReported', header: 'Repairs Reported', width: 1.1 }
+    ],
+    dateRange: true,
+    rows: psrPerformanceRows
+  },
+  'fridge-issues': {
+    title: 'Missing and Repair Fridges',
+    columns: [
+      { key: 'id', header: 'Fridge ID', width: 0.7 },
+      { key: 'status', header: 'Status', width: 0.8 },
+      { key: 'since', header: 'Since', width: 1 },
+      { key: 'daysInStatus', header: 'Days', width: 0.6 },
+      { key: 'reason', header: 'Reason', width: 2 },
+      { key: 'model', header: 'Model', width: 1.5 },
+      { key: 'dealerName', header: 'Dealer', width: 1.5 },
+      { key: 'district', header: 'District', width: 1.1 },
+      { key: 'shopName', header: 'Shop', width: 1.8 },
+      { key: 'contactName', header: 'Contact', width: 1.2 },
+      { key: 'contactPhone', header: 'Phone', width: 1.1 },
+      { key: 'lastVisitDate', header: 'Last Visit', width: 1 }
+    ],
+    dateRange: false,
+    rows: fridgeIssueRows
+  },
+  'deposits-monthly': {
+    title: 'Deposits by Dealer per Month (NPR)',
+    columns: [
+      { key: 'dealerName', header: 'Dealer', width: 2 },
+      { key: 'district', header: 'District', width: 1.2 },
+      { key: 'month', header: 'Month', width: 0.9 },
+      { key: 'payments', header: 'Payments', width: 0.8 },
+      { key: 'collectedNpr', header: 'Collected (NPR)', width: 1.2 },
+      { key: 'refundedNpr', header: 'Refunded (NPR)', width: 1.2 },
+      { key: 'forfeitedNpr', header: 'Forfeited (NPR)', width: 1.2 },
+      { key: 'netNpr', header: 'Net Collected (NPR)', width: 1.3 }
+    ],
+    dateRange: true,
+    rows: depositMonthlyRows
+  }
+};
+
+export default {
+  REPORTS
+};
@@ -0,0 +1,385 @@
+/**
+ * Route planning service for Snowfun Nepal application
+ *
+ * Builds a PSR's ordered daily visit route. Shops not yet visited today are
+ * ranked by days since their last visit (never-visited shops first), the most
+ * overdue are picked, and the stops are ordered with a nearest-neighbour tour
+ * from the start location improved by 2-opt. Distances are great-circle
+ * distances from Shop.distanceFrom(); roads are not taken into account.
+ *
+ * Admins can pin a route for a day; a pinned route is returned as stored so
+ * the PSR's stop numbering stays stable while they work through it.
+ */
+
+import { getRepository } from 'typeorm';
+import { createError } from '../middleware/errorHandler.js';
+import Shop from '../models/Shop.js';
+import Visit from '../models/Visit.js';
+import RoutePlan from '../models/RoutePlan.js';
+import RouteStop from '../models/RouteStop.js';
+import { scopeShopQuery } from './scope.service.js';
+import { today } from '../utils/date.js';
+
+// Stops in a planned route unless the request asks for a different number
+export const DEFAULT_MAX_STOPS = parseInt(process.env.ROUTE_MAX_STOPS || '20', 10);
+
+// Upper bound on 2-opt improvement passes; each pass is O(n²)
+const MAX_TWO_OPT_PASSES = 50;
+
+/**
+ * Distance between two route points in kilometres
+ * @param {Shop} shop - Shop entity
+ * @param {Object} point - Shop entity or { latitude, longitude }
+ * @returns {number} Distance in km
+ */
+const distanceBetween = (shop, point) =>
+  shop.distanceFrom(Number(point.latitude), Number(point.longitude));
+
+/**
+ * Total length of an open path, optionally starting from a fixed point
+ * @param {number[]} order - Indexes into the distance matrix
+ * @param {number[][]} matrix - Shop-to-shop distances
+ * @param {number[]|null} fromStart - Start-to-shop distances, or null
+ * @returns {number} Path length in km
+ */
+const pathLength = (order, matrix, fromStart) => {
+  let total = fromStart && order.length > 0 ? fromStart[order[0]] : 0;
+
+  for (let i = 1; i < order.length; i += 1) {
+    total += matrix[order[i - 1]][order[i]];
+  }
+
+  return total;
+};
+
+/**
+ * Order stops with the nearest-neighbour heuristic
+ * @param {number} count - Number of shops
+ * @param {number[][]} matrix - Shop-to-shop distances
+ * @param {number[]|null} fromStart - Start-to-shop distances, or null to
+ *   begin at index 0 (the most overdue shop)
+ * @returns {number[]} Visiting order
+ */
+const nearestNeighbourOrder = (count, matrix, fromStart) => {
+  if (count === 0) return [];
+
+  const remaining = new Set([...Array(count).keys()]);
+  const order = [];
+
+  const pickNearest = (distances) => {
+    let best = null;
+    remaining.forEach(index => {
+      if (best === null || distances[index] < distances[best]) {
+        best = index;
+      }
+    });
+    return best;
+  };
+
+  let current = fromStart ? pickNearest(fromStart) : 0;
+
+  while (current !== null) {
+    order.push(current);
+    remaining.delete(current);
+    current = remaining.size > 0 ? pickNearest(matrix[current]) : null;
+  }
+
+  return order;
+};
+
+/**
+ * Improve an open path with 2-opt: reverse any segment whose reversal
+ * shortens the route, until no reversal helps
+ * @param {number[]} order - Visiting order from nearestNeighbourOrder()
+ * @param {number[][]} matrix - Shop-to-shop distances
+ * @param {number[]|null} fromStart - Start-to-shop distances, or null
+ * @returns {number[]} Improved visiting order
+ */
+const twoOpt = (order, matrix, fromStart) => {
+  const route = [...order];
+  const edge = (a, b) => {
+    if (b === undefined) return 0; // Open path: nothing after the last stop
+    if (a === undefined) return fromStart ? fromStart[b] : 0;
+    return matrix[a][b];
+  };
+
+  for (let pass = 0; pass < MAX_TWO_OPT_PASSES; pass += 1) {
+    let improved = false;
+
+    for (let i = 0; i < route.length - 1; i += 1) {
+      for (let j = i + 1; j < route.length; j += 1) {
+        const before = route[i - 1];
+        const after = route[j + 1];
+        const delta = edge(before, route[j]) + edge(route[i], after)
+          - edge(before, route[i]) - edge(route[j], after);
+
+        if (delta < -1e-9) {
+          const reversed = route.slice(i, j + 1).reverse();
+          route.splice(i, reversed.length, ...reversed);
+          improved = true;
+        }
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  return route;
+};
+
+/**
+ * Order shops into a short open route
+ * @param {Shop[]} shops - Shops to visit
+ * @param {Object|null} start - { latitude, longitude } start location
+ * @returns {Object} { shops (ordered), legDistancesKm, totalDistanceKm }
+ */
+export const orderStops = (shops, start = null) => {
+  const matrix = shops.map(a => shops.map(b => distanceBetween(a, b)));
+  const fromStart = start ? shops.map(shop => distanceBetween(shop, start)) : null;
+
+  const order = twoOpt(nearestNeighbourOrder(shops.length, matrix, fromStart), matrix, fromStart);
+
+  const legDistancesKm = order.map((index, position) => {
+    if (position === 0) return fromStart ? fromStart[index] : null;
+    return matrix[order[position - 1]][index];
+  });
+
+  return {
+    shops: order.map(index => shops[index]),
+    legDistancesKm,
+    totalDistanceKm: pathLength(order, matrix, fromStart)
+  };
+};
+
+/**
+ * Get the days since each shop's last completed visit
+ * @param {number[]} shopIds - Shop IDs
+ * @returns {Promise<Map<number, number>>} shopId → days (missing if never visited)
+ */
+export const getDaysSinceVisit = async (shopIds) => {
+  if (shopIds.length === 0) {
+    return new Map();
+  }
+
+  const latestVisits = await getRepository(Visit)
+    .createQueryBuilder('visit')
+    .where('visit.shopId IN (:...shopIds)', { shopIds })
+    .andWhere('visit.status = :status', { status: 'visited' })
+    .andWhere(`visit.visitDate = (
+      SELECT MAX(latest.visit_date) FROM visits latest
+      WHERE latest.shop_id = visit.shop_id AND latest.status = 'visited'
+    )`)
+    .getMany();
+
+  return new Map(latestVisits.map(visit => [visit.shopId, visit.getDaysElapsed()]));
+};
+
+/**
+ * Get the IDs of shops with a completed visit on a date
+ * @param {number[]} shopIds - Shop IDs
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Set<number>>} Visited shop IDs
+ */
+const getVisitedShopIds = async (shopIds, date) => {
+  if (shopIds.length === 0) {
+    return new Set();
+  }
+
+  const rows = await getRepository(Visit)
+    .createQueryBuilder('visit')
+    .select('DISTINCT visit.shopId', 'shopId')
+    .where('visit.shopId IN (:...shopIds)', { shopIds })
+    .andWhere('visit.visitDate = :date', { date })
+    .andWhere('visit.status = :status', { status: 'visited' })
+    .getRawMany();
+
+  return new Set(rows.map(row => Number(row.shopId)));
+};
+
+/**
+ * Plan a route over a PSR's assigned shops that are still to be visited
+ * @param {Object} options
+ * @param {string} options.psrId - PSR user ID
+ * @param {string} options.date - YYYY-MM-DD
+ * @param {Object|null} options.start - { latitude, longitude }
+ * @param {number} [options.maxStops] - Maximum stops in the route
+ * @param {number[]} [options.shopIds] - Fixed visiting order chosen by an admin
+ * @returns {Promise<Object>} { stops: [{ shop, daysSinceVisit, legDistanceKm }], totalDistanceKm }
+ */
+export const planRoute = async ({ psrId, date, start = null, maxStops = DEFAULT_MAX_STOPS, shopIds = null }) => {
+  const qb = getRepository(Shop).createQueryBuilder('shop');
+  await scopeShopQuery(qb, { id: psrId, role: 'psr' });
+  const assigned = await qb.getMany();
+
+  const daysSince = await getDaysSinceVisit(assigned.map(shop => shop.id));
+  let ordered;
+
+  if (shopIds) {
+    // Keep the admin's order; every shop must be on the PSR's territory
+    const byId = new Map(assigned.map(shop => [shop.id, shop]));
+    const unknown = shopIds.filter(id => !byId.has(id));
+    if (unknown.length > 0) {
+      throw createError(`Shops ${unknown.join(', ')} are not assigned to this PSR`, 400);
+    }
+
+    const shops = shopIds.map(id => byId.get(id));
+    const legDistancesKm = shops.map((shop, index) => {
+      if (index === 0) return start ? distanceBetween(shop, start) : null;
+      return distanceBetween(shop, shops[index - 1]);
+    });
+
+    ordered = {
+      shops,
+      legDistancesKm,
+      totalDistanceKm: legDistancesKm.reduce((sum, km) => sum + (km || 0), 0)
+    };
+  } else {
+    const visited = await getVisitedShopIds(assigned.map(shop => shop.id), date);
+
+    // Most overdue first; shops never visited are the most overdue of all
+    const candidates = assigned
+      .filter(shop => !visited.has(shop.id))
+      .sort((a, b) => (daysSince.get(b.id) ?? Infinity) - (daysSince.get(a.id) ?? Infinity))
+      .slice(0, maxStops);
+
+    ordered = orderStops(candidates, start);
+  }
+
+  return {
+    stops: ordered.shops.map((shop, index) => ({
+      shop,
+      daysSinceVisit: daysSince.get(shop.id) ?? null,
+      legDistanceKm: ordered.legDistancesKm[index]
+    })),
+    totalDistanceKm: ordered.totalDistanceKm
+  };
+};
+
+/**
+ * Round a distance for the API response
+ * @param {number|null} km - Distance in km
+ * @returns {number|null} Distance rounded to metres
+ */
+const roundKm = (km) => (km === null || km === undefined ? null : Number(Number(km).toFixed(3)));
+
+/**
+ * Serialise a route with progress for the client
+ * @param {Object} route - Route fields and stops
+ * @param {Set<number>} visited - Shops visited on the route date
+ * @returns {Object} Route with totalStops, completedStops and currentStop
+ */
+const formatRoute = ({ psrId, date, pinned, plan = null, start, stops, totalDistanceKm }, visited) => {
+  const formattedStops = stops.map(({ shop, daysSinceVisit, legDistanceKm }, index) => ({
+    position: index + 1,
+    shopId: shop.id,
+    name: shop.name,
+    addressText: shop.addressText,
+    latitude: Number(shop.latitude),
+    longitude: Number(shop.longitude),
+    daysSinceVisit,
+    legDistanceKm: roundKm(legDistanceKm),
+    visited: visited.has(shop.id)
+  }));
+
+  const nextStop = formattedStops.find(stop => !stop.visited);
+
+  return {
+    id: plan?.id ?? null,
+    psrId,
+    date,
+    pinned,
+    pinnedAt: plan?.pinnedAt ?? null,
+    pinnedById: plan?.pinnedById ?? null,
+    start,
+    totalDistanceKm: roundKm(totalDistanceKm),
+    totalStops: formattedStops.length,
+    completedStops: formattedStops.filter(stop => stop.visited).length,
+    currentStop: nextStop ? nextStop.position : null,
+    stops: formattedStops
+  };
+};
+
+/**
+ * Get a PSR's route for a day: the pinned route if an admin pinned one,
+ * otherwise a freshly planned route
+ * @param {Object} options - { psrId, date, start, maxStops }
+ * @returns {Promise<Object>} Formatted route
+ */
+export const getDailyRoute = async ({ psrId, date = today(), start = null, maxStops }) => {
+  const plan = await getRepository(RoutePlan).findOne({
+    where: { psrId, routeDate: date },
+    relations: ['stops', 'stops.shop']
+  });
+
+  if (plan) {
+    const stops = plan.getOrderedStops();
+    const shopIds = stops.map(stop => stop.shopId);
+    const [daysSince, visited] = await Promise.all([
+      getDaysSinceVisit(shopIds),
+      getVisitedShopIds(shopIds, date)
+    ]);
+
+    return formatRoute({
+      psrId,
+      date,
+      pinned: true,
+      plan,
+      start: plan.startLatitude !== null
+        ? { latitude: Number(plan.startLatitude), longitude: Number(plan.startLongitude) }
+        : null,
+      stops: stops.map(stop => ({
+        shop: stop.shop,
+        daysSinceVisit: daysSince.get(stop.shopId) ?? null,
+        legDistanceKm: stop.legDistanceKm
+      })),
+      totalDistanceKm: plan.totalDistanceKm
+    }, visited);
+  }
+
+  const route = await planRoute({ psrId, date, start, maxStops });
+
+  return formatRoute({ psrId, date, pinned: false, start, ...route }, new Set());
+};
+
+/**
+ * Pin a route for a PSR and day, replacing any route already pinned
+ * @param {EntityManager} manager - Transactional entity manager
+ * @param {Object} options - { psrId, date, start, maxStops, shopIds, actor }
+ * @returns {Promise<RoutePlan>} Saved plan
+ */
+export const pinRoute = async (manager, { psrId, date, start = null, maxStops, shopIds = null, actor }) => {
+  const route = await planRoute({ psrId, date, start, maxStops, shopIds });
+
+  if (route.stops.length === 0) {
+    throw createError('This PSR has no shops left to visit on that day', 400);
+  }
+
+  await manager.delete(RoutePlan, { psrId, routeDate: date });
+
+  const plan = manager.create(RoutePlan, {
+    psrId,
+    routeDate: date,
+    startLatitude: start ? start.latitude : null,
+    startLongitude: start ? start.longitude : null,
+    totalDistanceKm: roundKm(route.totalDistanceKm),
+    pinnedById: actor?.id || null,
+    stops: route.stops.map(({ shop, legDistanceKm }, index) =>
+      manager.create(RouteStop, {
+        shopId: shop.id,
+        position: index + 1,
+        legDistanceKm: roundKm(legDistanceKm)
+      })
+    )
+  });
+
+  return manager.save(plan);
+};
+
+export default {
+  DEFAULT_MAX_STOPS,
+  orderStops,
+  getDaysSinceVisit,
+  planRoute,
+  getDailyRoute,
+  pinRoute
+};
@@ -0,0 +1,282 @@
+/**
+ * Data scoping service for Snowfun Nepal application
+ *
+ * Resolves which dealers, and therefore which shops, the authenticated user
+ * is allowed to see. Admins and roles granted 'data:all' are unrestricted.
+ * Roles granted 'data:territory' (supervisors) see every shop of the dealers
+ * in their `supervisor_territories`: whole districts or single dealers.
+ * Dealer portal users see the shops of their linked dealer and nothing else,
+ * not even that dealer's warehouse.
+ * Everyone else is limited to their active `psr_assignments`: every shop of
+ * an assigned dealer, except shops overridden to another PSR, plus shops
+ * assigned to them directly.
+ */
+
+import { getRepository, IsNull, Not } from 'typeorm';
+import PsrAssignment from '../models/PsrAssignment.js';
+import Shop from '../models/Shop.js';
+import Dealer from '../models/Dealer.js';
+import SupervisorTerritory from '../models/SupervisorTerritory.js';
+import { hasPermission, isDealerUser } from './permission.service.js';
+
+/**
+ * Get the IDs of all dealers a PSR is currently assigned to
+ * @param {string} psrId - PSR user ID
+ * @returns {Promise<number[]>} Assigned dealer IDs
+ */
+export const getAssignedDealerIds = async (psrId) => {
+  const assignments = await getRepository(PsrAssignment).find({
+    where: { psrId, dealerId: Not(IsNull()), unassignedAt: IsNull() }
+  });
+
+  return assignments.map(assignment => assignment.dealerId);
+};
+
+/**
+ * Get the IDs of the shops currently assigned to a PSR directly
+ * @param {string} psrId - PSR user ID
+ * @returns {Promise<number[]>} Shop IDs with a shop-level override to this PSR
+ */
+export const getAssignedShopIds = async (psrId) => {
+  const assignments = await getRepository(PsrAssignment).find({
+    where: { psrId, shopId: Not(IsNull()), unassignedAt: IsNull() }
+  });
+
+  return assignments.map(assignment => assignment.shopId);
+};
+
+/**
+ * Get the IDs of the dealers in a supervisor's territory: dealers in any of
+ * their districts plus dealers added individually
+ * @param {string} userId - Supervisor user ID
+ * @returns {Promise<number[]>} Dealer IDs
+ */
+export const getTerritoryDealerIds = async (userId) => {
+  const rows = await getRepository(Dealer)
+    .createQueryBuilder('dealer')
+    .innerJoin(
+      SupervisorTerritory,
+      'territory',
+      '(territory.dealerId = dealer.id OR territory.district = dealer.district)'
+    )
+    .select('DISTINCT dealer.id', 'id')
+    .where('territory.userId = :userId', { userId })
+    .getRawMany();
+
+  return rows.map(row => Number(row.id));
+};
+
+/**
+ * Resolve the shop scope of a user. `wholeDealers` is set for supervisors,
+ * who see every shop of their dealers, including shops overridden to a PSR.
+ * @param {Object} user - Authenticated user from req.user
+ * @returns {Promise<Object|null>} { dealerIds, shopIds, wholeDealers }, or null when unrestricted
+ */
+export const getShopScope = async (user) => {
+  if (hasPermission(user, 'data:all')) {
+    return null;
+  }
+
+  if (isDealerUser(user)) {
+    return { dealerIds: user.dealerId ? [user.dealerId] : [], shopIds: [], wholeDealers: true };
+  }
+
+  if (hasPermission(user, 'data:territory')) {
+    return { dealerIds: await getTerritoryDealerIds(user.id), shopIds: [], wholeDealers: true };
+  }
+
+  const [dealerIds, shopIds] = await Promise.all([
+    getAssignedDealerIds(user.id),
+    getAssignedShopIds(user.id)
+  ]);
+
+  return { dealerIds, shopIds, wholeDealers: false };
+};
+
+/**
+ * Resolve the dealer scope of a user: assigned dealers plus the dealers of
+ * shops assigned to them directly
+ * @param {Object} user - Authenticated user from req.user
+ * @returns {Promise<number[]|null>} Dealer IDs, or null when unrestricted
+ */
+export const getDealerScope = async (user) => {
+  const scope = await getShopScope(user);
+
+  if (scope === null) {
+    return null;
+  }
+
+  if (scope.shopIds.length === 0) {
+    return scope.dealerIds;
+  }
+
+  const rows = await getRepository(Shop)
+    .createQueryBuilder('shop')
+    .select('DISTINCT shop.dealerId', 'dealerId')
+    .where('shop.id IN (:...shopIds)', { shopIds: scope.shopIds })
+    .getRawMany();
+
+  return [...new Set([...scope.dealerIds, ...rows.map(row => Number(row.dealerId))])];
+};
+
+/**
+ * Restrict a shop query builder to the shops the user may see
+ * @param {SelectQueryBuilder} qb - Query builder selecting shops
+ * @param {Object} user - Authenticated user from req.user
+ * @param {string} alias - Alias of the shop entity in the query
+ * @returns {Promise<SelectQueryBuilder>} The same query builder
+ */
+export const scopeShopQuery = async (qb, user, alias = 'shop') => {
+  const scope = await getShopScope(user);
+
+  if (scope === null) {
+    return qb;
+  }
+
+  const { dealerIds, shopIds, wholeDealers } = scope;
+
+  // No assignments means no shops, rather than every shop
+  if (dealerIds.length === 0 && shopIds.length === 0) {
+    return qb.andWhere('1 = 0');
+  }
+
+  if (wholeDealers) {
+    return qb.andWhere(`${alias}.dealerId IN (:...scopeDealerIds)`, { scopeDealerIds: dealerIds });
+  }
+
+  const conditions = [];
+
+  if (dealerIds.length > 0) {
+    // Dealer coverage, minus shops overridden to a specific PSR
+    conditions.push(`(${alias}.dealerId IN (:...scopeDealerIds) AND NOT EXISTS (
+      SELECT 1 FROM psr_assignments scope_override
+      WHERE scope_override.shop_id = ${alias}.id AND scope_override.unassigned_at IS NULL
+    ))`);
+  }
+
+  if (shopIds.length > 0) {
+    conditions.push(`${alias}.id IN (:...scopeShopIds)`);
+  }
+
+  return qb.andWhere(`(${conditions.join(' OR ')})`, {
+    scopeDealerIds: dealerIds,
+    scopeShopIds: shopIds
+  });
+};
+
+/**
+ * Restrict a fridge query builder to the fridges the user may see: fridges
+ * at shops in their scope, plus fridges held in the warehouse of a dealer in
+ * their scope (see canAccessFridge). Dealer portal users only see fridges
+ * placed at their shops.
+ * @param {SelectQueryBuilder} qb - Query builder selecting fridges, with the shop joined
+ * @param {Object} user - Authenticated user from req.user
+ * @param {string} alias - Alias of the fridge entity in the query
+ * @param {string} shopAlias - Alias of the joined shop in the query
+ * @returns {Promise<SelectQueryBuilder>} The same query builder
+ */
+export const scopeFridgeQuery = async (qb, user, alias = 'fridge', shopAlias = 'shop') => {
+  const warehouseDealerIds = isDealerUser(user) ? [] : await getDealerScope(user);
+
+  if (warehouseDealerIds === null || warehouseDealerIds.length === 0) {
+    return scopeShopQuery(qb, user, shopAlias);
+  }
+
+  const shopQb = getRepository(Shop)
+    .createQueryBuilder('scope_shop')
+    .select('scope_shop.id');
+  await scopeShopQuery(shopQb, user, 'scope_shop');
+
+  return qb.andWhere(
+    `(${alias}.shopId IN (${shopQb.getQuery()}) OR ${alias}.warehouseDealerId IN (:...scopeWarehouseDealerIds))`,
+    { ...shopQb.getParameters(), scopeWarehouseDealerIds: warehouseDealerIds }
+  );
+};
+
+/**
+ * Check whether a user may access a given dealer's data
+ * @param {Object} user - Authenticated user from req.user
+ * @param {number} dealerId - Dealer ID
+ * @returns {Promise<boolean>} True if the dealer is within the user's scope
+ */
+export const canAccessDealer = async (user, dealerId) => {
+  const dealerIds = await getDealerScope(user);
+  return dealerIds === null || dealerIds.includes(Number(dealerId));
+};
+
+/**
+ * Check whether a user may see a PSR's work, such as their daily route: the
+ * PSR must cover at least one dealer in the user's scope
+ * @param {Object} user - Authenticated user from req.user
+ * @param {string} psrId - PSR user ID
+ * @returns {Promise<boolean>} True if the PSR works within the user's scope
+ */
+export const canAccessPsr = async (user, psrId) => {
+  const dealerIds = await getDealerScope(user);
+
+  if (dealerIds === null) {
+    return true;
+  }
+
+  const psrDealerIds = await getDealerScope({ id: psrId, role: 'psr', permissions: [] });
+  return psrDealerIds.some(dealerId => dealerIds.includes(dealerId));
+};
+
+/**
+ * Check whether a user may access a given shop
+ * @param {Object} user - Authenticated user from req.user
+ * @param {Object} shop - Shop entity (must have id and dealerId loaded)
+ * @returns {Promise<boolean>} True if the shop is within the user's scope
+ */
+export const canAccessShop = async (user, shop) => {
+  const scope = await getShopScope(user);
+
+  if (scope === null || scope.shopIds.includes(shop.id)) {
+    return true;
+  }
+
+  if (!scope.dealerIds.includes(shop.dealerId)) {
+    return false;
+  }
+
+  if (scope.wholeDealers) {
+    return true;
+  }
+
+  // Covered by the dealer unless the shop is overridden to another PSR
+  const overrides = await getRepository(PsrAssignment).count({
+    where: { shopId: shop.id, unassignedAt: IsNull() }
+  });
+
+  return overrides === 0;
+};
+
+/**
+ * Check whether a user may access a given fridge: through its shop, or
+ * through its dealer while the fridge is in a warehouse. Dealer portal users
+ * only see fridges placed at their shops.
+ * @param {Object} user - Authenticated user from req.user
+ * @param {Object} fridge - Fridge entity (shop relation loaded)
+ * @returns {Promise<boolean>} True if the fridge is within the user's scope
+ */
+export const canAccessFridge = async (user, fridge) => {
+  if (fridge.shop) {
+    return canAccessShop(user, fridge.shop);
+  }
+
+  return !isDealerUser(user) && canAccessDealer(user, fridge.warehouseDealerId);
+};
+
+export default {
+  getAssignedDealerIds,
+  getAssignedShopIds,
+  getTerritoryDealerIds,
+  getShopScope,
+  getDealerScope,
+  scopeShopQuery,
+  scopeFridgeQuery,
+  canAccessDealer,
+  canAccessPsr,
+  canAccessShop,
+  canAccessFridge
+};
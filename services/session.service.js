@@ -0,0 +1,277 @@
+/**
+ * Session service for Snowfun Nepal application
+ *
+ * Issues access tokens and rotating refresh tokens backed by the
+ * `user_sessions` table. Access tokens are short-lived JWTs carrying the
+ * session family ID (`sid`), so revoking a session also stops its access
+ * token at the next request. Refresh tokens are opaque random strings that
+ * are exchanged for a new pair on every refresh.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { getRepository, IsNull, MoreThan } from 'typeorm';
+import User from '../models/User.js';
+import UserSession from '../models/UserSession.js';
+import { createError } from '../middleware/errorHandler.js';
+
+const ACCESS_TOKEN_TTL = '1h';
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} token - Refresh token
+ * @returns {string} Hex SHA-256
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Derive a readable device name from a User-Agent header
+ * @param {string} [userAgent] - User-Agent header
+ * @returns {string|null} e.g. "Chrome on Android"
+ */
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) return null;
+
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  const os = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return null;
+  return [browser?.[0] || 'Browser', os?.[0]].filter(Boolean).join(' on ');
+};
+
+/**
+ * Collect device details for a session from the request
+ * @param {Object} req - Express request object
+ * @returns {Object} { deviceName, ipAddress, userAgent }
+ */
+export const getClientInfo = (req) => {
+  const userAgent = req.get('user-agent') || null;
+
+  return {
+    deviceName: (req.body?.deviceName || describeUserAgent(userAgent) || '').slice(0, 120) || null,
+    ipAddress: req.ip || null,
+    userAgent
+  };
+};
+
+/**
+ * Sign an access token for a session
+ * @param {Object} user - User with id and role
+ * @param {string} familyId - Session family ID
+ * @returns {string} JWT
+ */
+const signAccessToken = (user, familyId) => jwt.sign(
+  {
+    id: user.id,
+    role: user.role.roleName,
+    sid: familyId
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+/**
+ * Store a new refresh token row
+ * @param {Object} values - Session column values
+ * @returns {Promise<string>} Plain refresh token
+ */
+const createSessionRow = async (values) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const now = new Date();
+  const sessionRepository = getRepository(UserSession);
+
+  await sessionRepository.save(sessionRepository.create({
+    ...values,
+    tokenHash: hashToken(refreshToken),
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+  }));
+
+  return refreshToken;
+};
+
+/**
+ * Start a new session and issue its tokens
+ * @param {Object} user - User with id and role
+ * @param {Object} client - { deviceName, ipAddress, userAgent } from getClientInfo
+ * @returns {Promise<Object>} { accessToken, refreshToken }
+ */
+export const issueTokens = async (user, client = {}) => {
+  const familyId = crypto.randomUUID();
+
+  const refreshToken = await createSessionRow({
+    userId: user.id,
+    familyId,
+    signedInAt: new Date(),
+    ...client
+  });
+
+  return {
+    accessToken: signAccessToken(user, familyId),
+    refreshToken
+  };
+};
+
+/**
+ * Revoke every token in a session family
+ * @param {string} familyId - Session family ID
+ * @param {string} reason - e.g. 'logout', 'reuse_detected'
+ * @returns {Promise<number>} Rows revoked
+ */
+export const revokeSessionFamily = async (familyId, reason) => {
+  const result = await getRepository(UserSession).update(
+    { familyId, revokedAt: IsNull() },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  return result.affected || 0;
+};
+
+/**
+ * Exchange a refresh token for a new token pair. The old token is marked
+ * rotated; presenting it again revokes the whole family.
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} client - { ipAddress, userAgent } from getClientInfo
+ * @returns {Promise<Object>} { user, accessToken, refreshToken }
+ */
+export const rotateRefreshToken = async (refreshToken, client = {}) => {
+  const sessionRepository = getRepository(UserSession);
+  const session = await sessionRepository.findOne({
+    where: { tokenHash: hashToken(refreshToken) }
+  });
+
+  if (!session || session.revokedAt) {
+    throw createError('Invalid or expired refresh token', 401);
+  }
+
+  // Mark as rotated only if no one else has; losing this race is also reuse
+  const { affected } = await sessionRepository.update(
+    { id: session.id, rotatedAt: IsNull() },
+    { rotatedAt: new Date() }
+  );
+
+  if (!affected) {
+    await revokeSessionFamily(session.familyId, 'reuse_detected');
+    throw createError('Refresh token has already been used. Please login again.', 401);
+  }
+
+  if (new Date(session.expiresAt).getTime() <= Date.now()) {
+    throw createError('Invalid or expired refresh token', 401);
+  }
+
+  const user = await getRepository(User).findOne({
+    where: { id: session.userId },
+    relations: ['role']
+  });
+
+  // Deactivated users cannot keep a session alive
+  if (!user || !user.isActive) {
+    await revokeSessionFamily(session.familyId, 'user_unavailable');
+    throw createError('User not found', 401);
+  }
+
+  const newRefreshToken = await createSessionRow({
+    userId: session.userId,
+    familyId: session.familyId,
+    deviceName: session.deviceName,
+    signedInAt: session.signedInAt,
+    ipAddress: client.ipAddress || session.ipAddress,
+    userAgent: client.userAgent || session.userAgent
+  });
+
+  return {
+    user,
+    accessToken: signAccessToken(user, session.familyId),
+    refreshToken: newRefreshToken
+  };
+};
+
+/**
+ * Check if a session family still has a usable token
+ * @param {string} familyId - Session family ID
+ * @returns {Promise<boolean>} True if not revoked or expired
+ */
+export const isSessionActive = async (familyId) => {
+  const count = await getRepository(UserSession).count({
+    where: {
+      familyId,
+      revokedAt: IsNull(),
+      expiresAt: MoreThan(new Date())
+    }
+  });
+
+  return count > 0;
+};
+
+/**
+ * List a user's active sessions, one per family
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Sessions, most recently used first
+ */
+export const listActiveSessions = async (userId) => {
+  const rows = await getRepository(UserSession).find({
+    where: {
+      userId,
+      rotatedAt: IsNull(),
+      revokedAt: IsNull(),
+      expiresAt: MoreThan(new Date())
+    },
+    order: { lastUsedAt: 'DESC' }
+  });
+
+  return rows.map(row => ({
+    id: row.familyId,
+    deviceName: row.deviceName,
+    ipAddress: row.ipAddress,
+    userAgent: row.userAgent,
+    signedInAt: row.signedInAt,
+    lastUsedAt: row.lastUsedAt,
+    expiresAt: row.expiresAt
+  }));
+};
+
+/**
+ * Revoke all of a user's sessions, optionally keeping one
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @param {string} [exceptFamilyId] - Session family to keep
+ * @returns {Promise<number>} Rows revoked
+ */
+export const revokeUserSessions = async (userId, reason, exceptFamilyId = null) => {
+  const qb = getRepository(UserSession)
+    .createQueryBuilder()
+    .update(UserSession)
+    .set({ revokedAt: new Date(), revokedReason: reason })
+    .where('user_id = :userId', { userId })
+    .andWhere('revoked_at IS NULL');
+
+  if (exceptFamilyId) {
+    qb.andWhere('family_id != :exceptFamilyId', { exceptFamilyId });
+  }
+
+  const result = await qb.execute();
+  return result.affected || 0;
+};
+
+export default {
+  getClientInfo,
+  issueTokens,
+  rotateRefreshToken,
+  revokeSessionFamily,
+  revokeUserSessions,
+  isSessionActive,
+  listActiveSessions
+};
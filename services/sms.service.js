@@ -0,0 +1,67 @@
+/**
+ * SMS service for Snowfun Nepal application
+ *
+ * Sends SMS through the configured transport (see sms/index.js) and records
+ * each message and its delivery status in `sms_messages`.
+ */
+
+import { getRepository } from 'typeorm';
+import SmsMessage from '../models/SmsMessage.js';
+import { getSmsTransport } from './sms/index.js';
+
+/**
+ * Send an SMS and record the outcome
+ * @param {Object} message - Message to send
+ * @param {string} message.to - Recipient phone number (+977 format)
+ * @param {string} message.text - Message text
+ * @param {string} message.purpose - One of SmsMessage.PURPOSE_VALUES
+ * @param {string} [message.userId] - Recipient user, if known
+ * @param {string} [message.logText] - Text to store instead of `text` (e.g. with a code masked)
+ * @param {string} [message.reminderDate] - Day a visit reminder is for (YYYY-MM-DD). The
+ *   message row is saved before sending, so a second reminder for the same user and day
+ *   fails with a unique violation (23505) and is never sent.
+ * @returns {Promise<SmsMessage>} Stored message with its final status
+ */
+export const sendSms = async ({ to, text, purpose, userId = null, logText, reminderDate = null }) => {
+  const messageRepository = getRepository(SmsMessage);
+
+  // A misconfigured provider is recorded as a failed send, never skipped
+  let transport = null;
+  let configError = null;
+  try {
+    transport = getSmsTransport();
+  } catch (error) {
+    configError = error;
+  }
+
+  const message = await messageRepository.save(messageRepository.create({
+    toPhone: to,
+    body: logText ?? text,
+    purpose,
+    provider: transport ? transport.name : 'none',
+    userId,
+    reminderDate
+  }));
+
+  try {
+    if (configError) {
+      throw configError;
+    }
+
+    const { providerMessageId } = await transport.send({ to, text });
+
+    message.status = 'sent';
+    message.providerMessageId = providerMessageId;
+    message.sentAt = new Date();
+  } catch (error) {
+    console.error(`Failed to send ${purpose} SMS to ${to}:`, error.message);
+    message.status = 'failed';
+    message.error = error.message;
+  }
+
+  return messageRepository.save(message);
+};
+
+export default {
+  sendSms
+};
@@ -0,0 +1,38 @@
+/**
+ * Aakash SMS transport for Snowfun Nepal application
+ *
+ * Sends messages through the Aakash SMS v3 API, which takes a form-encoded
+ * `auth_token`, `to` and `text` and reports per-number results.
+ */
+
+import axios from 'axios';
+import { toLocalNumber } from './phone.js';
+
+const DEFAULT_URL = 'https://sms.aakashsms.com/sms/v3/send';
+
+/**
+ * Create an Aakash SMS transport
+ * @param {Object} config - { apiToken, url? }
+ * @returns {Object} SMS transport
+ */
+export const createAakashTransport = ({ apiToken, url = DEFAULT_URL }) => ({
+  name: 'aakash',
+
+  async send({ to, text }) {
+    const response = await axios.post(
+      url,
+      new URLSearchParams({ auth_token: apiToken, to: toLocalNumber(to), text }),
+      { timeout: 10000, validateStatus: () => true }
+    );
+
+    const valid = response.data?.data?.valid || [];
+
+    if (response.status !== 200 || response.data?.error || valid.length === 0) {
+      throw new Error(`Aakash SMS rejected message: ${response.data?.message || `HTTP ${response.status}`}`);
+    }
+
+    return { providerMessageId: valid[0].id ? String(valid[0].id) : null };
+  }
+});
+
+export default createAakashTransport;
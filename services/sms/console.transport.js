@@ -0,0 +1,21 @@
+/**
+ * Console SMS transport for Snowfun Nepal application
+ *
+ * Development transport that prints messages to the server log instead of
+ * sending them.
+ */
+
+/**
+ * Create a console SMS transport
+ * @returns {Object} SMS transport
+ */
+export const createConsoleTransport = () => ({
+  name: 'console',
+
+  async send({ to, text }) {
+    console.log(`📱 SMS to ${to}: ${text}`);
+    return { providerMessageId: null };
+  }
+});
+
+export default createConsoleTransport;
@@ -0,0 +1,26 @@
+/**
+ * File SMS transport for Snowfun Nepal application
+ *
+ * Development transport that appends each message as a JSON line to a file,
+ * so sent codes and reminders can be inspected (or read by test scripts).
+ */
+
+import { appendFile, mkdir } from 'fs/promises';
+import path from 'path';
+
+/**
+ * Create a file SMS transport
+ * @param {Object} config - { filePath }
+ * @returns {Object} SMS transport
+ */
+export const createFileTransport = ({ filePath }) => ({
+  name: 'file',
+
+  async send({ to, text }) {
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await appendFile(filePath, `${JSON.stringify({ to, text, sentAt: new Date().toISOString() })}\n`);
+    return { providerMessageId: null };
+  }
+});
+
+export default createFileTransport;
@@ -0,0 +1,87 @@
+/**
+ * SMS transport factory for Snowfun Nepal application
+ *
+ * An SMS transport exposes `name` and `send({ to, text })`, which resolves to
+ * `{ providerMessageId }` once the gateway accepts the message and throws if
+ * it is rejected. Callers should go through sms.service.js, which records
+ * each message in `sms_messages`.
+ *
+ * Configuration (environment variables):
+ * - SMS_PROVIDER: 'sparrow', 'aakash', 'console' or 'file'. Required in
+ *   production; defaults to 'console' elsewhere
+ * - SMS_API_TOKEN: gateway API token (sparrow, aakash)
+ * - SMS_SENDER_ID: approved sender identity (sparrow)
+ * - SMS_GATEWAY_URL: optional override of the gateway endpoint
+ * - SMS_LOG_FILE: output file for the 'file' transport (default logs/sms.log)
+ */
+
+import { createSparrowTransport } from './sparrow.transport.js';
+import { createAakashTransport } from './aakash.transport.js';
+import { createConsoleTransport } from './console.transport.js';
+import { createFileTransport } from './file.transport.js';
+
+/**
+ * Require an environment variable for a gateway transport
+ * @param {string} name - Variable name
+ * @param {string} provider - Provider that needs it
+ * @returns {string} Value
+ */
+const requireEnv = (name, provider) => {
+  if (!process.env[name]) {
+    throw new Error(`${name} must be set to use the '${provider}' SMS provider`);
+  }
+  return process.env[name];
+};
+
+const factories = {
+  sparrow: () => createSparrowTransport({
+    apiToken: requireEnv('SMS_API_TOKEN', 'sparrow'),
+    senderId: requireEnv('SMS_SENDER_ID', 'sparrow'),
+    url: process.env.SMS_GATEWAY_URL || undefined
+  }),
+  aakash: () => createAakashTransport({
+    apiToken: requireEnv('SMS_API_TOKEN', 'aakash'),
+    url: process.env.SMS_GATEWAY_URL || undefined
+  }),
+  console: () => createConsoleTransport(),
+  file: () => createFileTransport({
+    filePath: process.env.SMS_LOG_FILE || 'logs/sms.log'
+  })
+};
+
+let transport = null;
+
+/**
+ * Get the configured SMS transport (created on first use)
+ * @returns {Object} SMS transport
+ */
+export const getSmsTransport = () => {
+  if (!transport) {
+    const provider = process.env.SMS_PROVIDER
+      || (process.env.NODE_ENV === 'production' ? null : 'console');
+
+    if (!provider) {
+      throw new Error('SMS_PROVIDER is not configured');
+    }
+
+    const factory = factories[provider];
+
+    if (!factory) {
+      throw new Error(`Unknown SMS_PROVIDER '${provider}'. Expected one of: ${Object.keys(factories).join(', ')}`);
+    }
+
+    transport = factory();
+  }
+
+  return transport;
+};
+
+/**
+ * Replace the SMS transport (e.g. with a stub in tests)
+ * @param {Object} smsTransport - SMS transport implementation
+ */
+export const setSmsTransport = (smsTransport) => {
+  transport = smsTransport;
+};
+
+export default getSmsTransport;
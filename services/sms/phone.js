@@ -0,0 +1,15 @@
+/**
+ * Phone number helpers for SMS transports
+ */
+
+/**
+ * Convert a +977 number to the 10-digit local form Nepali gateways expect
+ * @param {string} phone - Phone number, e.g. +9779812345678
+ * @returns {string} Local number, e.g. 9812345678
+ */
+export const toLocalNumber = (phone) => {
+  const digits = String(phone).replace(/\D/g, '');
+  return digits.startsWith('977') && digits.length === 13 ? digits.slice(3) : digits;
+};
+
+export default toLocalNumber;
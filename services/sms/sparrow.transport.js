@@ -0,0 +1,36 @@
+/**
+ * Sparrow SMS transport for Snowfun Nepal application
+ *
+ * Sends messages through the Sparrow SMS v2 API, which takes a form-encoded
+ * `token`, `from` (approved sender identity), `to` and `text`.
+ */
+
+import axios from 'axios';
+import { toLocalNumber } from './phone.js';
+
+const DEFAULT_URL = 'https://api.sparrowsms.com/v2/sms/';
+
+/**
+ * Create a Sparrow SMS transport
+ * @param {Object} config - { apiToken, senderId, url? }
+ * @returns {Object} SMS transport
+ */
+export const createSparrowTransport = ({ apiToken, senderId, url = DEFAULT_URL }) => ({
+  name: 'sparrow',
+
+  async send({ to, text }) {
+    const response = await axios.post(
+      url,
+      new URLSearchParams({ token: apiToken, from: senderId, to: toLocalNumber(to), text }),
+      { timeout: 10000, validateStatus: () => true }
+    );
+
+    if (response.status !== 200 || response.data?.response_code !== 200) {
+      throw new Error(`Sparrow SMS rejected message: ${response.data?.response || `HTTP ${response.status}`}`);
+    }
+
+    return { providerMessageId: response.data.message_id ? String(response.data.message_id) : null };
+  }
+});
+
+export default createSparrowTransport;
@@ -0,0 +1,75 @@
+/**
+ * File storage factory for Snowfun Nepal application
+ *
+ * A storage driver keeps uploaded file contents under string keys such as
+ * "shops/12/3f9c….jpg". Every driver exposes the same async interface:
+ *
+ * - put(key, buffer, { contentType }) – store (or replace) an object
+ * - getStream(key) – readable stream of the object; throws a 404 error if missing
+ * - remove(key) – delete an object, ignoring keys that do not exist
+ *
+ * File metadata and access rules live in the `files` table (see
+ * file.service.js); drivers only move bytes.
+ *
+ * Configuration (environment variables):
+ * - STORAGE_DRIVER: 'local' (default) or 's3'
+ * - STORAGE_LOCAL_DIR: directory for the 'local' driver (default uploads)
+ * - S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY:
+ *   settings for the 's3' driver. Set S3_ENDPOINT to use an S3-compatible
+ *   server such as MinIO.
+ */
+
+import { createLocalStorage } from './local.driver.js';
+import { createS3Storage } from './s3.driver.js';
+
+const factories = {
+  local: () => createLocalStorage({
+    directory: process.env.STORAGE_LOCAL_DIR || 'uploads'
+  }),
+  s3: () => {
+    if (!process.env.S3_BUCKET) {
+      throw new Error("S3_BUCKET must be set to use the 's3' storage driver");
+    }
+
+    return createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || null,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    });
+  }
+};
+
+let storage = null;
+
+/**
+ * Get the configured storage driver (created on first use)
+ * @returns {Object} Storage driver
+ */
+export const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    const factory = factories[driver];
+
+    if (!factory) {
+      throw new Error(`Unknown STORAGE_DRIVER '${driver}'. Expected one of: ${Object.keys(factories).join(', ')}`);
+    }
+
+    storage = factory();
+  }
+
+  return storage;
+};
+
+/**
+ * Replace the storage driver (e.g. with an in-memory driver in tests)
+ * @param {Object} storageDriver - Storage driver implementation
+ */
+export const setStorage = (storageDriver) => {
+  storage = storageDriver;
+};
+
+export { createLocalStorage, createS3Storage };
+
+export default getStorage;
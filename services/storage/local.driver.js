@@ -0,0 +1,53 @@
+/**
+ * Local disk storage driver for Snowfun Nepal application
+ *
+ * Stores each object as a file below a base directory, using the key as the
+ * relative path. Suitable for development and single-server deployments.
+ */
+
+import fs from 'fs';
+import { writeFile, mkdir, rm } from 'fs/promises';
+import path from 'path';
+import { createError } from '../../middleware/errorHandler.js';
+
+/**
+ * Create a local disk storage driver
+ * @param {Object} config - { directory }
+ * @returns {Object} Storage driver
+ */
+export const createLocalStorage = ({ directory }) => {
+  const root = path.resolve(directory);
+
+  // Resolve a key to a path, refusing keys that escape the base directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+      throw createError(`Invalid storage key '${key}'`, 400);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await mkdir(path.dirname(filePath), { recursive: true });
+      await writeFile(filePath, buffer);
+    },
+
+    async getStream(key) {
+      const filePath = resolveKey(key);
+      if (!fs.existsSync(filePath)) {
+        throw createError('Stored file not found', 404);
+      }
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      await rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+export default createLocalStorage;
@@ -0,0 +1,58 @@
+/**
+ * S3 storage driver for Snowfun Nepal application
+ *
+ * Stores objects in an S3 bucket. With an endpoint configured it talks to
+ * any S3-compatible server (e.g. a local MinIO), using path-style URLs.
+ */
+
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} from '@aws-sdk/client-s3';
+import { createError } from '../../middleware/errorHandler.js';
+
+/**
+ * Create an S3 storage driver
+ * @param {Object} config - { bucket, region, endpoint, accessKeyId, secretAccessKey }
+ * @returns {Object} Storage driver
+ */
+export const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey }) => {
+  const client = new S3Client({
+    region,
+    ...(endpoint ? { endpoint, forcePathStyle: true } : {}),
+    ...(accessKeyId ? { credentials: { accessKeyId, secretAccessKey } } : {})
+  });
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType
+      }));
+    },
+
+    async getStream(key) {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return object.Body;
+      } catch (error) {
+        if (error.name === 'NoSuchKey') {
+          throw createError('Stored file not found', 404);
+        }
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+export default createS3Storage;
@@ -0,0 +1,287 @@
+/**
+ * Transfer service for Snowfun Nepal application
+ *
+ * Moves fridges between shops and dealer warehouses. A transfer updates the
+ * fridge's location and appends a `fridge_transfers` row in the same
+ * transaction, so the fridge keeps its ID, installation date, status history
+ * and deposit ledger. The deposit held for the fridge moves with it (see the
+ * deposit service). Placing a fridge at a shop needs a new signed contract,
+ * which replaces the fridge's contract link.
+ */
+
+import { getRepository } from 'typeorm';
+import { createError } from '../middleware/errorHandler.js';
+import Fridge from '../models/Fridge.js';
+import FridgeTransfer from '../models/FridgeTransfer.js';
+import Shop from '../models/Shop.js';
+import Dealer from '../models/Dealer.js';
+import User from '../models/User.js';
+import { storeImage } from './file.service.js';
+import { moveHeldDeposit } from './deposit.service.js';
+import { canAccessShop, canAccessDealer, canAccessPsr } from './scope.service.js';
+import { isFieldRole } from './permission.service.js';
+import { today, toDateString, daysBetween } from '../utils/date.js';
+
+/**
+ * Move a fridge to a shop or into a dealer's warehouse. The destination and
+ * the responsible PSR must be within the acting user's scope. The fridge row
+ * is locked so concurrent transfers are checked against each other.
+ * @param {EntityManager} manager - Transactional entity manager
+ * @param {Fridge} fridge - Fridge to move
+ * @param {Object} details - { toShopId?, toDealerId?, transferDate?, psrId, notes?, upload?, actor }
+ * @returns {Promise<FridgeTransfer>} Recorded transfer
+ * @throws {Error} 400 for an invalid destination, PSR, date or contract image, 403 for a destination or PSR outside the user's scope
+ */
+export const transferFridge = async (manager, fridge, details) => {
+  const { toShopId = null, toDealerId = null, psrId, notes = null, upload = null, actor } = details;
+  const transferDate = details.transferDate ? toDateString(details.transferDate) : today();
+
+  if (Boolean(toShopId) === Boolean(toDealerId)) {
+    throw createError('Specify either a destination shop or a warehouse dealer', 400);
+  }
+
+  if (toShopId && !upload) {
+    throw createError('A signed contract image is required to place a fridge at a shop', 400);
+  }
+
+  if (toDealerId && upload) {
+    throw createError('Contract images are only taken for shop placements', 400);
+  }
+
+  if (transferDate > today()) {
+    throw createError('Transfer date cannot be in the future', 400);
+  }
+
+  const psr = await manager.findOne(User, { where: { id: psrId }, relations: ['role', 'role.permissions'] });
+  if (!psr || !isFieldRole(psr.role)) {
+    throw createError('The responsible user must be a PSR', 400);
+  }
+
+  const toShop = toShopId ? await manager.findOne(Shop, toShopId) : null;
+  if (toShopId && !toShop) {
+    throw createError('Invalid shop specified', 400);
+  }
+
+  if (toDealerId && !(await manager.findOne(Dealer, toDealerId))) {
+    throw createError('Invalid dealer specified', 400);
+  }
+
+  if (toShop ? !(await canAccessShop(actor, toShop)) : !(await canAccessDealer(actor, toDealerId))) {
+    throw createError('You do not have access to the destination', 403);
+  }
+
+  if (!(await canAccessPsr(actor, psr.id))) {
+    throw createError('The responsible PSR does not work in your territory', 403);
+  }
+
+  const locked = await manager
+    .createQueryBuilder(Fridge, 'fridge')
+    .setLock('pessimistic_write')
+    .where('fridge.id = :id', { id: fridge.id })
+    .getOne();
+
+  if (locked.isMissing()) {
+    throw createError('A missing fridge must be recovered before it can be transferred', 400);
+  }
+
+  if ((toShopId && locked.shopId === toShop.id) || (toDealerId && locked.warehouseDealerId === Number(toDealerId))) {
+    throw createError('The fridge is already at this location', 400);
+  }
+
+  if (locked.installedAt && transferDate < toDateString(locked.installedAt)) {
+    throw createError('Transfer date cannot be before the fridge was installed', 400);
+  }
+
+  const last = await manager.findOne(FridgeTransfer, {
+    where: { fridgeId: fridge.id },
+    order: { transferDate: 'DESC', id: 'DESC' }
+  });
+
+  if (last && transferDate < toDateString(last.transferDate)) {
+    throw createError(`Transfer date cannot be before the previous transfer on ${toDateString(last.transferDate)}`, 400);
+  }
+
+  const transfer = manager.create(FridgeTransfer, {
+    fridgeId: fridge.id,
+    fromShopId: locked.shopId,
+    fromDealerId: locked.warehouseDealerId,
+    toShopId: toShop ? toShop.id : null,
+    toDealerId: toDealerId ? Number(toDealerId) : null,
+    transferDate,
+    psrId: psr.id,
+    notes,
+    recordedById: actor.id
+  });
+
+  await moveHeldDeposit(manager, locked, {
+    shopId: transfer.toShopId,
+    dealerId: toShop ? toShop.dealerId : transfer.toDealerId
+  }, {
+    entryDate: transferDate,
+    actor,
+    notes: 'Deposit held moved with fridge transfer'
+  });
+
+  // The previous shop's contract no longer applies
+  fridge.shopId = transfer.toShopId;
+  fridge.warehouseDealerId = transfer.toDealerId;
+  fridge.contractImgUrl = null;
+  await manager.update(Fridge, fridge.id, {
+    shopId: fridge.shopId,
+    warehouseDealerId: fridge.warehouseDealerId,
+    contractImgUrl: null
+  });
+
+  if (toShop) {
+    const contract = await storeImage({
+      upload,
+      kind: 'contract',
+      shop: toShop,
+      fridgeId: fridge.id,
+      actor,
+      manager
+    });
+
+    transfer.contractFileId = contract.id;
+    fridge.contractImgUrl = contract.getContentPath();
+  }
+
+  return manager.save(transfer);
+};
+
+/**
+ * Describe one side of a transfer, or a fridge's current location
+ * @param {Shop|null} shop - Shop (dealer relation optional)
+ * @param {Dealer|null} dealer - Warehouse dealer when not at a shop
+ * @returns {Object} { type, shop, dealer }
+ */
+const describeLocation = (shop, dealer) => {
+  const owner = shop ? shop.dealer : dealer;
+
+  return {
+    type: shop || !dealer ? 'shop' : 'warehouse',
+    shop: shop ? { id: shop.id, name: shop.name } : null,
+    dealer: owner ? { id: owner.id, name: owner.name, district: owner.district } : null
+  };
+};
+
+/**
+ * Build the placement timeline of a fridge, oldest first. The first entry
+ * is the original placement from installation; every transfer opens a new
+ * entry. The current placement has `to: null`.
+ * @param {Fridge} fridge - Fridge (shop.dealer and warehouseDealer relations loaded)
+ * @returns {Promise<Array<Object>>} Placements
+ */
+export const getCustodyTimeline = async (fridge) => {
+  const transfers = await getRepository(FridgeTransfer).find({
+    where: { fridgeId: fridge.id },
+    relations: [
+      'fromShop',
+      'fromShop.dealer',
+      'fromDealer',
+      'toShop',
+      'toShop.dealer',
+      'toDealer',
+      'psr',
+      'contractFile',
+      'recordedBy'
+    ],
+    order: { transferDate: 'ASC', id: 'ASC' }
+  });
+
+  const initial = transfers.length > 0
+    ? describeLocation(transfers[0].fromShop, transfers[0].fromDealer)
+    : describeLocation(fridge.shop, fridge.warehouseDealer);
+
+  const placements = [{
+    ...initial,
+    from: fridge.installedAt ? toDateString(fridge.installedAt) : null,
+    transfer: null
+  }];
+
+  transfers.forEach((transfer) => {
+    placements.push({
+      ...describeLocation(transfer.toShop, transfer.toDealer),
+      from: toDateString(transfer.transferDate),
+      transfer: {
+        id: transfer.id,
+        psr: transfer.psr ? { id: transfer.psr.id, fullName: transfer.psr.fullName } : null,
+        contractUrl: transfer.contractFile ? transfer.contractFile.getContentPath() : null,
+        notes: transfer.notes,
+        recordedBy: transfer.recordedBy
+          ? { id: transfer.recordedBy.id, fullName: transfer.recordedBy.fullName }
+          : null,
+        createdAt: transfer.createdAt
+      }
+    });
+  });
+
+  return placements.map((placement, index) => {
+    const to = index < placements.length - 1 ? placements[index + 1].from : null;
+
+    return {
+      ...placement,
+      to,
+      days: placement.from ? daysBetween(placement.from, to || today()) : null
+    };
+  });
+};
+
+/**
+ * Get the periods a fridge spent at the shops of one dealer. Periods are
+ * bounded by when transfers were recorded, so they can be compared with the
+ * record times of status events and deposit entries.
+ * @param {Fridge} fridge - Fridge (shop relation loaded)
+ * @param {number} dealerId - Dealer ID
+ * @returns {Promise<Array<Object>>} { start, end } Dates; start is null from installation, end is null until now
+ */
+export const getDealerShopPeriods = async (fridge, dealerId) => {
+  const transfers = await getRepository(FridgeTransfer).find({
+    where: { fridgeId: fridge.id },
+    relations: ['fromShop', 'toShop'],
+    order: { createdAt: 'ASC', id: 'ASC' }
+  });
+
+  const isAtDealer = (shop) => Boolean(shop && shop.dealerId === dealerId);
+  const periods = [];
+  let shop = transfers.length > 0 ? transfers[0].fromShop : fridge.shop;
+  let start = null;
+
+  transfers.forEach((transfer) => {
+    const end = new Date(transfer.createdAt);
+
+    if (isAtDealer(shop)) {
+      periods.push({ start, end });
+    }
+
+    shop = transfer.toShop;
+    start = end;
+  });
+
+  if (isAtDealer(shop)) {
+    periods.push({ start, end: null });
+  }
+
+  return periods;
+};
+
+/**
+ * Check whether a moment falls in one of a set of periods. A transfer's
+ * record time starts the new period and ends the old one.
+ * @param {Array<Object>} periods - From getDealerShopPeriods
+ * @param {Date|string} at - Moment to check
+ * @returns {boolean} True if within a period
+ */
+export const isWithinPeriods = (periods, at) => {
+  const time = new Date(at).getTime();
+
+  return periods.some(({ start, end }) =>
+    (!start || time >= start.getTime()) && (!end || time < end.getTime()));
+};
+
+export default {
+  transferFridge,
+  getCustodyTimeline,
+  getDealerShopPeriods,
+  isWithinPeriods
+};
@@ -0,0 +1,222 @@
+/**
+ * Visit frequency service for Snowfun Nepal application
+ *
+ * Works out when each shop is next due for a visit from its visit frequency
+ * policy (shop policy, else dealer policy, else the default interval), its
+ * fridge count and its last completed visit. A shop that has never been
+ * visited is measured from the day it was added. Feeds the PSR pending-visit
+ * reminders, the map's needs-attention colour and the dashboard counts.
+ */
+
+import { getManager, getRepository } from 'typeorm';
+import Shop from '../models/Shop.js';
+import Fridge from '../models/Fridge.js';
+import Visit from '../models/Visit.js';
+import VisitFrequencyPolicy from '../models/VisitFrequencyPolicy.js';
+import { scopeShopQuery } from './scope.service.js';
+import { today, toDateString, addDays, daysBetween } from '../utils/date.js';
+
+// Interval for shops with no shop or dealer policy
+export const DEFAULT_VISIT_INTERVAL_DAYS = parseInt(process.env.DEFAULT_VISIT_INTERVAL_DAYS || '7', 10);
+
+/**
+ * Load the policies that apply to a set of shops
+ * @param {Shop[]} shops - Shops (id and dealerId loaded)
+ * @returns {Promise<Object>} { byShop, byDealer } maps of policies
+ */
+const loadPolicies = async (shops) => {
+  const shopIds = shops.map(shop => shop.id);
+  const dealerIds = [...new Set(shops.map(shop => shop.dealerId))];
+
+  const policies = await getRepository(VisitFrequencyPolicy)
+    .createQueryBuilder('policy')
+    .where('policy.shopId IN (:...shopIds)', { shopIds })
+    .orWhere('policy.dealerId IN (:...dealerIds)', { dealerIds })
+    .getMany();
+
+  return {
+    byShop: new Map(policies.filter(policy => policy.shopId !== null).map(policy => [policy.shopId, policy])),
+    byDealer: new Map(policies.filter(policy => policy.dealerId !== null).map(policy => [policy.dealerId, policy]))
+  };
+};
+
+/**
+ * Count the fridges at each shop, excluding missing ones
+ * @param {number[]} shopIds - Shop IDs
+ * @returns {Promise<Map<number, number>>} shopId → fridge count
+ */
+const countFridges = async (shopIds) => {
+  const rows = await getRepository(Fridge)
+    .createQueryBuilder('fridge')
+    .select('fridge.shopId', 'shopId')
+    .addSelect('COUNT(*)', 'count')
+    .where('fridge.shopId IN (:...shopIds)', { shopIds })
+    .andWhere('fridge.status != :missing', { missing: 'missing' })
+    .groupBy('fridge.shopId')
+    .getRawMany();
+
+  return new Map(rows.map(row => [Number(row.shopId), Number(row.count)]));
+};
+
+/**
+ * Get the date of each shop's last completed visit
+ * @param {number[]} shopIds - Shop IDs
+ * @returns {Promise<Map<number, string>>} shopId → YYYY-MM-DD
+ */
+const getLastVisitDates = async (shopIds) => {
+  const rows = await getRepository(Visit)
+    .createQueryBuilder('visit')
+    .select('visit.shopId', 'shopId')
+    .addSelect(`TO_CHAR(MAX(visit.visitDate), 'YYYY-MM-DD')`, 'lastVisitDate')
+    .where('visit.shopId IN (:...shopIds)', { shopIds })
+    .andWhere('visit.status = :status', { status: 'visited' })
+    .groupBy('visit.shopId')
+    .getRawMany();
+
+  return new Map(rows.map(row => [Number(row.shopId), row.lastVisitDate]));
+};
+
+/**
+ * Work out the visit schedule of each shop
+ * @param {Shop[]} shops - Shops (id, dealerId and createdAt loaded)
+ * @param {string} [date] - Reference date, YYYY-MM-DD (default today)
+ * @returns {Promise<Map<number, Object>>} shopId → { intervalDays, policySource,
+ *   lastVisitDate, daysSinceVisit, dueDate, visitedToday, due, overdue, daysOverdue }
+ */
+export const getVisitSchedule = async (shops, date = today()) => {
+  if (shops.length === 0) {
+    return new Map();
+  }
+
+  const shopIds = shops.map(shop => shop.id);
+  const [policies, fridgeCounts, lastVisits] = await Promise.all([
+    loadPolicies(shops),
+    countFridges(shopIds),
+    getLastVisitDates(shopIds)
+  ]);
+
+  return new Map(shops.map(shop => {
+    const shopPolicy = policies.byShop.get(shop.id);
+    const policy = shopPolicy || policies.byDealer.get(shop.dealerId);
+    const policySource = shopPolicy ? 'shop' : (policy ? 'dealer' : 'default');
+
+    // A fridge-count policy with no matching tier means no visits are required
+    const intervalDays = policy
+      ? policy.getIntervalDays(fridgeCounts.get(shop.id) || 0)
+      : DEFAULT_VISIT_INTERVAL_DAYS;
+
+    const lastVisitDate = lastVisits.get(shop.id) || null;
+    const visitedToday = lastVisitDate === date;
+    const baseline = lastVisitDate || toDateString(shop.createdAt);
+    const dueDate = intervalDays === null ? null : addDays(baseline, intervalDays);
+    const daysOverdue = dueDate === null ? 0 : Math.max(daysBetween(dueDate, date), 0);
+
+    return [shop.id, {
+      intervalDays,
+      policySource,
+      lastVisitDate,
+      daysSinceVisit: lastVisitDate ? daysBetween(lastVisitDate, date) : null,
+      dueDate,
+      visitedToday,
+      due: dueDate !== null && !visitedToday && dueDate <= date,
+      overdue: dueDate !== null && !visitedToday && dueDate < date,
+      daysOverdue: visitedToday ? 0 : daysOverdue
+    }];
+  }));
+};
+
+/**
+ * List the shops in a user's scope that are due or overdue for a visit,
+ * most overdue first
+ * @param {Object} user - { id, role } of the user
+ * @param {string} [date] - Reference date, YYYY-MM-DD (default today)
+ * @returns {Promise<Array<Object>>} { shop, ...schedule } entries
+ */
+export const getPendingVisits = async (user, date = today()) => {
+  const qb = getRepository(Shop).createQueryBuilder('shop');
+  await scopeShopQuery(qb, user);
+  const shops = await qb.getMany();
+
+  const schedule = await getVisitSchedule(shops, date);
+
+  return shops
+    .map(shop => ({ shop, ...schedule.get(shop.id) }))
+    .filter(entry => entry.due)
+    .sort((a, b) => b.daysOverdue - a.daysOverdue || a.shop.name.localeCompare(b.shop.name));
+};
+
+// SQL for each shop's visit interval, mirroring VisitFrequencyPolicy#getIntervalDays
+// for the policy joined as `policy` (NULL when no fridge tier matches)
+const INTERVAL_DAYS_SQL = `CASE
+  WHEN policy.id IS NULL THEN CAST(:defaultIntervalDays AS int)
+  WHEN policy.frequency = 'by_fridge_count' THEN (
+    SELECT CAST(tier->>'intervalDays' AS int)
+    FROM jsonb_array_elements(COALESCE(policy.fridgeTiers, CAST('[]' AS jsonb))) tier
+    WHERE CAST(tier->>'minFridges' AS int) <= (
+      SELECT COUNT(*) FROM fridges shop_fridge
+      WHERE shop_fridge.shop_id = shop.id AND shop_fridge.status != 'missing'
+    )
+    ORDER BY CAST(tier->>'minFridges' AS int) DESC
+    LIMIT 1
+  )
+  WHEN policy.frequency = 'custom' THEN policy.intervalDays
+  ${Object.entries(VisitFrequencyPolicy.FIXED_INTERVALS)
+    .map(([frequency, days]) => `WHEN policy.frequency = '${frequency}' THEN ${days}`)
+    .join('\n  ')}
+END`;
+
+/**
+ * Count the shops in a user's scope that are due or overdue for a visit.
+ * Same rules as getVisitSchedule, but worked out in SQL so large scopes are
+ * not loaded into memory.
+ * @param {Object} user - { id, role } of the user
+ * @param {Object} [filters] - { district, dealerId }
+ * @param {string} [date] - Reference date, YYYY-MM-DD (default today)
+ * @returns {Promise<number>} Pending visit count
+ */
+export const countPendingVisits = async (user, { district = null, dealerId = null } = {}, date = today()) => {
+  // One row per shop: the day its schedule starts from and its interval
+  const schedules = getRepository(Shop)
+    .createQueryBuilder('shop')
+    .innerJoin('shop.dealer', 'dealer')
+    .leftJoin(VisitFrequencyPolicy, 'policy', `policy.id = COALESCE(
+      (SELECT shop_policy.id FROM visit_frequency_policies shop_policy WHERE shop_policy.shop_id = shop.id),
+      (SELECT dealer_policy.id FROM visit_frequency_policies dealer_policy WHERE dealer_policy.dealer_id = shop.dealerId)
+    )`)
+    .select(`(
+      SELECT MAX(last_visit.visit_date) FROM visits last_visit
+      WHERE last_visit.shop_id = shop.id AND last_visit.status = 'visited'
+    )`, 'lastVisitDate')
+    .addSelect('DATE(shop.createdAt)', 'createdDate')
+    .addSelect(INTERVAL_DAYS_SQL, 'intervalDays')
+    .setParameter('defaultIntervalDays', DEFAULT_VISIT_INTERVAL_DAYS);
+
+  await scopeShopQuery(schedules, user);
+
+  if (district) {
+    schedules.andWhere('dealer.district = :district', { district });
+  }
+
+  if (dealerId) {
+    schedules.andWhere('shop.dealerId = :dealerId', { dealerId });
+  }
+
+  const { count } = await getManager()
+    .createQueryBuilder()
+    .select('COUNT(*)', 'count')
+    .from(`(${schedules.getQuery()})`, 'schedule')
+    .where('schedule."intervalDays" IS NOT NULL')
+    .andWhere('schedule."lastVisitDate" IS DISTINCT FROM CAST(:date AS date)', { date })
+    .andWhere('COALESCE(schedule."lastVisitDate", schedule."createdDate") + schedule."intervalDays" <= CAST(:date AS date)')
+    .setParameters(schedules.getParameters())
+    .getRawOne();
+
+  return Number(count);
+};
+
+export default {
+  DEFAULT_VISIT_INTERVAL_DAYS,
+  getVisitSchedule,
+  getPendingVisits,
+  countPendingVisits
+};
@@ -0,0 +1,118 @@
+/**
+ * Visit reminder service for Snowfun Nepal application
+ *
+ * Sends each PSR who has opted in to SMS notifications a daily reminder of
+ * how many of their assigned shops are due or overdue for a visit under their
+ * visit frequency policies, using the same SMS transport as login codes.
+ * Each reminder is claimed in `sms_messages` (unique per PSR and day unless
+ * the send failed) before it goes to the gateway, so the job is safe to run
+ * on several API instances or more than once a day.
+ *
+ * Configuration (environment variables):
+ * - VISIT_REMINDER_TIME: daily send time as HH:MM in UTC (e.g. 03:15 for
+ *   09:00 Nepal time). Reminders are disabled when unset.
+ */
+
+import { getRepository, Not } from 'typeorm';
+import User from '../models/User.js';
+import SmsMessage from '../models/SmsMessage.js';
+import { countPendingVisits } from './visit-frequency.service.js';
+import { joinFieldRole } from './permission.service.js';
+import { sendSms } from './sms.service.js';
+import { today, msUntilDailyRun } from '../utils/date.js';
+
+/**
+ * Send today's visit reminders to every opted-in PSR with visits pending
+ * @returns {Promise<Object>} { sent, failed, skipped }
+ */
+export const sendVisitReminders = async () => {
+  const psrs = await joinFieldRole(getRepository(User).createQueryBuilder('user'))
+    .where('user.isActive = true')
+    .andWhere('user.smsNotifications = true')
+    .andWhere('user.phone IS NOT NULL')
+    .getMany();
+
+  const reminderDate = today();
+  const summary = { sent: 0, failed: 0, skipped: 0 };
+
+  for (const psr of psrs) {
+    // Cheap check first; the unique claim in sendSms is what prevents doubles
+    const alreadySent = await getRepository(SmsMessage).count({
+      where: {
+        userId: psr.id,
+        purpose: 'visit_reminder',
+        reminderDate,
+        status: Not('failed')
+      }
+    });
+
+    const pending = alreadySent ? 0 : await countPendingVisits({ id: psr.id, role: 'psr' });
+
+    if (pending === 0) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    let message;
+    try {
+      message = await sendSms({
+        to: psr.phone,
+        text: `Snowfun Nepal: you have ${pending} shop ${pending === 1 ? 'visit' : 'visits'} pending today.`,
+        purpose: 'visit_reminder',
+        userId: psr.id,
+        reminderDate
+      });
+    } catch (error) {
+      // Another instance claimed this reminder first
+      if (error.code === '23505') {
+        summary.skipped += 1;
+        continue;
+      }
+      throw error;
+    }
+
+    summary[message.isSent() ? 'sent' : 'failed'] += 1;
+  }
+
+  return summary;
+};
+
+/**
+ * Schedule the daily reminder run if VISIT_REMINDER_TIME is set
+ * @returns {Function} Stop function
+ */
+export const startVisitReminderSchedule = () => {
+  const time = process.env.VISIT_REMINDER_TIME;
+
+  if (!time) {
+    return () => {};
+  }
+
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+    console.warn(`Invalid VISIT_REMINDER_TIME '${time}', expected HH:MM. Visit reminders are disabled.`);
+    return () => {};
+  }
+
+  let timeoutId = null;
+
+  const scheduleNext = () => {
+    timeoutId = setTimeout(async () => {
+      try {
+        const summary = await sendVisitReminders();
+        console.log(`🔔 Visit reminders: ${summary.sent} sent, ${summary.failed} failed, ${summary.skipped} skipped`);
+      } catch (error) {
+        console.error('Visit reminder run failed:', error);
+      }
+      scheduleNext();
+    }, msUntilDailyRun(time));
+  };
+
+  scheduleNext();
+
+  return () => clearTimeout(timeoutId);
+};
+
+export default {
+  sendVisitReminders,
+  startVisitReminderSchedule
+};
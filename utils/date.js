@@ -0,0 +1,77 @@
+/**
+ * Date helpers for Snowfun Nepal application
+ *
+ * Visit dates are stored as Postgres DATE columns, so comparisons are done
+ * on YYYY-MM-DD strings rather than Date objects.
+ */
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date|string|number} date - Date to format
+ * @returns {string} Date string
+ */
+export const toDateString = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Nepal Standard Time has no daylight saving
+const NEPAL_UTC_OFFSET_MS = (5 * 60 + 45) * 60 * 1000;
+
+/**
+ * Get today's date as YYYY-MM-DD
+ * @returns {string} Today's date
+ */
+export const today = () => toDateString(new Date());
+
+/**
+ * Get today's date in Nepal (UTC+05:45) as YYYY-MM-DD. Devices send dates
+ * in local time, which runs up to a day ahead of the server's UTC date.
+ * @returns {string} Today's date in Nepal
+ */
+export const nepalToday = () => toDateString(Date.now() + NEPAL_UTC_OFFSET_MS);
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} date - Date string
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date string
+ */
+export const addDays = (date, days) => {
+  const result = new Date(`${toDateString(date)}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return toDateString(result);
+};
+
+/**
+ * Whole days from one YYYY-MM-DD date to another
+ * @param {string} from - Earlier date
+ * @param {string} to - Later date
+ * @returns {number} Days between the dates
+ */
+export const daysBetween = (from, to) =>
+  Math.round((new Date(`${toDateString(to)}T00:00:00Z`) - new Date(`${toDateString(from)}T00:00:00Z`)) / (1000 * 60 * 60 * 24));
+
+/**
+ * Work out the delay until the next run of a daily job
+ * @param {string} time - HH:MM in UTC
+ * @param {Date} now - Current time
+ * @returns {number} Milliseconds until the next run
+ */
+export const msUntilDailyRun = (time, now = new Date()) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const next = new Date(now);
+  next.setUTCHours(hours, minutes, 0, 0);
+
+  if (next <= now) {
+    next.setUTCDate(next.getUTCDate() + 1);
+  }
+
+  return next.getTime() - now.getTime();
+};
+
+export default {
+  toDateString,
+  today,
+  nepalToday,
+  addDays,
+  daysBetween,
+  msUntilDailyRun
+};
@@ -0,0 +1,25 @@
+/**
+ * Name helpers for Snowfun Nepal application
+ *
+ * Dealer, shop and catalogue names are matched after normalisation, so the
+ * same name typed with different spacing, punctuation or case is caught as a
+ * duplicate by both the bulk import and the catalogue editor.
+ */
+
+/**
+ * Normalise a dealer, shop, brand or model name for matching. Unlike place
+ * names these are often written in Devanagari, so letters, combining marks
+ * (vowel signs, virama) and digits of any script are kept.
+ * @param {string} name - Name as entered
+ * @returns {string} NFC lowercase name with punctuation collapsed to single spaces
+ */
+export const normaliseName = (name) =>
+  String(name || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+    .trim();
+
+export default {
+  normaliseName
+};
@@ -0,0 +1,44 @@
+/**
+ * Phone number helpers for Snowfun Nepal application
+ *
+ * Phone numbers are stored in +977 form so OTP sign-in can find the user
+ * whichever way the number was typed.
+ */
+
+// Nepali mobile number, with or without the country code or leading 0
+export const NEPALI_MOBILE_PATTERN = /^(\+977|977|0)?[9][6-9]\d{8}$/;
+
+/**
+ * Format Nepali phone number to standard format
+ * @param {string} phone - Phone number input
+ * @returns {string} Formatted phone number
+ */
+export const formatNepaliPhone = (phone) => {
+  // Remove any non-digit characters
+  let cleaned = phone.replace(/\D/g, '');
+  
+  // Check if number starts with Nepal country code
+  if (cleaned.startsWith('977')) {
+    // If it doesn't have the + prefix, add it
+    return `+${cleaned}`;
+  }
+  
+  // If it starts with 0, replace with Nepal country code
+  if (cleaned.startsWith('0')) {
+    cleaned = cleaned.substring(1);
+    return `+977${cleaned}`;
+  }
+  
+  // If it's a 10-digit number without country code, add Nepal country code
+  if (cleaned.length === 10) {
+    return `+977${cleaned}`;
+  }
+  
+  // Return as is if it doesn't match known patterns
+  return phone;
+};
+
+export default {
+  NEPALI_MOBILE_PATTERN,
+  formatNepaliPhone
+};